@@ -11,8 +11,10 @@ require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const accountRoutes = require('./routes/account');
 const roomRoutes = require('./routes/rooms');
 const bookingRoutes = require('./routes/bookings');
+const reservationRoutes = require('./routes/reservations');
 const guestRoutes = require('./routes/guests');
 const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
@@ -25,11 +27,23 @@ const mediaRoutes = require('./routes/media');
 const settingsRoutes = require('./routes/settings');
 const uploadRoutes = require('./routes/upload');
 const roomCategoryRoutes = require('./routes/roomCategories');
+const ratePlanRoutes = require('./routes/ratePlans');
+const promoCodeRoutes = require('./routes/promoCodes');
+const cancellationPolicyRoutes = require('./routes/cancellationPolicies');
+const waitlistRoutes = require('./routes/waitlist');
+const nightAuditRoutes = require('./routes/nightAudit');
+const reportRoutes = require('./routes/reports');
 const galleryCategoryRoutes = require('./routes/galleryCategories');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const { actAs } = require('./utils/auditContext');
+
+// Import background jobs
+const { startHoldSweeper } = require('./jobs/holdSweeper');
+const { startNightAudit } = require('./jobs/nightAudit');
+const { startLoyaltyUpkeep } = require('./jobs/loyalty');
 
 const app = express();
 const PORT = process.env.PORT || 5080;
@@ -54,6 +68,9 @@ app.use(cors({
   credentials: true,
 }));
 
+// Stripe webhooks are verified against the raw body, so keep it unparsed
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -89,12 +106,23 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Changes made through the API are the guest's unless an admin, OTA or webhook route says otherwise
+app.use('/api', actAs(req => ({ type: 'Guest', ipAddress: req.ip })));
+
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/account', accountRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/room-categories', roomCategoryRoutes);
+app.use('/api/rate-plans', ratePlanRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/cancellation-policies', cancellationPolicyRoutes);
 app.use('/api/gallery-categories', galleryCategoryRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/night-audit', nightAuditRoutes);
+app.use('/api/reports', reportRoutes);
 app.use('/api/guests', guestRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
@@ -149,6 +177,10 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info(`Server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   });
+
+  startHoldSweeper();
+  startNightAudit();
+  startLoyaltyUpkeep();
 }
 
 module.exports = app;
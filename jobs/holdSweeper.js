@@ -0,0 +1,35 @@
+const RoomHold = require('../models/RoomHold');
+const WaitlistService = require('../services/WaitlistService');
+const logger = require('../utils/logger');
+const startInterval = require('./startInterval');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const waitlistService = new WaitlistService();
+
+// Expire abandoned checkout holds. Expired holds already stop blocking rooms
+// when they lapse; the sweep keeps their status accurate for reporting. Waitlist
+// offers that ran out are passed on to the next guest in line.
+const sweepHolds = async () => {
+  try {
+    const expired = await RoomHold.expireStale();
+    if (expired > 0) {
+      logger.bookingLog('Expired abandoned room holds', { expired });
+    }
+
+    const expiredOffers = await waitlistService.expireOffers();
+    if (expiredOffers > 0) {
+      logger.bookingLog('Expired unanswered waitlist offers', { expired: expiredOffers });
+    }
+
+    return expired;
+  } catch (error) {
+    logger.error('Error expiring room holds:', error);
+    return 0;
+  }
+};
+
+// Sweep every minute
+const startHoldSweeper = (intervalMs = SWEEP_INTERVAL_MS) => startInterval(sweepHolds, intervalMs);
+
+module.exports = { sweepHolds, startHoldSweeper };
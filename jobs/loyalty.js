@@ -0,0 +1,33 @@
+const LoyaltyService = require('../services/LoyaltyService');
+const logger = require('../utils/logger');
+const { runAs } = require('../utils/auditContext');
+const startInterval = require('./startInterval');
+
+const UPKEEP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const loyaltyService = new LoyaltyService();
+
+// Expire the points of inactive members and move tiers down as qualifying points
+// age out of the tier period
+const runLoyaltyUpkeep = async () => {
+  try {
+    return await runAs({ type: 'System', label: 'Loyalty' }, async () => {
+      const expired = await loyaltyService.expireInactive();
+      const tiersChanged = await loyaltyService.recalculateTiers();
+
+      if (expired > 0 || tiersChanged > 0) {
+        logger.info('Loyalty upkeep', { expired, tiersChanged });
+      }
+
+      return { expired, tiersChanged };
+    });
+  } catch (error) {
+    logger.error('Error running loyalty upkeep:', error);
+    return { expired: 0, tiersChanged: 0 };
+  }
+};
+
+// Run the upkeep every six hours
+const startLoyaltyUpkeep = (intervalMs = UPKEEP_INTERVAL_MS) => startInterval(runLoyaltyUpkeep, intervalMs);
+
+module.exports = { runLoyaltyUpkeep, startLoyaltyUpkeep };
@@ -0,0 +1,23 @@
+const NightAuditService = require('../services/NightAuditService');
+const logger = require('../utils/logger');
+const { runAs } = require('../utils/auditContext');
+const startInterval = require('./startInterval');
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const nightAuditService = new NightAuditService();
+
+// Run the night audit once the business date's audit time has passed
+const runNightAudit = async () => {
+  try {
+    return await runAs({ type: 'System', label: 'Night audit' }, () => nightAuditService.runDueAudits());
+  } catch (error) {
+    logger.error('Error running night audit:', error);
+    return [];
+  }
+};
+
+// Check for a due audit every few minutes
+const startNightAudit = (intervalMs = CHECK_INTERVAL_MS) => startInterval(runNightAudit, intervalMs);
+
+module.exports = { runNightAudit, startNightAudit };
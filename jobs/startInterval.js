@@ -0,0 +1,9 @@
+// Run a job every intervalMs. The timer is unref'd so it never keeps the process
+// alive on its own: shutdown and tests exit once everything else has closed.
+const startInterval = (job, intervalMs) => {
+  const timer = setInterval(job, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = startInterval;
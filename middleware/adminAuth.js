@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin'); // We'll create this model
+const { runAs } = require('../utils/auditContext');
 
 const adminAuth = async (req, res, next) => {
   try {
@@ -40,7 +41,8 @@ const adminAuth = async (req, res, next) => {
       role: decoded.role
     };
     
-    next();
+    // Changes made in the rest of the request are attributed to the admin
+    runAs({ type: 'Admin', admin: decoded.id, label: decoded.email, ipAddress: req.ip }, next);
   } catch (error) {
     console.error('Admin authentication error:', error.message);
     
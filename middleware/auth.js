@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const Guest = require('../models/Guest');
+const { runAs } = require('../utils/auditContext');
 
 const auth = async (req, res, next) => {
   try {
@@ -28,7 +29,7 @@ const auth = async (req, res, next) => {
 
     // Add guest to request object
     req.guest = guest;
-    next();
+    runAs({ type: 'Guest', guest: guest._id, label: guest.email, ipAddress: req.ip }, next);
   } catch (error) {
     console.error('Authentication error:', error.message);
     
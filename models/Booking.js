@@ -1,4 +1,57 @@
 const mongoose = require('mongoose');
+const { fromMinorUnits, formatMoney, roundMoney } = require('../utils/currency');
+const CancellationPolicy = require('./CancellationPolicy');
+const { dateKey } = require('../utils/dates');
+const BookingEvent = require('./BookingEvent');
+const { getActor } = require('../utils/auditContext');
+const logger = require('../utils/logger');
+
+// A guest's request to arrive before check-in time or leave after check-out time
+const stayTimeRequestSchema = new mongoose.Schema({
+  // Requested arrival or departure time (HH:mm)
+  time: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  // Hours before check-in or after check-out time
+  hours: Number,
+  fee: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['Requested', 'Approved', 'Declined', 'Cancelled'],
+    default: 'Requested'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  decidedAt: Date,
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  note: String,
+  // Whether the fee has been charged to the folio
+  feePosted: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Booking statuses and the ones each can move to. Checked out, cancelled and
+// no-show bookings are final.
+const STATUS_TRANSITIONS = {
+  'Pending': ['Confirmed', 'Cancelled'],
+  'Confirmed': ['Checked In', 'Cancelled', 'No Show'],
+  'Checked In': ['Checked Out'],
+  'Checked Out': [],
+  'Cancelled': [],
+  'No Show': []
+};
 
 const bookingSchema = new mongoose.Schema({
   // Booking identification
@@ -20,11 +73,27 @@ const bookingSchema = new mongoose.Schema({
     required: true
   },
   
-  // Room and dates
+  // Room and dates. Bookings sold by category get their room assigned later,
+  // by the front desk or automatically at check-in.
   room: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Room',
-    required: true
+    required: function() { return !this.roomCategory; }
+  },
+  roomCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomCategory'
+  },
+  roomAssignment: {
+    method: {
+      type: String,
+      enum: ['Booking', 'Front Desk', 'Auto']
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    assignedAt: Date
   },
   checkInDate: {
     type: Date,
@@ -58,6 +127,43 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Rate plan the stay was sold on and the price of each night
+  ratePlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RatePlan'
+  },
+  ratePlanCode: String,
+  ratePlanName: String,
+  nightlyRates: [{
+    date: Date,
+    rate: Number
+  }],
+  // Promo code redeemed on the booking
+  promotion: {
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: String,
+    discount: Number
+  },
+  // Cancellation terms at the time of booking (snapshot of the policy)
+  cancellationPolicy: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
+    name: String,
+    code: String,
+    refundable: Boolean,
+    tiers: [{
+      _id: false,
+      hoursBeforeArrival: Number,
+      feeType: String,
+      feeValue: Number
+    }],
+    description: String
+  },
   subtotal: {
     type: Number,
     required: true
@@ -78,11 +184,29 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  currencySymbol: {
+    type: String,
+    default: '$'
+  },
+  // Tax lines as quoted by PricingService (inclusive lines are already part of the room rate)
+  taxBreakdown: [{
+    code: String,
+    name: String,
+    type: { type: String },
+    rate: Number,
+    inclusive: Boolean,
+    amount: Number
+  }],
   
   // Payment information
   paymentStatus: {
     type: String,
-    enum: ['Pending', 'Paid', 'Partially Paid', 'Refunded', 'Failed'],
+    enum: ['Pending', 'Paid', 'Partially Paid', 'Refunded', 'Failed', 'Disputed'],
     default: 'Pending'
   },
   paymentMethod: {
@@ -90,6 +214,87 @@ const bookingSchema = new mongoose.Schema({
     enum: ['Credit Card', 'Debit Card', 'Bank Transfer', 'Cash', 'Online Payment']
   },
   stripePaymentIntentId: String,
+  paymentMode: {
+    type: String,
+    enum: ['Full', 'Deposit'],
+    default: 'Full'
+  },
+  depositAmount: {
+    type: Number,
+    default: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  balancePaymentLink: {
+    url: String,
+    stripeSessionId: String,
+    expiresAt: Date,
+    sentAt: Date
+  },
+  balanceOverride: {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    amount: Number,
+    reason: String,
+    date: Date
+  },
+  payments: [{
+    stripePaymentIntentId: String,
+    method: {
+      type: String,
+      enum: ['Card', 'Cash', 'Bank Transfer'],
+      default: 'Card'
+    },
+    purpose: {
+      type: String,
+      enum: ['Full', 'Deposit', 'Balance'],
+      default: 'Full'
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    currency: {
+      type: String,
+      default: 'usd'
+    },
+    status: {
+      type: String,
+      enum: [
+        'requires_payment_method', 'requires_confirmation', 'requires_action',
+        'processing', 'requires_capture', 'canceled', 'succeeded'
+      ]
+    },
+    failureMessage: String,
+    amountRefunded: {
+      type: Number,
+      default: 0
+    },
+    dispute: {
+      stripeDisputeId: String,
+      amount: Number,
+      reason: String,
+      status: String,
+      openedAt: Date
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    updatedAt: Date
+  }],
   
   // Booking status
   status: {
@@ -111,6 +316,7 @@ const bookingSchema = new mongoose.Schema({
   // Check-in/out details
   actualCheckInTime: Date,
   actualCheckOutTime: Date,
+  // Set once an early check-in or late check-out request is approved
   earlyCheckIn: {
     type: Boolean,
     default: false
@@ -119,6 +325,32 @@ const bookingSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  earlyCheckInRequest: stayTimeRequestSchema,
+  lateCheckOutRequest: stayTimeRequestSchema,
+
+  // Online check-in completed by the guest before arrival
+  preCheckIn: {
+    completedAt: Date,
+    // Expected arrival time (HH:mm)
+    arrivalTime: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    // Terms shown to the guest when they accepted them
+    policiesAccepted: [String],
+    policiesAcceptedAt: Date,
+    idDocumentProvided: {
+      type: Boolean,
+      default: false
+    },
+    ipAddress: String,
+    // Staff member who checked the guest's ID against the online details at the desk
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    verifiedAt: Date
+  },
   
   // Booking source
   bookingSource: {
@@ -138,6 +370,7 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Total refunded on the booking's payments, kept in step by recordRefund
   refundAmount: {
     type: Number,
     default: 0
@@ -161,7 +394,79 @@ const bookingSchema = new mongoose.Schema({
     unitPrice: Number,
     totalPrice: Number
   }],
-  
+
+  // Changes made after booking (dates, occupancy, room, add-ons)
+  modifications: [{
+    modifiedAt: {
+      type: Date,
+      default: Date.now
+    },
+    modifiedBy: {
+      type: String,
+      enum: ['Guest', 'Admin'],
+      default: 'Guest'
+    },
+    changes: mongoose.Schema.Types.Mixed,
+    previousTotal: Number,
+    newTotal: Number,
+    amountCharged: {
+      type: Number,
+      default: 0
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0
+    },
+    // Cancellation fee kept for what the change took off the booking
+    changeFee: {
+      type: Number,
+      default: 0
+    },
+    stripePaymentIntentId: String,
+    // Staff member and reason for changes made at the desk
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    reason: String
+  }],
+
+  // Rooms the guest was moved between during the stay
+  roomMoves: [{
+    fromRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    toRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    movedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // First night spent in the new room
+    effectiveDate: Date,
+    reason: String,
+    // Whether the guest kept the rate of the original room
+    keepRate: {
+      type: Boolean,
+      default: false
+    },
+    previousTotal: Number,
+    newTotal: Number,
+    movedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  }],
+
+  // Multi-room reservation this booking is a line of
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+
   // Group booking
   isGroupBooking: {
     type: Boolean,
@@ -170,7 +475,8 @@ const bookingSchema = new mongoose.Schema({
   groupSize: Number,
   groupLeader: String,
   
-  // Loyalty program
+  // Loyalty program: points credited once the guest checks out, and points redeemed
+  // for the loyaltyDiscount included in discounts
   loyaltyPointsEarned: {
     type: Number,
     default: 0
@@ -178,6 +484,10 @@ const bookingSchema = new mongoose.Schema({
   loyaltyPointsRedeemed: {
     type: Number,
     default: 0
+  },
+  loyaltyDiscount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true,
@@ -190,12 +500,41 @@ bookingSchema.index({ bookingNumber: 1 });
 bookingSchema.index({ confirmationCode: 1 });
 bookingSchema.index({ guest: 1 });
 bookingSchema.index({ room: 1 });
+bookingSchema.index({ roomCategory: 1, status: 1 });
 bookingSchema.index({ checkInDate: 1, checkOutDate: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ bookingSource: 1 });
 bookingSchema.index({ operaBookingId: 1 });
+bookingSchema.index({ reservation: 1 });
+bookingSchema.index({ 'payments.stripePaymentIntentId': 1 });
 bookingSchema.index({ createdAt: -1 });
 
+// Virtual for the amount collected so far (card and manual payments, before refunds)
+bookingSchema.virtual('amountCaptured').get(function() {
+  return (this.payments || [])
+    .filter(payment => payment.status === 'succeeded')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+});
+
+// Virtual for the amount refunded so far
+bookingSchema.virtual('amountRefunded').get(function() {
+  return (this.payments || [])
+    .reduce((sum, payment) => sum + (payment.amountRefunded || 0), 0);
+});
+
+// Virtual for what the guest should pay next: the rest of the deposit, otherwise the balance
+bookingSchema.virtual('amountDueNow').get(function() {
+  if (this.paymentMode === 'Deposit' && this.amountPaid < this.depositAmount) {
+    return roundMoney(this.depositAmount - this.amountPaid);
+  }
+  return this.balanceDue;
+});
+
+// Virtual for whether the guest has checked in online
+bookingSchema.virtual('isPreCheckedIn').get(function() {
+  return !!(this.preCheckIn && this.preCheckIn.completedAt);
+});
+
 // Virtual for booking duration
 bookingSchema.virtual('duration').get(function() {
   if (this.checkInDate && this.checkOutDate) {
@@ -230,9 +569,92 @@ bookingSchema.pre('validate', function(next) {
     this.numberOfNights = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   }
   
+  // Nothing has been paid on a new booking yet
+  if (this.isNew && this.totalAmount != null && !this.payments.length) {
+    this.amountPaid = 0;
+    this.balanceDue = this.totalAmount;
+  }
+  
   next();
 });
 
+// Fields left out of the change history: bookkeeping, values derived from others and
+// the ones that keep their own history (modifications, roomMoves)
+const UNTRACKED_FIELDS = [
+  'createdAt', 'updatedAt', '__v', 'confirmationCode',
+  'nightlyRates', 'taxBreakdown', 'modifications', 'roomMoves'
+];
+
+// Fields recorded when a booking is created
+const CREATED_FIELDS = [
+  'guest', 'room', 'roomCategory', 'checkInDate', 'checkOutDate', 'numberOfGuests',
+  'ratePlanCode', 'totalAmount', 'currency', 'paymentMode', 'bookingSource', 'externalBookingId'
+];
+
+const snapshot = doc => doc.toObject({ depopulate: true, virtuals: false, getters: false });
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Status changes must follow the allowed transitions, however they are made
+bookingSchema.pre('validate', function(next) {
+  const original = this.$locals.original;
+  if (!this.isNew && original && original.status !== this.status &&
+    !(STATUS_TRANSITIONS[original.status] || []).includes(this.status)) {
+    this.invalidate('status', `A booking that is ${original.status} cannot be changed to ${this.status}`);
+  }
+  next();
+});
+
+// Keep the values a booking was loaded with, to diff the next save against
+bookingSchema.post('init', function() {
+  this.$locals.original = snapshot(this);
+});
+
+// Work out what a save changes, and who is making it, before the write: the actor
+// is only known in the request or job that started the save
+bookingSchema.pre('save', function(next) {
+  const original = this.$locals.original || {};
+  const current = snapshot(this);
+
+  const fields = this.isNew
+    ? CREATED_FIELDS
+    : [...new Set(this.modifiedPaths().map(path => path.split('.')[0]))]
+      .filter(field => !UNTRACKED_FIELDS.includes(field));
+
+  const changes = fields
+    .map(field => ({ field, from: original[field], to: current[field] }))
+    .filter(change => !sameValue(change.from, change.to));
+
+  this.$locals.pendingEvent = {
+    type: this.isNew ? 'Created' : (original.status !== this.status ? 'Status Changed' : 'Updated'),
+    fromStatus: this.isNew ? undefined : original.status,
+    toStatus: this.status,
+    changes: changes.filter(change => this.isNew || change.field !== 'status'),
+    actor: getActor()
+  };
+
+  next();
+});
+
+// Record the change in the booking's history. A failure is logged rather than
+// failing a save that has already happened.
+bookingSchema.post('save', async function() {
+  const event = this.$locals.pendingEvent;
+  delete this.$locals.pendingEvent;
+  this.$locals.original = snapshot(this);
+
+  if (!event || (event.type === 'Updated' && !event.changes.length)) return;
+
+  try {
+    await BookingEvent.create({
+      ...event,
+      booking: this._id,
+      bookingNumber: this.bookingNumber
+    });
+  } catch (error) {
+    logger.error('Error recording booking history:', error);
+  }
+});
+
 // Static method to generate revenue reports
 bookingSchema.statics.generateRevenueReport = function(startDate, endDate) {
   return this.aggregate([
@@ -260,31 +682,316 @@ bookingSchema.statics.generateRevenueReport = function(startDate, endDate) {
   ]);
 };
 
+// Static method to summarise promo code redemptions and the revenue they drove
+bookingSchema.statics.generatePromoCodeReport = function(startDate, endDate) {
+  const kept = { $ne: ['$status', 'Cancelled'] };
+
+  return this.aggregate([
+    {
+      $match: {
+        'promotion.code': { $exists: true },
+        createdAt: { $gte: startDate, $lte: endDate }
+      }
+    },
+    {
+      $group: {
+        _id: '$promotion.code',
+        redemptions: { $sum: 1 },
+        cancelled: { $sum: { $cond: [kept, 0, 1] } },
+        discountGiven: { $sum: { $cond: [kept, '$promotion.discount', 0] } },
+        revenue: { $sum: { $cond: [kept, '$totalAmount', 0] } },
+        roomNights: { $sum: { $cond: [kept, '$numberOfNights', 0] } }
+      }
+    },
+    {
+      $sort: { revenue: -1 }
+    }
+  ]);
+};
+
+// Instance method to record (or update) a Stripe PaymentIntent against the booking.
+// allocatedAmount is this booking's share when one intent pays for several bookings.
+bookingSchema.methods.recordPaymentIntent = function(paymentIntent, allocatedAmount) {
+  let payment = this.payments.find(p => p.stripePaymentIntentId === paymentIntent.id);
+
+  if (!payment) {
+    this.payments.push({
+      stripePaymentIntentId: paymentIntent.id,
+      purpose: (paymentIntent.metadata && paymentIntent.metadata.purpose) || 'Full',
+      amount: allocatedAmount != null
+        ? allocatedAmount
+        : fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+      currency: paymentIntent.currency
+    });
+    payment = this.payments[this.payments.length - 1];
+  }
+
+  payment.status = paymentIntent.status;
+  payment.failureMessage = paymentIntent.last_payment_error
+    ? paymentIntent.last_payment_error.message
+    : undefined;
+  payment.updatedAt = new Date();
+  this.stripePaymentIntentId = paymentIntent.id;
+
+  this.updatePaymentTotals();
+  if (this.amountPaid === 0 && (payment.failureMessage || paymentIntent.status === 'canceled')) {
+    this.paymentStatus = 'Failed';
+  }
+
+  return payment;
+};
+
+// Instance method to record a payment taken outside Stripe (e.g. cash at the desk)
+bookingSchema.methods.recordManualPayment = function({ amount, method, purpose = 'Balance', adminId }) {
+  this.payments.push({
+    method,
+    purpose,
+    amount,
+    currency: this.currency.toLowerCase(),
+    status: 'succeeded',
+    recordedBy: adminId,
+    updatedAt: new Date()
+  });
+
+  this.updatePaymentTotals();
+  return this.payments[this.payments.length - 1];
+};
+
+// Instance method to recalculate amount paid, balance due and payment status
+bookingSchema.methods.updatePaymentTotals = function() {
+  this.amountPaid = roundMoney(this.amountCaptured - this.amountRefunded);
+  // A no-show owes only the part of its no-show fee not already paid
+  if (this.status === 'Cancelled') {
+    this.balanceDue = 0;
+  } else if (this.status === 'No Show') {
+    this.balanceDue = roundMoney(Math.max((this.cancellationFee || 0) - this.amountPaid, 0));
+  } else {
+    this.balanceDue = roundMoney(Math.max(this.totalAmount - this.amountPaid, 0));
+  }
+
+  if (this.amountPaid > 0 && this.balanceDue === 0) {
+    this.paymentStatus = 'Paid';
+  } else if (this.amountPaid > 0) {
+    this.paymentStatus = 'Partially Paid';
+  } else {
+    this.paymentStatus = 'Pending';
+  }
+};
+
+// Instance method to record the total refunded on a PaymentIntent (from charge.refunded)
+bookingSchema.methods.recordRefund = function(paymentIntentId, amountRefunded) {
+  const payment = this.payments.find(p => p.stripePaymentIntentId === paymentIntentId);
+  if (!payment) return null;
+
+  payment.amountRefunded = amountRefunded;
+  payment.updatedAt = new Date();
+  this.refundAmount = this.amountRefunded;
+
+  this.updatePaymentTotals();
+  if (this.amountRefunded > 0 && (this.amountPaid <= 0 || this.status === 'Cancelled')) {
+    this.paymentStatus = 'Refunded';
+  }
+
+  return payment;
+};
+
+// Instance method to refund cash or bank transfer payments by hand, newest first.
+// Returns the payments refunded, or null when they hold less than the amount.
+bookingSchema.methods.recordManualRefund = function(amount) {
+  const payments = this.payments
+    .filter(payment => payment.method !== 'Card' && payment.status === 'succeeded')
+    .reverse();
+  const refundable = payments.reduce((sum, payment) => sum + payment.amount - (payment.amountRefunded || 0), 0);
+  if (amount > refundable + 0.001) return null;
+
+  let remaining = amount;
+  const refunded = [];
+  payments.forEach(payment => {
+    const share = roundMoney(Math.min(remaining, payment.amount - (payment.amountRefunded || 0)));
+    if (share <= 0) return;
+
+    payment.amountRefunded = roundMoney((payment.amountRefunded || 0) + share);
+    payment.updatedAt = new Date();
+    remaining = roundMoney(remaining - share);
+    refunded.push(payment);
+  });
+  this.refundAmount = this.amountRefunded;
+
+  this.updatePaymentTotals();
+  if (this.amountRefunded > 0 && (this.amountPaid <= 0 || this.status === 'Cancelled')) {
+    this.paymentStatus = 'Refunded';
+  }
+
+  return refunded;
+};
+
+// Instance method to flag a disputed (charged back) payment
+bookingSchema.methods.recordDispute = function(paymentIntentId, dispute) {
+  const payment = this.payments.find(p => p.stripePaymentIntentId === paymentIntentId);
+  if (!payment) return null;
+
+  payment.dispute = {
+    stripeDisputeId: dispute.id,
+    amount: fromMinorUnits(dispute.amount, dispute.currency),
+    reason: dispute.reason,
+    status: dispute.status,
+    openedAt: dispute.created ? new Date(dispute.created * 1000) : new Date()
+  };
+  payment.updatedAt = new Date();
+  this.paymentStatus = 'Disputed';
+
+  return payment;
+};
+
+// Instance method to check whether the booking can move to a status
+bookingSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to explain why the booking cannot move to a status now, or null when it can
+bookingSchema.methods.checkTransition = function(status, at = new Date()) {
+  if (!this.canTransitionTo(status)) {
+    return `A booking that is ${this.status} cannot be changed to ${status}`;
+  }
+  if (status === 'Checked In' && at < this.checkInDate) {
+    return 'The guest cannot check in before the arrival date';
+  }
+  if (status === 'Checked In' && at >= this.checkOutDate) {
+    return 'The stay has already ended';
+  }
+  if (status === 'No Show' && at < this.checkInDate) {
+    return 'A booking cannot be a no-show before its arrival date';
+  }
+  return null;
+};
+
+// Instance method to move the booking to a new status with the fields that go with it:
+// arrival and departure times, or the cancellation date, reason and balance. A fee or
+// refund for a cancellation is set before calling. Returns why it cannot move, or null.
+bookingSchema.methods.transitionTo = function(status, { reason, at = new Date() } = {}) {
+  const error = this.checkTransition(status, at);
+  if (error) return error;
+
+  this.status = status;
+
+  switch (status) {
+    case 'Checked In':
+      this.actualCheckInTime = at;
+      break;
+    case 'Checked Out':
+      this.actualCheckOutTime = at;
+      break;
+    case 'Cancelled':
+    case 'No Show':
+      if (reason) this.cancellationReason = reason;
+      this.cancellationDate = at;
+      this.updatePaymentTotals();
+      if (this.refundAmount > 0 && (status === 'Cancelled' || this.amountPaid <= 0)) {
+        this.paymentStatus = 'Refunded';
+      }
+      break;
+    default:
+  }
+
+  return null;
+};
+
 // Instance method to check if booking can be cancelled
 bookingSchema.methods.canBeCancelled = function() {
   const now = new Date();
   const checkInDate = new Date(this.checkInDate);
   const hoursUntilCheckIn = (checkInDate - now) / (1000 * 60 * 60);
-  
+
+  // Bookings, and requests the hotel has not accepted yet, can be cancelled up to
+  // check-in; the cancellation terms decide the fee
   return (
-    this.status === 'Confirmed' && 
-    hoursUntilCheckIn > 24 // Can cancel up to 24 hours before check-in
+    ['Pending', 'Confirmed'].includes(this.status) &&
+    hoursUntilCheckIn > 0
   );
 };
 
+// Instance method to get the cancellation terms the booking was made under
+bookingSchema.methods.getCancellationTerms = function() {
+  const policy = this.cancellationPolicy;
+  return policy && policy.refundable != null ? policy : CancellationPolicy.DEFAULT_TERMS;
+};
+
 // Instance method to calculate cancellation fee
-bookingSchema.methods.calculateCancellationFee = function() {
-  const now = new Date();
-  const checkInDate = new Date(this.checkInDate);
-  const hoursUntilCheckIn = (checkInDate - now) / (1000 * 60 * 60);
-  
-  if (hoursUntilCheckIn > 48) {
-    return 0; // Free cancellation
-  } else if (hoursUntilCheckIn > 24) {
-    return this.totalAmount * 0.25; // 25% fee
-  } else {
-    return this.totalAmount * 0.50; // 50% fee
+bookingSchema.methods.calculateCancellationFee = function(at = new Date()) {
+  const hoursUntilCheckIn = (new Date(this.checkInDate) - at) / (1000 * 60 * 60);
+  return CancellationPolicy.feeFor(this.getCancellationTerms(), this, hoursUntilCheckIn);
+};
+
+// Instance method to describe the cancellation terms for the guest
+bookingSchema.methods.describeCancellationPolicy = function() {
+  return CancellationPolicy.describe(this.getCancellationTerms(), amount => formatMoney(amount, this.currencySymbol));
+};
+
+// Instance method to preview cancelling now: the terms, the fee and what would be refunded
+bookingSchema.methods.getCancellationQuote = function(at = new Date()) {
+  const terms = this.getCancellationTerms();
+  const hoursUntilCheckIn = (new Date(this.checkInDate) - at) / (1000 * 60 * 60);
+  // A booking still pending (a request not yet accepted, or a payment not yet made)
+  // is withdrawn without a fee
+  const cancellationFee = this.status === 'Pending' ? 0 : this.calculateCancellationFee(at);
+
+  return {
+    policy: {
+      name: terms.name,
+      code: terms.code,
+      refundable: terms.refundable,
+      description: terms.description,
+      terms: this.describeCancellationPolicy()
+    },
+    appliedTier: terms.refundable ? CancellationPolicy.tierFor(terms, hoursUntilCheckIn) : null,
+    cancellationFee,
+    refundAmount: Math.max(roundMoney(this.amountPaid - cancellationFee), 0)
+  };
+};
+
+// Instance method to keep a cancellation fee for what a change took off the booking,
+// as if the nights removed or repriced lower had been cancelled on their own. Call it
+// once the new quote is applied; previous holds the totalAmount, fees, nightlyRates
+// and checkInDate from before the change. The fee joins the fees the booking already
+// had, and is returned.
+bookingSchema.methods.applyChangeFee = function(previous, at = new Date()) {
+  const repricedTotal = roundMoney(this.totalAmount - (this.fees || 0));
+  const removed = roundMoney(previous.totalAmount - (previous.fees || 0) - repricedTotal);
+
+  let fee = 0;
+  if (removed > 0) {
+    const kept = new Map((this.nightlyRates || []).map(night => [dateKey(night.date), night.rate]));
+    const nightlyRates = (previous.nightlyRates || [])
+      .map(night => ({ date: night.date, rate: roundMoney(night.rate - (kept.get(dateKey(night.date)) || 0)) }))
+      .filter(night => night.rate > 0);
+    const hoursUntilCheckIn = (new Date(previous.checkInDate) - at) / (1000 * 60 * 60);
+
+    fee = CancellationPolicy.feeFor(this.getCancellationTerms(), {
+      totalAmount: removed,
+      nightlyRates,
+      roomRate: 0,
+      numberOfNights: nightlyRates.length
+    }, hoursUntilCheckIn);
   }
+
+  this.fees = roundMoney((previous.fees || 0) + fee);
+  this.totalAmount = roundMoney(repricedTotal + this.fees);
+  this.updatePaymentTotals();
+
+  return fee;
+};
+
+// Instance method to get the guest's arrival and departure times (HH:mm): the
+// approved early check-in and late check-out times, else the hotel's standard times
+bookingSchema.methods.getStayTimes = function(businessHours = {}) {
+  const approved = request => request && request.status === 'Approved' ? request.time : null;
+
+  return {
+    checkIn: approved(this.earlyCheckInRequest) || businessHours.checkIn || '14:00',
+    checkOut: approved(this.lateCheckOutRequest) || businessHours.checkOut || '11:00'
+  };
 };
 
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
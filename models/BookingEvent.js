@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One entry in a booking's change history: its creation, a status change or an
+// edit, with who made it and the values before and after
+const bookingEventSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  bookingNumber: String,
+  type: {
+    type: String,
+    enum: ['Created', 'Status Changed', 'Updated'],
+    required: true
+  },
+  fromStatus: String,
+  toStatus: String,
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  actor: {
+    type: {
+      type: String,
+      enum: ['Admin', 'Guest', 'Channel', 'System'],
+      default: 'System'
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    guest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Guest'
+    },
+    // Admin email, OTA or job name
+    label: String,
+    ipAddress: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+bookingEventSchema.index({ booking: 1, createdAt: -1 });
+bookingEventSchema.index({ 'actor.admin': 1, createdAt: -1 });
+
+module.exports = mongoose.model('BookingEvent', bookingEventSchema);
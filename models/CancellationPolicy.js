@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { roundMoney } = require('../utils/currency');
+
+// Terms used for bookings made without a policy (the original fixed rules)
+const DEFAULT_TERMS = {
+  name: 'Standard',
+  refundable: true,
+  tiers: [
+    { hoursBeforeArrival: 48, feeType: 'Percentage', feeValue: 25 },
+    { hoursBeforeArrival: 24, feeType: 'Percentage', feeValue: 50 }
+  ]
+};
+
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+
+  // Non-refundable policies keep the full amount whenever the guest cancels
+  refundable: {
+    type: Boolean,
+    default: true
+  },
+
+  // Fee tiers. A tier applies from `hoursBeforeArrival` hours before check-in
+  // until the next, closer tier takes over; before the first tier cancellation is free.
+  tiers: [{
+    hoursBeforeArrival: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    feeType: {
+      type: String,
+      enum: ['Percentage', 'Nights', 'Fixed'],
+      required: true
+    },
+    // Percent of the total, number of nights, or an amount
+    feeValue: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+
+  // Used for bookings whose rate plan has no policy
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+cancellationPolicySchema.index({ isDefault: 1 });
+
+// Pre-save middleware to keep tiers ordered from the furthest to the closest to arrival
+cancellationPolicySchema.pre('save', function(next) {
+  this.tiers.sort((a, b) => b.hoursBeforeArrival - a.hoursBeforeArrival);
+  next();
+});
+
+// Instance method to copy the terms onto a booking, so later edits to the policy
+// do not change what the guest agreed to
+cancellationPolicySchema.methods.toSnapshot = function() {
+  const { tiers } = this.toObject();
+
+  return {
+    policy: this._id,
+    name: this.name,
+    code: this.code,
+    refundable: this.refundable,
+    tiers: tiers.map(({ hoursBeforeArrival, feeType, feeValue }) => ({ hoursBeforeArrival, feeType, feeValue })),
+    description: this.description
+  };
+};
+
+// Static method to find the tier that applies a number of hours before arrival (null when free)
+cancellationPolicySchema.statics.tierFor = function(terms, hoursUntilCheckIn) {
+  return (terms.tiers || [])
+    .filter(tier => hoursUntilCheckIn <= tier.hoursBeforeArrival)
+    .sort((a, b) => a.hoursBeforeArrival - b.hoursBeforeArrival)[0] || null;
+};
+
+// Static method to calculate the fee for cancelling a booking under a set of terms
+cancellationPolicySchema.statics.feeFor = function(terms, booking, hoursUntilCheckIn) {
+  if (!terms.refundable) return booking.totalAmount;
+
+  const tier = this.tierFor(terms, hoursUntilCheckIn);
+  if (!tier) return 0;
+
+  let fee;
+  switch (tier.feeType) {
+    case 'Nights': {
+      const nights = (booking.nightlyRates || []).slice(0, tier.feeValue);
+      fee = nights.length
+        ? nights.reduce((sum, night) => sum + night.rate, 0)
+        : booking.roomRate * Math.min(tier.feeValue, booking.numberOfNights || tier.feeValue);
+      break;
+    }
+    case 'Fixed':
+      fee = tier.feeValue;
+      break;
+    default:
+      fee = booking.totalAmount * tier.feeValue / 100;
+  }
+
+  return roundMoney(Math.min(fee, booking.totalAmount));
+};
+
+// Static method to describe the terms for guests, one line per rule
+cancellationPolicySchema.statics.describe = function(terms, formatAmount = amount => amount.toFixed(2)) {
+  if (!terms.refundable) {
+    return ['Non-refundable: the full amount is charged if the booking is cancelled'];
+  }
+
+  const tiers = [...(terms.tiers || [])].sort((a, b) => b.hoursBeforeArrival - a.hoursBeforeArrival);
+  if (!tiers.length) {
+    return ['Free cancellation until arrival'];
+  }
+
+  const fee = tier => {
+    switch (tier.feeType) {
+      case 'Nights':
+        return tier.feeValue === 1 ? 'the first night' : `the first ${tier.feeValue} nights`;
+      case 'Fixed':
+        return formatAmount(tier.feeValue);
+      default:
+        return `${tier.feeValue}% of the total`;
+    }
+  };
+
+  return [
+    `Free cancellation until ${tiers[0].hoursBeforeArrival} hours before arrival`,
+    ...tiers.map(tier => `From ${tier.hoursBeforeArrival} hours before arrival: ${fee(tier)} is charged`)
+  ];
+};
+
+cancellationPolicySchema.statics.DEFAULT_TERMS = DEFAULT_TERMS;
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
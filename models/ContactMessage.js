@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Message sent through the website contact form
+const contactMessageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  phone: String,
+  subject: String,
+  message: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+contactMessageSchema.index({ email: 1, createdAt: -1 });
+contactMessageSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ContactMessage', contactMessageSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Log of a guest's data protection request: a copy of everything held about them
+// or the erasure of their personal data, who asked, who handled it and the outcome
+const dataRequestSchema = new mongoose.Schema({
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guest',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['Export', 'Erasure'],
+    required: true
+  },
+  // Exports are produced straight away; erasures asked for by the guest wait for staff
+  status: {
+    type: String,
+    enum: ['Pending', 'Completed', 'Refused'],
+    default: 'Pending'
+  },
+  requestedBy: {
+    type: {
+      type: String,
+      enum: ['Guest', 'Admin'],
+      required: true
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  ipAddress: String,
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  handledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  handledAt: Date,
+  // Why a request was refused
+  refusalReason: {
+    type: String,
+    maxlength: 500
+  },
+  // What was exported or erased, as counts of records
+  summary: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataRequestSchema.index({ guest: 1, createdAt: -1 });
+dataRequestSchema.index({ status: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DataRequest', dataRequestSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Record of an email the hotel sent, or tried to send: who to, the subject and
+// template, not the message itself
+const emailLogSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: String,
+  // Template name, when the email was built from one
+  template: String,
+  status: {
+    type: String,
+    enum: ['Sent', 'Failed'],
+    required: true
+  },
+  messageId: String,
+  error: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+emailLogSchema.index({ to: 1, createdAt: -1 });
+emailLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
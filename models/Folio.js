@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const { roundMoney } = require('../utils/currency');
+const { addDays, dateKey } = require('../utils/dates');
+
+const folioEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Charge', 'Payment', 'Refund', 'Adjustment'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['Room', 'Tax', 'Fee', 'Discount', 'Add-on', 'Minibar', 'Restaurant', 'Spa', 'Laundry', 'Other'],
+    default: 'Other'
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  unitPrice: Number,
+  // Always positive for charges, payments and refunds; adjustments are signed
+  // (positive adds to the guest's bill, negative is a credit)
+  amount: {
+    type: Number,
+    required: true
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['Card', 'Cash', 'Bank Transfer']
+  },
+  serviceDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Stripe intent id, booking payment id or add-on id the entry was derived from
+  reference: String,
+  reason: String,
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+const folioSchema = new mongoose.Schema({
+  folioNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guest',
+    required: true
+  },
+  entries: [folioEntrySchema],
+
+  // Settlement
+  status: {
+    type: String,
+    enum: ['Open', 'Settled'],
+    default: 'Open'
+  },
+  settledAt: Date,
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+folioSchema.index({ guest: 1 });
+folioSchema.index({ status: 1 });
+
+// Signed effect of an entry on the balance the guest owes
+const balanceEffect = (entry) => {
+  switch (entry.type) {
+    case 'Charge':
+    case 'Refund':
+    case 'Adjustment':
+      return entry.amount;
+    case 'Payment':
+      return -entry.amount;
+    default:
+      return 0;
+  }
+};
+
+// Virtual for total charges (including adjustments)
+folioSchema.virtual('totalCharges').get(function() {
+  return roundMoney((this.entries || [])
+    .filter(entry => entry.type === 'Charge' || entry.type === 'Adjustment')
+    .reduce((sum, entry) => sum + entry.amount, 0));
+});
+
+// Virtual for total payments net of refunds
+folioSchema.virtual('totalPayments').get(function() {
+  return roundMoney((this.entries || [])
+    .filter(entry => entry.type === 'Payment' || entry.type === 'Refund')
+    .reduce((sum, entry) => sum + (entry.type === 'Payment' ? entry.amount : -entry.amount), 0));
+});
+
+// Virtual for the balance the guest still owes (negative means the hotel owes the guest)
+folioSchema.virtual('balance').get(function() {
+  return roundMoney((this.entries || []).reduce((sum, entry) => sum + balanceEffect(entry), 0));
+});
+
+// Instance method to list entries chronologically with a running balance
+folioSchema.methods.getStatement = function() {
+  let running = 0;
+
+  return [...this.entries]
+    .sort((a, b) => new Date(a.serviceDate) - new Date(b.serviceDate) || new Date(a.createdAt) - new Date(b.createdAt))
+    .map(entry => {
+      running = roundMoney(running + balanceEffect(entry));
+      return { ...entry.toObject(), runningBalance: running };
+    });
+};
+
+// Instance method to post an entry
+folioSchema.methods.post = function(entry) {
+  this.entries.push(entry);
+  return this.entries[this.entries.length - 1];
+};
+
+// Instance method to post room and tax charges for every night up to (not including) a
+// date. Nights are UTC days, like booking dates. Tax is spread evenly over the nights
+// and the last night takes the rounding remainder, so the nights add up to the
+// booking's taxes.
+folioSchema.methods.postRoomCharges = function(booking, throughDate = booking.checkOutDate) {
+  const posted = new Set(
+    this.entries
+      .filter(entry => entry.category === 'Room' && entry.reference)
+      .map(entry => entry.reference)
+  );
+  const nightlyTax = booking.numberOfNights ? roundMoney(booking.taxes / booking.numberOfNights) : 0;
+  const nightlyRates = new Map((booking.nightlyRates || [])
+    .map(night => [dateKey(night.date), night.rate]));
+  const checkOut = new Date(booking.checkOutDate);
+  const lastNight = dateKey(addDays(checkOut, -1));
+  const until = Math.min(new Date(throughDate), checkOut);
+  let taxPosted = this.entries
+    .filter(entry => entry.category === 'Tax' && entry.type === 'Charge' && /^night:/.test(entry.reference || ''))
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  let count = 0;
+
+  for (let night = new Date(booking.checkInDate); night < until; night = addDays(night, 1)) {
+    const key = dateKey(night);
+    const reference = `night:${key}`;
+    if (posted.has(reference)) continue;
+
+    const rate = nightlyRates.has(key) ? nightlyRates.get(key) : booking.roomRate;
+    this.post({
+      type: 'Charge',
+      category: 'Room',
+      description: `Room charge - ${key}`,
+      unitPrice: rate,
+      amount: rate,
+      serviceDate: new Date(night),
+      reference
+    });
+
+    const tax = key === lastNight ? roundMoney((booking.taxes || 0) - taxPosted) : nightlyTax;
+    if (tax > 0) {
+      this.post({
+        type: 'Charge',
+        category: 'Tax',
+        description: `Taxes - ${key}`,
+        amount: tax,
+        serviceDate: new Date(night),
+        reference
+      });
+      taxPosted = roundMoney(taxPosted + tax);
+    }
+    count += 1;
+  }
+
+  return count;
+};
+
+// Instance method to post booking-level add-ons, fees and discounts. A line already
+// on the folio is brought up to date by an adjustment for the difference, and add-ons
+// removed from the booking are adjusted down to nothing.
+folioSchema.methods.postBookingExtras = function(booking) {
+  const posted = reference => {
+    const lines = this.entries
+      .filter(entry => ['Charge', 'Adjustment'].includes(entry.type) && entry.reference === reference);
+    return lines.length ? roundMoney(lines.reduce((sum, entry) => sum + entry.amount, 0)) : null;
+  };
+
+  const settle = ({ type, category, description, amount, reference, ...rest }) => {
+    const current = posted(reference);
+    if (current === null) {
+      if (amount === 0) return;
+      this.post({ type, category, description, amount, serviceDate: booking.checkInDate, reference, ...rest });
+      return;
+    }
+
+    const difference = roundMoney(amount - current);
+    if (difference === 0) return;
+    this.post({
+      type: 'Adjustment',
+      category,
+      description: `${description} - change`,
+      amount: difference,
+      serviceDate: booking.checkInDate,
+      reference
+    });
+  };
+
+  const addOns = booking.addOns || [];
+  addOns.forEach(addOn => {
+    settle({
+      type: 'Charge',
+      category: 'Add-on',
+      description: addOn.description || addOn.service,
+      quantity: addOn.quantity || 1,
+      unitPrice: addOn.unitPrice,
+      amount: addOn.totalPrice,
+      reference: `addon:${addOn._id}`
+    });
+  });
+
+  const current = new Set(addOns.map(addOn => `addon:${addOn._id}`));
+  this.entries
+    .filter(entry => entry.type === 'Charge' && /^addon:/.test(entry.reference || ''))
+    .filter(entry => !current.has(entry.reference))
+    .forEach(entry => {
+      settle({ category: entry.category, description: entry.description, amount: 0, reference: entry.reference });
+    });
+
+  settle({
+    type: 'Charge',
+    category: 'Fee',
+    description: 'Booking fees',
+    amount: booking.fees || 0,
+    reference: 'booking:fees'
+  });
+
+  settle({
+    type: 'Adjustment',
+    category: 'Discount',
+    description: 'Booking discount',
+    amount: -(booking.discounts || 0),
+    reference: 'booking:discounts'
+  });
+};
+
+// References of the lines a stay puts on the folio: nights, taxes, add-ons, booking
+// fees and discounts
+const STAY_REFERENCE = /^(night:|addon:|booking:(fees|discounts)$)/;
+
+// Instance method to bill a cancelled or no-show booking for its fee instead of the
+// stay: stay lines already posted are voided by an opposite adjustment, and the
+// booking's cancellation fee is posted once
+folioSchema.methods.postCancellationFee = function(booking) {
+  const references = new Set(this.entries.map(entry => entry.reference).filter(Boolean));
+
+  this.entries
+    .filter(entry => ['Charge', 'Adjustment'].includes(entry.type) && STAY_REFERENCE.test(entry.reference || ''))
+    .filter(entry => !references.has(`void:${entry.reference}`))
+    .forEach(entry => {
+      this.post({
+        type: 'Adjustment',
+        category: entry.category,
+        description: `Void - ${entry.description}`,
+        amount: -entry.amount,
+        serviceDate: entry.serviceDate,
+        reference: `void:${entry.reference}`
+      });
+    });
+
+  if (booking.cancellationFee > 0 && !references.has('booking:cancellation-fee')) {
+    this.post({
+      type: 'Charge',
+      category: 'Fee',
+      description: booking.status === 'No Show' ? 'No-show fee' : 'Cancellation fee',
+      amount: booking.cancellationFee,
+      serviceDate: booking.cancellationDate || booking.checkInDate,
+      reference: 'booking:cancellation-fee'
+    });
+  }
+};
+
+// Instance method to mirror payments and refunds recorded on the booking
+folioSchema.methods.syncPayments = function(booking) {
+  (booking.payments || []).forEach(payment => {
+    const reference = payment.stripePaymentIntentId || payment._id.toString();
+
+    const hasPayment = this.entries.some(entry => entry.type === 'Payment' && entry.reference === reference);
+    if (payment.status === 'succeeded' && !hasPayment) {
+      this.post({
+        type: 'Payment',
+        category: 'Other',
+        description: `${payment.purpose} payment (${payment.method})`,
+        amount: payment.amount,
+        paymentMethod: payment.method,
+        serviceDate: payment.createdAt,
+        reference,
+        postedBy: payment.recordedBy
+      });
+    }
+
+    const refunded = this.entries
+      .filter(entry => entry.type === 'Refund' && entry.reference === reference)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    const outstandingRefund = roundMoney((payment.amountRefunded || 0) - refunded);
+    if (outstandingRefund > 0) {
+      this.post({
+        type: 'Refund',
+        category: 'Other',
+        description: `Refund (${payment.method})`,
+        amount: outstandingRefund,
+        paymentMethod: payment.method,
+        serviceDate: payment.updatedAt || new Date(),
+        reference
+      });
+    }
+  });
+};
+
+// Static method to load a booking's folio, opening it if needed, and bring it up to date
+folioSchema.statics.findOrCreateForBooking = async function(booking) {
+  let folio = await this.findOne({ booking: booking._id });
+
+  if (!folio) {
+    folio = new this({
+      folioNumber: `F-${booking.bookingNumber}`,
+      booking: booking._id,
+      guest: booking.guest._id || booking.guest
+    });
+  }
+
+  if (folio.status === 'Open') {
+    if (['Cancelled', 'No Show'].includes(booking.status)) {
+      folio.postCancellationFee(booking);
+    } else {
+      folio.postBookingExtras(booking);
+    }
+    folio.syncPayments(booking);
+  }
+
+  return folio;
+};
+
+module.exports = mongoose.model('Folio', folioSchema);
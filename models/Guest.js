@@ -1,6 +1,51 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Points a guest needs for each loyalty tier, highest first
+const LOYALTY_TIERS = [
+  { tier: 'Platinum', points: 10000 },
+  { tier: 'Gold', points: 5000 },
+  { tier: 'Silver', points: 1000 },
+  { tier: 'Bronze', points: 0 }
+];
+
+// A version of the guest's consent: to processing of their data, and to marketing
+// by each channel. Versions are never changed, a new one is added instead.
+const consentVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  dataConsent: {
+    type: Boolean,
+    default: false
+  },
+  marketing: {
+    email: { type: Boolean, default: false },
+    sms: { type: Boolean, default: false },
+    phone: { type: Boolean, default: false }
+  },
+  source: {
+    type: String,
+    enum: ['Registration', 'Guest', 'Admin', 'Erasure'],
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  ipAddress: String,
+  // Set on versions that came from a duplicate profile merged into this one
+  mergedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GuestMerge'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const guestSchema = new mongoose.Schema({
   // Personal information
   firstName: {
@@ -62,6 +107,14 @@ const guestSchema = new mongoose.Schema({
   },
   idNumber: String,
   idExpiryDate: Date,
+  // Scan of the ID, uploaded with online check-in and kept outside the public uploads
+  idDocument: {
+    filename: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    uploadedAt: Date
+  },
   
   // Preferences
   preferences: {
@@ -122,14 +175,22 @@ const guestSchema = new mongoose.Schema({
       enum: ['Bronze', 'Silver', 'Gold', 'Platinum'],
       default: 'Bronze'
     },
+    // Balance of the LoyaltyTransaction ledger
     points: {
       type: Number,
       default: 0
     },
+    // Qualifying points earned in the tier period, as of the last tier recalculation
+    tierPoints: {
+      type: Number,
+      default: 0
+    },
     joinDate: {
       type: Date,
       default: Date.now
-    }
+    },
+    // Last time points were earned or redeemed; an inactive balance expires
+    lastActivityDate: Date
   },
   
   // Communication preferences
@@ -198,6 +259,11 @@ const guestSchema = new mongoose.Schema({
     default: false
   },
   blacklistReason: String,
+  blacklistedAt: Date,
+  blacklistedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
   
   // Verification
   emailVerified: {
@@ -221,6 +287,9 @@ const guestSchema = new mongoose.Schema({
     default: false
   },
   consentDate: Date,
+  consentHistory: [consentVersionSchema],
+  // Set once the guest's personal data has been erased
+  erasedAt: Date,
   
   // Last activity
   lastLogin: Date,
@@ -276,22 +345,6 @@ guestSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to update loyalty points
-guestSchema.methods.addLoyaltyPoints = function(points) {
-  this.loyaltyProgram.points += points;
-  
-  // Update tier based on points
-  if (this.loyaltyProgram.points >= 10000) {
-    this.loyaltyProgram.tier = 'Platinum';
-  } else if (this.loyaltyProgram.points >= 5000) {
-    this.loyaltyProgram.tier = 'Gold';
-  } else if (this.loyaltyProgram.points >= 1000) {
-    this.loyaltyProgram.tier = 'Silver';
-  }
-  
-  return this.save();
-};
-
 // Method to update stay statistics
 guestSchema.methods.updateStayStats = function(stayAmount) {
   this.totalStays += 1;
@@ -306,6 +359,51 @@ guestSchema.methods.updateStayStats = function(stayAmount) {
   return this.save();
 };
 
+// Method to record a change of consent as a new version. Fields left out keep their
+// current value; returns false when nothing changed.
+guestSchema.methods.updateConsent = function({ dataConsent, marketing = {} }, { source, changedBy, ipAddress } = {}) {
+  const preferences = this.communicationPreferences;
+  const current = {
+    dataConsent: !!this.dataConsent,
+    marketing: {
+      email: !!preferences.email.marketing,
+      sms: !!preferences.sms.marketing,
+      phone: !!preferences.phone.marketing
+    }
+  };
+
+  const next = {
+    dataConsent: dataConsent === undefined ? current.dataConsent : !!dataConsent,
+    marketing: { ...current.marketing }
+  };
+  Object.keys(next.marketing).forEach(channel => {
+    if (marketing[channel] !== undefined) next.marketing[channel] = !!marketing[channel];
+  });
+
+  if (JSON.stringify(next) === JSON.stringify(current) && this.consentHistory.length) return false;
+
+  this.dataConsent = next.dataConsent;
+  this.consentDate = new Date();
+  Object.keys(next.marketing).forEach(channel => {
+    preferences[channel].marketing = next.marketing[channel];
+  });
+
+  // Versions merged in from a duplicate profile keep their own numbers
+  const latest = Math.max(0, ...this.consentHistory
+    .filter(entry => !entry.mergedFrom)
+    .map(entry => entry.version));
+  this.consentHistory.push({
+    version: latest + 1,
+    ...next,
+    source,
+    changedBy,
+    ipAddress,
+    createdAt: this.consentDate
+  });
+
+  return true;
+};
+
 // Static method to find VIP guests
 guestSchema.statics.findVIPGuests = function() {
   return this.find({ isVIP: true, isActive: true })
@@ -335,4 +433,18 @@ guestSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+// Static method to find the loyalty tier reached with a number of qualifying points
+guestSchema.statics.loyaltyTierFor = function(points) {
+  return LOYALTY_TIERS.find(level => points >= level.points).tier;
+};
+
+// Static method to find the next loyalty tier above a number of qualifying points,
+// with the points still needed, or null at the top tier
+guestSchema.statics.nextLoyaltyTier = function(points) {
+  const next = [...LOYALTY_TIERS].reverse().find(level => level.points > points);
+  return next ? { tier: next.tier, pointsNeeded: next.points - points } : null;
+};
+
+guestSchema.statics.LOYALTY_TIERS = LOYALTY_TIERS;
+
 module.exports = mongoose.model('Guest', guestSchema);
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Record of a duplicate guest profile merged into another: the profile as it was
+// before it was removed, what moved to the kept profile and who merged them
+const guestMergeSchema = new mongoose.Schema({
+  // Profile kept
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guest',
+    required: true
+  },
+  // Profile merged away (no longer exists)
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  sourceEmail: String,
+  sourceName: String,
+  sourceSnapshot: mongoose.Schema.Types.Mixed,
+  score: Number,
+  matchReasons: [String],
+  reason: String,
+  moved: {
+    bookings: { type: Number, default: 0 },
+    folios: { type: Number, default: 0 },
+    reservations: { type: Number, default: 0 },
+    loyaltyTransactions: { type: Number, default: 0 },
+    dataRequests: { type: Number, default: 0 },
+    consentVersions: { type: Number, default: 0 }
+  },
+  staysAdded: { type: Number, default: 0 },
+  spentAdded: { type: Number, default: 0 },
+  loyaltyPointsAdded: { type: Number, default: 0 },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+guestMergeSchema.index({ target: 1, createdAt: -1 });
+guestMergeSchema.index({ source: 1 });
+guestMergeSchema.index({ sourceEmail: 1 });
+
+module.exports = mongoose.model('GuestMerge', guestMergeSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Entry in a guest's loyalty points ledger. Points are signed: earned, refunded and
+// added points are positive, redeemed, expired and removed points negative. The
+// guest's balance is the sum of their entries.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guest',
+    required: true
+  },
+  // Earn: a completed stay; Redeem: a booking discount; Refund: redeemed points given
+  // back when the booking is cancelled; Expire: an inactive balance lapsing;
+  // Adjust: a manual correction by staff
+  type: {
+    type: String,
+    enum: ['Earn', 'Redeem', 'Refund', 'Expire', 'Adjust'],
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Counts toward the guest's tier (earned points and adjustments staff mark so)
+  qualifying: {
+    type: Boolean,
+    default: false
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  bookingNumber: String,
+  // How earned points were worked out: amount, rate and multipliers
+  earnDetails: {
+    amount: Number,
+    pointsPerCurrencyUnit: Number,
+    tier: String,
+    tierMultiplier: Number,
+    ratePlanMultiplier: Number
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+loyaltyTransactionSchema.index({ guest: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ booking: 1, type: 1 });
+loyaltyTransactionSchema.index({ guest: 1, qualifying: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
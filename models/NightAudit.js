@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const nightAuditSchema = new mongoose.Schema({
+  // Business date the audit closed (midnight, server time)
+  businessDate: {
+    type: Date,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['Running', 'Completed', 'Failed'],
+    default: 'Running'
+  },
+  trigger: {
+    type: String,
+    enum: ['Scheduled', 'Manual'],
+    default: 'Scheduled'
+  },
+  runBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+
+  // Guests who did not arrive
+  noShows: [{
+    _id: false,
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    bookingNumber: String,
+    guestName: String,
+    checkInDate: Date,
+    fee: { type: Number, default: 0 },
+    refunded: { type: Number, default: 0 },
+    // Fee not covered by what the guest had paid, left on the folio
+    outstanding: { type: Number, default: 0 }
+  }],
+
+  // Day summary
+  summary: {
+    arrivals: { type: Number, default: 0 },
+    checkIns: { type: Number, default: 0 },
+    departures: { type: Number, default: 0 },
+    checkOuts: { type: Number, default: 0 },
+    inHouse: { type: Number, default: 0 },
+    noShowCount: { type: Number, default: 0 },
+    noShowFees: { type: Number, default: 0 },
+    roomsAvailable: { type: Number, default: 0 },
+    roomsSold: { type: Number, default: 0 },
+    occupancyRate: { type: Number, default: 0 },
+    roomRevenue: { type: Number, default: 0 },
+    taxRevenue: { type: Number, default: 0 },
+    // Average daily rate and revenue per available room
+    adr: { type: Number, default: 0 },
+    revpar: { type: Number, default: 0 },
+    chargesPosted: { type: Number, default: 0 }
+  },
+
+  // Bookings the audit could not process, for the front desk to follow up
+  issues: [{
+    _id: false,
+    bookingNumber: String,
+    step: String,
+    message: String
+  }],
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+nightAuditSchema.index({ status: 1, businessDate: -1 });
+
+module.exports = mongoose.model('NightAudit', nightAuditSchema);
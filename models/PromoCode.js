@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const { roundMoney } = require('../utils/currency');
+
+const { dateKey } = require('../utils/dates');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+
+  // Discount
+  discountType: {
+    type: String,
+    enum: ['Percentage', 'Fixed'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: Number,
+
+  // Eligibility
+  stayStart: Date,
+  stayEnd: Date,
+  bookingStart: Date,
+  bookingEnd: Date,
+  minNights: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Room categories the code applies to (empty means every category)
+  roomCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomCategory'
+  }],
+
+  // Usage caps (unset means unlimited)
+  usageLimit: Number,
+  perGuestLimit: Number,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  redemptions: [{
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    guest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Guest'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+promoCodeSchema.index({ isActive: 1 });
+promoCodeSchema.index({ 'redemptions.booking': 1 });
+
+// Instance method to list the reasons a stay is not eligible (empty when eligible)
+promoCodeSchema.methods.checkEligibility = function({ room, checkIn, checkOut, bookingDate = new Date() }) {
+  const violations = [];
+  const nights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
+
+  if (!this.isActive) {
+    violations.push('Promo code is no longer active');
+  }
+  if (this.bookingStart && bookingDate < this.bookingStart) {
+    violations.push('Promo code cannot be used yet');
+  }
+  if (this.bookingEnd && bookingDate > this.bookingEnd) {
+    violations.push('Promo code has expired');
+  }
+  if (this.stayStart && dateKey(checkIn) < dateKey(this.stayStart)) {
+    violations.push(`Valid for stays from ${dateKey(this.stayStart)}`);
+  }
+  if (this.stayEnd && dateKey(checkOut) > dateKey(this.stayEnd)) {
+    violations.push(`Valid for stays until ${dateKey(this.stayEnd)}`);
+  }
+  if (nights < this.minNights) {
+    violations.push(`Minimum stay for this code is ${this.minNights} night(s)`);
+  }
+  if (this.roomCategories.length) {
+    const categoryId = room.category && (room.category._id || room.category);
+    if (!categoryId || !this.roomCategories.some(id => id.equals(categoryId))) {
+      violations.push('Promo code does not apply to this room');
+    }
+  }
+  if (this.usageLimit != null && this.usageCount >= this.usageLimit) {
+    violations.push('Promo code usage limit reached');
+  }
+
+  return violations;
+};
+
+// Instance method to check the per-guest cap
+promoCodeSchema.methods.canBeUsedBy = function(guestId) {
+  if (this.perGuestLimit == null || !guestId) return true;
+  const used = this.redemptions.filter(redemption => redemption.guest && redemption.guest.equals(guestId)).length;
+  return used < this.perGuestLimit;
+};
+
+// Instance method to calculate the discount on a room subtotal
+promoCodeSchema.methods.calculateDiscount = function(subtotal) {
+  let discount = this.discountType === 'Percentage'
+    ? subtotal * this.discountValue / 100
+    : this.discountValue;
+
+  if (this.discountType === 'Percentage' && this.maxDiscount != null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return roundMoney(Math.min(discount, subtotal));
+};
+
+// Static method to find a code regardless of the case it was typed in
+promoCodeSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Static method to atomically redeem a code for a booking, enforcing the global
+// and per-guest caps in the same update. Returns null when a cap was reached.
+promoCodeSchema.statics.redeem = function(promoCodeId, { bookingId, guestId }) {
+  // $expr is not cast by Mongoose, so compare against a real ObjectId
+  guestId = new mongoose.Types.ObjectId(guestId);
+
+  return this.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      isActive: true,
+      $and: [
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }] },
+        {
+          $or: [
+            { perGuestLimit: null },
+            {
+              $expr: {
+                $lt: [
+                  { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.guest', guestId] } } } },
+                  '$perGuestLimit'
+                ]
+              }
+            }
+          ]
+        }
+      ]
+    },
+    {
+      $inc: { usageCount: 1 },
+      $push: { redemptions: { booking: bookingId, guest: guestId, redeemedAt: new Date() } }
+    },
+    { new: true }
+  );
+};
+
+// Static method to give back a redemption (failed payment or cancelled booking)
+promoCodeSchema.statics.release = function(promoCodeId, bookingId) {
+  return this.updateOne(
+    { _id: promoCodeId, 'redemptions.booking': bookingId },
+    {
+      $inc: { usageCount: -1 },
+      $pull: { redemptions: { booking: bookingId } }
+    }
+  );
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const { roundMoney } = require('../utils/currency');
+
+const { dateKey } = require('../utils/dates');
+
+const ratePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  // Extras included in the price (e.g. Breakfast)
+  inclusions: [String],
+
+  // Room categories the plan is sold on (empty means every category)
+  roomCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomCategory'
+  }],
+
+  // Nightly pricing. Nights without an explicit rate use the room's own
+  // nightly price (base price with its seasonal multiplier) plus the adjustment.
+  adjustment: {
+    type: {
+      type: String,
+      enum: ['Percentage', 'Amount'],
+      default: 'Percentage'
+    },
+    value: {
+      type: Number,
+      default: 0 // e.g. -10 for 10% off, 15 for +15 per night
+    }
+  },
+  rates: [{
+    roomCategory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomCategory'
+    },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    price: { type: Number, required: true, min: 0 }
+  }],
+
+  // Stay restrictions
+  restrictions: {
+    minLengthOfStay: { type: Number, default: 1, min: 1 },
+    maxLengthOfStay: Number,
+    closedToArrival: [Date],
+    closedToDeparture: [Date]
+  },
+
+  // Stay dates the plan can be sold for
+  validFrom: Date,
+  validTo: Date,
+
+  // Cancellation terms, optionally overridden for arrivals in given periods (e.g. peak season)
+  cancellationPolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CancellationPolicy'
+  },
+  seasonalCancellationPolicies: [{
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    cancellationPolicy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy',
+      required: true
+    }
+  }],
+
+  // Loyalty points earned on stays sold on this plan, as a multiple of the usual
+  // earn rate (e.g. 2 for double points, 0 for none)
+  loyaltyMultiplier: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  displayOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ratePlanSchema.index({ isActive: 1, displayOrder: 1 });
+ratePlanSchema.index({ roomCategories: 1 });
+
+// Instance method to check whether the plan is sold on a room
+ratePlanSchema.methods.appliesToRoom = function(room) {
+  if (!this.roomCategories.length) return true;
+  const categoryId = room.category && (room.category._id || room.category);
+  return !!categoryId && this.roomCategories.some(id => id.equals(categoryId));
+};
+
+// Instance method to list the restrictions a stay breaks (empty when bookable)
+ratePlanSchema.methods.checkStay = function(checkIn, checkOut) {
+  const violations = [];
+  const nights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
+  const { minLengthOfStay, maxLengthOfStay, closedToArrival, closedToDeparture } = this.restrictions;
+
+  if (this.validFrom && dateKey(checkIn) < dateKey(this.validFrom)) {
+    violations.push(`Available for stays from ${dateKey(this.validFrom)}`);
+  }
+  if (this.validTo && dateKey(checkOut) > dateKey(this.validTo)) {
+    violations.push(`Available for stays until ${dateKey(this.validTo)}`);
+  }
+  if (minLengthOfStay && nights < minLengthOfStay) {
+    violations.push(`Minimum stay is ${minLengthOfStay} night(s)`);
+  }
+  if (maxLengthOfStay && nights > maxLengthOfStay) {
+    violations.push(`Maximum stay is ${maxLengthOfStay} night(s)`);
+  }
+  if ((closedToArrival || []).some(date => dateKey(date) === dateKey(checkIn))) {
+    violations.push(`Arrival is closed on ${dateKey(checkIn)}`);
+  }
+  if ((closedToDeparture || []).some(date => dateKey(date) === dateKey(checkOut))) {
+    violations.push(`Departure is closed on ${dateKey(checkOut)}`);
+  }
+
+  return violations;
+};
+
+// Instance method to price every night of a stay on a room
+ratePlanSchema.methods.getNightlyRates = function(room, checkIn, checkOut) {
+  const categoryId = room.category && (room.category._id || room.category);
+
+  return room.getNightlyRates(checkIn, checkOut).map(({ date, rate }) => {
+    const key = dateKey(date);
+    const matching = this.rates.filter(entry =>
+      dateKey(entry.startDate) <= key && dateKey(entry.endDate) >= key &&
+      (!entry.roomCategory || (categoryId && entry.roomCategory.equals(categoryId)))
+    );
+    // A category-specific rate wins over one for every category
+    const explicit = matching.find(entry => entry.roomCategory) || matching[0];
+
+    if (explicit) return { date, rate: explicit.price };
+
+    const adjusted = this.adjustment.type === 'Amount'
+      ? rate + this.adjustment.value
+      : rate * (1 + this.adjustment.value / 100);
+
+    return { date, rate: Math.max(roundMoney(adjusted), 0) };
+  });
+};
+
+// Instance method to pick the cancellation policy for an arrival date
+ratePlanSchema.methods.cancellationPolicyFor = function(checkIn) {
+  const key = dateKey(checkIn);
+  const seasonal = this.seasonalCancellationPolicies.find(entry =>
+    dateKey(entry.startDate) <= key && dateKey(entry.endDate) >= key
+  );
+
+  return seasonal ? seasonal.cancellationPolicy : this.cancellationPolicy;
+};
+
+// Static method to find the active plans sold on a room
+ratePlanSchema.statics.findForRoom = async function(room) {
+  const categoryId = room.category && (room.category._id || room.category);
+  const categoryFilter = [{ roomCategories: { $size: 0 } }];
+  if (categoryId) categoryFilter.push({ roomCategories: categoryId });
+
+  return this.find({ isActive: true, $or: categoryFilter })
+    .sort({ displayOrder: 1, name: 1 });
+};
+
+module.exports = mongoose.model('RatePlan', ratePlanSchema);
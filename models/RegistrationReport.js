@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Audit record of a guest registration report: who produced it, for which night
+// and which bookings' guest details it disclosed
+const registrationReportSchema = new mongoose.Schema({
+  reportDate: {
+    type: Date,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['json', 'csv', 'html'],
+    default: 'json'
+  },
+  foreignOnly: {
+    type: Boolean,
+    default: false
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  ipAddress: String,
+  guestCount: { type: Number, default: 0 },
+  foreignCount: { type: Number, default: 0 },
+  // Guests listed with registration details missing
+  incompleteCount: { type: Number, default: 0 },
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+registrationReportSchema.index({ reportDate: -1, createdAt: -1 });
+registrationReportSchema.index({ generatedBy: 1 });
+
+module.exports = mongoose.model('RegistrationReport', registrationReportSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { roundMoney } = require('../utils/currency');
+
+const reservationSchema = new mongoose.Schema({
+  // Reservation identification
+  reservationNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  confirmationCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Lead guest and the room lines (one booking per room)
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guest',
+    required: true
+  },
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }],
+
+  status: {
+    type: String,
+    enum: ['Pending', 'Confirmed', 'Partially Cancelled', 'Cancelled'],
+    default: 'Pending'
+  },
+
+  // Combined totals across the lines
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  currencySymbol: {
+    type: String,
+    default: '$'
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  paymentMode: {
+    type: String,
+    enum: ['Full', 'Deposit'],
+    default: 'Full'
+  },
+  stripePaymentIntentId: String,
+
+  specialRequests: String,
+  bookingSource: {
+    type: String,
+    default: 'Direct'
+  },
+  emailConfirmationSent: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reservationSchema.index({ guest: 1 });
+reservationSchema.index({ status: 1 });
+reservationSchema.index({ createdAt: -1 });
+
+// Pre-validate middleware to generate reservation number and confirmation code
+reservationSchema.pre('validate', function(next) {
+  if (!this.reservationNumber) {
+    // Generate reservation number: OVR + year + random 6 digits
+    const year = new Date().getFullYear();
+    const random = Math.floor(100000 + Math.random() * 900000);
+    this.reservationNumber = `OVR${year}${random}`;
+  }
+
+  if (!this.confirmationCode) {
+    // Generate confirmation code: 8 character alphanumeric
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let code = '';
+    for (let i = 0; i < 8; i++) {
+      code += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    this.confirmationCode = code;
+  }
+
+  next();
+});
+
+// Instance method to roll the line totals and statuses up onto the reservation
+reservationSchema.methods.updateTotals = function(lines) {
+  const active = lines.filter(line => line.status !== 'Cancelled');
+
+  this.totalAmount = roundMoney(active.reduce((sum, line) => sum + line.totalAmount, 0) +
+    lines.filter(line => line.status === 'Cancelled')
+      .reduce((sum, line) => sum + (line.cancellationFee || 0), 0));
+  this.amountPaid = roundMoney(lines.reduce((sum, line) => sum + line.amountPaid, 0));
+  this.balanceDue = roundMoney(lines.reduce((sum, line) => sum + line.balanceDue, 0));
+
+  if (!active.length) {
+    this.status = 'Cancelled';
+  } else if (active.length < lines.length) {
+    this.status = 'Partially Cancelled';
+  } else if (active.every(line => line.status === 'Pending')) {
+    this.status = 'Pending';
+  } else {
+    this.status = 'Confirmed';
+  }
+};
+
+// Static method to split an amount across lines in proportion to a weight,
+// putting any rounding remainder on the last line
+reservationSchema.statics.allocate = function(amount, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let remaining = roundMoney(amount);
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return remaining;
+    const share = totalWeight > 0 ? roundMoney(amount * weight / totalWeight) : 0;
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+};
+
+module.exports = mongoose.model('Reservation', reservationSchema);
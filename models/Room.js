@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const RoomHold = require('./RoomHold');
+const RoomCategory = require('./RoomCategory');
+const { roundMoney } = require('../utils/currency');
+const { addDays } = require('../utils/dates');
 
 const roomSchema = new mongoose.Schema({
   // Basic room information
@@ -37,6 +41,11 @@ const roomSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Used to match guest preferences when rooms are assigned
+  view: {
+    type: String,
+    enum: ['Ocean', 'City', 'Garden', 'Mountain']
+  },
   size: {
     type: Number, // in square meters
     required: true
@@ -152,14 +161,7 @@ roomSchema.index({ operaRoomId: 1 });
 
 // Virtual for current price (considering seasonal pricing)
 roomSchema.virtual('currentPrice').get(function() {
-  const now = new Date();
-  const seasonalRate = this.seasonalPricing.find(pricing => 
-    pricing.startDate <= now && pricing.endDate >= now
-  );
-  
-  return seasonalRate 
-    ? this.basePrice * seasonalRate.priceMultiplier 
-    : this.basePrice;
+  return this.priceForDate(new Date());
 });
 
 // Pre-save middleware to generate slug
@@ -174,14 +176,17 @@ roomSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to find available rooms
-roomSchema.statics.findAvailable = function(checkIn, checkOut, guests = 1) {
+// Static method to find available rooms. Rooms of the categories in soldOutCategories
+// (see RoomCategory.findSoldOut) are left out, as bookings and holds waiting for a
+// room in those categories already take every free one.
+roomSchema.statics.findAvailable = function(checkIn, checkOut, guests = 1, { soldOutCategories = [] } = {}) {
   return this.aggregate([
     {
       $match: {
         status: 'Available',
         isActive: true,
-        maxOccupancy: { $gte: guests }
+        maxOccupancy: { $gte: guests },
+        ...(soldOutCategories.length && { category: { $nin: soldOutCategories } })
       }
     },
     {
@@ -205,25 +210,52 @@ roomSchema.statics.findAvailable = function(checkIn, checkOut, guests = 1) {
         as: 'conflictingBookings'
       }
     },
+    RoomHold.lookupStage(checkIn, checkOut),
     {
       $match: {
-        conflictingBookings: { $size: 0 }
+        conflictingBookings: { $size: 0 },
+        activeHolds: { $size: 0 }
       }
     },
     {
       $project: {
-        conflictingBookings: 0
+        conflictingBookings: 0,
+        activeHolds: 0
       }
     }
   ]);
 };
 
-// Instance method to check availability
-roomSchema.methods.isAvailable = async function(checkIn, checkOut) {
+// Instance method to get the nightly price on a date (considering seasonal pricing)
+roomSchema.methods.priceForDate = function(date) {
+  const seasonalRate = (this.seasonalPricing || []).find(pricing =>
+    pricing.startDate <= date && pricing.endDate >= date
+  );
+
+  return seasonalRate
+    ? this.basePrice * seasonalRate.priceMultiplier
+    : this.basePrice;
+};
+
+// Instance method to price each night of a stay
+roomSchema.methods.getNightlyRates = function(checkIn, checkOut) {
+  const nights = [];
+
+  for (let night = new Date(checkIn); night < checkOut; night = addDays(night, 1)) {
+    nights.push({ date: night, rate: roundMoney(this.priceForDate(night)) });
+  }
+
+  return nights;
+};
+
+// Instance method to check for a booking or hold overlapping a stay on the room
+// (optionally ignoring a booking being changed and the caller's own hold)
+roomSchema.methods.isBooked = async function(checkIn, checkOut, excludeBookingId, holdToken) {
   const Booking = mongoose.model('Booking');
   
   const conflictingBooking = await Booking.findOne({
     room: this._id,
+    ...(excludeBookingId && { _id: { $ne: excludeBookingId } }),
     status: { $in: ['Confirmed', 'Checked In'] },
     $or: [
       {
@@ -232,8 +264,37 @@ roomSchema.methods.isAvailable = async function(checkIn, checkOut) {
       }
     ]
   });
-  
-  return !conflictingBooking && this.status === 'Available' && this.isActive;
+  if (conflictingBooking) {
+    return true;
+  }
+
+  return RoomHold.isHeld(this._id, checkIn, checkOut, { holdToken, bookingId: excludeBookingId });
+};
+
+// Instance method to check the room itself is free: in service with no overlapping
+// booking or hold on it
+roomSchema.methods.isFree = async function(checkIn, checkOut, excludeBookingId, holdToken) {
+  if (this.status !== 'Available' || !this.isActive) {
+    return false;
+  }
+
+  return !(await this.isBooked(checkIn, checkOut, excludeBookingId, holdToken));
+};
+
+// Instance method to check availability: the room is free and its category still has
+// a room left after the bookings sold on the category without a room assigned
+roomSchema.methods.isAvailable = async function(checkIn, checkOut, excludeBookingId, holdToken) {
+  if (!(await this.isFree(checkIn, checkOut, excludeBookingId, holdToken))) {
+    return false;
+  }
+  if (!this.category) {
+    return true;
+  }
+
+  const { available } = await RoomCategory.getAvailability(
+    this.category._id || this.category, checkIn, checkOut, { excludeBookingId, holdToken }
+  );
+  return available > 0;
 };
 
 module.exports = mongoose.model('Room', roomSchema);
\ No newline at end of file
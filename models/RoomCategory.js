@@ -112,5 +112,82 @@ roomCategorySchema.virtual('imageCount').get(function() {
   return this.images.length;
 });
 
+// Rooms that can be sold: active and not out of service
+const sellableRooms = categoryId => ({
+  category: categoryId,
+  isActive: true,
+  status: { $nin: ['Out of Order', 'Maintenance'] }
+});
+
+// Static method to count the rooms of a category left to sell for a stay: the sellable
+// rooms minus, on the busiest night, the bookings and (unless left out) checkout holds
+// on the category, whether assigned to one of its rooms or not
+roomCategorySchema.statics.getAvailability = async function(categoryId, checkIn, checkOut, { excludeBookingId, holdToken, includeHolds = true } = {}) {
+  const Room = mongoose.model('Room');
+  const Booking = mongoose.model('Booking');
+  const RoomHold = mongoose.model('RoomHold');
+
+  const roomIds = (await Room.find(sellableRooms(categoryId)).select('_id')).map(room => room._id);
+  const onCategory = { $or: [{ roomCategory: categoryId }, { room: { $in: roomIds } }] };
+  const overlapping = { checkInDate: { $lt: checkOut }, checkOutDate: { $gt: checkIn } };
+
+  const bookings = await Booking.find({
+    ...onCategory,
+    ...overlapping,
+    ...(excludeBookingId && { _id: { $ne: excludeBookingId } }),
+    status: { $in: ['Confirmed', 'Checked In'] }
+  }).select('checkInDate checkOutDate');
+
+  // A converted hold stops counting once its booking is confirmed
+  const counted = bookings.map(booking => booking._id);
+  if (excludeBookingId) counted.push(excludeBookingId);
+  const holds = !includeHolds ? [] : await RoomHold.find({
+    ...onCategory,
+    ...overlapping,
+    status: { $in: ['Active', 'Converted'] },
+    expiresAt: { $gt: new Date() },
+    booking: { $nin: counted },
+    ...(holdToken && { holdToken: { $ne: holdToken } })
+  }).select('checkInDate checkOutDate');
+
+  // Occupancy only rises when a stay starts, so the peak is at the start of the
+  // requested stay or at one of the arrivals during it
+  const entries = [...bookings, ...holds];
+  const points = [checkIn, ...entries.map(entry => entry.checkInDate).filter(date => date > checkIn)];
+  const peak = Math.max(0, ...points.map(point =>
+    entries.filter(entry => entry.checkInDate <= point && entry.checkOutDate > point).length
+  ));
+
+  return {
+    totalRooms: roomIds.length,
+    occupied: peak,
+    available: Math.max(roomIds.length - peak, 0)
+  };
+};
+
+// Static method to get the availability of every category that has rooms for a stay,
+// keyed by category id
+roomCategorySchema.statics.getAvailabilityByCategory = async function(checkIn, checkOut) {
+  const categoryIds = await mongoose.model('Room').distinct('category', { isActive: true, category: { $ne: null } });
+  const availability = await Promise.all(categoryIds.map(id => this.getAvailability(id, checkIn, checkOut)));
+  return new Map(categoryIds.map((id, index) => [id.toString(), { categoryId: id, ...availability[index] }]));
+};
+
+// Static method to list the ids of the categories with no rooms left to sell for a stay
+roomCategorySchema.statics.findSoldOut = async function(checkIn, checkOut) {
+  const availability = await this.getAvailabilityByCategory(checkIn, checkOut);
+  return [...availability.values()]
+    .filter(({ available }) => available === 0)
+    .map(({ categoryId }) => categoryId);
+};
+
+// Static method to find the room a category is priced on for a party: its
+// cheapest sellable room large enough for the guests
+roomCategorySchema.statics.findRepresentativeRoom = function(categoryId, guests = 1) {
+  return mongoose.model('Room')
+    .findOne({ ...sellableRooms(categoryId), maxOccupancy: { $gte: guests } })
+    .sort({ basePrice: 1 });
+};
+
 module.exports = mongoose.model('RoomCategory', roomCategorySchema);
 
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const DEFAULT_HOLD_MINUTES = 15;
+
+const roomHoldSchema = new mongoose.Schema({
+  // Token the guest's checkout presents to book the held room
+  holdToken: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  // A hold is on a specific room, or on any room of a category
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: function() { return !this.roomCategory; }
+  },
+  roomCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomCategory'
+  },
+  checkInDate: {
+    type: Date,
+    required: true
+  },
+  checkOutDate: {
+    type: Date,
+    required: true
+  },
+  guestEmail: String,
+
+  // Active holds block the room until they expire. A converted hold keeps
+  // blocking it while its booking's payment completes.
+  status: {
+    type: String,
+    enum: ['Active', 'Converted', 'Released', 'Expired'],
+    default: 'Active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+roomHoldSchema.index({ room: 1, status: 1, expiresAt: 1 });
+roomHoldSchema.index({ roomCategory: 1, status: 1, expiresAt: 1 });
+roomHoldSchema.index({ status: 1, expiresAt: 1 });
+
+// Query matching holds that block a room for some of the nights between two dates
+const blockingHolds = (checkIn, checkOut, now = new Date()) => ({
+  status: { $in: ['Active', 'Converted'] },
+  expiresAt: { $gt: now },
+  checkInDate: { $lt: checkOut },
+  checkOutDate: { $gt: checkIn }
+});
+
+// Static method to build the $lookup stage that attaches blocking holds to rooms in an aggregation
+roomHoldSchema.statics.lookupStage = function(checkIn, checkOut, as = 'activeHolds') {
+  const { status, expiresAt, checkInDate, checkOutDate } = blockingHolds(checkIn, checkOut);
+
+  return {
+    $lookup: {
+      from: this.collection.name,
+      let: { roomId: '$_id' },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $eq: ['$room', '$$roomId'] },
+            status,
+            expiresAt,
+            checkInDate,
+            checkOutDate
+          }
+        }
+      ],
+      as
+    }
+  };
+};
+
+// Static method to check whether a room is held for any of the nights, ignoring
+// the caller's own hold or the hold of a booking being changed
+roomHoldSchema.statics.isHeld = async function(roomId, checkIn, checkOut, { holdToken, bookingId } = {}) {
+  const filter = { room: roomId, ...blockingHolds(checkIn, checkOut) };
+  if (holdToken) filter.holdToken = { $ne: holdToken };
+  if (bookingId) filter.booking = { $ne: bookingId };
+
+  return !!(await this.exists(filter));
+};
+
+// Static method to place a hold on a room, or on a category with `capacity` rooms left
+// once its bookings are counted. The hold is written first and then checked against
+// other blocking holds, so of concurrent holds competing for the last rooms only the
+// older ones survive. A room's hold also takes one of its category's rooms, so holds
+// on a category and on its rooms compete with each other. Returns null when nothing
+// is left to hold.
+roomHoldSchema.statics.place = async function({ room, roomCategory, capacity = 1, checkIn, checkOut, minutes = DEFAULT_HOLD_MINUTES, guestEmail, booking }) {
+  const Room = mongoose.model('Room');
+  const RoomCategory = mongoose.model('RoomCategory');
+
+  const target = room ? { room } : { roomCategory };
+  const hold = await this.create({
+    ...target,
+    checkInDate: checkIn,
+    checkOutDate: checkOut,
+    guestEmail,
+    status: booking ? 'Converted' : 'Active',
+    booking,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  const older = { _id: { $lt: hold._id }, ...blockingHolds(checkIn, checkOut) };
+  const heldRoom = room && await Room.findById(room).select('category');
+  const categoryId = room ? heldRoom && heldRoom.category : roomCategory;
+
+  let taken = room && await this.countDocuments({ room, ...older }) >= capacity;
+  if (!taken && categoryId) {
+    const roomIds = await Room.find({ category: categoryId }).distinct('_id');
+    const categoryCapacity = room
+      ? (await RoomCategory.getAvailability(categoryId, checkIn, checkOut, { includeHolds: false })).available
+      : capacity;
+    const categoryHolds = await this.countDocuments({
+      ...older,
+      $or: [{ roomCategory: categoryId }, { room: { $in: roomIds } }]
+    });
+    taken = categoryHolds >= categoryCapacity;
+  }
+
+  if (taken) {
+    await this.deleteOne({ _id: hold._id });
+    return null;
+  }
+
+  return hold;
+};
+
+// Static method to turn a guest's hold into a booking. Only an unexpired hold on
+// the same room (or category) covering the booked nights can be used, and only once.
+roomHoldSchema.statics.consume = function(holdToken, { room, roomCategory, checkIn, checkOut, bookingId, minutes = DEFAULT_HOLD_MINUTES }) {
+  return this.findOneAndUpdate(
+    {
+      holdToken,
+      ...(room ? { room } : { roomCategory }),
+      status: 'Active',
+      expiresAt: { $gt: new Date() },
+      checkInDate: { $lte: checkIn },
+      checkOutDate: { $gte: checkOut }
+    },
+    {
+      $set: {
+        status: 'Converted',
+        booking: bookingId,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        // Keep the nights blocked while the payment is authenticated
+        expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+      }
+    },
+    { new: true }
+  );
+};
+
+// Static method to give holds back (any blocking hold matching the filter)
+roomHoldSchema.statics.release = function(filter) {
+  return this.updateMany(
+    { status: { $in: ['Active', 'Converted'] }, ...filter },
+    { $set: { status: 'Released' } }
+  );
+};
+
+// Static method to mark abandoned holds as expired
+roomHoldSchema.statics.expireStale = async function() {
+  const result = await this.updateMany(
+    { status: { $in: ['Active', 'Converted'] }, expiresAt: { $lte: new Date() } },
+    { $set: { status: 'Expired' } }
+  );
+
+  return result.modifiedCount;
+};
+
+roomHoldSchema.statics.DEFAULT_HOLD_MINUTES = DEFAULT_HOLD_MINUTES;
+
+module.exports = mongoose.model('RoomHold', roomHoldSchema);
@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 
+// Fee for arriving before check-in time or leaving after check-out time by up to
+// `hours` hours: a fixed amount, or a percentage of the night's room rate
+const stayTimeBandSchema = new mongoose.Schema({
+  hours: { type: Number, required: true, min: 1, max: 12 },
+  feeType: { type: String, enum: ['Amount', 'NightPercentage'], default: 'Amount' },
+  fee: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const defaultStayTimeBands = () => [
+  { hours: 2, feeType: 'Amount', fee: 0 },
+  { hours: 4, feeType: 'NightPercentage', fee: 25 },
+  { hours: 6, feeType: 'NightPercentage', fee: 50 }
+];
+
 const siteSettingsSchema = new mongoose.Schema({
   // Hotel information
   hotel: {
@@ -107,14 +121,117 @@ const siteSettingsSchema = new mongoose.Schema({
     minNights: { type: Number, default: 1 },
     maxNights: { type: Number, default: 30 },
     advanceBookingDays: { type: Number, default: 365 },
+    // How long a room is held for a guest while they complete checkout
+    holdMinutes: { type: Number, default: 15, min: 1, max: 60 },
+    // How long a room offered to a waitlisted guest is kept for them
+    waitlistOfferHours: { type: Number, default: 12, min: 1, max: 72 },
     cancellationPolicy: String,
     depositRequired: { type: Boolean, default: false },
     depositPercentage: { type: Number, default: 30 },
+    // Flat tax rate, used when no tax lines are configured
     taxRate: { type: Number, default: 10 },
+    // Itemised taxes (VAT, city tax, service charge...). Percentage lines use
+    // rate as a percent; the other types use it as an amount.
+    taxLines: [{
+      code: { type: String, trim: true },
+      name: { type: String, required: true, trim: true },
+      type: {
+        type: String,
+        enum: ['Percentage', 'PerPersonPerNight', 'PerNight', 'PerStay'],
+        default: 'Percentage'
+      },
+      rate: { type: Number, required: true, min: 0 },
+      // Already included in room prices rather than added on top
+      inclusive: { type: Boolean, default: false },
+      // Percentage applied on top of the exclusive lines before it
+      compound: { type: Boolean, default: false },
+      appliesToChildren: { type: Boolean, default: false },
+      isActive: { type: Boolean, default: true }
+    }],
+    // Extras guests can add to a stay (breakfast, parking, airport transfer...)
+    addOns: [{
+      code: { type: String, required: true, trim: true, uppercase: true },
+      name: { type: String, required: true, trim: true },
+      description: String,
+      price: { type: Number, required: true, min: 0 },
+      pricing: {
+        type: String,
+        enum: ['PerStay', 'PerNight', 'PerPerson', 'PerPersonPerNight'],
+        default: 'PerStay'
+      },
+      isActive: { type: Boolean, default: true }
+    }],
+    rounding: {
+      decimals: { type: Number, default: 2, min: 0, max: 3 },
+      mode: { type: String, enum: ['nearest', 'up', 'down'], default: 'nearest' }
+    },
     currency: { type: String, default: 'USD' },
-    currencySymbol: { type: String, default: '$' }
+    currencySymbol: { type: String, default: '$' },
+    // Early check-in and late check-out requests, priced by the first band that
+    // covers how early or late the guest asks for. Times past the last band are not sold.
+    earlyCheckIn: {
+      enabled: { type: Boolean, default: true },
+      bands: { type: [stayTimeBandSchema], default: defaultStayTimeBands }
+    },
+    lateCheckOut: {
+      enabled: { type: Boolean, default: true },
+      bands: { type: [stayTimeBandSchema], default: defaultStayTimeBands }
+    },
+    // Time housekeeping needs between a departure and an arrival in the same room
+    turnoverMinutes: { type: Number, default: 120, min: 0, max: 720 },
+    // Online check-in before arrival
+    preCheckIn: {
+      enabled: { type: Boolean, default: true },
+      // How many days before arrival it opens
+      opensDaysBefore: { type: Number, default: 7, min: 1, max: 60 },
+      requireIdDocument: { type: Boolean, default: false },
+      // House rules the guest accepts along with the booking's cancellation terms
+      houseRules: [String]
+    }
+  },
+
+  // Night audit
+  nightAudit: {
+    enabled: { type: Boolean, default: true },
+    // Time (HH:mm, UTC like booking dates) the audit closes the previous business
+    // date. Confirmed guests who have not arrived by then are marked as no-shows.
+    runAt: { type: String, default: '03:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    chargeNoShowFee: { type: Boolean, default: true },
+    // Day the hotel is trading on, rolled forward by each audit
+    businessDate: Date
   },
   
+  // Loyalty programme: points earned on completed stays, redeemed as a discount
+  loyalty: {
+    enabled: { type: Boolean, default: true },
+    // Points per unit of currency spent on the room, before the tier and rate plan multipliers
+    pointsPerCurrencyUnit: { type: Number, default: 0.1, min: 0 },
+    // Earn multiplier of each tier
+    tierMultipliers: {
+      Bronze: { type: Number, default: 1, min: 0 },
+      Silver: { type: Number, default: 1.25, min: 0 },
+      Gold: { type: Number, default: 1.5, min: 0 },
+      Platinum: { type: Number, default: 2, min: 0 }
+    },
+    // Discount a redeemed point is worth, in the booking currency
+    pointValue: { type: Number, default: 0.25, min: 0 },
+    minRedeemPoints: { type: Number, default: 100, min: 1 },
+    // Share of the room price, after promo discounts, points can pay for
+    maxRedeemPercentage: { type: Number, default: 50, min: 0, max: 100 },
+    // Months of qualifying points that count toward a tier; older points drop out
+    tierPeriodMonths: { type: Number, default: 12, min: 1 },
+    // Months without earning or redeeming after which a balance expires (0 for never)
+    expireAfterMonths: { type: Number, default: 24, min: 0 }
+  },
+
+  // Registration of in-house guests with the authorities
+  guestRegistration: {
+    // Nationalities (names or ISO codes) that count as local; every other guest is foreign
+    localNationalities: { type: [String], default: () => ['Syria', 'Syrian', 'SY', 'SYR'] },
+    // Refuse check-in until the guest's registration details are complete
+    requiredForCheckIn: { type: Boolean, default: true }
+  },
+
   // Email settings
   email: {
     fromName: String,
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  // Guest waiting for a room
+  guestInfo: {
+    firstName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    lastName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    phone: String
+  },
+
+  // Stay they are waiting for
+  roomCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomCategory',
+    required: true
+  },
+  checkInDate: {
+    type: Date,
+    required: true
+  },
+  checkOutDate: {
+    type: Date,
+    required: true
+  },
+  numberOfGuests: {
+    adults: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    children: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Waiting entries are offered a room in the order they joined. An unanswered
+  // or declined offer ends the entry and passes the room to the next guest.
+  status: {
+    type: String,
+    enum: ['Waiting', 'Offered', 'Booked', 'Declined', 'Expired', 'Removed'],
+    default: 'Waiting'
+  },
+
+  // Current offer: a hold on the category, claimed with the hold's token
+  offer: {
+    hold: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomHold'
+    },
+    holdToken: String,
+    sentAt: Date,
+    expiresAt: Date,
+    // Cancelled booking that freed the room
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    }
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+waitlistEntrySchema.index({ roomCategory: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ 'offer.holdToken': 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+waitlistEntrySchema.index({ 'guestInfo.email': 1 });
+
+// Virtual for number of nights
+waitlistEntrySchema.virtual('numberOfNights').get(function() {
+  return Math.ceil((this.checkOutDate - this.checkInDate) / (1000 * 60 * 60 * 24));
+});
+
+// Static method to find the entries waiting for a category over any night between two dates, first come first served
+waitlistEntrySchema.statics.findWaiting = function(roomCategoryId, checkIn, checkOut) {
+  return this.find({
+    roomCategory: roomCategoryId,
+    status: 'Waiting',
+    checkInDate: { $lt: checkOut, $gte: new Date() },
+    checkOutDate: { $gt: checkIn }
+  }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
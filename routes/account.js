@@ -0,0 +1,424 @@
+const express = require('express');
+const router = express.Router();
+const Booking = require('../models/Booking');
+const Guest = require('../models/Guest');
+const Folio = require('../models/Folio');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const SiteSettings = require('../models/SiteSettings');
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { startOfDay } = require('../utils/dates');
+const { generateInvoiceHTML, generateInvoicePDF } = require('../utils/invoice');
+const BookingStatusService = require('../services/BookingStatusService');
+const GuestProfileService = require('../services/GuestProfileService');
+const LoyaltyService = require('../services/LoyaltyService');
+
+const bookingStatusService = new BookingStatusService();
+const guestProfileService = new GuestProfileService();
+const loyaltyService = new LoyaltyService();
+
+// Fields a guest can change on their own profile
+const EDITABLE_FIELDS = [
+  ...GuestProfileService.PREFERENCE_FIELDS,
+  ...GuestProfileService.SPECIAL_REQUIREMENT_FIELDS,
+  ...GuestProfileService.COMMUNICATION_FIELDS
+];
+
+// Profile fields shown to the guest; staff notes and flags stay internal
+const PROFILE_FIELDS = 'firstName lastName email phone preferences specialRequirements communicationPreferences dataConsent consentDate loyaltyProgram totalStays lastStayDate';
+
+// Booking fields shown in the guest's lists
+const BOOKING_LIST_FIELDS = 'bookingNumber confirmationCode status checkInDate checkOutDate numberOfNights numberOfGuests room roomCategory ratePlanName totalAmount currency amountPaid balanceDue paymentStatus reservation createdAt';
+
+// Bookings still to come or in progress; every other booking is past
+const UPCOMING_STATUSES = ['Pending', 'Confirmed', 'Checked In'];
+
+const enumOf = path => Guest.schema.path(path).enumValues;
+
+// One of the current guest's bookings, by booking number
+const findOwnBooking = (req) => Booking.findOne({
+  bookingNumber: req.params.bookingNumber,
+  guest: req.guest._id
+});
+
+// Stays an invoice can be issued for: once the guest has checked in, or when a
+// cancellation or no-show was charged, whose folio then bills the fee instead of
+// the stay
+const hasInvoice = booking => ['Checked In', 'Checked Out'].includes(booking.status) ||
+  (['Cancelled', 'No Show'].includes(booking.status) && booking.cancellationFee > 0);
+
+// @route   GET /api/account/bookings
+// @desc    The current guest's upcoming (default) or past bookings
+// @access  Private
+router.get('/bookings', auth, [
+  query('scope').optional().isIn(['upcoming', 'past']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { scope = 'upcoming', page = 1, limit = 10 } = req.query;
+    const upcoming = {
+      status: { $in: UPCOMING_STATUSES },
+      checkOutDate: { $gte: startOfDay() }
+    };
+    const filter = scope === 'upcoming'
+      ? { guest: req.guest._id, ...upcoming }
+      : { guest: req.guest._id, $nor: [upcoming] };
+
+    const [bookings, totalCount] = await Promise.all([
+      Booking.find(filter)
+        .select(BOOKING_LIST_FIELDS)
+        .populate('room', 'name roomNumber type images')
+        .populate('roomCategory', 'name')
+        .sort({ checkInDate: scope === 'upcoming' ? 1 : -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      Booking.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        bookings: bookings.map(booking => ({
+          ...booking.toJSON(),
+          hasInvoice: hasInvoice(booking)
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching guest bookings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching your bookings'
+    });
+  }
+});
+
+// @route   GET /api/account/bookings/:bookingNumber
+// @desc    One of the current guest's bookings, with what cancelling it now would cost
+// @access  Private
+router.get('/bookings/:bookingNumber', auth, async (req, res) => {
+  try {
+    const booking = await findOwnBooking(req)
+      .select('-internalNotes -preCheckIn.ipAddress -preCheckIn.verifiedBy')
+      .populate('room', 'name roomNumber type images amenities')
+      .populate('roomCategory', 'name');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const canBeCancelled = booking.canBeCancelled();
+
+    res.json({
+      success: true,
+      data: {
+        booking,
+        canBeCancelled,
+        cancellation: canBeCancelled ? booking.getCancellationQuote() : null,
+        cancellationPolicy: booking.describeCancellationPolicy(),
+        hasInvoice: hasInvoice(booking)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching guest booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching booking'
+    });
+  }
+});
+
+// @route   PUT /api/account/bookings/:bookingNumber/cancel
+// @desc    Cancel one of the current guest's bookings under its cancellation terms
+// @access  Private
+router.put('/bookings/:bookingNumber/cancel', auth, [
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findOwnBooking(req).populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const result = await bookingStatusService.cancelForGuest(booking, { reason: req.body.reason });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: {
+        bookingNumber: booking.bookingNumber,
+        cancellationPolicy: result.cancellation.policy,
+        appliedTier: result.cancellation.appliedTier,
+        cancellationFee: result.cancellationFee,
+        refundAmount: result.refundAmount,
+        status: booking.status
+      }
+    });
+  } catch (error) {
+    logger.error('Error cancelling guest booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling booking'
+    });
+  }
+});
+
+// @route   GET /api/account/bookings/:bookingNumber/invoice
+// @desc    Invoice for one of the current guest's stays, as printable HTML (default) or PDF
+// @access  Private
+router.get('/bookings/:bookingNumber/invoice', auth, [
+  query('format').optional().isIn(['html', 'pdf'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findOwnBooking(req).populate(['guest', 'room']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!hasInvoice(booking)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invoice is available once you have checked in'
+      });
+    }
+
+    const folio = await Folio.findOrCreateForBooking(booking);
+    await folio.save();
+
+    const settings = await SiteSettings.getSiteSettings();
+    const context = {
+      folio,
+      booking,
+      hotel: settings.hotel,
+      currencySymbol: booking.currencySymbol
+    };
+
+    if (req.query.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="invoice-${booking.bookingNumber}.pdf"`);
+      return generateInvoicePDF(context).pipe(res);
+    }
+
+    res.type('html').send(generateInvoiceHTML(context));
+  } catch (error) {
+    logger.error('Error generating guest invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating invoice'
+    });
+  }
+});
+
+// @route   GET /api/account/profile
+// @desc    The current guest's profile, preferences and communication settings
+// @access  Private
+router.get('/profile', auth, async (req, res) => {
+  try {
+    const guest = await Guest.findById(req.guest._id).select(PROFILE_FIELDS);
+
+    res.json({
+      success: true,
+      data: guest
+    });
+  } catch (error) {
+    logger.error('Error fetching guest profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching your profile'
+    });
+  }
+});
+
+// @route   PUT /api/account/profile
+// @desc    Update the current guest's preferences, special requirements and communication preferences
+// @access  Private
+router.put('/profile', auth, [
+  body('preferences.roomType').optional().isIn(enumOf('preferences.roomType')),
+  body('preferences.bedPreference').optional().isIn(enumOf('preferences.bedPreference')),
+  body('preferences.smokingPreference').optional().isIn(enumOf('preferences.smokingPreference')),
+  body('preferences.floorPreference').optional().isIn(enumOf('preferences.floorPreference')),
+  body('preferences.viewPreference').optional().isIn(enumOf('preferences.viewPreference')),
+  body('preferences.language').optional().isLength({ min: 2, max: 10 }),
+  body('preferences.currency').optional().isLength({ min: 3, max: 3 }),
+  body('specialRequirements.accessibility.wheelchairAccess').optional().isBoolean(),
+  body('specialRequirements.accessibility.hearingImpaired').optional().isBoolean(),
+  body('specialRequirements.accessibility.visuallyImpaired').optional().isBoolean(),
+  body('specialRequirements.accessibility.other').optional().isLength({ max: 500 }),
+  body('specialRequirements.dietaryRestrictions').optional().isArray(),
+  body('specialRequirements.dietaryRestrictions.*').isIn(Guest.schema.path('specialRequirements.dietaryRestrictions').caster.enumValues),
+  body('specialRequirements.allergies').optional().isArray(),
+  body('specialRequirements.medicalConditions').optional().isLength({ max: 1000 }),
+  body('communicationPreferences.*.*').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = req.guest;
+    const changed = guestProfileService.applyChanges(guest, req.body, EDITABLE_FIELDS);
+
+    // Marketing flags are consent, kept as versions
+    const communication = req.body.communicationPreferences || {};
+    const marketing = {};
+    ['email', 'sms', 'phone'].forEach(channel => {
+      if (communication[channel] && communication[channel].marketing !== undefined) {
+        marketing[channel] = communication[channel].marketing;
+      }
+    });
+    const consentChanged = Object.keys(marketing).length > 0 &&
+      guest.updateConsent({ marketing }, { source: 'Guest', ipAddress: req.ip });
+
+    await guest.save();
+
+    logger.info('Guest updated their profile', {
+      guestId: guest._id,
+      fields: consentChanged ? [...changed, 'marketing consent'] : changed
+    });
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: await Guest.findById(guest._id).select(PROFILE_FIELDS)
+    });
+  } catch (error) {
+    logger.error('Error updating guest profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating your profile'
+    });
+  }
+});
+
+// @route   GET /api/account/loyalty
+// @desc    The current guest's loyalty balance, tier, progress to the next tier and points history
+// @access  Private
+router.get('/loyalty', auth, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const settings = await loyaltyService.getSettings();
+
+    // Qualifying points age out of the tier period, so the tier is worked out afresh
+    const { tier, tierPoints } = await loyaltyService.recalculateTier(req.guest, { settings });
+    const { loyaltyProgram } = await Guest.findById(req.guest._id).select('loyaltyProgram');
+
+    const filter = { guest: req.guest._id };
+    const [transactions, totalCount] = await Promise.all([
+      LoyaltyTransaction.find(filter)
+        .select('-createdBy -guest')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      LoyaltyTransaction.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        memberId: loyaltyProgram.memberId,
+        tier,
+        points: loyaltyProgram.points,
+        tierPoints,
+        tierPeriodMonths: settings.tierPeriodMonths,
+        joinDate: loyaltyProgram.joinDate,
+        nextTier: Guest.nextLoyaltyTier(tierPoints),
+        redemption: {
+          enabled: settings.enabled,
+          pointValue: settings.pointValue,
+          minRedeemPoints: settings.minRedeemPoints,
+          maxRedeemPercentage: settings.maxRedeemPercentage
+        },
+        transactions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching guest loyalty:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching your loyalty points'
+    });
+  }
+});
+
+module.exports = router;
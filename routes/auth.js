@@ -5,9 +5,12 @@ const jwt = require('jsonwebtoken');
 const Guest = require('../models/Guest');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const sendEmail = require('../utils/sendEmail');
+const { sendEmail } = require('../utils/sendEmail');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
+const GuestDataService = require('../services/GuestDataService');
+
+const guestDataService = new GuestDataService();
 
 // Generate JWT token
 const generateToken = (payload) => {
@@ -30,7 +33,11 @@ router.post('/register', [
       throw new Error('Password confirmation does not match password');
     }
     return value;
-  })
+  }),
+  body('dataConsent').optional().isBoolean().toBoolean(),
+  body('marketing.email').optional().isBoolean().toBoolean(),
+  body('marketing.sms').optional().isBoolean().toBoolean(),
+  body('marketing.phone').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -42,7 +49,7 @@ router.post('/register', [
       });
     }
 
-    const { firstName, lastName, email, phone, password } = req.body;
+    const { firstName, lastName, email, phone, password, dataConsent, marketing } = req.body;
 
     // Check if guest already exists
     let guest = await Guest.findOne({ email });
@@ -75,6 +82,11 @@ router.post('/register', [
       });
     }
 
+    // Consent given on the registration form becomes a version of its own
+    if (dataConsent !== undefined || marketing) {
+      guest.updateConsent({ dataConsent, marketing }, { source: 'Registration', ipAddress: req.ip });
+    }
+
     await guest.save();
 
     // Generate email verification token
@@ -290,6 +302,122 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/me/export
+// @desc    Download everything the hotel holds about the current guest as JSON
+// @access  Private
+router.get('/me/export', auth, async (req, res) => {
+  try {
+    const data = await guestDataService.exportFor(req.guest, {
+      requestedBy: { type: 'Guest' },
+      ipAddress: req.ip
+    });
+
+    res.setHeader('Content-Disposition', 'attachment; filename="my-data.json"');
+    res.json(data);
+  } catch (error) {
+    logger.error('Guest data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting your data'
+    });
+  }
+});
+
+// @route   PUT /api/auth/me/consent
+// @desc    Give or withdraw consent to data processing and marketing by email, SMS or phone
+// @access  Private
+router.put('/me/consent', auth, [
+  body('dataConsent').optional().isBoolean().toBoolean(),
+  body('marketing.email').optional().isBoolean().toBoolean(),
+  body('marketing.sms').optional().isBoolean().toBoolean(),
+  body('marketing.phone').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const changed = req.guest.updateConsent(req.body, { source: 'Guest', ipAddress: req.ip });
+    if (changed) {
+      await req.guest.save();
+
+      logger.info('Guest consent updated', {
+        guestId: req.guest._id,
+        version: req.guest.consentHistory[req.guest.consentHistory.length - 1].version
+      });
+    }
+
+    res.json({
+      success: true,
+      message: changed ? 'Your consent preferences have been updated' : 'Your consent preferences are unchanged',
+      data: {
+        dataConsent: req.guest.dataConsent,
+        consentDate: req.guest.consentDate,
+        marketing: {
+          email: req.guest.communicationPreferences.email.marketing,
+          sms: req.guest.communicationPreferences.sms.marketing,
+          phone: req.guest.communicationPreferences.phone.marketing
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Guest consent update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating your consent'
+    });
+  }
+});
+
+// @route   POST /api/auth/me/erasure
+// @desc    Ask for the current guest's personal data to be erased
+// @access  Private
+router.post('/me/erasure', auth, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await guestDataService.requestErasure(req.guest, {
+      ipAddress: req.ip,
+      reason: req.body.reason
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Your request has been received and will be reviewed by our staff',
+      data: {
+        requestId: result.request._id,
+        status: result.request.status
+      }
+    });
+  } catch (error) {
+    logger.error('Guest erasure request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting erasure'
+    });
+  }
+});
+
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
@@ -1,15 +1,190 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
 const Booking = require('../models/Booking');
+const BookingEvent = require('../models/BookingEvent');
 const Room = require('../models/Room');
+const RoomCategory = require('../models/RoomCategory');
 const Guest = require('../models/Guest');
-const { body, validationResult } = require('express-validator');
+const SiteSettings = require('../models/SiteSettings');
+const Folio = require('../models/Folio');
+const PromoCode = require('../models/PromoCode');
+const Reservation = require('../models/Reservation');
+const RoomHold = require('../models/RoomHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { body, param, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const sendEmail = require('../utils/sendEmail');
+const { sendEmail } = require('../utils/sendEmail');
+const { generateInvoiceHTML, generateInvoicePDF } = require('../utils/invoice');
+const { formatMoney, roundMoney } = require('../utils/currency');
 const logger = require('../utils/logger');
+const { runAs, getActor } = require('../utils/auditContext');
+const { startOfDay } = require('../utils/dates');
+const PaymentService = require('../services/PaymentService');
+const BookingStatusService = require('../services/BookingStatusService');
+const GuestRegistrationService = require('../services/GuestRegistrationService');
+const LoyaltyService = require('../services/LoyaltyService');
+const PreCheckInService = require('../services/PreCheckInService');
+const PricingService = require('../services/PricingService');
+const RoomAssignmentService = require('../services/RoomAssignmentService');
+const StayTimeService = require('../services/StayTimeService');
+const WaitlistService = require('../services/WaitlistService');
+
+const bookingStatusService = new BookingStatusService();
+const paymentService = new PaymentService();
+const guestRegistrationService = new GuestRegistrationService();
+const loyaltyService = new LoyaltyService();
+const preCheckInService = new PreCheckInService();
+const pricingService = new PricingService();
+const roomAssignmentService = new RoomAssignmentService();
+const stayTimeService = new StayTimeService();
+const waitlistService = new WaitlistService();
+
+// ID documents uploaded with online check-in: images or PDF, stored privately
+const idDocumentStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(PreCheckInService.DOCUMENTS_DIR, { recursive: true }, error => cb(error, PreCheckInService.DOCUMENTS_DIR));
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `id-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+const idDocumentUploader = multer({
+  storage: idDocumentStorage,
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp', 'application/pdf'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('ID document must be a JPEG, PNG or WebP image or a PDF'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+// Accept an optional ID document, answering upload errors with a 400. The upload
+// finishes on stream events, so the request's actor is carried over explicitly.
+const idDocumentUpload = (req, res, next) => {
+  const actor = getActor();
+  idDocumentUploader.single('idDocument')(req, res, (error) => runAs(actor, () => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'ID document must be 10MB or smaller' : error.message
+      });
+    }
+    next();
+  }));
+};
+
+// Bookings are public, but redeeming loyalty points needs the guest signed in
+const authWhenRedeeming = (req, res, next) => (req.body.redeemPoints ? auth(req, res, next) : next());
+
+// Validation for ID details, collected online before arrival or at the desk
+const identityValidation = (required) => {
+  const field = name => required ? body(name) : body(name).optional();
+  return [
+    field('idType').isIn(['Passport', 'Driver License', 'National ID', 'Other']).withMessage('Valid ID type is required'),
+    field('idNumber').trim().notEmpty().isLength({ max: 50 }).withMessage('ID number is required'),
+    field('idExpiryDate').isISO8601().withMessage('Valid ID expiry date is required'),
+    field('nationality').trim().notEmpty().isLength({ max: 100 }).withMessage('Nationality is required'),
+    body('dateOfBirth').optional().isISO8601().withMessage('Valid date of birth is required'),
+    body('address.street').optional().trim(),
+    body('address.city').optional().trim(),
+    body('address.state').optional().trim(),
+    body('address.country').optional().trim(),
+    body('address.zipCode').optional().trim()
+  ];
+};
+
+// Copy ID details from a request onto the guest profile
+const applyIdentity = (guest, { idType, idNumber, idExpiryDate, nationality, dateOfBirth, address }) => {
+  if (idType) guest.idType = idType;
+  if (idNumber) guest.idNumber = idNumber;
+  if (idExpiryDate) guest.idExpiryDate = new Date(idExpiryDate);
+  if (nationality) guest.nationality = nationality;
+  if (dateOfBirth) guest.dateOfBirth = new Date(dateOfBirth);
+  for (const key of ['street', 'city', 'state', 'country', 'zipCode']) {
+    if (address && address[key]) guest.set(`address.${key}`, address[key]);
+  }
+};
+
+// Validation for what is being booked: a specific room or any room of a category
+const bookableValidation = [
+  body('roomId').optional().isMongoId().withMessage('Valid room ID is required'),
+  body('roomCategoryId').optional().isMongoId().withMessage('Valid room category ID is required'),
+  body('roomCategoryId').custom((value, { req }) => {
+    if (!value && !req.body.roomId) {
+      throw new Error('A room or room category is required');
+    }
+    return true;
+  })
+];
+
+// Resolve what a guest is booking. A room category is priced on its cheapest room
+// that fits the party, and sold while the category has a room left for every night.
+// Returns { room, roomCategory, byCategory } or { status, message }.
+const resolveBookable = async ({ roomId, roomCategoryId, checkIn, checkOut, totalGuests, holdToken }) => {
+  if (roomCategoryId) {
+    const roomCategory = await RoomCategory.findById(roomCategoryId);
+    if (!roomCategory || !roomCategory.isActive) {
+      return { status: 404, message: 'Room category not found' };
+    }
+
+    const room = await RoomCategory.findRepresentativeRoom(roomCategory._id, totalGuests);
+    if (!room) {
+      return { status: 400, message: `No ${roomCategory.name} room can accommodate ${totalGuests} guests` };
+    }
+
+    const { available } = await RoomCategory.getAvailability(roomCategory._id, checkIn, checkOut, { holdToken });
+    if (available < 1) {
+      return { status: 400, message: `No ${roomCategory.name} rooms are available for the selected dates` };
+    }
+
+    return { room, roomCategory, byCategory: true };
+  }
+
+  const room = await Room.findById(roomId);
+  if (!room || !room.isActive) {
+    return { status: 404, message: 'Room not found' };
+  }
+
+  if (room.maxOccupancy < totalGuests) {
+    return { status: 400, message: `Room can accommodate maximum ${room.maxOccupancy} guests` };
+  }
+
+  if (!(await room.isAvailable(checkIn, checkOut, null, holdToken))) {
+    return { status: 400, message: 'Room is not available for the selected dates' };
+  }
 
+  return { room, roomCategory: room.category, byCategory: false };
+};
+
+// Booking fields for the room or category being sold
+const bookableFields = ({ room, roomCategory, byCategory }) => byCategory
+  ? { roomCategory: roomCategory._id }
+  : {
+    room: room._id,
+    roomCategory: roomCategory && (roomCategory._id || roomCategory),
+    roomAssignment: { method: 'Booking', assignedAt: new Date() }
+  };
+
+// Keep the totals of a multi-room reservation in step with a line that was re-priced
+const refreshReservationTotals = async (booking) => {
+  if (!booking.reservation) return;
+
+  const reservation = await Reservation.findById(booking.reservation);
+  if (reservation) {
+    reservation.updateTotals(await Booking.find({ _id: { $in: reservation.bookings } }));
+    await reservation.save();
+  }
+};
 
 // @route   POST /api/bookings/request
 // @desc    Create a booking request (no online payment)
@@ -19,11 +194,13 @@ router.post('/request', [
   body('guestInfo.lastName').notEmpty().withMessage('Last name is required'),
   body('guestInfo.email').isEmail().withMessage('Valid email is required'),
   body('guestInfo.phone').notEmpty().withMessage('Phone number is required'),
-  body('roomId').isMongoId().withMessage('Valid room ID is required'),
+  ...bookableValidation,
   body('checkInDate').isISO8601().withMessage('Valid check-in date is required'),
   body('checkOutDate').isISO8601().withMessage('Valid check-out date is required'),
   body('numberOfGuests.adults').isInt({ min: 1 }).withMessage('At least 1 adult required'),
   body('numberOfGuests.children').optional().isInt({ min: 0 }),
+  body('ratePlanId').optional().isMongoId().withMessage('Valid rate plan ID is required'),
+  body('promoCode').optional().isString().trim(),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -35,7 +212,7 @@ router.post('/request', [
       });
     }
 
-    const { guestInfo, roomId, checkInDate, checkOutDate, numberOfGuests, specialRequests } = req.body;
+    const { guestInfo, roomId, roomCategoryId, checkInDate, checkOutDate, numberOfGuests, ratePlanId, promoCode: code, specialRequests } = req.body;
 
     const checkIn = new Date(checkInDate);
     const checkOut = new Date(checkOutDate);
@@ -47,25 +224,25 @@ router.post('/request', [
       return res.status(400).json({ success: false, message: 'Check-in date cannot be in the past' });
     }
 
-    const room = await Room.findById(roomId);
-    if (!room || !room.isActive) {
-      return res.status(404).json({ success: false, message: 'Room not found' });
-    }
-
     const totalGuests = Number(numberOfGuests.adults) + Number(numberOfGuests.children || 0);
-    if (room.maxOccupancy < totalGuests) {
-      return res.status(400).json({
-        success: false,
-        message: `Room can accommodate maximum ${room.maxOccupancy} guests`
-      });
+    const bookable = await resolveBookable({ roomId, roomCategoryId, checkIn, checkOut, totalGuests });
+    if (bookable.message) {
+      return res.status(bookable.status).json({ success: false, message: bookable.message });
     }
+    const { room } = bookable;
 
-    const isAvailable = await room.isAvailable(checkIn, checkOut);
-    if (!isAvailable) {
-      return res.status(400).json({
-        success: false,
-        message: 'Room is not available for the selected dates'
-      });
+    // Sell on the requested rate plan, if any, when the stay meets its restrictions
+    let ratePlan = null;
+    if (ratePlanId) {
+      const resolved = await pricingService.resolveRatePlan(ratePlanId, room, checkIn, checkOut);
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error,
+          restrictions: resolved.restrictions
+        });
+      }
+      ratePlan = resolved.ratePlan;
     }
 
     // Find or create guest
@@ -78,33 +255,58 @@ router.post('/request', [
       await guest.save();
     }
 
+    // Apply the promo code, if any, when the stay and guest are eligible
+    let promoCode = null;
+    if (code) {
+      const resolved = await pricingService.resolvePromoCode(code, { room, checkIn, checkOut, guestId: guest._id });
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error,
+          violations: resolved.violations
+        });
+      }
+      promoCode = resolved.promoCode;
+    }
+
     // Pricing
-    const numberOfNights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
-    const roomRate = room.currentPrice;
-    const subtotal = roomRate * numberOfNights;
-    const taxes = subtotal * 0.12;
-    const totalAmount = subtotal + taxes;
+    const quote = await pricingService.quoteRoomStay({
+      room,
+      checkIn,
+      checkOut,
+      numberOfGuests,
+      ratePlan,
+      promoCode
+    });
 
     const booking = new Booking({
       guest: guest._id,
-      room: roomId,
+      ...bookableFields(bookable),
       checkInDate: checkIn,
       checkOutDate: checkOut,
       numberOfGuests,
-      roomRate,
-      numberOfNights,
-      subtotal,
-      taxes,
-      totalAmount,
+      ...pricingService.toBookingFields(quote, ratePlan, promoCode),
       specialRequests,
       paymentStatus: 'Pending',
       paymentMethod: 'Cash',
       status: 'Pending',
       bookingSource: 'Direct'
     });
+    // Redeem the promo code atomically so its usage caps hold under concurrent bookings
+    if (promoCode && !(await PromoCode.redeem(promoCode._id, { bookingId: booking._id, guestId: guest._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code usage limit reached'
+      });
+    }
 
-    await booking.save();
-    await booking.populate(['guest', 'room']);
+    try {
+      await booking.save();
+    } catch (saveError) {
+      if (promoCode) await PromoCode.release(promoCode._id, booking._id);
+      throw saveError;
+    }
+    await booking.populate(['guest', 'room', 'roomCategory']);
 
     return res.status(201).json({
       success: true,
@@ -120,18 +322,23 @@ router.post('/request', [
 
 // @route   POST /api/bookings
 // @desc    Create a new booking
-// @access  Public
-router.post('/', [
+// @access  Public (Private when redeeming loyalty points)
+router.post('/', authWhenRedeeming, [
   body('guestInfo.firstName').notEmpty().withMessage('First name is required'),
   body('guestInfo.lastName').notEmpty().withMessage('Last name is required'),
   body('guestInfo.email').isEmail().withMessage('Valid email is required'),
   body('guestInfo.phone').notEmpty().withMessage('Phone number is required'),
-  body('roomId').isMongoId().withMessage('Valid room ID is required'),
+  ...bookableValidation,
   body('checkInDate').isISO8601().withMessage('Valid check-in date is required'),
   body('checkOutDate').isISO8601().withMessage('Valid check-out date is required'),
   body('numberOfGuests.adults').isInt({ min: 1 }).withMessage('At least 1 adult required'),
   body('numberOfGuests.children').optional().isInt({ min: 0 }),
-  body('paymentMethodId').notEmpty().withMessage('Payment method is required')
+  body('ratePlanId').optional().isMongoId().withMessage('Valid rate plan ID is required'),
+  body('promoCode').optional().isString().trim(),
+  body('holdToken').optional().isString(),
+  body('redeemPoints').optional().isInt({ min: 1 }).withMessage('Points to redeem must be a whole number').toInt(),
+  body('paymentMethodId').notEmpty().withMessage('Payment method is required'),
+  body('returnUrl').optional().isURL({ require_tld: false })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -146,11 +353,17 @@ router.post('/', [
     const {
       guestInfo,
       roomId,
+      roomCategoryId,
       checkInDate,
       checkOutDate,
       numberOfGuests,
+      ratePlanId,
+      promoCode: code,
+      holdToken,
+      redeemPoints,
       specialRequests,
-      paymentMethodId
+      paymentMethodId,
+      returnUrl
     } = req.body;
 
     const checkIn = new Date(checkInDate);
@@ -171,29 +384,37 @@ router.post('/', [
       });
     }
 
-    // Check room availability
-    const room = await Room.findById(roomId);
-    if (!room || !room.isActive) {
-      return res.status(404).json({
+    // Only the signed-in guest can spend their own points
+    if (redeemPoints && guestInfo.email.toLowerCase() !== req.guest.email) {
+      return res.status(403).json({
         success: false,
-        message: 'Room not found'
+        message: 'Sign in as the booking guest to redeem their loyalty points'
       });
     }
 
+    // Check room (or room category) availability
     const totalGuests = numberOfGuests.adults + (numberOfGuests.children || 0);
-    if (room.maxOccupancy < totalGuests) {
-      return res.status(400).json({
+    const bookable = await resolveBookable({ roomId, roomCategoryId, checkIn, checkOut, totalGuests, holdToken });
+    if (bookable.message) {
+      return res.status(bookable.status).json({
         success: false,
-        message: `Room can accommodate maximum ${room.maxOccupancy} guests`
+        message: bookable.message
       });
     }
+    const { room, roomCategory, byCategory } = bookable;
 
-    const isAvailable = await room.isAvailable(checkIn, checkOut);
-    if (!isAvailable) {
-      return res.status(400).json({
-        success: false,
-        message: 'Room is not available for the selected dates'
-      });
+    // Sell on the requested rate plan, if any, when the stay meets its restrictions
+    let ratePlan = null;
+    if (ratePlanId) {
+      const resolved = await pricingService.resolveRatePlan(ratePlanId, room, checkIn, checkOut);
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error,
+          restrictions: resolved.restrictions
+        });
+      }
+      ratePlan = resolved.ratePlan;
     }
 
     // Find or create guest
@@ -210,99 +431,170 @@ router.post('/', [
       await guest.save();
     }
 
-    // Calculate pricing
-    const numberOfNights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
-    const roomRate = room.currentPrice;
-    const subtotal = roomRate * numberOfNights;
-    const taxes = subtotal * 0.12; // 12% tax
-    const totalAmount = subtotal + taxes;
+    // Apply the promo code, if any, when the stay and guest are eligible
+    let promoCode = null;
+    if (code) {
+      const resolved = await pricingService.resolvePromoCode(code, { room, checkIn, checkOut, guestId: guest._id });
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error,
+          violations: resolved.violations
+        });
+      }
+      promoCode = resolved.promoCode;
+    }
 
-    // Create Stripe payment intent
-    let paymentIntent;
-    try {
-      paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(totalAmount * 100), // Stripe uses cents
-        currency: 'usd',
-        payment_method: paymentMethodId,
-        confirmation_method: 'manual',
-        confirm: true,
-        metadata: {
-          roomId: roomId,
-          guestEmail: guestInfo.email,
-          checkInDate: checkInDate,
-          checkOutDate: checkOutDate
-        }
-      });
-    } catch (stripeError) {
-      logger.error('Stripe payment error:', stripeError);
-      return res.status(400).json({
-        success: false,
-        message: 'Payment processing failed',
-        error: stripeError.message
-      });
+    // Calculate pricing
+    const pricingConfig = await pricingService.getConfig();
+    const stay = { room, checkIn, checkOut, numberOfGuests, ratePlan, promoCode, config: pricingConfig };
+    let quote = await pricingService.quoteRoomStay(stay);
+
+    // Redeemed points come off the room price after any promotion
+    let redemption = null;
+    if (redeemPoints) {
+      redemption = await loyaltyService.quoteRedemption(guest, redeemPoints, quote);
+      if (redemption.error) {
+        return res.status(400).json({
+          success: false,
+          message: redemption.error
+        });
+      }
+      quote = await pricingService.quoteRoomStay({ ...stay, loyaltyDiscount: redemption.discount });
     }
 
-    // Create booking
+    // Charge only the configured deposit when the hotel requires one
+    const deposit = pricingService.depositFor(quote, pricingConfig);
+    const paymentMode = deposit != null ? 'Deposit' : 'Full';
+    const depositAmount = deposit || 0;
+    const chargeAmount = deposit != null ? deposit : quote.totalAmount;
+
+    // Build the booking first so the PaymentIntent can reference its booking number
     const booking = new Booking({
       guest: guest._id,
-      room: roomId,
+      ...bookableFields(bookable),
       checkInDate: checkIn,
       checkOutDate: checkOut,
       numberOfGuests,
-      roomRate,
-      numberOfNights,
-      subtotal,
-      taxes,
-      totalAmount,
+      ...pricingService.toBookingFields(quote, ratePlan, promoCode),
+      loyaltyPointsRedeemed: redemption ? redemption.points : 0,
+      paymentMode,
+      depositAmount,
       specialRequests,
-      paymentStatus: paymentIntent.status === 'succeeded' ? 'Paid' : 'Pending',
+      paymentStatus: 'Pending',
       paymentMethod: 'Credit Card',
-      stripePaymentIntentId: paymentIntent.id,
-      status: paymentIntent.status === 'succeeded' ? 'Confirmed' : 'Pending',
+      status: 'Pending',
       bookingSource: 'Direct'
     });
+    await booking.validate();
+
+    // Block the room for the nights while the card is charged: consume the guest's
+    // hold, or place one now. Either fails if another checkout got there first.
+    const settings = await SiteSettings.getSiteSettings();
+    const holdMinutes = settings.booking.holdMinutes || RoomHold.DEFAULT_HOLD_MINUTES;
+    const holdTarget = byCategory ? { roomCategory: roomCategory._id } : { room: room._id };
+    const capacity = byCategory
+      ? (await RoomCategory.getAvailability(roomCategory._id, checkIn, checkOut, { includeHolds: false })).available
+      : 1;
+    const hold = holdToken
+      ? await RoomHold.consume(holdToken, { ...holdTarget, checkIn, checkOut, bookingId: booking._id, minutes: holdMinutes })
+      : await RoomHold.place({ ...holdTarget, capacity, checkIn, checkOut, minutes: holdMinutes, guestEmail: guest.email, booking: booking._id });
+    if (!hold) {
+      return res.status(409).json({
+        success: false,
+        message: holdToken
+          ? 'Your hold on this room has expired, please check availability again'
+          : 'Room is not available for the selected dates'
+      });
+    }
 
-    await booking.save();
-    await booking.populate(['guest', 'room']);
+    // A hold offered from the waitlist closes its entry once this booking is confirmed
+    if (holdToken) {
+      await WaitlistEntry.updateOne({ 'offer.hold': hold._id, status: 'Offered' }, { booking: booking._id });
+    }
 
-    // Update guest statistics if payment successful
-    if (paymentIntent.status === 'succeeded') {
-      await guest.updateStayStats(totalAmount);
-      await guest.addLoyaltyPoints(Math.floor(totalAmount / 10)); // 1 point per $10
+    // Give back what the booking took when it cannot go ahead: the hold, the promo
+    // code redemption and the loyalty points (each only if it was taken)
+    const undo = async reason => {
+      if (promoCode) await PromoCode.release(promoCode._id, booking._id);
+      if (redemption) await loyaltyService.refundRedemption(booking, reason);
+      await RoomHold.release({ booking: booking._id });
+    };
+
+    // Redeem the promo code atomically so its usage caps hold under concurrent bookings
+    if (promoCode && !(await PromoCode.redeem(promoCode._id, { bookingId: booking._id, guestId: guest._id }))) {
+      await RoomHold.release({ booking: booking._id });
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code usage limit reached'
+      });
     }
 
-    // Send confirmation email
-    if (paymentIntent.status === 'succeeded') {
+    let paymentIntent;
+    try {
+      // Take the points off the guest's balance, which fails if they were spent meanwhile
+      if (redemption) {
+        const redeemed = await loyaltyService.redeem(guest, booking);
+        if (redeemed.error) {
+          await undo('Points no longer available');
+          return res.status(400).json({
+            success: false,
+            message: redeemed.error
+          });
+        }
+      }
+
+      // Create and confirm the Stripe payment intent
       try {
-        await sendEmail({
-          to: guest.email,
-          subject: 'Booking Confirmation - The Old Vine Hotel',
-          template: 'bookingConfirmation',
-          context: {
-            guest: guest,
-            booking: booking,
-            room: room
-          }
+        paymentIntent = await paymentService.createBookingPaymentIntent(booking, {
+          amount: chargeAmount,
+          purpose: paymentMode,
+          paymentMethodId,
+          returnUrl
+        });
+      } catch (stripeError) {
+        logger.error('Stripe payment error:', stripeError);
+        await undo('Payment failed');
+        return res.status(400).json({
+          success: false,
+          message: 'Payment processing failed',
+          error: stripeError.message
         });
-        
-        booking.emailConfirmationSent = true;
-        await booking.save();
-      } catch (emailError) {
-        logger.error('Email sending error:', emailError);
       }
+
+      booking.guest = guest;
+      if (byCategory) {
+        booking.roomCategory = roomCategory;
+      } else {
+        booking.room = room;
+      }
+      await paymentService.syncBookingPayment(booking, paymentIntent);
+    } catch (error) {
+      // Nothing may stay taken for a booking that was never saved
+      if (booking.isNew) await undo('Booking failed');
+      throw error;
+    }
+
+    // A declined card frees the room straight away
+    if (['requires_payment_method', 'canceled'].includes(paymentIntent.status)) {
+      await RoomHold.release({ booking: booking._id });
     }
 
     res.status(201).json({
       success: true,
-      message: paymentIntent.status === 'succeeded' 
-        ? 'Booking confirmed successfully' 
-        : 'Booking created, payment processing',
+      message: paymentIntent.status === 'succeeded'
+        ? 'Booking confirmed successfully'
+        : paymentIntent.status === 'requires_action'
+          ? 'Booking created, additional payment authentication required'
+          : 'Booking created, payment processing',
       data: {
         booking,
         paymentIntent: {
           id: paymentIntent.id,
           status: paymentIntent.status,
-          client_secret: paymentIntent.client_secret
+          client_secret: paymentIntent.client_secret,
+          next_action: paymentIntent.next_action || null,
+          requiresAction: paymentIntent.status === 'requires_action'
         }
       }
     });
@@ -315,6 +607,72 @@ router.post('/', [
   }
 });
 
+// @route   GET /api/bookings/stay-times/requests
+// @desc    Early check-in and late check-out requests, earliest day first (Admin only)
+// @access  Private/Admin
+router.get('/stay-times/requests', adminAuth, [
+  query('status').optional().isIn(['Requested', 'Approved', 'Declined', 'Cancelled']),
+  query('type').optional().isIn(Object.keys(StayTimeService.TYPES))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'Requested', type } = req.query;
+    const types = type ? [type] : Object.keys(StayTimeService.TYPES);
+
+    const bookings = await Booking.find({
+      $or: types.map(key => ({ [`${StayTimeService.TYPES[key].field}.status`]: status })),
+      status: { $in: ['Pending', 'Confirmed', 'Checked In'] }
+    })
+      .populate('guest', 'firstName lastName email phone')
+      .populate('room', 'name roomNumber')
+      .populate('roomCategory', 'name');
+
+    const requests = [];
+    for (const booking of bookings) {
+      for (const key of types) {
+        const request = booking[StayTimeService.TYPES[key].field];
+        if (!request || request.status !== status) continue;
+
+        requests.push({
+          type: key,
+          date: key === 'earlyCheckIn' ? booking.checkInDate : booking.checkOutDate,
+          request,
+          booking: {
+            _id: booking._id,
+            bookingNumber: booking.bookingNumber,
+            status: booking.status,
+            guest: booking.guest,
+            room: booking.room,
+            roomCategory: booking.roomCategory,
+            checkInDate: booking.checkInDate,
+            checkOutDate: booking.checkOutDate
+          }
+        });
+      }
+    }
+    requests.sort((a, b) => a.date - b.date);
+
+    res.json({
+      success: true,
+      data: { requests }
+    });
+  } catch (error) {
+    logger.error('Error fetching stay time requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stay time requests'
+    });
+  }
+});
+
 // @route   GET /api/bookings/:bookingNumber
 // @desc    Get booking by booking number
 // @access  Public (with confirmation code) / Private
@@ -330,11 +688,11 @@ router.get('/:bookingNumber', async (req, res) => {
       booking = await Booking.findOne({
         bookingNumber,
         confirmationCode
-      }).populate(['guest', 'room']);
+      }).populate(['guest', 'room', 'roomCategory']);
     } else {
       // Otherwise require authentication (implement auth middleware check here)
       booking = await Booking.findOne({ bookingNumber })
-        .populate(['guest', 'room']);
+        .populate(['guest', 'room', 'roomCategory']);
     }
 
     if (!booking) {
@@ -357,6 +715,40 @@ router.get('/:bookingNumber', async (req, res) => {
   }
 });
 
+// @route   GET /api/bookings/:bookingNumber/cancellation
+// @desc    Preview cancelling a booking: the policy that applies, the fee and the refund
+// @access  Public (with confirmation code)
+router.get('/:bookingNumber/cancellation', async (req, res) => {
+  try {
+    const { confirmationCode } = req.query;
+    const booking = confirmationCode && await Booking.findOne({
+      bookingNumber: req.params.bookingNumber,
+      confirmationCode
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        canBeCancelled: booking.canBeCancelled(),
+        ...booking.getCancellationQuote()
+      }
+    });
+  } catch (error) {
+    logger.error('Error previewing cancellation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while previewing cancellation'
+    });
+  }
+});
+
 // @route   PUT /api/bookings/:bookingNumber/cancel
 // @desc    Cancel a booking
 // @access  Public (with confirmation code)
@@ -380,7 +772,7 @@ router.put('/:bookingNumber/cancel', [
     const booking = await Booking.findOne({
       bookingNumber,
       confirmationCode
-    }).populate(['guest', 'room']);
+    }).populate(['guest', 'room', 'roomCategory']);
 
     if (!booking) {
       return res.status(404).json({
@@ -389,70 +781,25 @@ router.put('/:bookingNumber/cancel', [
       });
     }
 
-    if (!booking.canBeCancelled()) {
+    // The fee is worked out under the terms the booking was sold with, and what was
+    // paid beyond it refunded
+    const result = await bookingStatusService.cancelForGuest(booking, { reason });
+    if (result.error) {
       return res.status(400).json({
         success: false,
-        message: 'Booking cannot be cancelled at this time'
+        message: result.error
       });
     }
 
-    // Calculate cancellation fee
-    const cancellationFee = booking.calculateCancellationFee();
-    const refundAmount = booking.totalAmount - cancellationFee;
-
-    // Process refund with Stripe
-    if (booking.stripePaymentIntentId && refundAmount > 0) {
-      try {
-        await stripe.refunds.create({
-          payment_intent: booking.stripePaymentIntentId,
-          amount: Math.round(refundAmount * 100), // Stripe uses cents
-          metadata: {
-            bookingNumber: bookingNumber,
-            reason: reason || 'Guest cancellation'
-          }
-        });
-      } catch (stripeError) {
-        logger.error('Stripe refund error:', stripeError);
-        return res.status(400).json({
-          success: false,
-          message: 'Refund processing failed'
-        });
-      }
-    }
-
-    // Update booking
-    booking.status = 'Cancelled';
-    booking.cancellationReason = reason;
-    booking.cancellationDate = new Date();
-    booking.cancellationFee = cancellationFee;
-    booking.refundAmount = refundAmount;
-    booking.paymentStatus = refundAmount > 0 ? 'Refunded' : 'Paid';
-
-    await booking.save();
-
-    // Send cancellation email
-    try {
-      await sendEmail({
-        to: booking.guest.email,
-        subject: 'Booking Cancellation - The Old Vine Hotel',
-        template: 'bookingCancellation',
-        context: {
-          guest: booking.guest,
-          booking: booking,
-          room: booking.room,
-          cancellationFee,
-          refundAmount
-        }
-      });
-    } catch (emailError) {
-      logger.error('Cancellation email error:', emailError);
-    }
+    const { cancellation, cancellationFee, refundAmount } = result;
 
     res.json({
       success: true,
       message: 'Booking cancelled successfully',
       data: {
         bookingNumber,
+        cancellationPolicy: cancellation.policy,
+        appliedTier: cancellation.appliedTier,
         cancellationFee,
         refundAmount,
         status: booking.status
@@ -467,127 +814,1869 @@ router.put('/:bookingNumber/cancel', [
   }
 });
 
-// @route   GET /api/bookings
-// @desc    Get all bookings (Admin only)
-// @access  Private/Admin
-router.get('/', adminAuth, async (req, res) => {
+// Describe a stay for the modification history and email
+const describeGuests = guests => `${guests.adults} adult(s)${guests.children ? `, ${guests.children} child(ren)` : ''}`;
+const describeAddOns = addOns => addOns.map(addOn => `${addOn.description || addOn.service} x${addOn.quantity || 1}`);
+
+// @route   GET /api/bookings/:bookingNumber/stay-times
+// @desc    Early check-in and late check-out times on offer for a booking, with their fees and any request made
+// @access  Public (with confirmation code)
+router.get('/:bookingNumber/stay-times', async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      status,
-      checkInDate,
-      checkOutDate,
-      guestEmail,
-      roomType,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
+    const { confirmationCode } = req.query;
+    const booking = confirmationCode && await Booking.findOne({
+      bookingNumber: req.params.bookingNumber,
+      confirmationCode
+    });
 
-    // Build filter
-    let filter = {};
-    
-    if (status) filter.status = status;
-    if (guestEmail) {
-      const guest = await Guest.findOne({ email: guestEmail });
-      if (guest) filter.guest = guest._id;
-    }
-    
-    if (checkInDate || checkOutDate) {
-      filter.checkInDate = {};
-      if (checkInDate) filter.checkInDate.$gte = new Date(checkInDate);
-      if (checkOutDate) filter.checkInDate.$lte = new Date(checkOutDate);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
     }
 
-    // Build aggregation pipeline for room type filter
-    let aggregationPipeline = [{ $match: filter }];
-    
-    if (roomType) {
-      aggregationPipeline.push(
-        {
-          $lookup: {
-            from: 'rooms',
-            localField: 'room',
-            foreignField: '_id',
-            as: 'roomData'
-          }
+    const settings = await SiteSettings.getSiteSettings();
+
+    res.json({
+      success: true,
+      data: {
+        standard: stayTimeService.standardTimes(settings),
+        times: booking.getStayTimes(settings.hotel.businessHours),
+        earlyCheckIn: {
+          options: stayTimeService.listOptions(booking, 'earlyCheckIn', settings),
+          request: booking.earlyCheckInRequest
         },
-        {
-          $match: {
-            'roomData.type': roomType
-          }
+        lateCheckOut: {
+          options: stayTimeService.listOptions(booking, 'lateCheckOut', settings),
+          request: booking.lateCheckOutRequest
         }
-      );
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching stay times:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stay times'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:bookingNumber/stay-times
+// @desc    Request an early check-in and/or late check-out, for the front desk to approve
+// @access  Public (with confirmation code)
+router.post('/:bookingNumber/stay-times', [
+  body('confirmationCode').notEmpty().withMessage('Confirmation code is required'),
+  body('earlyCheckInTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Early check-in time must be HH:mm'),
+  body('lateCheckOutTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Late check-out time must be HH:mm'),
+  body('lateCheckOutTime').custom((value, { req }) => {
+    if (!value && !req.body.earlyCheckInTime) {
+      throw new Error('An early check-in or late check-out time is required');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { confirmationCode, earlyCheckInTime, lateCheckOutTime } = req.body;
+    const booking = await Booking.findOne({
+      bookingNumber: req.params.bookingNumber,
+      confirmationCode
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Arrival times can be asked for until the guest arrives, departure times until they leave
+    const open = earlyCheckInTime ? ['Pending', 'Confirmed'] : ['Pending', 'Confirmed', 'Checked In'];
+    if (!open.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: earlyCheckInTime
+          ? 'Early check-in can only be requested before arrival'
+          : 'Late check-out can only be requested before departure'
+      });
+    }
+
+    const settings = await SiteSettings.getSiteSettings();
+    const requested = { earlyCheckIn: earlyCheckInTime, lateCheckOut: lateCheckOutTime };
+
+    for (const [type, time] of Object.entries(requested)) {
+      if (!time) continue;
+
+      const result = await stayTimeService.request(booking, type, time, settings);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+    }
+
+    await booking.save();
+
+    logger.bookingLog('Stay times requested', {
+      bookingNumber: booking.bookingNumber,
+      earlyCheckIn: earlyCheckInTime,
+      lateCheckOut: lateCheckOutTime
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Request received. We will confirm it by email.',
+      data: {
+        earlyCheckIn: booking.earlyCheckInRequest,
+        lateCheckOut: booking.lateCheckOutRequest
+      }
+    });
+  } catch (error) {
+    logger.error('Error requesting stay times:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting stay times'
+    });
+  }
+});
+
+// @route   GET /api/bookings/:bookingNumber/pre-checkin
+// @desc    Online check-in status, the terms to accept and the ID details on file
+// @access  Public (with confirmation code)
+router.get('/:bookingNumber/pre-checkin', async (req, res) => {
+  try {
+    const { confirmationCode } = req.query;
+    const booking = confirmationCode && await Booking.findOne({
+      bookingNumber: req.params.bookingNumber,
+      confirmationCode
+    }).populate('guest');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const settings = await SiteSettings.getSiteSettings();
+    const closedReason = preCheckInService.checkOpen(booking, settings);
+
+    res.json({
+      success: true,
+      data: {
+        open: !closedReason,
+        closedReason,
+        opensAt: preCheckInService.opensAt(booking, settings),
+        completed: booking.isPreCheckedIn,
+        preCheckIn: booking.preCheckIn,
+        policies: preCheckInService.policiesFor(booking, settings),
+        requireIdDocument: settings.booking.preCheckIn.requireIdDocument,
+        checkInTime: booking.getStayTimes(settings.hotel.businessHours).checkIn,
+        identity: preCheckInService.describeIdentity(booking.guest),
+        requiredDetails: guestRegistrationService.describeMissing(
+          guestRegistrationService.missingFields(booking.guest, settings)
+        )
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching online check-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching online check-in'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:bookingNumber/pre-checkin
+// @desc    Check in online before arrival: ID details, an optional ID document (multipart field idDocument), arrival time and acceptance of the terms
+// @access  Public (with confirmation code)
+router.post('/:bookingNumber/pre-checkin', idDocumentUpload, [
+  body('confirmationCode').notEmpty().withMessage('Confirmation code is required'),
+  ...identityValidation(true),
+  body('arrivalTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Arrival time must be HH:mm'),
+  body('acceptPolicies').custom(value => {
+    if (value !== true && value !== 'true') {
+      throw new Error('The hotel policies must be accepted');
+    }
+    return true;
+  })
+], async (req, res) => {
+  // An upload is only kept once the check-in is saved
+  let keepUpload = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { confirmationCode, idExpiryDate, arrivalTime } = req.body;
+    const booking = await Booking.findOne({
+      bookingNumber: req.params.bookingNumber,
+      confirmationCode
+    }).populate('guest');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const settings = await SiteSettings.getSiteSettings();
+    const closedReason = preCheckInService.checkOpen(booking, settings);
+    if (closedReason) {
+      return res.status(400).json({
+        success: false,
+        message: closedReason
+      });
+    }
+
+    if (new Date(idExpiryDate) < booking.checkOutDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'The ID expires before the end of the stay'
+      });
+    }
+
+    const guest = booking.guest;
+    const hasDocument = !!req.file || !!(guest.idDocument && guest.idDocument.filename);
+    if (settings.booking.preCheckIn.requireIdDocument && !hasDocument) {
+      return res.status(400).json({
+        success: false,
+        message: 'A copy of the ID is required'
+      });
+    }
+
+    applyIdentity(guest, req.body);
+
+    // Everything the hotel must register the guest with has to be given
+    const missing = guestRegistrationService.missingFields(guest, settings);
+    if (missing.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide: ${guestRegistrationService.describeMissing(missing).join(', ')}`,
+        data: { missing }
+      });
+    }
+
+    if (req.file) {
+      const previous = guest.idDocument && guest.idDocument.filename;
+      guest.idDocument = {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        uploadedAt: new Date()
+      };
+      await guest.save();
+      keepUpload = true;
+      preCheckInService.removeDocument(previous);
+    } else {
+      await guest.save();
+    }
+
+    booking.preCheckIn = {
+      completedAt: new Date(),
+      arrivalTime,
+      policiesAccepted: preCheckInService.policiesFor(booking, settings),
+      policiesAcceptedAt: new Date(),
+      idDocumentProvided: hasDocument,
+      ipAddress: req.ip
+    };
+    await booking.save();
+
+    logger.bookingLog('Guest checked in online', {
+      bookingNumber: booking.bookingNumber,
+      arrivalTime,
+      idDocumentProvided: hasDocument
+    });
+
+    res.json({
+      success: true,
+      message: 'Online check-in complete. Your key will be ready at the desk.',
+      data: {
+        preCheckIn: booking.preCheckIn,
+        identity: preCheckInService.describeIdentity(guest)
+      }
+    });
+  } catch (error) {
+    logger.error('Error completing online check-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while completing online check-in'
+    });
+  } finally {
+    if (req.file && !keepUpload) {
+      preCheckInService.removeDocument(req.file.filename);
+    }
+  }
+});
+
+// @route   PUT /api/bookings/:bookingNumber/modify
+// @desc    Change the dates, occupancy, room category or add-ons of a booking
+// @access  Public (with confirmation code)
+router.put('/:bookingNumber/modify', [
+  body('confirmationCode').notEmpty().withMessage('Confirmation code is required'),
+  body('checkInDate').optional().isISO8601().withMessage('Valid check-in date is required'),
+  body('checkOutDate').optional().isISO8601().withMessage('Valid check-out date is required'),
+  body('numberOfGuests.adults').optional().isInt({ min: 1 }).withMessage('At least 1 adult required'),
+  body('numberOfGuests.children').optional().isInt({ min: 0 }),
+  body('roomCategoryId').optional().isMongoId().withMessage('Valid room category ID is required'),
+  body('addOns').optional().isArray().withMessage('Add-ons must be a list'),
+  body('addOns.*.code').optional().notEmpty().withMessage('Add-on code is required'),
+  body('addOns.*.quantity').optional().isInt({ min: 1 }).withMessage('Add-on quantity must be at least 1'),
+  body('paymentMethodId').optional().notEmpty(),
+  body('returnUrl').optional().isURL({ require_tld: false })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { bookingNumber } = req.params;
+    const {
+      confirmationCode,
+      checkInDate,
+      checkOutDate,
+      numberOfGuests,
+      roomCategoryId,
+      addOns,
+      paymentMethodId,
+      returnUrl
+    } = req.body;
+
+    const booking = await Booking.findOne({
+      bookingNumber,
+      confirmationCode
+    }).populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!['Pending', 'Confirmed'].includes(booking.status) || booking.checkInDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking can no longer be modified'
+      });
+    }
+
+    const checkIn = checkInDate ? new Date(checkInDate) : booking.checkInDate;
+    const checkOut = checkOutDate ? new Date(checkOutDate) : booking.checkOutDate;
+    const guests = numberOfGuests
+      ? {
+        adults: Number(numberOfGuests.adults || booking.numberOfGuests.adults),
+        children: Number(numberOfGuests.children != null ? numberOfGuests.children : booking.numberOfGuests.children || 0)
+      }
+      : { adults: booking.numberOfGuests.adults, children: booking.numberOfGuests.children || 0 };
+    const totalGuests = guests.adults + guests.children;
+
+    if (checkIn >= checkOut) {
+      return res.status(400).json({ success: false, message: 'Check-out date must be after check-in date' });
+    }
+    if (checkIn < new Date()) {
+      return res.status(400).json({ success: false, message: 'Check-in date cannot be in the past' });
+    }
+
+    // Stay in the same room unless another category was asked for. A new category
+    // (like a booking that has no room yet) is sold from the category's inventory and
+    // priced on its cheapest room; the room is assigned at the desk.
+    const currentCategory = booking.roomCategory
+      ? booking.roomCategory._id
+      : booking.room && booking.room.category;
+    const changesCategory = roomCategoryId && (!currentCategory || roomCategoryId !== currentCategory.toString());
+    let room = booking.room;
+    let roomCategory = booking.roomCategory;
+    let pricingRoom = room;
+
+    if (changesCategory || !room) {
+      roomCategory = await RoomCategory.findById(changesCategory ? roomCategoryId : currentCategory);
+      if (!roomCategory || !roomCategory.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Room category not found'
+        });
+      }
+
+      const representative = await RoomCategory.findRepresentativeRoom(roomCategory._id, totalGuests);
+      const { available } = await RoomCategory.getAvailability(roomCategory._id, checkIn, checkOut, { excludeBookingId: booking._id });
+      if (!representative || available < 1) {
+        return res.status(400).json({
+          success: false,
+          message: `No ${roomCategory.name} room is available for these dates`
+        });
+      }
+
+      room = null;
+      pricingRoom = representative;
+    } else {
+      if (room.maxOccupancy < totalGuests) {
+        return res.status(400).json({
+          success: false,
+          message: `Room can accommodate maximum ${room.maxOccupancy} guests`
+        });
+      }
+      if (!(await room.isAvailable(checkIn, checkOut, booking._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Room is not available for the selected dates'
+        });
+      }
+    }
+
+    // A new add-on selection replaces the booked one; otherwise the booked add-ons are kept as priced
+    const pricingConfig = await pricingService.getConfig();
+    let addOnLines;
+    if (addOns) {
+      const priced = pricingService.priceAddOns(addOns, {
+        numberOfNights: Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24)),
+        numberOfGuests: guests,
+        config: pricingConfig
+      });
+      if (priced.error) {
+        return res.status(400).json({
+          success: false,
+          message: priced.error
+        });
+      }
+      addOnLines = priced.addOns;
+    }
+
+    const repriced = await pricingService.repriceBooking(booking, {
+      room: pricingRoom,
+      checkIn,
+      checkOut,
+      numberOfGuests: guests,
+      addOns: addOnLines,
+      config: pricingConfig
+    });
+    if (repriced.error) {
+      return res.status(400).json({
+        success: false,
+        message: repriced.error,
+        restrictions: repriced.restrictions
+      });
+    }
+
+    // Record what changed before the booking is updated
+    const changes = {};
+    if (checkIn.getTime() !== booking.checkInDate.getTime()) {
+      changes.checkInDate = { from: booking.checkInDate, to: checkIn };
+    }
+    if (checkOut.getTime() !== booking.checkOutDate.getTime()) {
+      changes.checkOutDate = { from: booking.checkOutDate, to: checkOut };
+    }
+    if (guests.adults !== booking.numberOfGuests.adults || guests.children !== (booking.numberOfGuests.children || 0)) {
+      changes.numberOfGuests = { from: describeGuests(booking.numberOfGuests), to: describeGuests(guests) };
+    }
+    if (changesCategory) {
+      changes.roomCategory = {
+        from: booking.roomCategory ? booking.roomCategory.name : booking.room.name,
+        to: roomCategory.name
+      };
+    }
+    if (addOnLines) {
+      changes.addOns = { from: describeAddOns(booking.addOns), to: describeAddOns(addOnLines) };
+    }
+
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No changes requested'
+      });
+    }
+
+    // Early check-in and late check-out were checked for the old arrival and departure days
+    if (changes.checkInDate || changes.roomCategory) {
+      stayTimeService.cancel(booking, 'earlyCheckIn', 'Booking changed');
+    }
+    if (changes.checkOutDate || changes.roomCategory) {
+      stayTimeService.cancel(booking, 'lateCheckOut', 'Booking changed');
+    }
+
+    const previousTotal = booking.totalAmount;
+    const previous = {
+      totalAmount: booking.totalAmount,
+      fees: booking.fees,
+      nightlyRates: booking.nightlyRates.map(night => ({ date: night.date, rate: night.rate })),
+      checkInDate: booking.checkInDate
+    };
+
+    Object.assign(booking, {
+      room,
+      roomCategory,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      numberOfGuests: guests
+    });
+    if (changesCategory) booking.roomAssignment = undefined;
+    pricingService.applyQuote(booking, repriced.quote, pricingConfig);
+    // What the change takes off the booking is cancelled under its terms
+    const changeFee = booking.applyChangeFee(previous);
+
+    // Refund anything paid beyond the new total, or collect what is now due on a paid booking
+    const overpaid = roundMoney(booking.amountPaid - booking.totalAmount);
+    let amountRefunded = 0;
+    let refundFailed = false;
+    let paymentIntent = null;
+
+    if (overpaid <= 0 && booking.amountPaid > 0 && booking.amountDueNow > 0) {
+      if (!paymentMethodId) {
+        return res.status(400).json({
+          success: false,
+          message: `A payment method is required to pay the difference of ${formatMoney(booking.amountDueNow, booking.currencySymbol)}`,
+          data: { amountDue: booking.amountDueNow }
+        });
+      }
+
+      try {
+        paymentIntent = await paymentService.createBookingPaymentIntent(booking, {
+          amount: booking.amountDueNow,
+          purpose: 'Balance',
+          paymentMethodId,
+          returnUrl
+        });
+      } catch (stripeError) {
+        logger.error('Stripe payment error:', stripeError);
+        return res.status(400).json({
+          success: false,
+          message: 'Payment processing failed',
+          error: stripeError.message
+        });
+      }
+      booking.recordPaymentIntent(paymentIntent);
+    }
+
+    const amountCharged = paymentIntent && paymentIntent.status === 'succeeded'
+      ? booking.payments[booking.payments.length - 1].amount
+      : 0;
+
+    booking.modifications.push({
+      modifiedBy: 'Guest',
+      changes,
+      previousTotal,
+      newTotal: booking.totalAmount,
+      amountCharged,
+      changeFee,
+      stripePaymentIntentId: paymentIntent ? paymentIntent.id : undefined
+    });
+
+    await booking.save();
+
+    // The refund follows the saved change, so a failed save never leaves money refunded
+    // on a booking that kept its old stay. Refunds that went through before one failed
+    // are recorded; the rest stays on the booking as a credit for staff to refund.
+    if (overpaid > 0) {
+      const refundedBefore = booking.amountRefunded;
+      try {
+        await paymentService.refundBookingPayments(booking, overpaid, {
+          bookingNumber,
+          reason: 'Booking modification'
+        });
+      } catch (stripeError) {
+        logger.error('Stripe refund error:', stripeError);
+        refundFailed = true;
+      }
+      amountRefunded = roundMoney(booking.amountRefunded - refundedBefore);
+      booking.modifications[booking.modifications.length - 1].amountRefunded = amountRefunded;
+      await booking.save();
+
+      if (refundFailed) {
+        logger.paymentLog('Modification refund failed', {
+          bookingNumber,
+          refundDue: roundMoney(overpaid - amountRefunded)
+        });
+      }
+    }
+
+    await refreshReservationTotals(booking);
+
+    logger.bookingLog('Booking modified by guest', {
+      bookingNumber,
+      changes: Object.keys(changes),
+      previousTotal,
+      totalAmount: booking.totalAmount,
+      changeFee,
+      amountCharged,
+      amountRefunded,
+      paymentIntentId: paymentIntent && paymentIntent.id
+    });
+
+    try {
+      await sendEmail({
+        to: booking.guest.email,
+        subject: 'Booking Modification - The Old Vine Hotel',
+        template: 'bookingModification',
+        context: {
+          guest: booking.guest,
+          booking,
+          room,
+          changes,
+          previousTotal,
+          changeFee,
+          amountCharged,
+          amountRefunded
+        }
+      });
+    } catch (emailError) {
+      logger.error('Modification email error:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: refundFailed
+        ? 'Booking modified, but the refund could not be processed. Our team will refund the difference.'
+        : paymentIntent && paymentIntent.status === 'requires_action'
+          ? 'Booking updated, additional payment authentication required'
+          : 'Booking modified successfully',
+      data: {
+        booking,
+        changes,
+        previousTotal,
+        changeFee,
+        amountCharged,
+        amountRefunded,
+        refundDue: refundFailed ? roundMoney(overpaid - amountRefunded) : 0,
+        paymentIntent: paymentIntent && {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          client_secret: paymentIntent.client_secret,
+          next_action: paymentIntent.next_action || null,
+          requiresAction: paymentIntent.status === 'requires_action'
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error modifying booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while modifying booking'
+    });
+  }
+});
+
+// @route   GET /api/bookings
+// @desc    Get all bookings (Admin only)
+// @access  Private/Admin
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      checkInDate,
+      checkOutDate,
+      guestEmail,
+      roomType,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Build filter
+    let filter = {};
+    
+    if (status) filter.status = status;
+    if (guestEmail) {
+      const guest = await Guest.findOne({ email: guestEmail });
+      if (guest) filter.guest = guest._id;
+    }
+    
+    if (checkInDate || checkOutDate) {
+      filter.checkInDate = {};
+      if (checkInDate) filter.checkInDate.$gte = new Date(checkInDate);
+      if (checkOutDate) filter.checkInDate.$lte = new Date(checkOutDate);
+    }
+
+    // Build aggregation pipeline for room type filter
+    let aggregationPipeline = [{ $match: filter }];
+    
+    if (roomType) {
+      aggregationPipeline.push(
+        {
+          $lookup: {
+            from: 'rooms',
+            localField: 'room',
+            foreignField: '_id',
+            as: 'roomData'
+          }
+        },
+        {
+          $match: {
+            'roomData.type': roomType
+          }
+        }
+      );
+    }
+
+    // Add pagination and sorting
+    const sortOptions = {};
+    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    
+    aggregationPipeline.push(
+      { $sort: sortOptions },
+      { $skip: (parseInt(page) - 1) * parseInt(limit) },
+      { $limit: parseInt(limit) },
+      {
+        $lookup: {
+          from: 'guests',
+          localField: 'guest',
+          foreignField: '_id',
+          as: 'guest'
+        }
+      },
+      {
+        $lookup: {
+          from: 'rooms',
+          localField: 'room',
+          foreignField: '_id',
+          as: 'room'
+        }
+      },
+      {
+        $lookup: {
+          from: 'roomcategories',
+          localField: 'roomCategory',
+          foreignField: '_id',
+          as: 'roomCategory'
+        }
+      },
+      {
+        $unwind: '$guest'
+      },
+      // Bookings sold by category have no room until one is assigned
+      {
+        $unwind: { path: '$room', preserveNullAndEmptyArrays: true }
+      },
+      {
+        $unwind: { path: '$roomCategory', preserveNullAndEmptyArrays: true }
+      }
+    );
+
+    const [bookings, totalCount] = await Promise.all([
+      Booking.aggregate(aggregationPipeline),
+      Booking.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        bookings,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching bookings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bookings'
+    });
+  }
+});
+
+// @route   GET /api/bookings/:id/room-options
+// @desc    Rooms free for a booking's stay in its category, best match for the guest's preferences first (Admin only)
+// @access  Private/Admin
+router.get('/:id/room-options', adminAuth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const options = await roomAssignmentService.findRoomOptions(booking);
+
+    res.json({
+      success: true,
+      data: {
+        assignedRoom: booking.room,
+        options: options.map(({ room, score, matches }) => ({
+          room: {
+            _id: room._id,
+            name: room.name,
+            roomNumber: room.roomNumber,
+            floor: room.floor,
+            bedType: room.bedType,
+            view: room.view,
+            smokingAllowed: room.smokingAllowed,
+            cleaningStatus: room.cleaningStatus
+          },
+          score,
+          matches
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching room options:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching room options'
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/assign-room
+// @desc    Assign a specific room to a booking, or the best free room with { auto: true } (Admin only)
+// @access  Private/Admin
+router.put('/:id/assign-room', adminAuth, [
+  body('roomId').optional().isMongoId().withMessage('Valid room ID is required'),
+  body('auto').optional().isBoolean(),
+  body('roomId').custom((value, { req }) => {
+    if (!value && !req.body.auto) {
+      throw new Error('A room ID or auto assignment is required');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id)
+      .populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!['Pending', 'Confirmed'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rooms can only be assigned to pending or confirmed bookings'
+      });
+    }
+
+    const previousRoom = booking.room;
+    let room;
+
+    if (req.body.roomId) {
+      room = await Room.findById(req.body.roomId);
+      if (!room || !room.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Room not found'
+        });
+      }
+
+      const categoryId = booking.roomCategory ? booking.roomCategory._id : previousRoom && previousRoom.category;
+      if (categoryId && (!room.category || !room.category.equals(categoryId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Room is not in the booked room category'
+        });
+      }
+
+      const totalGuests = booking.numberOfGuests.adults + (booking.numberOfGuests.children || 0);
+      if (room.maxOccupancy < totalGuests) {
+        return res.status(400).json({
+          success: false,
+          message: `Room can accommodate maximum ${room.maxOccupancy} guests`
+        });
+      }
+
+      if (!(await room.isFree(booking.checkInDate, booking.checkOutDate, booking._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Room is not available for the booked dates'
+        });
+      }
+
+      roomAssignmentService.assignRoom(booking, room, { method: 'Front Desk', adminId: req.admin.id });
+    } else {
+      room = await roomAssignmentService.autoAssign(booking, { adminId: req.admin.id });
+      if (!room) {
+        return res.status(400).json({
+          success: false,
+          message: 'No room in the booked category is free for these dates'
+        });
+      }
+    }
+
+    await booking.save();
+
+    logger.bookingLog('Room assigned', {
+      bookingNumber: booking.bookingNumber,
+      room: room.roomNumber,
+      previousRoom: previousRoom ? previousRoom.roomNumber : null,
+      method: booking.roomAssignment.method,
+      admin: req.admin.email
+    });
+
+    res.json({
+      success: true,
+      message: `Room ${room.roomNumber} assigned`,
+      data: booking
+    });
+  } catch (error) {
+    logger.error('Error assigning room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning room'
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/stay-times/:type
+// @desc    Approve or decline an early check-in (earlyCheckIn) or late check-out (lateCheckOut) request (Admin only)
+// @access  Private/Admin
+router.put('/:id/stay-times/:type', adminAuth, [
+  param('type').isIn(Object.keys(StayTimeService.TYPES)).withMessage('Type must be earlyCheckIn or lateCheckOut'),
+  body('status').isIn(['Approved', 'Declined']).withMessage('Status must be Approved or Declined'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id)
+      .populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { type } = req.params;
+    const settings = await SiteSettings.getSiteSettings();
+    const result = await stayTimeService.decide(booking, type, {
+      status: req.body.status,
+      adminId: req.admin.id,
+      note: req.body.note
+    }, settings);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await booking.save();
+
+    const { label } = StayTimeService.TYPES[type];
+    logger.bookingLog(`${label} ${result.request.status.toLowerCase()}`, {
+      bookingNumber: booking.bookingNumber,
+      time: result.request.time,
+      fee: result.request.fee,
+      admin: req.admin.email
+    });
+
+    try {
+      await sendEmail({
+        to: booking.guest.email,
+        subject: `${label} - The Old Vine Hotel`,
+        template: 'stayTimeDecision',
+        context: {
+          guest: booking.guest,
+          booking,
+          room: booking.room,
+          type,
+          label,
+          request: result.request
+        }
+      });
+    } catch (emailError) {
+      logger.error('Stay time email error:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: `${label} ${result.request.status.toLowerCase()}`,
+      data: {
+        request: result.request,
+        times: booking.getStayTimes(settings.hotel.businessHours)
+      }
+    });
+  } catch (error) {
+    logger.error('Error deciding stay time request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating request'
+    });
+  }
+});
+
+// @route   GET /api/bookings/:id/id-document
+// @desc    View the ID document the guest uploaded with online check-in (Admin only)
+// @access  Private/Admin
+router.get('/:id/id-document', adminAuth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('guest');
+    const document = booking && booking.guest && booking.guest.idDocument;
+
+    if (!document || !document.filename) {
+      return res.status(404).json({
+        success: false,
+        message: 'No ID document on file'
+      });
+    }
+
+    logger.bookingLog('ID document viewed', {
+      bookingNumber: booking.bookingNumber,
+      admin: req.admin.email
+    });
+
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Disposition': `inline; filename="${path.basename(document.originalName || document.filename).replace(/"/g, '')}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.sendFile(preCheckInService.documentPath(document.filename), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'ID document file not found'
+        });
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching ID document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ID document'
+    });
+  }
+});
+
+// @route   GET /api/bookings/:id/history
+// @desc    Change history of a booking, latest first: status changes and edits with who made them and the values before and after (Admin only)
+// @access  Private/Admin
+router.get('/:id/history', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid booking ID'),
+  query('type').optional().isIn(['Created', 'Status Changed', 'Updated']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id).select('bookingNumber status');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { type, page = 1, limit = 50 } = req.query;
+    const filter = { booking: booking._id };
+    if (type) filter.type = type;
+
+    const [events, totalCount] = await Promise.all([
+      BookingEvent.find(filter)
+        .populate('actor.admin', 'firstName lastName email')
+        .populate('actor.guest', 'firstName lastName email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      BookingEvent.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        booking: {
+          _id: booking._id,
+          bookingNumber: booking.bookingNumber,
+          status: booking.status
+        },
+        events,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching booking history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching booking history'
+    });
+  }
+});
+
+// Why a booking cannot be accepted or declined as a booking request, or null when it can.
+// Pending bookings paid online are confirmed by their payment instead.
+const checkBookingRequest = (booking, status) => {
+  const blocked = booking.checkTransition(status);
+  if (blocked) return blocked;
+  if (booking.stripePaymentIntentId) {
+    return 'This booking is awaiting its online payment, not a decision';
+  }
+  return null;
+};
+
+// @route   PUT /api/bookings/:id/confirm
+// @desc    Accept a booking request while its room is still free, emailing the guest the confirmation (Admin only)
+// @access  Private/Admin
+router.put('/:id/confirm', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid booking ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id)
+      .populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const blocked = checkBookingRequest(booking, 'Confirmed');
+    if (blocked) {
+      return res.status(400).json({
+        success: false,
+        message: blocked
+      });
+    }
+
+    if (booking.checkInDate < startOfDay()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The arrival date has passed. Decline the request instead.'
+      });
+    }
+
+    // Requests do not block rooms, so the stay may have been sold since. A room's
+    // category must also still have a room once its unassigned bookings are counted.
+    const { checkInDate, checkOutDate } = booking;
+    const category = booking.room ? booking.room.category : booking.roomCategory;
+    let free = !booking.room || !(await booking.room.isBooked(checkInDate, checkOutDate, booking._id));
+    if (free && category) {
+      const { available } = await RoomCategory.getAvailability(
+        category._id || category, checkInDate, checkOutDate, { excludeBookingId: booking._id }
+      );
+      free = available > 0;
+    }
+    if (!free) {
+      return res.status(409).json({
+        success: false,
+        message: 'The room is no longer available for these dates'
+      });
+    }
+
+    await bookingStatusService.transition(booking, 'Confirmed');
+
+    logger.bookingLog('Booking request confirmed', {
+      bookingNumber: booking.bookingNumber,
+      admin: req.admin.email
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking request confirmed',
+      data: booking
+    });
+  } catch (error) {
+    logger.error('Error confirming booking request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming booking request'
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/reject
+// @desc    Decline a booking request with a reason, emailing the guest (Admin only)
+// @access  Private/Admin
+router.put('/:id/reject', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid booking ID'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id)
+      .populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const blocked = checkBookingRequest(booking, 'Cancelled');
+    if (blocked) {
+      return res.status(400).json({
+        success: false,
+        message: blocked
+      });
+    }
+
+    const { reason } = req.body;
+    await bookingStatusService.transition(booking, 'Cancelled', { reason });
+
+    try {
+      await sendEmail({
+        to: booking.guest.email,
+        subject: 'Your Booking Request - The Old Vine Hotel',
+        template: 'bookingRequestDeclined',
+        context: {
+          guest: booking.guest,
+          booking,
+          room: booking.room,
+          reason
+        }
+      });
+    } catch (emailError) {
+      logger.error('Booking request email error:', emailError);
+    }
+
+    logger.bookingLog('Booking request declined', {
+      bookingNumber: booking.bookingNumber,
+      admin: req.admin.email,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking request declined',
+      data: booking
+    });
+  } catch (error) {
+    logger.error('Error declining booking request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while declining booking request'
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/checkin
+// @desc    Check in a guest (one click after online check-in, else with ID details), assigning the best free room when none is assigned yet (Admin only)
+// @access  Private/Admin
+router.put('/:id/checkin', adminAuth, identityValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
     }
 
-    // Add pagination and sorting
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-    
-    aggregationPipeline.push(
-      { $sort: sortOptions },
-      { $skip: (parseInt(page) - 1) * parseInt(limit) },
-      { $limit: parseInt(limit) },
-      {
-        $lookup: {
-          from: 'guests',
-          localField: 'guest',
-          foreignField: '_id',
-          as: 'guest'
-        }
-      },
-      {
-        $lookup: {
-          from: 'rooms',
-          localField: 'room',
-          foreignField: '_id',
-          as: 'room'
-        }
-      },
-      {
-        $unwind: '$guest'
-      },
-      {
-        $unwind: '$room'
+    const booking = await Booking.findById(req.params.id)
+      .populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const blocked = booking.checkTransition('Checked In');
+    if (blocked) {
+      return res.status(400).json({
+        success: false,
+        message: blocked
+      });
+    }
+
+    // ID details given at the desk, or confirmation that the online ones were checked
+    if (['idType', 'idNumber', 'idExpiryDate', 'nationality', 'dateOfBirth', 'address'].some(key => req.body[key])) {
+      applyIdentity(booking.guest, req.body);
+      await booking.guest.save();
+    }
+
+    // The guest must be registrable with the authorities before getting a key
+    const settings = await SiteSettings.getSiteSettings();
+    const missing = guestRegistrationService.missingFields(booking.guest, settings);
+    if (settings.guestRegistration.requiredForCheckIn && missing.length) {
+      const labels = guestRegistrationService.describeMissing(missing);
+      return res.status(400).json({
+        success: false,
+        message: `Guest registration details are missing: ${labels.join(', ')}`,
+        data: { missing, labels }
+      });
+    }
+
+    if (booking.isPreCheckedIn) {
+      booking.preCheckIn.verifiedBy = req.admin.id;
+      booking.preCheckIn.verifiedAt = new Date();
+    }
+
+    if (!booking.room) {
+      const assigned = await roomAssignmentService.autoAssign(booking, { adminId: req.admin.id });
+      if (!assigned) {
+        return res.status(400).json({
+          success: false,
+          message: 'No room in the booked category is free. Assign a room before checking in.'
+        });
+      }
+
+      logger.bookingLog('Room assigned at check-in', {
+        bookingNumber: booking.bookingNumber,
+        room: assigned.roomNumber,
+        admin: req.admin.email
+      });
+    }
+
+    // Charge an approved early check-in to the folio
+    if (booking.earlyCheckIn) {
+      const folio = await Folio.findOrCreateForBooking(booking);
+      if (stayTimeService.postFee(booking, 'earlyCheckIn', folio)) {
+        await folio.save();
+      }
+    }
+
+    // Check in, which marks the room occupied
+    await bookingStatusService.transition(booking, 'Checked In');
+
+    res.json({
+      success: true,
+      message: 'Guest checked in successfully',
+      data: booking
+    });
+  } catch (error) {
+    logger.error('Error checking in guest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during check-in'
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/move-room
+// @desc    Move an in-house guest to another room for the rest of the stay (Admin only)
+// @access  Private/Admin
+router.put('/:id/move-room', adminAuth, [
+  body('roomId').isMongoId().withMessage('Valid room ID is required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long'),
+  body('keepRate').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId, reason } = req.body;
+    const keepRate = req.body.keepRate === true || req.body.keepRate === 'true';
+
+    const booking = await Booking.findById(req.params.id)
+      .populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.status !== 'Checked In') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only checked-in guests can be moved. Use room assignment before arrival.'
+      });
+    }
+
+    const fromRoom = booking.room;
+    const room = await Room.findById(roomId);
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    if (fromRoom && room._id.equals(fromRoom._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Guest is already in this room'
+      });
+    }
+
+    const totalGuests = booking.numberOfGuests.adults + (booking.numberOfGuests.children || 0);
+    if (room.maxOccupancy < totalGuests) {
+      return res.status(400).json({
+        success: false,
+        message: `Room can accommodate maximum ${room.maxOccupancy} guests`
+      });
+    }
+
+    // The guest sleeps in the new room from tonight to the end of the stay
+    const effectiveDate = new Date(Math.max(startOfDay(), booking.checkInDate));
+    if (effectiveDate >= booking.checkOutDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'The stay has no nights left to move'
+      });
+    }
+
+    if (!(await room.isAvailable(effectiveDate, booking.checkOutDate, booking._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Room is not available for the rest of the stay'
+      });
+    }
+
+    const previousTotal = booking.totalAmount;
+
+    // Unless the guest keeps the original rate, the remaining nights are charged at the new room's price
+    if (!keepRate) {
+      const pricingConfig = await pricingService.getConfig();
+      const { quote } = await pricingService.repriceRemainingStay(booking, {
+        room,
+        from: effectiveDate,
+        checkOut: booking.checkOutDate,
+        config: pricingConfig
+      });
+      pricingService.applyQuote(booking, quote, pricingConfig);
+    }
+
+    roomAssignmentService.assignRoom(booking, room, { method: 'Front Desk', adminId: req.admin.id });
+    booking.roomMoves.push({
+      fromRoom: fromRoom && fromRoom._id,
+      toRoom: room._id,
+      effectiveDate,
+      reason,
+      keepRate,
+      previousTotal,
+      newTotal: booking.totalAmount,
+      movedBy: req.admin.id
+    });
+    await booking.save();
+
+    await refreshReservationTotals(booking);
+
+    // The room the guest left needs cleaning before it is sold again
+    if (fromRoom) {
+      await Room.updateOne(
+        { _id: fromRoom._id },
+        { $set: { status: 'Available', cleaningStatus: 'Dirty', lastCleaning: new Date() } }
+      );
+    }
+    room.status = 'Occupied';
+    await room.save();
+
+    logger.bookingLog('Guest moved to another room', {
+      bookingNumber: booking.bookingNumber,
+      fromRoom: fromRoom ? fromRoom.roomNumber : null,
+      toRoom: room.roomNumber,
+      effectiveDate,
+      keepRate,
+      previousTotal,
+      totalAmount: booking.totalAmount,
+      admin: req.admin.email
+    });
+
+    res.json({
+      success: true,
+      message: `Guest moved to room ${room.roomNumber}`,
+      data: {
+        booking,
+        previousTotal,
+        difference: roundMoney(booking.totalAmount - previousTotal)
+      }
+    });
+  } catch (error) {
+    logger.error('Error moving guest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moving guest'
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/stay
+// @desc    Extend or shorten the stay of an in-house guest, re-pricing the changed nights (Admin only)
+// @access  Private/Admin
+router.put('/:id/stay', adminAuth, [
+  body('checkOutDate').isISO8601().withMessage('Valid check-out date is required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id)
+      .populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.status !== 'Checked In') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the stay of a checked-in guest can be extended or shortened'
+      });
+    }
+
+    const previousCheckOut = booking.checkOutDate;
+    const checkOut = new Date(req.body.checkOutDate);
+
+    if (checkOut.getTime() === previousCheckOut.getTime()) {
+      return res.status(400).json({
+        success: false,
+        message: 'No changes requested'
+      });
+    }
+
+    if (checkOut <= booking.checkInDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date must be after check-in date'
+      });
+    }
+
+    // Nights already spent cannot be taken off the stay
+    if (checkOut < startOfDay()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date cannot be in the past'
+      });
+    }
+
+    const room = booking.room;
+    const extending = checkOut > previousCheckOut;
+
+    // The guest is in the room, so only other bookings and holds on it (and the
+    // category's unassigned bookings) can stand in the way of the extra nights
+    if (extending) {
+      const roomBooked = await room.isBooked(previousCheckOut, checkOut, booking._id);
+      const { available } = room.category
+        ? await RoomCategory.getAvailability(room.category, previousCheckOut, checkOut, { excludeBookingId: booking._id })
+        : { available: 1 };
+
+      if (roomBooked || available < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'The room is not available for the extra nights. Move the guest to another room first.'
+        });
+      }
+    }
+
+    const previousTotal = booking.totalAmount;
+    const pricingConfig = await pricingService.getConfig();
+    const { quote } = await pricingService.repriceRemainingStay(booking, {
+      room,
+      from: extending ? previousCheckOut : checkOut,
+      checkOut,
+      config: pricingConfig
+    });
+
+    booking.checkOutDate = checkOut;
+    pricingService.applyQuote(booking, quote, pricingConfig);
+
+    const changes = {
+      checkOutDate: { from: previousCheckOut, to: checkOut }
+    };
+    stayTimeService.cancel(booking, 'lateCheckOut', 'Check-out date changed');
+    booking.modifications.push({
+      modifiedBy: 'Admin',
+      changes,
+      previousTotal,
+      newTotal: booking.totalAmount,
+      admin: req.admin.id,
+      reason: req.body.reason
+    });
+    await booking.save();
+
+    await refreshReservationTotals(booking);
+
+    // Nights given back may let a waiting guest in
+    if (!extending) {
+      await waitlistService.offerFreedRoom({
+        _id: booking._id,
+        room,
+        roomCategory: booking.roomCategory,
+        checkInDate: checkOut,
+        checkOutDate: previousCheckOut
+      });
+    }
+
+    logger.bookingLog(extending ? 'Stay extended' : 'Stay shortened', {
+      bookingNumber: booking.bookingNumber,
+      previousCheckOut,
+      checkOut,
+      previousTotal,
+      totalAmount: booking.totalAmount,
+      admin: req.admin.email
+    });
+
+    res.json({
+      success: true,
+      message: extending ? 'Stay extended' : 'Stay shortened',
+      data: {
+        booking,
+        changes,
+        previousTotal,
+        difference: roundMoney(booking.totalAmount - previousTotal)
+      }
+    });
+  } catch (error) {
+    logger.error('Error changing stay:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing stay'
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/checkout
+// @desc    Check out a guest (Admin only)
+// @access  Private/Admin
+router.put('/:id/checkout', adminAuth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate(['guest', 'room']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const blocked = booking.checkTransition('Checked Out');
+    if (blocked) {
+      return res.status(400).json({
+        success: false,
+        message: blocked
+      });
+    }
+
+    // Settle the folio: post any remaining room nights and an approved late
+    // check-out, then require a zero balance
+    const folio = await Folio.findOrCreateForBooking(booking);
+    folio.postRoomCharges(booking);
+    stayTimeService.postFee(booking, 'lateCheckOut', folio);
+
+    // An outstanding balance blocks checkout unless a manager overrides it
+    if (folio.balance > 0) {
+      const { overrideBalance, overrideReason } = req.body;
+      const canOverride = ['manager', 'super-admin'].includes(req.admin.role);
+
+      if (!overrideBalance || !canOverride || !overrideReason) {
+        await folio.save();
+        return res.status(400).json({
+          success: false,
+          message: overrideBalance && !canOverride
+            ? 'Only a manager can override an outstanding balance'
+            : 'Folio has an outstanding balance. Collect payment or provide a manager override with a reason.',
+          data: { balanceDue: folio.balance }
+        });
       }
-    );
 
-    const [bookings, totalCount] = await Promise.all([
-      Booking.aggregate(aggregationPipeline),
-      Booking.countDocuments(filter)
-    ]);
+      booking.balanceOverride = {
+        admin: req.admin.id,
+        amount: folio.balance,
+        reason: overrideReason,
+        date: new Date()
+      };
+
+      logger.bookingLog('Checkout balance overridden', {
+        bookingNumber: booking.bookingNumber,
+        admin: req.admin.email,
+        balanceDue: folio.balance,
+        reason: overrideReason
+      });
+    }
 
-    const totalPages = Math.ceil(totalCount / parseInt(limit));
+    // Check out, which sends the room to housekeeping
+    await bookingStatusService.transition(booking, 'Checked Out');
+
+    folio.status = 'Settled';
+    folio.settledAt = new Date();
+    folio.settledBy = req.admin.id;
+    await folio.save();
 
     res.json({
       success: true,
+      message: 'Guest checked out successfully',
       data: {
-        bookings,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages,
-          totalCount,
-          hasNextPage: parseInt(page) < totalPages,
-          hasPrevPage: parseInt(page) > 1
+        booking,
+        folio: {
+          folioNumber: folio.folioNumber,
+          status: folio.status,
+          totalCharges: folio.totalCharges,
+          totalPayments: folio.totalPayments,
+          balance: folio.balance
         }
       }
     });
   } catch (error) {
-    logger.error('Error fetching bookings:', error);
+    logger.error('Error checking out guest:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching bookings'
+      message: 'Server error during check-out'
     });
   }
 });
 
-// @route   PUT /api/bookings/:id/checkin
-// @desc    Check in a guest (Admin only)
+// Load a booking and its folio for the folio endpoints
+const loadBookingFolio = async (bookingId) => {
+  const booking = await Booking.findById(bookingId).populate(['guest', 'room']);
+  if (!booking) return {};
+
+  const folio = await Folio.findOrCreateForBooking(booking);
+  return { booking, folio };
+};
+
+// Folio summary returned by every folio endpoint
+const serializeFolio = (folio) => ({
+  _id: folio._id,
+  folioNumber: folio.folioNumber,
+  booking: folio.booking,
+  guest: folio.guest,
+  status: folio.status,
+  settledAt: folio.settledAt,
+  totalCharges: folio.totalCharges,
+  totalPayments: folio.totalPayments,
+  balance: folio.balance,
+  entries: folio.getStatement()
+});
+
+// @route   GET /api/bookings/:id/folio
+// @desc    Get the guest folio for a booking (Admin only)
 // @access  Private/Admin
-router.put('/:id/checkin', adminAuth, async (req, res) => {
+router.get('/:id/folio', adminAuth, async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id)
-      .populate(['guest', 'room']);
+    const { booking, folio } = await loadBookingFolio(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    await folio.save();
+
+    res.json({
+      success: true,
+      data: serializeFolio(folio)
+    });
+  } catch (error) {
+    logger.error('Error fetching folio:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching folio'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:id/folio/charges
+// @desc    Post a charge (minibar, restaurant, spa, laundry...) to the folio (Admin only)
+// @access  Private/Admin
+router.post('/:id/folio/charges', adminAuth, [
+  body('category').isIn(['Room', 'Add-on', 'Minibar', 'Restaurant', 'Spa', 'Laundry', 'Fee', 'Other']).withMessage('Invalid charge category'),
+  body('description').notEmpty().trim().withMessage('Description is required'),
+  body('quantity').optional().isInt({ min: 1 }),
+  body('unitPrice').isFloat({ min: 0.01 }).withMessage('Unit price must be positive'),
+  body('serviceDate').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { booking, folio } = await loadBookingFolio(req.params.id);
 
     if (!booking) {
       return res.status(404).json({
@@ -596,44 +2685,69 @@ router.put('/:id/checkin', adminAuth, async (req, res) => {
       });
     }
 
-    if (booking.status !== 'Confirmed') {
+    if (folio.status !== 'Open') {
       return res.status(400).json({
         success: false,
-        message: 'Booking must be confirmed to check in'
+        message: 'Folio is already settled'
       });
     }
 
-    // Update booking status
-    booking.status = 'Checked In';
-    booking.actualCheckInTime = new Date();
-    await booking.save();
+    const { category, description, serviceDate } = req.body;
+    const quantity = parseInt(req.body.quantity || 1);
+    const unitPrice = parseFloat(req.body.unitPrice);
+
+    folio.post({
+      type: 'Charge',
+      category,
+      description,
+      quantity,
+      unitPrice,
+      amount: roundMoney(quantity * unitPrice),
+      serviceDate: serviceDate ? new Date(serviceDate) : new Date(),
+      postedBy: req.admin.id
+    });
+    await folio.save();
 
-    // Update room status
-    const room = await Room.findById(booking.room._id);
-    room.status = 'Occupied';
-    await room.save();
+    logger.bookingLog('Folio charge posted', {
+      bookingNumber: booking.bookingNumber,
+      admin: req.admin.email,
+      category,
+      amount: quantity * unitPrice
+    });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Guest checked in successfully',
-      data: booking
+      message: 'Charge posted to folio',
+      data: serializeFolio(folio)
     });
   } catch (error) {
-    logger.error('Error checking in guest:', error);
+    logger.error('Error posting folio charge:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during check-in'
+      message: 'Server error while posting charge'
     });
   }
 });
 
-// @route   PUT /api/bookings/:id/checkout
-// @desc    Check out a guest (Admin only)
+// @route   POST /api/bookings/:id/folio/payments
+// @desc    Take a payment against the folio by card, cash or transfer (Admin only)
 // @access  Private/Admin
-router.put('/:id/checkout', adminAuth, async (req, res) => {
+router.post('/:id/folio/payments', adminAuth, [
+  body('method').isIn(['Card', 'Cash', 'Bank Transfer']).withMessage('Invalid payment method'),
+  body('paymentMethodId').if(body('method').equals('Card')).notEmpty().withMessage('Payment method is required for card payments'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be positive')
+], async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id)
-      .populate(['guest', 'room']);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { booking, folio } = await loadBookingFolio(req.params.id);
 
     if (!booking) {
       return res.status(404).json({
@@ -642,35 +2756,283 @@ router.put('/:id/checkout', adminAuth, async (req, res) => {
       });
     }
 
-    if (booking.status !== 'Checked In') {
+    const amount = req.body.amount ? parseFloat(req.body.amount) : folio.balance;
+    if (amount <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Guest must be checked in to check out'
+        message: 'Folio has no outstanding balance'
       });
     }
 
-    // Update booking status
-    booking.status = 'Checked Out';
-    booking.actualCheckOutTime = new Date();
-    await booking.save();
+    const { method, paymentMethodId } = req.body;
 
-    // Update room status
-    const room = await Room.findById(booking.room._id);
-    room.status = 'Available';
-    room.cleaningStatus = 'Dirty';
-    room.lastCleaning = new Date();
-    await room.save();
+    if (method === 'Card') {
+      let paymentIntent;
+      try {
+        paymentIntent = await paymentService.createBookingPaymentIntent(booking, {
+          amount,
+          purpose: 'Balance',
+          paymentMethodId
+        });
+      } catch (stripeError) {
+        logger.error('Stripe folio payment error:', stripeError);
+        return res.status(400).json({
+          success: false,
+          message: 'Payment processing failed',
+          error: stripeError.message
+        });
+      }
 
-    res.json({
+      await paymentService.syncBookingPayment(booking, paymentIntent);
+
+      if (paymentIntent.status !== 'succeeded') {
+        return res.status(402).json({
+          success: false,
+          message: 'Card payment was not completed',
+          data: { paymentIntent: { id: paymentIntent.id, status: paymentIntent.status } }
+        });
+      }
+    } else {
+      booking.recordManualPayment({ amount, method, adminId: req.admin.id });
+      await booking.save();
+    }
+
+    folio.syncPayments(booking);
+    await folio.save();
+
+    res.status(201).json({
       success: true,
-      message: 'Guest checked out successfully',
-      data: booking
+      message: 'Payment posted to folio',
+      data: serializeFolio(folio)
     });
   } catch (error) {
-    logger.error('Error checking out guest:', error);
+    logger.error('Error posting folio payment:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during check-out'
+      message: 'Server error while posting payment'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:id/folio/refunds
+// @desc    Refund the guest, back to the card or in cash (Admin only)
+// @access  Private/Admin
+router.post('/:id/folio/refunds', adminAuth, [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+  body('reason').notEmpty().trim().withMessage('Reason is required'),
+  body('paymentIntentId').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { booking, folio } = await loadBookingFolio(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { paymentIntentId, reason } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    if (paymentIntentId) {
+      const payment = booking.payments.find(p => p.stripePaymentIntentId === paymentIntentId && p.status === 'succeeded');
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found for this booking'
+        });
+      }
+
+      if (amount > payment.amount - payment.amountRefunded + 0.001) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refund exceeds the refundable amount of this payment'
+        });
+      }
+
+      try {
+        await paymentService.refundPaymentIntent(paymentIntentId, amount, {
+          bookingNumber: booking.bookingNumber,
+          reason
+        }, payment.currency);
+      } catch (stripeError) {
+        logger.error('Stripe refund error:', stripeError);
+        return res.status(400).json({
+          success: false,
+          message: 'Refund processing failed'
+        });
+      }
+
+      booking.recordRefund(paymentIntentId, payment.amountRefunded + amount);
+      await booking.save();
+      folio.syncPayments(booking);
+
+      // Attribute the refund entry to the admin who issued it
+      const refundEntry = folio.entries[folio.entries.length - 1];
+      if (refundEntry && refundEntry.type === 'Refund' && refundEntry.reference === paymentIntentId) {
+        refundEntry.reason = reason;
+        refundEntry.postedBy = req.admin.id;
+      }
+    } else {
+      // Cash goes back against the cash and bank transfer payments taken
+      const refunded = booking.recordManualRefund(amount);
+      if (!refunded) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refund exceeds the cash and bank transfer payments on this booking'
+        });
+      }
+
+      await booking.save();
+      const before = folio.entries.length;
+      folio.syncPayments(booking);
+
+      folio.entries.slice(before)
+        .filter(entry => entry.type === 'Refund')
+        .forEach(entry => {
+          entry.reason = reason;
+          entry.postedBy = req.admin.id;
+        });
+    }
+
+    await folio.save();
+
+    logger.paymentLog('Folio refund posted', {
+      bookingNumber: booking.bookingNumber,
+      admin: req.admin.email,
+      amount,
+      paymentIntentId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund posted to folio',
+      data: serializeFolio(folio)
+    });
+  } catch (error) {
+    logger.error('Error posting folio refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while posting refund'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:id/folio/adjustments
+// @desc    Post a signed adjustment (positive debit, negative credit) to the folio (Admin only)
+// @access  Private/Admin
+router.post('/:id/folio/adjustments', adminAuth, [
+  body('amount').isFloat().withMessage('Amount is required')
+    .custom(value => parseFloat(value) !== 0).withMessage('Amount cannot be zero'),
+  body('description').notEmpty().trim().withMessage('Description is required'),
+  body('reason').notEmpty().trim().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { booking, folio } = await loadBookingFolio(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (folio.status !== 'Open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Folio is already settled'
+      });
+    }
+
+    const { description, reason } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    folio.post({
+      type: 'Adjustment',
+      category: amount < 0 ? 'Discount' : 'Other',
+      description,
+      amount,
+      reason,
+      postedBy: req.admin.id
+    });
+    await folio.save();
+
+    logger.bookingLog('Folio adjustment posted', {
+      bookingNumber: booking.bookingNumber,
+      admin: req.admin.email,
+      amount,
+      reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Adjustment posted to folio',
+      data: serializeFolio(folio)
+    });
+  } catch (error) {
+    logger.error('Error posting folio adjustment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while posting adjustment'
+    });
+  }
+});
+
+// @route   GET /api/bookings/:id/folio/invoice
+// @desc    Export the folio as a printable HTML (default) or PDF invoice (Admin only)
+// @access  Private/Admin
+router.get('/:id/folio/invoice', adminAuth, async (req, res) => {
+  try {
+    const { booking, folio } = await loadBookingFolio(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    await folio.save();
+
+    const settings = await SiteSettings.getSiteSettings();
+    const context = {
+      folio,
+      booking,
+      hotel: settings.hotel,
+      currencySymbol: booking.currencySymbol
+    };
+
+    if (req.query.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="invoice-${booking.bookingNumber}.pdf"`);
+      return generateInvoicePDF(context).pipe(res);
+    }
+
+    res.type('html').send(generateInvoiceHTML(context));
+  } catch (error) {
+    logger.error('Error generating invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating invoice'
     });
   }
 });
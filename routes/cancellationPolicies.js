@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const CancellationPolicy = require('../models/CancellationPolicy');
+const RatePlan = require('../models/RatePlan');
+const { body, validationResult } = require('express-validator');
+const adminAuth = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+
+const policyValidation = [
+  body('name').optional().notEmpty().withMessage('Name is required'),
+  body('code').optional().notEmpty().withMessage('Code is required'),
+  body('refundable').optional().isBoolean(),
+  body('tiers').optional().isArray(),
+  body('tiers.*.hoursBeforeArrival').isFloat({ min: 0 }).withMessage('Tier hours before arrival must be positive'),
+  body('tiers.*.feeType').isIn(['Percentage', 'Nights', 'Fixed']).withMessage('Tier fee type must be Percentage, Nights or Fixed'),
+  body('tiers.*.feeValue').isFloat({ min: 0 }).withMessage('Tier fee value must be positive')
+    .custom((value, { req, path }) => {
+      const index = Number(path.match(/\d+/)[0]);
+      if (req.body.tiers[index].feeType === 'Percentage' && value > 100) {
+        throw new Error('Percentage fee cannot exceed 100');
+      }
+      return true;
+    }),
+  body('isDefault').optional().isBoolean(),
+  body('isActive').optional().isBoolean()
+];
+
+// Only one policy can be the default
+const clearOtherDefaults = (policy) => {
+  if (!policy.isDefault) return null;
+  return CancellationPolicy.updateMany({ _id: { $ne: policy._id }, isDefault: true }, { isDefault: false });
+};
+
+// @route   GET /api/cancellation-policies
+// @desc    Get active cancellation policies with their terms described
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const policies = await CancellationPolicy.find({ isActive: true }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        policies: policies.map(policy => ({
+          ...policy.toObject(),
+          terms: CancellationPolicy.describe(policy)
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching cancellation policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cancellation policies'
+    });
+  }
+});
+
+// @route   GET /api/cancellation-policies/admin/all
+// @desc    Get all cancellation policies (including inactive) - Admin only
+// @access  Private/Admin
+router.get('/admin/all', adminAuth, async (req, res) => {
+  try {
+    const policies = await CancellationPolicy.find().sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { policies }
+    });
+  } catch (error) {
+    logger.error('Error fetching all cancellation policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cancellation policies'
+    });
+  }
+});
+
+// @route   POST /api/cancellation-policies
+// @desc    Create a cancellation policy - Admin only
+// @access  Private/Admin
+router.post('/', adminAuth, [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('code').notEmpty().withMessage('Code is required'),
+  ...policyValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const policy = new CancellationPolicy(req.body);
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cancellation policy created successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    logger.error('Error creating cancellation policy:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancellation policy with this code already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating cancellation policy'
+    });
+  }
+});
+
+// @route   PUT /api/cancellation-policies/:id
+// @desc    Update a cancellation policy (existing bookings keep the terms they were sold with) - Admin only
+// @access  Private/Admin
+router.put('/:id', adminAuth, policyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await CancellationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    Object.assign(policy, req.body);
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    res.json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    logger.error('Error updating cancellation policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cancellation policy'
+    });
+  }
+});
+
+// @route   DELETE /api/cancellation-policies/:id
+// @desc    Delete a cancellation policy no rate plan uses - Admin only
+// @access  Private/Admin
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const ratePlansCount = await RatePlan.countDocuments({
+      $or: [
+        { cancellationPolicy: req.params.id },
+        { 'seasonalCancellationPolicies.cancellationPolicy': req.params.id }
+      ]
+    });
+
+    if (ratePlansCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete cancellation policy. ${ratePlansCount} rate plan(s) use it.`
+      });
+    }
+
+    const policy = await CancellationPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cancellation policy deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting cancellation policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting cancellation policy'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const sendEmail = require('../utils/sendEmail');
+const ContactMessage = require('../models/ContactMessage');
+const { sendEmail } = require('../utils/sendEmail');
 const logger = require('../utils/logger');
 
 // @route   POST /api/contact
@@ -26,6 +27,16 @@ router.post('/', [
 
     const { name, email, phone, subject, message } = req.body;
 
+    // Keep the message, so it is part of the sender's data if they ask for it
+    await ContactMessage.create({
+      name,
+      email,
+      phone,
+      subject,
+      message,
+      ipAddress: req.ip
+    });
+
     // Log the contact form submission
     logger.info('Contact form submission received', {
       name,
@@ -1,11 +1,982 @@
 const express = require('express');
 const router = express.Router();
+const Guest = require('../models/Guest');
+const GuestMerge = require('../models/GuestMerge');
+const DataRequest = require('../models/DataRequest');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const { body, param, query, validationResult } = require('express-validator');
+const adminAuth = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+const GuestDataService = require('../services/GuestDataService');
+const GuestMergeService = require('../services/GuestMergeService');
+const GuestProfileService = require('../services/GuestProfileService');
+const LoyaltyService = require('../services/LoyaltyService');
 
-// Minimal guests router stub to satisfy app.use
+const guestDataService = new GuestDataService();
+const guestMergeService = new GuestMergeService();
+const guestProfileService = new GuestProfileService();
+const loyaltyService = new LoyaltyService();
+
+const EDITABLE_FIELDS = [
+  ...GuestProfileService.CONTACT_FIELDS,
+  ...GuestProfileService.PREFERENCE_FIELDS,
+  ...GuestProfileService.SPECIAL_REQUIREMENT_FIELDS,
+  ...GuestProfileService.EMERGENCY_CONTACT_FIELDS,
+  'internalNotes'
+];
+
+const enumOf = path => Guest.schema.path(path).enumValues;
+const TIERS = enumOf('loyaltyProgram.tier');
+const SORT_FIELDS = ['lastName', 'createdAt', 'totalStays', 'totalSpent', 'lastStayDate', 'loyaltyProgram.points'];
+
+// @route   GET /api/guests/health
+// @desc    Health check for the guests service
+// @access  Public
 router.get('/health', (req, res) => {
   res.json({ success: true, service: 'guests', status: 'ok' });
 });
 
-module.exports = router;
+// @route   GET /api/guests
+// @desc    Search guests by name, email, phone or loyalty member id, optionally only VIPs, a loyalty tier or blacklisted guests (Admin only)
+// @access  Private/Admin
+router.get('/', adminAuth, [
+  query('search').optional().trim().isLength({ max: 100 }),
+  query('vip').optional().isBoolean(),
+  query('tier').optional().isIn(TIERS),
+  query('blacklisted').optional().isBoolean(),
+  query('includeInactive').optional().isBoolean(),
+  query('sortBy').optional().isIn(SORT_FIELDS),
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { search, tier, blacklisted, sortBy = 'lastName', sortOrder = 'asc', page = 1, limit = 20 } = req.query;
+    const vip = req.query.vip === 'true';
+
+    // VIPs are listed by spend and loyalty tiers by points; other lists sort as asked
+    let guestQuery;
+    if (vip) {
+      guestQuery = Guest.findVIPGuests();
+      if (tier) guestQuery.where('loyaltyProgram.tier', tier);
+    } else if (tier) {
+      guestQuery = Guest.findByLoyaltyTier(tier);
+    } else {
+      guestQuery = Guest.find(req.query.includeInactive === 'true' ? {} : { isActive: true })
+        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 });
+    }
+
+    guestQuery.where(guestProfileService.searchFilter(search));
+    if (blacklisted !== undefined) guestQuery.where('isBlacklisted', blacklisted === 'true');
+
+    const totalCount = await Guest.countDocuments(guestQuery.getFilter());
+    const guests = await guestQuery
+      .select(GuestProfileService.LIST_FIELDS)
+      .sort({ _id: 1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        guests,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching guests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching guests'
+    });
+  }
+});
+
+// @route   GET /api/guests/duplicates
+// @desc    Likely duplicate guest profiles across all guests, scored on name, phone, date of birth and ID number (Admin only)
+// @access  Private/Admin
+router.get('/duplicates', adminAuth, [
+  query('minScore').optional().isInt({ min: 1, max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { minScore = GuestMergeService.DEFAULT_MIN_SCORE, limit = 50 } = req.query;
+    const duplicates = await guestMergeService.findDuplicates({
+      minScore: parseInt(minScore),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: { duplicates }
+    });
+  } catch (error) {
+    logger.error('Error finding duplicate guests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while finding duplicate guests'
+    });
+  }
+});
+
+// @route   GET /api/guests/merges
+// @desc    Guest profile merges, latest first (Admin only)
+// @access  Private/Admin
+router.get('/merges', adminAuth, [
+  query('guest').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { guest, page = 1, limit = 20 } = req.query;
+    const filter = guest ? { target: guest } : {};
+
+    const [merges, totalCount] = await Promise.all([
+      GuestMerge.find(filter)
+        .select('-sourceSnapshot')
+        .populate('target', 'firstName lastName email')
+        .populate('mergedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      GuestMerge.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        merges,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching guest merges:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching guest merges'
+    });
+  }
+});
+
+// @route   GET /api/guests/data-requests
+// @desc    Guests' data export and erasure requests, latest first (Admin only)
+// @access  Private/Admin
+router.get('/data-requests', adminAuth, [
+  query('status').optional().isIn(DataRequest.schema.path('status').enumValues),
+  query('type').optional().isIn(DataRequest.schema.path('type').enumValues),
+  query('guest').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, type, guest, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (guest) filter.guest = guest;
+
+    const [requests, totalCount] = await Promise.all([
+      DataRequest.find(filter)
+        .populate('guest', 'firstName lastName email erasedAt')
+        .populate('requestedBy.admin', 'firstName lastName email')
+        .populate('handledBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      DataRequest.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching data requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching data requests'
+    });
+  }
+});
+
+// @route   PUT /api/guests/data-requests/:requestId/refuse
+// @desc    Refuse a guest's pending erasure request, with the reason (Admin only)
+// @access  Private/Admin
+router.put('/data-requests/:requestId/refuse', adminAuth, [
+  param('requestId').isMongoId().withMessage('Invalid request ID'),
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const request = await DataRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data request not found'
+      });
+    }
+
+    const result = await guestDataService.refuse(request, {
+      adminId: req.admin.id,
+      reason: req.body.reason
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Data request refused',
+      data: result.request
+    });
+  } catch (error) {
+    logger.error('Error refusing data request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refusing data request'
+    });
+  }
+});
+
+// @route   GET /api/guests/:id
+// @desc    Guest profile with full stay history and lifetime value (Admin only)
+// @access  Private/Admin
+router.get('/:id', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = await Guest.findById(req.params.id)
+      .select(GuestProfileService.PRIVATE_FIELDS)
+      .populate('blacklistedBy', 'firstName lastName email');
+
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    const { bookings, lifetimeValue } = await guestProfileService.stayHistory(guest._id);
+
+    res.json({
+      success: true,
+      data: {
+        guest,
+        lifetimeValue,
+        bookings
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching guest profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching guest profile'
+    });
+  }
+});
+
+// @route   PUT /api/guests/:id
+// @desc    Update a guest's contact details, preferences, special requirements, emergency contact and notes (Admin only)
+// @access  Private/Admin
+router.put('/:id', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID'),
+  body('email').optional().trim().isEmail().withMessage('Valid email is required').toLowerCase(),
+  body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
+  body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
+  body('phone').optional().trim().notEmpty().withMessage('Phone number cannot be empty'),
+  body('dateOfBirth').optional().isISO8601().withMessage('Date of birth must be a valid date'),
+  body('gender').optional().isIn(enumOf('gender')),
+  body('preferences.roomType').optional().isIn(enumOf('preferences.roomType')),
+  body('preferences.bedPreference').optional().isIn(enumOf('preferences.bedPreference')),
+  body('preferences.smokingPreference').optional().isIn(enumOf('preferences.smokingPreference')),
+  body('preferences.floorPreference').optional().isIn(enumOf('preferences.floorPreference')),
+  body('preferences.viewPreference').optional().isIn(enumOf('preferences.viewPreference')),
+  body('preferences.language').optional().isLength({ min: 2, max: 10 }),
+  body('preferences.currency').optional().isLength({ min: 3, max: 3 }),
+  body('specialRequirements.accessibility.wheelchairAccess').optional().isBoolean(),
+  body('specialRequirements.accessibility.hearingImpaired').optional().isBoolean(),
+  body('specialRequirements.accessibility.visuallyImpaired').optional().isBoolean(),
+  body('specialRequirements.dietaryRestrictions').optional().isArray(),
+  body('specialRequirements.dietaryRestrictions.*').isIn(Guest.schema.path('specialRequirements.dietaryRestrictions').caster.enumValues),
+  body('specialRequirements.allergies').optional().isArray(),
+  body('emergencyContact.email').optional({ checkFalsy: true }).isEmail().withMessage('Valid emergency contact email is required'),
+  body('internalNotes').optional().isLength({ max: 2000 }).withMessage('Notes too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = await Guest.findById(req.params.id);
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    if (guest.erasedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This guest\'s personal data has been erased'
+      });
+    }
+
+    const { email } = req.body;
+    if (email && email !== guest.email) {
+      if (await Guest.exists({ email, _id: { $ne: guest._id } })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Another guest already uses this email'
+        });
+      }
+      guest.email = email;
+    }
+
+    const changed = guestProfileService.applyChanges(guest, req.body, EDITABLE_FIELDS);
+    await guest.save();
+
+    logger.info('Guest profile updated', {
+      guest: guest._id.toString(),
+      fields: email ? ['email', ...changed] : changed,
+      admin: req.admin.email
+    });
+
+    res.json({
+      success: true,
+      message: 'Guest updated successfully',
+      data: await Guest.findById(guest._id).select(GuestProfileService.PRIVATE_FIELDS)
+    });
+  } catch (error) {
+    logger.error('Error updating guest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating guest'
+    });
+  }
+});
+
+// @route   GET /api/guests/:id/duplicates
+// @desc    Guest profiles that may be the same person as a guest, with a score and the details that matched (Admin only)
+// @access  Private/Admin
+router.get('/:id/duplicates', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID'),
+  query('minScore').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = await Guest.findById(req.params.id);
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    const candidates = await guestMergeService.findCandidates(guest, {
+      minScore: parseInt(req.query.minScore || GuestMergeService.DEFAULT_MIN_SCORE)
+    });
+
+    res.json({
+      success: true,
+      data: { candidates }
+    });
+  } catch (error) {
+    logger.error('Error finding duplicate guests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while finding duplicate guests'
+    });
+  }
+});
+
+// @route   POST /api/guests/:id/merge
+// @desc    Merge the duplicate profile sourceId into this guest, moving its bookings and adding up its stays and points (Admin only)
+// @access  Private/Admin
+router.post('/:id/merge', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID'),
+  body('sourceId').isMongoId().withMessage('Valid source guest ID is required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
+    const [target, source] = await Promise.all([
+      Guest.findById(req.params.id),
+      Guest.findById(req.body.sourceId)
+    ]);
 
+    if (!target || !source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    const result = await guestMergeService.merge(target, source, {
+      adminId: req.admin.id,
+      reason: req.body.reason
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const merge = result.merge.toObject();
+    delete merge.sourceSnapshot;
+
+    res.json({
+      success: true,
+      message: 'Guests merged successfully',
+      data: {
+        guest: await Guest.findById(target._id).select(GuestProfileService.PRIVATE_FIELDS),
+        merge
+      }
+    });
+  } catch (error) {
+    logger.error('Error merging guests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging guests'
+    });
+  }
+});
+
+// @route   PUT /api/guests/:id/vip
+// @desc    Flag or unflag a guest as VIP, with the reason kept in the VIP notes (Admin only)
+// @access  Private/Admin
+router.put('/:id/vip', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID'),
+  body('isVIP').isBoolean().withMessage('isVIP must be true or false'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = await Guest.findById(req.params.id);
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    const isVIP = req.body.isVIP === true || req.body.isVIP === 'true';
+    guest.isVIP = isVIP;
+    if (req.body.reason !== undefined) guest.vipNotes = req.body.reason;
+    await guest.save();
+
+    logger.info(isVIP ? 'Guest flagged as VIP' : 'Guest VIP flag removed', {
+      guest: guest._id.toString(),
+      reason: req.body.reason,
+      admin: req.admin.email
+    });
+
+    res.json({
+      success: true,
+      message: isVIP ? 'Guest flagged as VIP' : 'Guest is no longer a VIP',
+      data: {
+        _id: guest._id,
+        isVIP: guest.isVIP,
+        vipNotes: guest.vipNotes
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating guest VIP status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating VIP status'
+    });
+  }
+});
+
+// @route   PUT /api/guests/:id/blacklist
+// @desc    Blacklist a guest with a reason, or lift the blacklist (Admin only)
+// @access  Private/Admin
+router.put('/:id/blacklist', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID'),
+  body('isBlacklisted').isBoolean().withMessage('isBlacklisted must be true or false'),
+  body('reason').if(body('isBlacklisted').equals('true'))
+    .trim().notEmpty().withMessage('A reason is required to blacklist a guest')
+    .isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = await Guest.findById(req.params.id);
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    const isBlacklisted = req.body.isBlacklisted === true || req.body.isBlacklisted === 'true';
+    guest.isBlacklisted = isBlacklisted;
+    guest.blacklistReason = isBlacklisted ? req.body.reason : undefined;
+    guest.blacklistedAt = isBlacklisted ? new Date() : undefined;
+    guest.blacklistedBy = isBlacklisted ? req.admin.id : undefined;
+    await guest.save();
+
+    logger.securityLog(isBlacklisted ? 'Guest blacklisted' : 'Guest removed from blacklist', {
+      guest: guest._id.toString(),
+      reason: req.body.reason,
+      admin: req.admin.email
+    });
+
+    res.json({
+      success: true,
+      message: isBlacklisted ? 'Guest blacklisted' : 'Guest removed from blacklist',
+      data: {
+        _id: guest._id,
+        isBlacklisted: guest.isBlacklisted,
+        blacklistReason: guest.blacklistReason,
+        blacklistedAt: guest.blacklistedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating guest blacklist status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating blacklist status'
+    });
+  }
+});
+
+// @route   GET /api/guests/:id/export
+// @desc    Download everything held about a guest as JSON: profile, bookings, folios, emails sent and contact messages (Admin only)
+// @access  Private/Admin
+router.get('/:id/export', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = await Guest.findById(req.params.id);
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    const data = await guestDataService.exportFor(guest, {
+      requestedBy: { type: 'Admin', admin: req.admin.id },
+      ipAddress: req.ip
+    });
+
+    res.setHeader('Content-Disposition', `attachment; filename="guest-data-${guest._id}.json"`);
+    res.json(data);
+  } catch (error) {
+    logger.error('Error exporting guest data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting guest data'
+    });
+  }
+});
+
+// @route   POST /api/guests/:id/erase
+// @desc    Erase a guest's personal data, keeping their bookings and folios anonymised (Admin only)
+// @access  Private/Admin
+router.post('/:id/erase', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = await Guest.findById(req.params.id);
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    const result = await guestDataService.erase(guest, {
+      adminId: req.admin.id,
+      ipAddress: req.ip,
+      reason: req.body.reason
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Guest personal data erased',
+      data: {
+        request: result.request,
+        summary: result.summary
+      }
+    });
+  } catch (error) {
+    logger.error('Error erasing guest data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while erasing guest data'
+    });
+  }
+});
+
+// @route   PUT /api/guests/:id/consent
+// @desc    Record a change to a guest's data processing or marketing consent as a new version (Admin only)
+// @access  Private/Admin
+router.put('/:id/consent', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID'),
+  body('dataConsent').optional().isBoolean().toBoolean(),
+  body('marketing.email').optional().isBoolean().toBoolean(),
+  body('marketing.sms').optional().isBoolean().toBoolean(),
+  body('marketing.phone').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = await Guest.findById(req.params.id);
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    if (guest.erasedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This guest\'s personal data has been erased'
+      });
+    }
+
+    const changed = guest.updateConsent(req.body, {
+      source: 'Admin',
+      changedBy: req.admin.id,
+      ipAddress: req.ip
+    });
+    if (changed) {
+      await guest.save();
+
+      logger.info('Guest consent updated', {
+        guest: guest._id.toString(),
+        version: guest.consentHistory[guest.consentHistory.length - 1].version,
+        admin: req.admin.email
+      });
+    }
+
+    res.json({
+      success: true,
+      message: changed ? 'Consent updated' : 'Consent unchanged',
+      data: {
+        dataConsent: guest.dataConsent,
+        consentDate: guest.consentDate,
+        consentHistory: guest.consentHistory
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating guest consent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating guest consent'
+    });
+  }
+});
+
+// @route   GET /api/guests/:id/loyalty
+// @desc    A guest's loyalty balance, tier and points ledger (Admin only)
+// @access  Private/Admin
+router.get('/:id/loyalty', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID'),
+  query('type').optional().isIn(LoyaltyTransaction.schema.path('type').enumValues),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = await Guest.findById(req.params.id).select('firstName lastName email loyaltyProgram');
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    const { type, page = 1, limit = 20 } = req.query;
+    const { tier, tierPoints } = await loyaltyService.recalculateTier(guest);
+
+    const filter = { guest: guest._id };
+    if (type) filter.type = type;
+
+    const [transactions, totalCount] = await Promise.all([
+      LoyaltyTransaction.find(filter)
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      LoyaltyTransaction.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+    const { loyaltyProgram } = await Guest.findById(guest._id).select('loyaltyProgram');
+
+    res.json({
+      success: true,
+      data: {
+        guest: {
+          _id: guest._id,
+          firstName: guest.firstName,
+          lastName: guest.lastName,
+          email: guest.email
+        },
+        memberId: loyaltyProgram.memberId,
+        tier,
+        points: loyaltyProgram.points,
+        tierPoints,
+        nextTier: Guest.nextLoyaltyTier(tierPoints),
+        lastActivityDate: loyaltyProgram.lastActivityDate,
+        transactions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching guest loyalty:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching guest loyalty'
+    });
+  }
+});
+
+// @route   POST /api/guests/:id/loyalty/adjust
+// @desc    Add or remove loyalty points by hand, with the reason kept in the ledger (Admin only)
+// @access  Private/Admin
+router.post('/:id/loyalty/adjust', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid guest ID'),
+  body('points').isInt().withMessage('Points must be a whole number').toInt()
+    .custom(points => points !== 0).withMessage('Points cannot be zero'),
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }).withMessage('Reason too long'),
+  body('qualifying').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guest = await Guest.findById(req.params.id).select('loyaltyProgram erasedAt');
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    if (guest.erasedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This guest\'s personal data has been erased'
+      });
+    }
+
+    const result = await loyaltyService.adjust(guest, {
+      points: req.body.points,
+      reason: req.body.reason,
+      qualifying: req.body.qualifying === true,
+      adminId: req.admin.id
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    logger.info('Guest loyalty points adjusted', {
+      guest: guest._id.toString(),
+      points: req.body.points,
+      reason: req.body.reason,
+      admin: req.admin.email
+    });
+
+    const { loyaltyProgram } = await Guest.findById(guest._id).select('loyaltyProgram');
+
+    res.status(201).json({
+      success: true,
+      message: 'Loyalty points adjusted',
+      data: {
+        transaction: result.transaction,
+        points: loyaltyProgram.points,
+        tier: loyaltyProgram.tier,
+        tierPoints: loyaltyProgram.tierPoints
+      }
+    });
+  } catch (error) {
+    logger.error('Error adjusting guest loyalty points:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adjusting loyalty points'
+    });
+  }
+});
+
+module.exports = router;
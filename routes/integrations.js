@@ -4,14 +4,40 @@ const OperaPMSService = require('../services/OperaPMSService');
 const BookingComService = require('../services/BookingComService');
 const TripComService = require('../services/TripComService');
 const ExpediaService = require('../services/ExpediaService');
+const BookingStatusService = require('../services/BookingStatusService');
+const Booking = require('../models/Booking');
 const adminAuth = require('../middleware/adminAuth');
 const logger = require('../utils/logger');
+const { actAs } = require('../utils/auditContext');
 
 // Initialize services
 const operaPMS = new OperaPMSService();
 const bookingCom = new BookingComService();
 const tripCom = new TripComService();
 const expedia = new ExpediaService();
+const bookingStatusService = new BookingStatusService();
+
+// Cancel our copy of a booking cancelled on a channel, which offers its room to the waitlist
+const cancelChannelBooking = async (bookingSource, externalBookingId) => {
+  if (!externalBookingId) return null;
+
+  const booking = await Booking.findOne({
+    bookingSource,
+    externalBookingId: String(externalBookingId),
+    status: { $in: ['Pending', 'Confirmed'] }
+  });
+  if (!booking) return null;
+
+  await bookingStatusService.transition(booking, 'Cancelled', { reason: `Cancelled on ${bookingSource}` });
+
+  logger.integrationLog('Channel booking cancelled', {
+    source: bookingSource,
+    bookingNumber: booking.bookingNumber,
+    externalBookingId
+  });
+
+  return booking;
+};
 
 // @route   GET /api/integrations/health
 // @desc    Check health of all integrations
@@ -242,7 +268,7 @@ router.get('/bookings/external', adminAuth, async (req, res) => {
 // @route   POST /api/integrations/webhook/booking-com
 // @desc    Handle Booking.com webhooks
 // @access  Public (webhook)
-router.post('/webhook/booking-com', async (req, res) => {
+router.post('/webhook/booking-com', actAs(() => ({ type: 'Channel', label: 'Booking.com' })), async (req, res) => {
   try {
     const webhookData = req.body;
     
@@ -261,6 +287,7 @@ router.post('/webhook/booking-com', async (req, res) => {
         break;
       case 'booking_cancelled':
         await bookingCom.processBookingCancellation(webhookData);
+        await cancelChannelBooking('Booking.com', webhookData.booking_id);
         break;
       default:
         logger.integrationLog('Unknown Booking.com webhook event', {
@@ -281,7 +308,7 @@ router.post('/webhook/booking-com', async (req, res) => {
 // @route   POST /api/integrations/webhook/expedia
 // @desc    Handle Expedia webhooks
 // @access  Public (webhook)
-router.post('/webhook/expedia', async (req, res) => {
+router.post('/webhook/expedia', actAs(() => ({ type: 'Channel', label: 'Expedia' })), async (req, res) => {
   try {
     const webhookData = req.body;
     
@@ -292,6 +319,9 @@ router.post('/webhook/expedia', async (req, res) => {
 
     // Process Expedia webhook
     await expedia.processWebhook(webhookData);
+    if (webhookData.event_type === 'booking_cancelled') {
+      await cancelChannelBooking('Expedia', webhookData.booking_id);
+    }
 
     res.json({ success: true, message: 'Webhook processed successfully' });
   } catch (error) {
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const NightAudit = require('../models/NightAudit');
+const SiteSettings = require('../models/SiteSettings');
+const { param, query, validationResult } = require('express-validator');
+const adminAuth = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+const { DAY_MS, startOfDay } = require('../utils/dates');
+const NightAuditService = require('../services/NightAuditService');
+
+const nightAuditService = new NightAuditService();
+
+// @route   GET /api/night-audit/status
+// @desc    Current business date, when its audit is due and the last audit - Admin only
+// @access  Private/Admin
+router.get('/status', adminAuth, async (req, res) => {
+  try {
+    const settings = await SiteSettings.getSiteSettings();
+    const businessDate = await nightAuditService.getBusinessDate(settings);
+    const lastAudit = await NightAudit.findOne()
+      .sort({ businessDate: -1 })
+      .select('businessDate status trigger completedAt summary error');
+
+    res.json({
+      success: true,
+      data: {
+        businessDate,
+        enabled: settings.nightAudit.enabled,
+        runAt: settings.nightAudit.runAt,
+        dueAt: nightAuditService.dueAt(businessDate, settings.nightAudit.runAt),
+        lastAudit
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching night audit status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching night audit status'
+    });
+  }
+});
+
+// @route   POST /api/night-audit/run
+// @desc    Close the current business date now instead of waiting for the scheduled audit - Manager only
+// @access  Private/Admin
+router.post('/run', adminAuth, async (req, res) => {
+  try {
+    if (!['manager', 'super-admin'].includes(req.admin.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a manager can run the night audit'
+      });
+    }
+
+    const settings = await SiteSettings.getSiteSettings();
+    const businessDate = await nightAuditService.getBusinessDate(settings);
+
+    if (Date.now() < businessDate.getTime() + DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: 'The business date has not ended yet'
+      });
+    }
+
+    const audit = await nightAuditService.run(businessDate, {
+      trigger: 'Manual',
+      adminId: req.admin.id,
+      settings
+    });
+
+    if (!audit) {
+      return res.status(409).json({
+        success: false,
+        message: 'The audit for this business date is already running or complete'
+      });
+    }
+
+    if (audit.status !== 'Completed') {
+      return res.status(500).json({
+        success: false,
+        message: `Night audit failed: ${audit.error}`,
+        data: { audit }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Night audit completed',
+      data: {
+        audit,
+        businessDate: settings.nightAudit.businessDate
+      }
+    });
+  } catch (error) {
+    logger.error('Error running night audit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running night audit'
+    });
+  }
+});
+
+// @route   GET /api/night-audit
+// @desc    List night audits, latest first - Admin only
+// @access  Private/Admin
+router.get('/', adminAuth, [
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate, page = 1, limit = 30 } = req.query;
+    const filter = {};
+    if (startDate || endDate) {
+      filter.businessDate = {};
+      if (startDate) filter.businessDate.$gte = new Date(startDate);
+      if (endDate) filter.businessDate.$lte = new Date(endDate);
+    }
+
+    const [audits, totalCount] = await Promise.all([
+      NightAudit.find(filter)
+        .select('-noShows -issues')
+        .sort({ businessDate: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      NightAudit.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        audits,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching night audits:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching night audits'
+    });
+  }
+});
+
+// @route   GET /api/night-audit/:businessDate
+// @desc    Night audit report for a business date (YYYY-MM-DD) - Admin only
+// @access  Private/Admin
+router.get('/:businessDate', adminAuth, [
+  param('businessDate').isISO8601().withMessage('Business date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const audit = await NightAudit.findOne({
+      businessDate: startOfDay(req.params.businessDate)
+    })
+      .populate('runBy', 'firstName lastName email')
+      .populate('noShows.booking', 'bookingNumber status totalAmount amountPaid balanceDue');
+
+    if (!audit) {
+      return res.status(404).json({
+        success: false,
+        message: 'No night audit for this business date'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { audit }
+    });
+  } catch (error) {
+    logger.error('Error fetching night audit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching night audit'
+    });
+  }
+});
+
+module.exports = router;
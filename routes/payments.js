@@ -1,11 +1,449 @@
 const express = require('express');
 const router = express.Router();
+const Booking = require('../models/Booking');
+const { body, validationResult } = require('express-validator');
+const adminAuth = require('../middleware/adminAuth');
+const PaymentService = require('../services/PaymentService');
+const { sendEmail } = require('../utils/sendEmail');
+const logger = require('../utils/logger');
+const { actAs } = require('../utils/auditContext');
+const { fromMinorUnits } = require('../utils/currency');
 
-// Minimal payments router stub to satisfy app.use
+const paymentService = new PaymentService();
+
+// Shape a PaymentIntent for the client (never leak the full Stripe object)
+const serializePaymentIntent = (paymentIntent) => ({
+  id: paymentIntent.id,
+  status: paymentIntent.status,
+  amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+  currency: paymentIntent.currency,
+  client_secret: paymentIntent.client_secret,
+  next_action: paymentIntent.next_action || null,
+  requiresAction: paymentIntent.status === 'requires_action'
+});
+
+// @route   POST /api/payments/intent
+// @desc    Create a PaymentIntent for an existing booking
+// @access  Public (with confirmation code)
+router.post('/intent', [
+  body('bookingNumber').notEmpty().withMessage('Booking number is required'),
+  body('confirmationCode').notEmpty().withMessage('Confirmation code is required'),
+  body('paymentMethodId').optional().isString(),
+  body('payInFull').optional().isBoolean(),
+  body('returnUrl').optional().isURL({ require_tld: false })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { bookingNumber, confirmationCode, paymentMethodId, payInFull, returnUrl } = req.body;
+
+    const booking = await Booking.findOne({ bookingNumber, confirmationCode })
+      .populate(['guest', 'room']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (['Cancelled', 'Checked Out', 'No Show'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot take payment for a booking that is ${booking.status.toLowerCase()}`
+      });
+    }
+
+    const amountDue = payInFull ? booking.balanceDue : booking.amountDueNow;
+    if (amountDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is already fully paid'
+      });
+    }
+
+    const isDeposit = !payInFull && booking.paymentMode === 'Deposit' && booking.amountPaid < booking.depositAmount;
+
+    let paymentIntent;
+    try {
+      paymentIntent = await paymentService.createBookingPaymentIntent(booking, {
+        amount: amountDue,
+        purpose: isDeposit ? 'Deposit' : booking.amountPaid > 0 ? 'Balance' : 'Full',
+        paymentMethodId,
+        returnUrl
+      });
+    } catch (stripeError) {
+      logger.error('Stripe payment error:', stripeError);
+      return res.status(400).json({
+        success: false,
+        message: 'Payment processing failed',
+        error: stripeError.message
+      });
+    }
+
+    await paymentService.syncBookingPayment(booking, paymentIntent);
+
+    res.status(201).json({
+      success: true,
+      message: paymentIntent.status === 'requires_action'
+        ? 'Additional authentication required'
+        : 'Payment intent created',
+      data: {
+        bookingNumber: booking.bookingNumber,
+        bookingStatus: booking.status,
+        paymentStatus: booking.paymentStatus,
+        paymentIntent: serializePaymentIntent(paymentIntent)
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating payment intent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/confirm
+// @desc    Confirm a booking's PaymentIntent (e.g. after 3-D Secure) and sync the booking
+// @access  Public (with confirmation code)
+router.post('/confirm', [
+  body('bookingNumber').notEmpty().withMessage('Booking number is required'),
+  body('confirmationCode').notEmpty().withMessage('Confirmation code is required'),
+  body('paymentIntentId').notEmpty().withMessage('Payment intent ID is required'),
+  body('paymentMethodId').optional().isString(),
+  body('returnUrl').optional().isURL({ require_tld: false })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { bookingNumber, confirmationCode, paymentIntentId, paymentMethodId, returnUrl } = req.body;
+
+    const booking = await Booking.findOne({ bookingNumber, confirmationCode })
+      .populate(['guest', 'room']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isBookingIntent = booking.payments.some(p => p.stripePaymentIntentId === paymentIntentId);
+    if (!isBookingIntent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found for this booking'
+      });
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await paymentService.confirmPaymentIntent(paymentIntentId, {
+        paymentMethodId,
+        returnUrl
+      });
+    } catch (stripeError) {
+      logger.error('Stripe confirmation error:', stripeError);
+      return res.status(400).json({
+        success: false,
+        message: 'Payment confirmation failed',
+        error: stripeError.message
+      });
+    }
+
+    await paymentService.syncBookingPayment(booking, paymentIntent);
+
+    res.json({
+      success: true,
+      message: paymentIntent.status === 'succeeded'
+        ? 'Payment completed successfully'
+        : 'Payment is not complete yet',
+      data: {
+        bookingNumber: booking.bookingNumber,
+        bookingStatus: booking.status,
+        paymentStatus: booking.paymentStatus,
+        paymentIntent: serializePaymentIntent(paymentIntent)
+      }
+    });
+  } catch (error) {
+    logger.error('Error confirming payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming payment'
+    });
+  }
+});
+
+// @route   GET /api/payments/booking/:bookingNumber
+// @desc    Get all payments recorded against a booking (Admin only)
+// @access  Private/Admin
+router.get('/booking/:bookingNumber', adminAuth, async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ bookingNumber: req.params.bookingNumber })
+      .populate('guest', 'firstName lastName email phone');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        bookingNumber: booking.bookingNumber,
+        guest: booking.guest,
+        status: booking.status,
+        paymentStatus: booking.paymentStatus,
+        paymentMethod: booking.paymentMethod,
+        paymentMode: booking.paymentMode,
+        totalAmount: booking.totalAmount,
+        depositAmount: booking.depositAmount,
+        amountCaptured: booking.amountCaptured,
+        amountRefunded: booking.amountRefunded,
+        amountPaid: booking.amountPaid,
+        balanceDue: booking.balanceDue,
+        balancePaymentLink: booking.balancePaymentLink,
+        payments: booking.payments
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching booking payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payments'
+    });
+  }
+});
+
+// @route   POST /api/payments/booking/:bookingNumber/balance
+// @desc    Collect the outstanding balance at the desk, by card or recorded cash/transfer (Admin only)
+// @access  Private/Admin
+router.post('/booking/:bookingNumber/balance', adminAuth, [
+  body('method').isIn(['Card', 'Cash', 'Bank Transfer']).withMessage('Invalid payment method'),
+  body('paymentMethodId').if(body('method').equals('Card')).notEmpty().withMessage('Payment method is required for card payments'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be positive')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { method, paymentMethodId } = req.body;
+
+    const booking = await Booking.findOne({ bookingNumber: req.params.bookingNumber })
+      .populate(['guest', 'room']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.balanceDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking has no outstanding balance'
+      });
+    }
+
+    const amount = req.body.amount ? parseFloat(req.body.amount) : booking.balanceDue;
+    if (amount > booking.balanceDue + 0.001) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount exceeds the outstanding balance of ${booking.balanceDue.toFixed(2)}`
+      });
+    }
+
+    let paymentIntent;
+    if (method === 'Card') {
+      try {
+        paymentIntent = await paymentService.createBookingPaymentIntent(booking, {
+          amount,
+          purpose: 'Balance',
+          paymentMethodId
+        });
+      } catch (stripeError) {
+        logger.error('Stripe balance payment error:', stripeError);
+        return res.status(400).json({
+          success: false,
+          message: 'Payment processing failed',
+          error: stripeError.message
+        });
+      }
+
+      await paymentService.syncBookingPayment(booking, paymentIntent);
+    } else {
+      booking.recordManualPayment({ amount, method, adminId: req.admin.id });
+      await booking.save();
+    }
+
+    logger.paymentLog('Balance payment collected', {
+      bookingNumber: booking.bookingNumber,
+      admin: req.admin.email,
+      method,
+      amount
+    });
+
+    res.json({
+      success: true,
+      message: paymentIntent && paymentIntent.status !== 'succeeded'
+        ? 'Balance payment is not complete yet'
+        : 'Balance payment recorded',
+      data: {
+        bookingNumber: booking.bookingNumber,
+        paymentStatus: booking.paymentStatus,
+        amountPaid: booking.amountPaid,
+        balanceDue: booking.balanceDue,
+        ...(paymentIntent && { paymentIntent: serializePaymentIntent(paymentIntent) })
+      }
+    });
+  } catch (error) {
+    logger.error('Error collecting balance payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while collecting balance'
+    });
+  }
+});
+
+// @route   POST /api/payments/booking/:bookingNumber/payment-link
+// @desc    Create a Stripe payment link for the outstanding balance and email it to the guest (Admin only)
+// @access  Private/Admin
+router.post('/booking/:bookingNumber/payment-link', adminAuth, async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ bookingNumber: req.params.bookingNumber })
+      .populate(['guest', 'room']);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.balanceDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking has no outstanding balance'
+      });
+    }
+
+    let session;
+    try {
+      session = await paymentService.createBalancePaymentLink(booking);
+    } catch (stripeError) {
+      logger.error('Stripe payment link error:', stripeError);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to create payment link',
+        error: stripeError.message
+      });
+    }
+
+    booking.balancePaymentLink = {
+      url: session.url,
+      stripeSessionId: session.id,
+      expiresAt: session.expires_at ? new Date(session.expires_at * 1000) : undefined
+    };
+
+    try {
+      await sendEmail({
+        to: booking.guest.email,
+        subject: 'Complete Your Payment - The Old Vine Hotel',
+        template: 'balancePaymentLink',
+        context: {
+          guest: booking.guest,
+          booking,
+          paymentUrl: session.url
+        }
+      });
+      booking.balancePaymentLink.sentAt = new Date();
+    } catch (emailError) {
+      logger.error('Payment link email error:', emailError);
+    }
+
+    await booking.save();
+
+    res.status(201).json({
+      success: true,
+      message: booking.balancePaymentLink.sentAt
+        ? 'Payment link sent to guest'
+        : 'Payment link created, but the email could not be sent',
+      data: {
+        bookingNumber: booking.bookingNumber,
+        balanceDue: booking.balanceDue,
+        balancePaymentLink: booking.balancePaymentLink
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating payment link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating payment link'
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook
+// @desc    Stripe webhook (signature verified against the raw request body)
+// @access  Public (webhook)
+router.post('/webhook', actAs(() => ({ type: 'System', label: 'Stripe webhook' })), async (req, res) => {
+  let event;
+
+  try {
+    event = paymentService.constructWebhookEvent(req.body, req.header('Stripe-Signature'));
+  } catch (error) {
+    logger.securityLog('Stripe webhook signature verification failed', {
+      error: error.message,
+      ip: req.ip
+    });
+    return res.status(400).json({
+      success: false,
+      message: 'Webhook signature verification failed'
+    });
+  }
+
+  try {
+    const result = await paymentService.handleWebhookEvent(event);
+
+    res.json({ success: true, received: true, ...result });
+  } catch (error) {
+    logger.error('Stripe webhook processing failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
+  }
+});
+
+// @route   GET /api/payments/health
+// @desc    Payments service health check
+// @access  Public
 router.get('/health', (req, res) => {
   res.json({ success: true, service: 'payments', status: 'ok' });
 });
 
 module.exports = router;
-
-
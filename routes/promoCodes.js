@@ -0,0 +1,357 @@
+const express = require('express');
+const router = express.Router();
+const PromoCode = require('../models/PromoCode');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const Guest = require('../models/Guest');
+const { body, validationResult } = require('express-validator');
+const adminAuth = require('../middleware/adminAuth');
+const PricingService = require('../services/PricingService');
+const logger = require('../utils/logger');
+
+const pricingService = new PricingService();
+
+const promoCodeValidation = [
+  body('code').optional().notEmpty().withMessage('Code is required'),
+  body('discountType').optional().isIn(['Percentage', 'Fixed']).withMessage('Discount type must be Percentage or Fixed'),
+  body('discountValue').optional().isFloat({ min: 0 }).withMessage('Discount value must be positive')
+    .custom((value, { req }) => {
+      if (req.body.discountType === 'Percentage' && value > 100) {
+        throw new Error('Percentage discount cannot exceed 100');
+      }
+      return true;
+    }),
+  body('maxDiscount').optional().isFloat({ min: 0 }),
+  body('stayStart').optional().isISO8601(),
+  body('stayEnd').optional().isISO8601(),
+  body('bookingStart').optional().isISO8601(),
+  body('bookingEnd').optional().isISO8601(),
+  body('minNights').optional().isInt({ min: 1 }),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }),
+  body('perGuestLimit').optional({ nullable: true }).isInt({ min: 1 }),
+  body('roomCategories').optional().isArray(),
+  body('roomCategories.*').optional().isMongoId().withMessage('Valid room category ID is required')
+];
+
+// @route   POST /api/promo-codes/validate
+// @desc    Check a promo code against a stay and preview the discounted price
+// @access  Public
+router.post('/validate', [
+  body('code').notEmpty().withMessage('Promo code is required'),
+  body('roomId').isMongoId().withMessage('Valid room ID is required'),
+  body('checkInDate').isISO8601().withMessage('Valid check-in date is required'),
+  body('checkOutDate').isISO8601().withMessage('Valid check-out date is required'),
+  body('email').optional().isEmail(),
+  body('ratePlanId').optional().isMongoId(),
+  body('numberOfGuests.adults').optional().isInt({ min: 1 }),
+  body('numberOfGuests.children').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { code, roomId, checkInDate, checkOutDate, email, ratePlanId, numberOfGuests = { adults: 1 } } = req.body;
+    const checkIn = new Date(checkInDate);
+    const checkOut = new Date(checkOutDate);
+
+    if (checkIn >= checkOut) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date must be after check-in date'
+      });
+    }
+
+    const room = await Room.findById(roomId);
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    // Per-guest caps can only be checked when we know who is booking
+    const guest = email ? await Guest.findOne({ email }) : null;
+
+    const resolved = await pricingService.resolvePromoCode(code, {
+      room,
+      checkIn,
+      checkOut,
+      guestId: guest && guest._id
+    });
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error,
+        violations: resolved.violations
+      });
+    }
+
+    let ratePlan = null;
+    if (ratePlanId) {
+      const plan = await pricingService.resolveRatePlan(ratePlanId, room, checkIn, checkOut);
+      if (plan.error) {
+        return res.status(400).json({
+          success: false,
+          message: plan.error,
+          restrictions: plan.restrictions
+        });
+      }
+      ratePlan = plan.ratePlan;
+    }
+
+    const quote = await pricingService.quoteRoomStay({
+      room,
+      checkIn,
+      checkOut,
+      numberOfGuests,
+      ratePlan,
+      promoCode: resolved.promoCode
+    });
+
+    res.json({
+      success: true,
+      message: 'Promo code applied',
+      data: {
+        promoCode: {
+          code: resolved.promoCode.code,
+          description: resolved.promoCode.description,
+          discountType: resolved.promoCode.discountType,
+          discountValue: resolved.promoCode.discountValue
+        },
+        discount: quote.discounts,
+        pricing: quote
+      }
+    });
+  } catch (error) {
+    logger.error('Error validating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while validating promo code'
+    });
+  }
+});
+
+// @route   GET /api/promo-codes/report
+// @desc    Redemptions and revenue driven per promo code (Admin only)
+// @access  Private/Admin
+router.get('/report', adminAuth, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const end = endDate ? new Date(endDate) : new Date();
+
+    const report = await Booking.generatePromoCodeReport(start, end);
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        summary: {
+          redemptions: report.reduce((sum, row) => sum + row.redemptions, 0),
+          discountGiven: report.reduce((sum, row) => sum + row.discountGiven, 0),
+          revenue: report.reduce((sum, row) => sum + row.revenue, 0),
+          dateRange: { start, end }
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error generating promo code report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating promo code report'
+    });
+  }
+});
+
+// @route   GET /api/promo-codes
+// @desc    Get all promo codes (Admin only)
+// @access  Private/Admin
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+    const promoCodes = await PromoCode.find(filter)
+      .select('-redemptions')
+      .populate('roomCategories', 'name slug')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { promoCodes }
+    });
+  } catch (error) {
+    logger.error('Error fetching promo codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching promo codes'
+    });
+  }
+});
+
+// @route   GET /api/promo-codes/:id
+// @desc    Get a promo code with its redemptions (Admin only)
+// @access  Private/Admin
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id)
+      .populate('roomCategories', 'name slug')
+      .populate('redemptions.booking', 'bookingNumber status totalAmount')
+      .populate('redemptions.guest', 'firstName lastName email');
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { promoCode }
+    });
+  } catch (error) {
+    logger.error('Error fetching promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching promo code'
+    });
+  }
+});
+
+// @route   POST /api/promo-codes
+// @desc    Create a promo code (Admin only)
+// @access  Private/Admin
+router.post('/', adminAuth, [
+  body('code').notEmpty().withMessage('Code is required'),
+  body('discountType').notEmpty().withMessage('Discount type is required'),
+  body('discountValue').notEmpty().withMessage('Discount value is required'),
+  ...promoCodeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { usageCount, redemptions, ...fields } = req.body;
+    const promoCode = new PromoCode({ ...fields, createdBy: req.admin.id });
+    await promoCode.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: { promoCode }
+    });
+  } catch (error) {
+    logger.error('Error creating promo code:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating promo code'
+    });
+  }
+});
+
+// @route   PUT /api/promo-codes/:id
+// @desc    Update a promo code (Admin only)
+// @access  Private/Admin
+router.put('/:id', adminAuth, promoCodeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Usage is only ever changed by redemptions
+    const { usageCount, redemptions, ...updates } = req.body;
+
+    const promoCode = await PromoCode.findByIdAndUpdate(
+      req.params.id,
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: { promoCode }
+    });
+  } catch (error) {
+    logger.error('Error updating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating promo code'
+    });
+  }
+});
+
+// @route   DELETE /api/promo-codes/:id
+// @desc    Delete an unused promo code, or deactivate a redeemed one (Admin only)
+// @access  Private/Admin
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    // Keep redeemed codes so bookings and the report still resolve them
+    const redeemed = await Booking.exists({ 'promotion.promoCode': promoCode._id });
+    if (redeemed) {
+      promoCode.isActive = false;
+      await promoCode.save();
+
+      return res.json({
+        success: true,
+        message: 'Promo code has been redeemed and was deactivated instead of deleted'
+      });
+    }
+
+    await promoCode.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Promo code deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting promo code'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const RatePlan = require('../models/RatePlan');
+const Booking = require('../models/Booking');
+const { body, validationResult } = require('express-validator');
+const adminAuth = require('../middleware/adminAuth');
+
+const ratePlanValidation = [
+  body('name').optional().notEmpty().withMessage('Name is required'),
+  body('code').optional().notEmpty().withMessage('Code is required'),
+  body('roomCategories').optional().isArray(),
+  body('roomCategories.*').optional().isMongoId().withMessage('Valid room category ID is required'),
+  body('adjustment.type').optional().isIn(['Percentage', 'Amount']),
+  body('adjustment.value').optional().isFloat(),
+  body('rates').optional().isArray(),
+  body('rates.*.startDate').optional().isISO8601().withMessage('Valid rate start date is required'),
+  body('rates.*.endDate').optional().isISO8601().withMessage('Valid rate end date is required'),
+  body('rates.*.price').optional().isFloat({ min: 0 }).withMessage('Rate price must be positive'),
+  body('restrictions.minLengthOfStay').optional().isInt({ min: 1 }),
+  body('restrictions.maxLengthOfStay').optional().isInt({ min: 1 }),
+  body('restrictions.closedToArrival.*').optional().isISO8601(),
+  body('restrictions.closedToDeparture.*').optional().isISO8601(),
+  body('validFrom').optional().isISO8601(),
+  body('validTo').optional().isISO8601(),
+  body('cancellationPolicy').optional({ nullable: true }).isMongoId().withMessage('Valid cancellation policy ID is required'),
+  body('seasonalCancellationPolicies').optional().isArray(),
+  body('seasonalCancellationPolicies.*.startDate').optional().isISO8601().withMessage('Valid season start date is required'),
+  body('seasonalCancellationPolicies.*.endDate').optional().isISO8601().withMessage('Valid season end date is required'),
+  body('seasonalCancellationPolicies.*.cancellationPolicy').optional().isMongoId().withMessage('Valid cancellation policy ID is required'),
+  body('loyaltyMultiplier').optional().isFloat({ min: 0 }).withMessage('Loyalty multiplier cannot be negative')
+];
+
+// ==================== ADMIN ROUTES (put before /:id to avoid conflicts) ====================
+
+// @route   GET /api/rate-plans/admin/all
+// @desc    Get all rate plans (including inactive) - Admin only
+// @access  Private/Admin
+router.get('/admin/all', adminAuth, async (req, res) => {
+  try {
+    const ratePlans = await RatePlan.find()
+      .populate('roomCategories', 'name slug')
+      .populate('cancellationPolicy seasonalCancellationPolicies.cancellationPolicy', 'name code refundable tiers description')
+      .sort({ displayOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { ratePlans }
+    });
+  } catch (error) {
+    console.error('Error fetching all rate plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rate plans'
+    });
+  }
+});
+
+// @route   POST /api/rate-plans
+// @desc    Create a new rate plan - Admin only
+// @access  Private/Admin
+router.post('/', adminAuth, [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('code').notEmpty().withMessage('Code is required'),
+  ...ratePlanValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const ratePlan = new RatePlan(req.body);
+    await ratePlan.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate plan created successfully',
+      data: { ratePlan }
+    });
+  } catch (error) {
+    console.error('Error creating rate plan:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate plan with this code already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating rate plan'
+    });
+  }
+});
+
+// @route   PUT /api/rate-plans/:id
+// @desc    Update a rate plan - Admin only
+// @access  Private/Admin
+router.put('/:id', adminAuth, ratePlanValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const ratePlan = await RatePlan.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!ratePlan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rate plan updated successfully',
+      data: { ratePlan }
+    });
+  } catch (error) {
+    console.error('Error updating rate plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating rate plan'
+    });
+  }
+});
+
+// @route   DELETE /api/rate-plans/:id
+// @desc    Delete a rate plan - Admin only
+// @access  Private/Admin
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    // Plans that have been sold stay on record; deactivate them instead
+    const bookingsCount = await Booking.countDocuments({ ratePlan: req.params.id });
+
+    if (bookingsCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete rate plan. ${bookingsCount} booking(s) were made on it. Deactivate it instead.`
+      });
+    }
+
+    const ratePlan = await RatePlan.findByIdAndDelete(req.params.id);
+
+    if (!ratePlan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rate plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting rate plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting rate plan'
+    });
+  }
+});
+
+// ==================== PUBLIC ROUTES ====================
+
+// @route   GET /api/rate-plans
+// @desc    Get active rate plans, optionally for one room category
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.query.category) {
+      filter.$or = [
+        { roomCategories: { $size: 0 } },
+        { roomCategories: req.query.category }
+      ];
+    }
+
+    const ratePlans = await RatePlan.find(filter)
+      .select('-rates')
+      .populate('roomCategories', 'name slug')
+      .populate('cancellationPolicy seasonalCancellationPolicies.cancellationPolicy', 'name code refundable tiers description')
+      .sort({ displayOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { ratePlans }
+    });
+  } catch (error) {
+    console.error('Error fetching rate plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rate plans'
+    });
+  }
+});
+
+// @route   GET /api/rate-plans/:id
+// @desc    Get a single rate plan
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const ratePlan = await RatePlan.findOne({ _id: req.params.id, isActive: true })
+      .select('-rates')
+      .populate('roomCategories', 'name slug')
+      .populate('cancellationPolicy seasonalCancellationPolicies.cancellationPolicy', 'name code refundable tiers description');
+
+    if (!ratePlan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ratePlan }
+    });
+  } catch (error) {
+    console.error('Error fetching rate plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rate plan'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const RegistrationReport = require('../models/RegistrationReport');
+const SiteSettings = require('../models/SiteSettings');
+const { query, validationResult } = require('express-validator');
+const adminAuth = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+const { generateRegistrationCSV, generateRegistrationHTML } = require('../utils/registrationReport');
+const GuestRegistrationService = require('../services/GuestRegistrationService');
+
+const guestRegistrationService = new GuestRegistrationService();
+
+// @route   GET /api/reports/guest-registration
+// @desc    Guests in house on a night (default today) for registration with the authorities, as JSON, CSV or printable HTML - Admin only
+// @access  Private/Admin
+router.get('/guest-registration', adminAuth, [
+  query('date').optional().isISO8601().withMessage('Date must be YYYY-MM-DD'),
+  query('format').optional().isIn(['json', 'csv', 'html']),
+  query('foreignOnly').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { date = new Date(), format = 'json' } = req.query;
+    const foreignOnly = req.query.foreignOnly === 'true';
+    const settings = await SiteSettings.getSiteSettings();
+    const report = await guestRegistrationService.buildReport(date, settings, { foreignOnly });
+
+    // Every report handed out is kept with what it disclosed
+    const audit = await RegistrationReport.create({
+      reportDate: report.reportDate,
+      format,
+      foreignOnly,
+      generatedBy: req.admin.id,
+      ipAddress: req.ip,
+      guestCount: report.totals.guests,
+      foreignCount: report.totals.foreign,
+      incompleteCount: report.totals.incomplete,
+      bookings: report.rows.map(row => row.booking)
+    });
+
+    logger.bookingLog('Guest registration report generated', {
+      reportDate: report.reportDate.toISOString().split('T')[0],
+      format,
+      guests: report.totals.guests,
+      admin: req.admin.email
+    });
+
+    const day = report.reportDate.toISOString().split('T')[0];
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="guest-registration-${day}.csv"`);
+      return res.send(generateRegistrationCSV(report));
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(generateRegistrationHTML({
+        report,
+        hotel: settings.hotel,
+        generatedBy: req.admin.email,
+        generatedAt: audit.createdAt
+      }));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        reportId: audit._id
+      }
+    });
+  } catch (error) {
+    logger.error('Error generating guest registration report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating guest registration report'
+    });
+  }
+});
+
+// @route   GET /api/reports/guest-registration/arrivals
+// @desc    Arrivals on a date (default today) whose registration details are incomplete - Admin only
+// @access  Private/Admin
+router.get('/guest-registration/arrivals', adminAuth, [
+  query('date').optional().isISO8601().withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await SiteSettings.getSiteSettings();
+    const arrivals = await guestRegistrationService.findIncompleteArrivals(req.query.date || new Date(), settings);
+
+    res.json({
+      success: true,
+      data: { arrivals }
+    });
+  } catch (error) {
+    logger.error('Error fetching incomplete arrivals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching incomplete arrivals'
+    });
+  }
+});
+
+// @route   GET /api/reports/guest-registration/history
+// @desc    Guest registration reports generated, latest first - Admin only
+// @access  Private/Admin
+router.get('/guest-registration/history', adminAuth, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 30 } = req.query;
+
+    const [reports, totalCount] = await Promise.all([
+      RegistrationReport.find()
+        .select('-bookings')
+        .populate('generatedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      RegistrationReport.countDocuments()
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching guest registration reports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching guest registration reports'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,751 @@
+const express = require('express');
+const router = express.Router();
+const Reservation = require('../models/Reservation');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const Guest = require('../models/Guest');
+const RoomHold = require('../models/RoomHold');
+const SiteSettings = require('../models/SiteSettings');
+const { body, query, validationResult } = require('express-validator');
+const adminAuth = require('../middleware/adminAuth');
+const { roundMoney } = require('../utils/currency');
+const logger = require('../utils/logger');
+const BookingStatusService = require('../services/BookingStatusService');
+const PaymentService = require('../services/PaymentService');
+const PricingService = require('../services/PricingService');
+
+const bookingStatusService = new BookingStatusService();
+const paymentService = new PaymentService();
+const pricingService = new PricingService();
+
+const MAX_ROOMS = 10;
+
+// Load a reservation and its lines, checking the guest's confirmation code
+const loadReservation = async (reservationNumber, confirmationCode) => {
+  const reservation = await Reservation.findOne({ reservationNumber, confirmationCode });
+  if (!reservation) return null;
+
+  const lines = await Booking.find({ reservation: reservation._id })
+    .populate(['guest', 'room'])
+    .sort({ checkInDate: 1 });
+
+  return { reservation, lines };
+};
+
+// Shape a PaymentIntent for the client
+const serializePaymentIntent = (paymentIntent) => ({
+  id: paymentIntent.id,
+  status: paymentIntent.status,
+  client_secret: paymentIntent.client_secret,
+  next_action: paymentIntent.next_action || null,
+  requiresAction: paymentIntent.status === 'requires_action'
+});
+
+// @route   POST /api/reservations
+// @desc    Reserve several rooms under one reference with one payment
+// @access  Public
+router.post('/', [
+  body('guestInfo.firstName').notEmpty().withMessage('First name is required'),
+  body('guestInfo.lastName').notEmpty().withMessage('Last name is required'),
+  body('guestInfo.email').isEmail().withMessage('Valid email is required'),
+  body('guestInfo.phone').notEmpty().withMessage('Phone number is required'),
+  body('rooms').isArray({ min: 1, max: MAX_ROOMS }).withMessage(`Between 1 and ${MAX_ROOMS} rooms are required`),
+  body('rooms.*.roomId').isMongoId().withMessage('Valid room ID is required'),
+  body('rooms.*.checkInDate').isISO8601().withMessage('Valid check-in date is required'),
+  body('rooms.*.checkOutDate').isISO8601().withMessage('Valid check-out date is required'),
+  body('rooms.*.numberOfGuests.adults').isInt({ min: 1 }).withMessage('At least 1 adult required'),
+  body('rooms.*.numberOfGuests.children').optional().isInt({ min: 0 }),
+  body('rooms.*.ratePlanId').optional().isMongoId().withMessage('Valid rate plan ID is required'),
+  body('paymentMethodId').notEmpty().withMessage('Payment method is required'),
+  body('returnUrl').optional().isURL({ require_tld: false })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { guestInfo, rooms, specialRequests, paymentMethodId, returnUrl } = req.body;
+
+    // Check every room line before touching the guest or taking payment
+    const requested = [];
+    for (const [index, line] of rooms.entries()) {
+      const label = `Room ${index + 1}`;
+      const checkIn = new Date(line.checkInDate);
+      const checkOut = new Date(line.checkOutDate);
+
+      if (checkIn >= checkOut) {
+        return res.status(400).json({ success: false, message: `${label}: check-out date must be after check-in date` });
+      }
+      if (checkIn < new Date()) {
+        return res.status(400).json({ success: false, message: `${label}: check-in date cannot be in the past` });
+      }
+
+      const room = await Room.findById(line.roomId);
+      if (!room || !room.isActive) {
+        return res.status(404).json({ success: false, message: `${label}: room not found` });
+      }
+
+      const totalGuests = Number(line.numberOfGuests.adults) + Number(line.numberOfGuests.children || 0);
+      if (room.maxOccupancy < totalGuests) {
+        return res.status(400).json({
+          success: false,
+          message: `${label}: room can accommodate maximum ${room.maxOccupancy} guests`
+        });
+      }
+
+      const overlapsEarlierLine = requested.some(other =>
+        other.room._id.equals(room._id) && other.checkIn < checkOut && other.checkOut > checkIn
+      );
+      if (overlapsEarlierLine || !(await room.isAvailable(checkIn, checkOut))) {
+        return res.status(400).json({
+          success: false,
+          message: `${label}: room is not available for the selected dates`
+        });
+      }
+
+      let ratePlan = null;
+      if (line.ratePlanId) {
+        const resolved = await pricingService.resolveRatePlan(line.ratePlanId, room, checkIn, checkOut);
+        if (resolved.error) {
+          return res.status(400).json({
+            success: false,
+            message: `${label}: ${resolved.error}`,
+            restrictions: resolved.restrictions
+          });
+        }
+        ratePlan = resolved.ratePlan;
+      }
+
+      requested.push({ room, checkIn, checkOut, numberOfGuests: line.numberOfGuests, ratePlan });
+    }
+
+    // Find or create guest
+    let guest = await Guest.findOne({ email: guestInfo.email });
+    if (!guest) {
+      guest = new Guest({
+        ...guestInfo,
+        isRegistered: false
+      });
+      await guest.save();
+    } else {
+      Object.assign(guest, guestInfo);
+      await guest.save();
+    }
+
+    // Price each line; the deposit rule applies per line
+    const pricingConfig = await pricingService.getConfig();
+    const reservation = new Reservation({
+      guest: guest._id,
+      currency: pricingConfig.currency,
+      currencySymbol: pricingConfig.currencySymbol,
+      paymentMode: pricingConfig.depositRequired ? 'Deposit' : 'Full',
+      specialRequests
+    });
+
+    const lines = [];
+    for (const line of requested) {
+      const quote = await pricingService.quoteRoomStay({ ...line, config: pricingConfig });
+      const deposit = pricingService.depositFor(quote, pricingConfig);
+
+      const booking = new Booking({
+        guest: guest._id,
+        room: line.room._id,
+        checkInDate: line.checkIn,
+        checkOutDate: line.checkOut,
+        numberOfGuests: line.numberOfGuests,
+        ...pricingService.toBookingFields(quote, line.ratePlan),
+        paymentMode: reservation.paymentMode,
+        depositAmount: deposit || 0,
+        specialRequests,
+        paymentStatus: 'Pending',
+        paymentMethod: 'Credit Card',
+        status: 'Pending',
+        bookingSource: 'Direct',
+        reservation: reservation._id,
+        isGroupBooking: requested.length > 1,
+        groupSize: requested.length,
+        groupLeader: `${guest.firstName} ${guest.lastName}`
+      });
+      await booking.validate();
+      lines.push(booking);
+    }
+
+    reservation.bookings = lines.map(line => line._id);
+    reservation.updateTotals(lines);
+    await reservation.validate();
+
+    const chargeAmount = roundMoney(lines.reduce((sum, line) => sum + line.amountDueNow, 0));
+
+    // Hold every room while the card is charged; give them all back if any is taken meanwhile
+    const settings = await SiteSettings.getSiteSettings();
+    const holdMinutes = settings.booking.holdMinutes || RoomHold.DEFAULT_HOLD_MINUTES;
+    const releaseHolds = () => RoomHold.release({ booking: { $in: lines.map(line => line._id) } });
+    for (const [index, line] of lines.entries()) {
+      const hold = await RoomHold.place({
+        room: line.room,
+        checkIn: line.checkInDate,
+        checkOut: line.checkOutDate,
+        minutes: holdMinutes,
+        guestEmail: guest.email,
+        booking: line._id
+      });
+      if (!hold) {
+        await releaseHolds();
+        return res.status(409).json({
+          success: false,
+          message: `Room ${index + 1}: room is not available for the selected dates`
+        });
+      }
+    }
+
+    // One payment for every room
+    let paymentIntent;
+    try {
+      paymentIntent = await paymentService.createReservationPaymentIntent(reservation, {
+        amount: chargeAmount,
+        purpose: reservation.paymentMode,
+        paymentMethodId,
+        returnUrl
+      });
+    } catch (stripeError) {
+      logger.error('Stripe payment error:', stripeError);
+      await releaseHolds();
+      return res.status(400).json({
+        success: false,
+        message: 'Payment processing failed',
+        error: stripeError.message
+      });
+    }
+
+    for (const [index, line] of lines.entries()) {
+      await line.save();
+      line.guest = guest;
+      line.room = requested[index].room;
+    }
+    await paymentService.syncReservationPayment(reservation, lines, paymentIntent);
+
+    // A declined card frees the rooms straight away
+    if (['requires_payment_method', 'canceled'].includes(paymentIntent.status)) {
+      await releaseHolds();
+    }
+
+    logger.bookingLog('Reservation created', {
+      reservationNumber: reservation.reservationNumber,
+      bookingNumbers: lines.map(line => line.bookingNumber),
+      totalAmount: reservation.totalAmount
+    });
+
+    res.status(201).json({
+      success: true,
+      message: paymentIntent.status === 'succeeded'
+        ? 'Reservation confirmed successfully'
+        : paymentIntent.status === 'requires_action'
+          ? 'Reservation created, additional payment authentication required'
+          : 'Reservation created, payment processing',
+      data: {
+        reservation,
+        bookings: lines,
+        paymentIntent: serializePaymentIntent(paymentIntent)
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating reservation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating reservation'
+    });
+  }
+});
+
+// @route   GET /api/reservations
+// @desc    Get all reservations (Admin only)
+// @access  Private/Admin
+router.get('/', adminAuth, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['Pending', 'Confirmed', 'Partially Cancelled', 'Cancelled'])
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const filter = status ? { status } : {};
+    const skip = (page - 1) * limit;
+
+    const [reservations, total] = await Promise.all([
+      Reservation.find(filter)
+        .populate('guest', 'firstName lastName email phone')
+        .populate({ path: 'bookings', select: 'bookingNumber status room checkInDate checkOutDate totalAmount', populate: { path: 'room', select: 'name roomNumber type' } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Reservation.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reservations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalCount: total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching reservations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reservations'
+    });
+  }
+});
+
+// @route   GET /api/reservations/:reservationNumber
+// @desc    Get a reservation and its rooms
+// @access  Public (with confirmation code)
+router.get('/:reservationNumber', [
+  query('confirmationCode').notEmpty().withMessage('Confirmation code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadReservation(req.params.reservationNumber, req.query.confirmationCode);
+    if (!loaded) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reservation: loaded.reservation,
+        bookings: loaded.lines
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching reservation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reservation'
+    });
+  }
+});
+
+// @route   POST /api/reservations/:reservationNumber/pay
+// @desc    Pay what is due now on every room (or the full balance) in one payment
+// @access  Public (with confirmation code)
+router.post('/:reservationNumber/pay', [
+  body('confirmationCode').notEmpty().withMessage('Confirmation code is required'),
+  body('paymentMethodId').optional().isString(),
+  body('payInFull').optional().isBoolean(),
+  body('returnUrl').optional().isURL({ require_tld: false })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { confirmationCode, paymentMethodId, payInFull, returnUrl } = req.body;
+
+    const loaded = await loadReservation(req.params.reservationNumber, confirmationCode);
+    if (!loaded) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    const { reservation, lines } = loaded;
+    const active = lines.filter(line => line.status !== 'Cancelled');
+    const amountDue = roundMoney(active
+      .reduce((sum, line) => sum + (payInFull ? line.balanceDue : line.amountDueNow), 0));
+
+    if (amountDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing is due on this reservation'
+      });
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await paymentService.createReservationPaymentIntent(reservation, {
+        amount: amountDue,
+        purpose: payInFull || reservation.paymentMode === 'Full' ? 'Balance' : 'Deposit',
+        paymentMethodId,
+        returnUrl
+      });
+    } catch (stripeError) {
+      logger.error('Stripe payment error:', stripeError);
+      return res.status(400).json({
+        success: false,
+        message: 'Payment processing failed',
+        error: stripeError.message
+      });
+    }
+
+    await paymentService.syncReservationPayment(reservation, lines, paymentIntent);
+
+    res.json({
+      success: true,
+      data: {
+        reservation,
+        amount: amountDue,
+        paymentIntent: serializePaymentIntent(paymentIntent)
+      }
+    });
+  } catch (error) {
+    logger.error('Error paying reservation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing payment'
+    });
+  }
+});
+
+// @route   POST /api/reservations/:reservationNumber/confirm-payment
+// @desc    Confirm a reservation payment after 3-D Secure
+// @access  Public (with confirmation code)
+router.post('/:reservationNumber/confirm-payment', [
+  body('confirmationCode').notEmpty().withMessage('Confirmation code is required'),
+  body('paymentIntentId').notEmpty().withMessage('Payment intent ID is required'),
+  body('paymentMethodId').optional().isString(),
+  body('returnUrl').optional().isURL({ require_tld: false })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { confirmationCode, paymentIntentId, paymentMethodId, returnUrl } = req.body;
+
+    const loaded = await loadReservation(req.params.reservationNumber, confirmationCode);
+    if (!loaded) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await paymentService.retrievePaymentIntent(paymentIntentId);
+      if (!paymentIntent.metadata || paymentIntent.metadata.reservationNumber !== loaded.reservation.reservationNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment does not belong to this reservation'
+        });
+      }
+      paymentIntent = await paymentService.confirmPaymentIntent(paymentIntentId, { paymentMethodId, returnUrl });
+    } catch (stripeError) {
+      logger.error('Stripe confirm error:', stripeError);
+      return res.status(400).json({
+        success: false,
+        message: 'Payment confirmation failed',
+        error: stripeError.message
+      });
+    }
+
+    await paymentService.syncReservationPayment(loaded.reservation, loaded.lines, paymentIntent);
+
+    res.json({
+      success: true,
+      data: {
+        reservation: loaded.reservation,
+        paymentIntent: serializePaymentIntent(paymentIntent)
+      }
+    });
+  } catch (error) {
+    logger.error('Error confirming reservation payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming payment'
+    });
+  }
+});
+
+// @route   PUT /api/reservations/:reservationNumber/lines/:bookingNumber
+// @desc    Change the dates or occupancy of one room in a reservation
+// @access  Public (with confirmation code)
+router.put('/:reservationNumber/lines/:bookingNumber', [
+  body('confirmationCode').notEmpty().withMessage('Confirmation code is required'),
+  body('checkInDate').optional().isISO8601().withMessage('Valid check-in date is required'),
+  body('checkOutDate').optional().isISO8601().withMessage('Valid check-out date is required'),
+  body('numberOfGuests.adults').optional().isInt({ min: 1 }).withMessage('At least 1 adult required'),
+  body('numberOfGuests.children').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { confirmationCode, checkInDate, checkOutDate, numberOfGuests } = req.body;
+
+    const loaded = await loadReservation(req.params.reservationNumber, confirmationCode);
+    const line = loaded && loaded.lines.find(l => l.bookingNumber === req.params.bookingNumber);
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation room not found'
+      });
+    }
+
+    if (!['Pending', 'Confirmed'].includes(line.status) || line.checkInDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This room can no longer be changed'
+      });
+    }
+
+    const checkIn = checkInDate ? new Date(checkInDate) : line.checkInDate;
+    const checkOut = checkOutDate ? new Date(checkOutDate) : line.checkOutDate;
+    const guests = numberOfGuests
+      ? {
+        adults: Number(numberOfGuests.adults || line.numberOfGuests.adults),
+        children: Number(numberOfGuests.children != null ? numberOfGuests.children : line.numberOfGuests.children)
+      }
+      : line.numberOfGuests;
+
+    if (checkIn >= checkOut) {
+      return res.status(400).json({ success: false, message: 'Check-out date must be after check-in date' });
+    }
+    if (checkIn < new Date()) {
+      return res.status(400).json({ success: false, message: 'Check-in date cannot be in the past' });
+    }
+    if (line.room.maxOccupancy < guests.adults + guests.children) {
+      return res.status(400).json({
+        success: false,
+        message: `Room can accommodate maximum ${line.room.maxOccupancy} guests`
+      });
+    }
+    if (!(await line.room.isAvailable(checkIn, checkOut, line._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Room is not available for the selected dates'
+      });
+    }
+
+    // Re-price the line on its rate plan; the plan's cancellation terms stay as booked
+    const pricingConfig = await pricingService.getConfig();
+    const repriced = await pricingService.repriceBooking(line, {
+      room: line.room,
+      checkIn,
+      checkOut,
+      numberOfGuests: guests,
+      config: pricingConfig
+    });
+    if (repriced.error) {
+      return res.status(400).json({
+        success: false,
+        message: repriced.error,
+        restrictions: repriced.restrictions
+      });
+    }
+
+    // Record what changed before the line is updated
+    const changes = {};
+    if (checkIn.getTime() !== line.checkInDate.getTime()) {
+      changes.checkInDate = { from: line.checkInDate, to: checkIn };
+    }
+    if (checkOut.getTime() !== line.checkOutDate.getTime()) {
+      changes.checkOutDate = { from: line.checkOutDate, to: checkOut };
+    }
+    if (guests.adults !== line.numberOfGuests.adults || guests.children !== (line.numberOfGuests.children || 0)) {
+      changes.numberOfGuests = {
+        from: { adults: line.numberOfGuests.adults, children: line.numberOfGuests.children || 0 },
+        to: guests
+      };
+    }
+
+    const previousTotal = line.totalAmount;
+    const previous = {
+      totalAmount: line.totalAmount,
+      fees: line.fees,
+      nightlyRates: line.nightlyRates.map(night => ({ date: night.date, rate: night.rate })),
+      checkInDate: line.checkInDate
+    };
+
+    Object.assign(line, {
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      numberOfGuests: guests
+    });
+    pricingService.applyQuote(line, repriced.quote, pricingConfig);
+    // What the change takes off the room is cancelled under its terms
+    const changeFee = line.applyChangeFee(previous);
+
+    line.modifications.push({
+      modifiedBy: 'Guest',
+      changes,
+      previousTotal,
+      newTotal: line.totalAmount,
+      changeFee
+    });
+    await line.save();
+
+    // Give back anything paid beyond the new total once the change is saved. Refunds
+    // that went through before one failed are recorded; the rest stays on the room as
+    // a credit for staff to refund.
+    const overpaid = roundMoney(line.amountPaid - line.totalAmount);
+    let refundAmount = 0;
+    let refundFailed = false;
+    if (overpaid > 0) {
+      const refundedBefore = line.amountRefunded;
+      try {
+        await paymentService.refundBookingPayments(line, overpaid, {
+          reservationNumber: loaded.reservation.reservationNumber,
+          reason: 'Reservation change'
+        });
+      } catch (stripeError) {
+        logger.error('Stripe refund error:', stripeError);
+        refundFailed = true;
+      }
+      refundAmount = roundMoney(line.amountRefunded - refundedBefore);
+      line.modifications[line.modifications.length - 1].amountRefunded = refundAmount;
+      await line.save();
+
+      if (refundFailed) {
+        logger.paymentLog('Reservation change refund failed', {
+          reservationNumber: loaded.reservation.reservationNumber,
+          bookingNumber: line.bookingNumber,
+          refundDue: roundMoney(overpaid - refundAmount)
+        });
+      }
+    }
+
+    loaded.reservation.updateTotals(loaded.lines);
+    await loaded.reservation.save();
+
+    logger.bookingLog('Reservation room changed', {
+      reservationNumber: loaded.reservation.reservationNumber,
+      bookingNumber: line.bookingNumber,
+      previousTotal,
+      totalAmount: line.totalAmount,
+      changeFee,
+      refundAmount
+    });
+
+    let message = 'Room updated successfully';
+    if (refundFailed) {
+      message = 'Room updated, but the refund could not be processed. Our team will refund the difference.';
+    } else if (line.balanceDue > 0) {
+      message = 'Room updated, the remaining balance can be paid now or at check-in';
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        reservation: loaded.reservation,
+        booking: line,
+        changeFee,
+        refundAmount,
+        refundDue: refundFailed ? roundMoney(overpaid - refundAmount) : 0
+      }
+    });
+  } catch (error) {
+    logger.error('Error changing reservation room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing reservation'
+    });
+  }
+});
+
+// @route   PUT /api/reservations/:reservationNumber/lines/:bookingNumber/cancel
+// @desc    Cancel one room in a reservation
+// @access  Public (with confirmation code)
+router.put('/:reservationNumber/lines/:bookingNumber/cancel', [
+  body('confirmationCode').notEmpty().withMessage('Confirmation code is required'),
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { confirmationCode, reason } = req.body;
+
+    const loaded = await loadReservation(req.params.reservationNumber, confirmationCode);
+    const line = loaded && loaded.lines.find(l => l.bookingNumber === req.params.bookingNumber);
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation room not found'
+      });
+    }
+
+    const result = await bookingStatusService.cancelForGuest(line, { reason });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    const { cancellation, cancellationFee, refundAmount } = result;
+
+    loaded.reservation.updateTotals(loaded.lines);
+    await loaded.reservation.save();
+
+    logger.bookingLog('Reservation room cancelled', {
+      reservationNumber: loaded.reservation.reservationNumber,
+      bookingNumber: line.bookingNumber,
+      cancellationFee,
+      refundAmount
+    });
+
+    res.json({
+      success: true,
+      message: 'Room cancelled successfully',
+      data: {
+        reservation: loaded.reservation,
+        booking: line,
+        cancellationPolicy: cancellation.policy,
+        cancellationFee,
+        refundAmount
+      }
+    });
+  } catch (error) {
+    logger.error('Error cancelling reservation room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling reservation room'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,14 @@ const express = require('express');
 const router = express.Router();
 const RoomCategory = require('../models/RoomCategory');
 const Room = require('../models/Room');
+const RoomHold = require('../models/RoomHold');
+const SiteSettings = require('../models/SiteSettings');
+const PricingService = require('../services/PricingService');
+const { body, query, validationResult } = require('express-validator');
 const adminAuth = require('../middleware/adminAuth');
 
+const pricingService = new PricingService();
+
 // ==================== ADMIN ROUTES (put before /:slug to avoid conflicts) ====================
 
 // @route   GET /api/room-categories/admin/all
@@ -188,6 +194,173 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/room-categories/availability
+// @desc    Rooms left to sell in each category for a stay, priced on the category's cheapest room for the party
+// @access  Public
+router.get('/availability', [
+  query('checkIn').isISO8601().withMessage('Valid check-in date is required'),
+  query('checkOut').isISO8601().withMessage('Valid check-out date is required'),
+  query('adults').optional().isInt({ min: 1 }),
+  query('children').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const checkInDate = new Date(req.query.checkIn);
+    const checkOutDate = new Date(req.query.checkOut);
+
+    if (checkInDate >= checkOutDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date must be after check-in date'
+      });
+    }
+
+    const numberOfGuests = {
+      adults: parseInt(req.query.adults || 1),
+      children: parseInt(req.query.children || 0)
+    };
+    const guests = numberOfGuests.adults + numberOfGuests.children;
+
+    const config = await pricingService.getConfig();
+    const categories = await RoomCategory.find({ isActive: true }).sort({ displayOrder: 1, name: 1 });
+
+    const results = [];
+    for (const category of categories) {
+      const room = await RoomCategory.findRepresentativeRoom(category._id, guests);
+      if (!room) continue;
+
+      const { totalRooms, available } = await RoomCategory.getAvailability(category._id, checkInDate, checkOutDate);
+      const quote = available > 0
+        ? await pricingService.quoteRoomStay({ room, checkIn: checkInDate, checkOut: checkOutDate, numberOfGuests, config })
+        : null;
+
+      results.push({
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        shortDescription: category.shortDescription,
+        primaryImage: category.primaryImage,
+        totalRooms,
+        available,
+        maxOccupancy: room.maxOccupancy,
+        quote
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        categories: results,
+        searchCriteria: {
+          checkIn: checkInDate,
+          checkOut: checkOutDate,
+          numberOfGuests
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error checking category availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking availability'
+    });
+  }
+});
+
+// @route   POST /api/room-categories/:id/hold
+// @desc    Hold any room of a category for a stay while the guest checks out
+// @access  Public
+router.post('/:id/hold', [
+  body('checkIn').isISO8601().withMessage('Valid check-in date is required'),
+  body('checkOut').isISO8601().withMessage('Valid check-out date is required'),
+  body('email').optional().isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const checkInDate = new Date(req.body.checkIn);
+    const checkOutDate = new Date(req.body.checkOut);
+
+    if (checkInDate >= checkOutDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date must be after check-in date'
+      });
+    }
+
+    if (checkInDate < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in date cannot be in the past'
+      });
+    }
+
+    const category = await RoomCategory.findById(req.params.id);
+
+    if (!category || !category.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room category not found'
+      });
+    }
+
+    const settings = await SiteSettings.getSiteSettings();
+    const minutes = settings.booking.holdMinutes || RoomHold.DEFAULT_HOLD_MINUTES;
+
+    // Holds compete for the rooms the category's bookings leave free
+    const { available } = await RoomCategory.getAvailability(category._id, checkInDate, checkOutDate);
+    const capacity = (await RoomCategory.getAvailability(category._id, checkInDate, checkOutDate, { includeHolds: false })).available;
+    const hold = available > 0 && await RoomHold.place({
+      roomCategory: category._id,
+      capacity,
+      checkIn: checkInDate,
+      checkOut: checkOutDate,
+      minutes,
+      guestEmail: req.body.email
+    });
+
+    if (!hold) {
+      return res.status(409).json({
+        success: false,
+        message: `No ${category.name} rooms are available for the selected dates`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${category.name} room held for ${minutes} minutes`,
+      data: {
+        holdToken: hold.holdToken,
+        roomCategoryId: category._id,
+        checkIn: hold.checkInDate,
+        checkOut: hold.checkOutDate,
+        expiresAt: hold.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error holding room category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while holding room'
+    });
+  }
+});
+
 // @route   GET /api/room-categories/:slug
 // @desc    Get single room category with all images and rooms
 // @access  Public
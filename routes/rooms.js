@@ -2,9 +2,14 @@ const express = require('express');
 const router = express.Router();
 const Room = require('../models/Room');
 const RoomCategory = require('../models/RoomCategory');
+const RoomHold = require('../models/RoomHold');
+const SiteSettings = require('../models/SiteSettings');
 const { body, validationResult, query } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const PricingService = require('../services/PricingService');
+
+const pricingService = new PricingService();
 
 // @route   GET /api/rooms
 // @desc    Get all rooms with filtering and pagination
@@ -91,6 +96,7 @@ router.get('/', [
 
     // If dates are provided, find available rooms
     let roomQuery;
+    let soldOutCategories = [];
     if (checkIn && checkOut) {
       const checkInDate = new Date(checkIn);
       const checkOutDate = new Date(checkOut);
@@ -102,7 +108,8 @@ router.get('/', [
         });
       }
       
-      roomQuery = Room.findAvailable(checkInDate, checkOutDate, guests ? parseInt(guests) : 1);
+      soldOutCategories = await RoomCategory.findSoldOut(checkInDate, checkOutDate);
+      roomQuery = Room.findAvailable(checkInDate, checkOutDate, guests ? parseInt(guests) : 1, { soldOutCategories });
     } else {
       roomQuery = Room.find(filter);
     }
@@ -121,7 +128,7 @@ router.get('/', [
         .limit(parseInt(limit)),
       
       checkIn && checkOut ? 
-        Room.findAvailable(new Date(checkIn), new Date(checkOut), guests ? parseInt(guests) : 1).countDocuments() :
+        Room.findAvailable(new Date(checkIn), new Date(checkOut), guests ? parseInt(guests) : 1, { soldOutCategories }).countDocuments() :
         Room.countDocuments(filter)
     ]);
 
@@ -268,12 +275,17 @@ router.post('/:id/availability', [
 
     const isAvailable = await room.isAvailable(checkInDate, checkOutDate);
     
-    // Calculate pricing
-    const numberOfNights = Math.ceil((checkOutDate - checkInDate) / (1000 * 60 * 60 * 24));
-    const roomRate = room.currentPrice;
-    const subtotal = roomRate * numberOfNights;
-    const taxes = subtotal * 0.12; // 12% tax
-    const total = subtotal + taxes;
+    // Calculate pricing night by night, at the room's own prices and on every
+    // rate plan sold on it (per-person taxes count every guest as an adult here)
+    const stay = {
+      room,
+      checkIn: checkInDate,
+      checkOut: checkOutDate,
+      numberOfGuests: { adults: guests, children: 0 },
+      config: await pricingService.getConfig()
+    };
+    const quote = await pricingService.quoteRoomStay(stay);
+    const ratePlans = await pricingService.quoteRatePlans(stay);
 
     res.json({
       success: true,
@@ -286,12 +298,18 @@ router.post('/:id/availability', [
           maxOccupancy: room.maxOccupancy
         },
         pricing: {
-          roomRate,
-          numberOfNights,
-          subtotal,
-          taxes,
-          total
+          roomRate: quote.roomRate,
+          numberOfNights: quote.numberOfNights,
+          subtotal: quote.subtotal,
+          taxes: quote.taxes,
+          includedTaxes: quote.includedTaxes,
+          taxLines: quote.taxLines,
+          total: quote.totalAmount,
+          nightlyRates: quote.nightlyRates,
+          currency: quote.currency,
+          currencySymbol: quote.currencySymbol
         },
+        ratePlans,
         dates: {
           checkIn: checkInDate,
           checkOut: checkOutDate
@@ -307,6 +325,115 @@ router.post('/:id/availability', [
   }
 });
 
+// @route   POST /api/rooms/:id/hold
+// @desc    Hold a room for a stay while the guest completes checkout
+// @access  Public
+router.post('/:id/hold', [
+  body('checkIn').isISO8601().withMessage('Valid check-in date is required'),
+  body('checkOut').isISO8601().withMessage('Valid check-out date is required'),
+  body('email').optional().isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const checkInDate = new Date(req.body.checkIn);
+    const checkOutDate = new Date(req.body.checkOut);
+
+    if (checkInDate >= checkOutDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date must be after check-in date'
+      });
+    }
+
+    if (checkInDate < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in date cannot be in the past'
+      });
+    }
+
+    const room = await Room.findById(req.params.id);
+
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    const settings = await SiteSettings.getSiteSettings();
+    const minutes = settings.booking.holdMinutes || RoomHold.DEFAULT_HOLD_MINUTES;
+
+    const hold = await room.isAvailable(checkInDate, checkOutDate) && await RoomHold.place({
+      room: room._id,
+      checkIn: checkInDate,
+      checkOut: checkOutDate,
+      minutes,
+      guestEmail: req.body.email
+    });
+
+    if (!hold) {
+      return res.status(409).json({
+        success: false,
+        message: 'Room is not available for the selected dates'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Room held for ${minutes} minutes`,
+      data: {
+        holdToken: hold.holdToken,
+        roomId: room._id,
+        checkIn: hold.checkInDate,
+        checkOut: hold.checkOutDate,
+        expiresAt: hold.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error holding room:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while holding room'
+    });
+  }
+});
+
+// @route   DELETE /api/rooms/holds/:holdToken
+// @desc    Release a hold the guest no longer needs
+// @access  Public (with hold token)
+router.delete('/holds/:holdToken', async (req, res) => {
+  try {
+    const result = await RoomHold.release({ holdToken: req.params.holdToken, status: 'Active' });
+
+    if (!result.modifiedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hold not found or already expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Hold released'
+    });
+  } catch (error) {
+    console.error('Error releasing hold:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while releasing hold'
+    });
+  }
+});
+
 // @route   GET /api/rooms/types/available
 // @desc    Get available room types with counts
 // @access  Public
@@ -327,11 +454,19 @@ router.get('/types/available', [
         }
       }
     ];
+    let availability;
     
     // If dates provided, filter by availability
     if (checkIn && checkOut) {
       const checkInDate = new Date(checkIn);
       const checkOutDate = new Date(checkOut);
+
+      // Bookings and holds on a category that have no room yet take its free rooms
+      availability = await RoomCategory.getAvailabilityByCategory(checkInDate, checkOutDate);
+      const soldOutCategories = [...availability.values()]
+        .filter(({ available }) => available === 0)
+        .map(({ categoryId }) => categoryId);
+      aggregationPipeline[0].$match.category = { $nin: soldOutCategories };
       
       aggregationPipeline.push(
         {
@@ -355,9 +490,12 @@ router.get('/types/available', [
             as: 'conflictingBookings'
           }
         },
+        // Rooms held by another guest's checkout are not available either
+        RoomHold.lookupStage(checkInDate, checkOutDate),
         {
           $match: {
-            conflictingBookings: { $size: 0 }
+            conflictingBookings: { $size: 0 },
+            activeHolds: { $size: 0 }
           }
         }
       );
@@ -374,6 +512,7 @@ router.get('/types/available', [
           rooms: {
             $push: {
               id: '$_id',
+              category: '$category',
               name: '$name',
               price: '$basePrice',
               amenities: '$amenities',
@@ -387,11 +526,30 @@ router.get('/types/available', [
       }
     );
     
-    const roomTypes = await Room.aggregate(aggregationPipeline);
+    let roomTypes = await Room.aggregate(aggregationPipeline);
+
+    // A type sells no more rooms of a category than the category has left
+    if (availability) {
+      roomTypes = roomTypes.map(roomType => {
+        const perCategory = new Map();
+        roomType.rooms.forEach(room => {
+          const key = room.category ? room.category.toString() : null;
+          perCategory.set(key, (perCategory.get(key) || 0) + 1);
+        });
+
+        const count = [...perCategory].reduce((sum, [key, rooms]) => {
+          const category = key && availability.get(key);
+          return sum + (category ? Math.min(rooms, category.available) : rooms);
+        }, 0);
+        return { ...roomType, count };
+      }).filter(roomType => roomType.count > 0);
+    }
     
     res.json({
       success: true,
-      data: roomTypes
+      data: roomTypes,
+      // Sold-out dates can be waitlisted with POST /api/waitlist
+      canJoinWaitlist: roomTypes.length === 0 && !!(checkIn && checkOut)
     });
   } catch (error) {
     console.error('Error fetching room types:', error);
@@ -108,6 +108,14 @@ router.get('/public', async (req, res) => {
         maxNights: settings.booking.maxNights,
         currency: settings.booking.currency,
         currencySymbol: settings.booking.currencySymbol,
+        taxLines: (settings.booking.taxLines || [])
+          .filter(line => line.isActive !== false)
+          .map(({ name, type, rate, inclusive }) => ({ name, type, rate, inclusive })),
+        addOns: (settings.booking.addOns || [])
+          .filter(addOn => addOn.isActive !== false)
+          .map(({ code, name, description, price, pricing }) => ({ code, name, description, price, pricing })),
+        earlyCheckIn: settings.booking.earlyCheckIn,
+        lateCheckOut: settings.booking.lateCheckOut,
       },
     };
 
@@ -0,0 +1,422 @@
+const express = require('express');
+const router = express.Router();
+const WaitlistEntry = require('../models/WaitlistEntry');
+const RoomCategory = require('../models/RoomCategory');
+const { body, param, query, validationResult } = require('express-validator');
+const adminAuth = require('../middleware/adminAuth');
+const { sendEmail } = require('../utils/sendEmail');
+const logger = require('../utils/logger');
+const PricingService = require('../services/PricingService');
+const WaitlistService = require('../services/WaitlistService');
+
+const pricingService = new PricingService();
+const waitlistService = new WaitlistService();
+
+// Load the entry an offer link was sent to
+const loadOffer = holdToken => WaitlistEntry.findOne({ 'offer.holdToken': holdToken })
+  .populate(['roomCategory', 'offer.hold']);
+
+// An offer can be taken up while it is open and its hold still blocks the room
+const isOpenOffer = entry => entry.status === 'Offered' &&
+  entry.offer.hold && entry.offer.hold.status === 'Active' && entry.offer.hold.expiresAt > new Date();
+
+// @route   POST /api/waitlist
+// @desc    Join the waitlist for a sold-out room category and dates
+// @access  Public
+router.post('/', [
+  body('guestInfo.firstName').notEmpty().trim().withMessage('First name is required'),
+  body('guestInfo.lastName').notEmpty().trim().withMessage('Last name is required'),
+  // Stored as typed, lowercased like Guest.email, so it matches the guest's other records
+  body('guestInfo.email').trim().isEmail().withMessage('Valid email is required').toLowerCase(),
+  body('guestInfo.phone').optional().trim(),
+  body('roomCategoryId').isMongoId().withMessage('Valid room category ID is required'),
+  body('checkInDate').isISO8601().withMessage('Valid check-in date is required'),
+  body('checkOutDate').isISO8601().withMessage('Valid check-out date is required'),
+  body('numberOfGuests.adults').isInt({ min: 1 }).withMessage('At least 1 adult required'),
+  body('numberOfGuests.children').optional().isInt({ min: 0 }),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { guestInfo, roomCategoryId, checkInDate, checkOutDate, numberOfGuests, notes } = req.body;
+    const checkIn = new Date(checkInDate);
+    const checkOut = new Date(checkOutDate);
+
+    if (checkIn >= checkOut) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date must be after check-in date'
+      });
+    }
+
+    if (checkIn < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in date cannot be in the past'
+      });
+    }
+
+    const roomCategory = await RoomCategory.findById(roomCategoryId);
+    if (!roomCategory || !roomCategory.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room category not found'
+      });
+    }
+
+    const totalGuests = Number(numberOfGuests.adults) + Number(numberOfGuests.children || 0);
+    if (!(await RoomCategory.findRepresentativeRoom(roomCategory._id, totalGuests))) {
+      return res.status(400).json({
+        success: false,
+        message: `No ${roomCategory.name} room can accommodate ${totalGuests} guests`
+      });
+    }
+
+    // Only sold-out stays go on the waitlist
+    const { available } = await RoomCategory.getAvailability(roomCategory._id, checkIn, checkOut);
+    if (available > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${roomCategory.name} rooms are available for these dates and can be booked now`
+      });
+    }
+
+    // Joining twice for the same stay keeps the original place in line
+    let entry = await WaitlistEntry.findOne({
+      'guestInfo.email': guestInfo.email,
+      roomCategory: roomCategory._id,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      status: { $in: ['Waiting', 'Offered'] }
+    });
+    const alreadyWaiting = !!entry;
+
+    if (!entry) {
+      entry = await WaitlistEntry.create({
+        guestInfo,
+        roomCategory: roomCategory._id,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        numberOfGuests: {
+          adults: Number(numberOfGuests.adults),
+          children: Number(numberOfGuests.children || 0)
+        },
+        notes
+      });
+    }
+
+    const position = await WaitlistEntry.countDocuments({
+      roomCategory: roomCategory._id,
+      status: 'Waiting',
+      createdAt: { $lt: entry.createdAt },
+      checkInDate: { $lt: checkOut },
+      checkOutDate: { $gt: checkIn }
+    }) + 1;
+
+    if (!alreadyWaiting) {
+      try {
+        await sendEmail({
+          to: guestInfo.email,
+          subject: 'Waitlist Confirmation - The Old Vine Hotel',
+          template: 'waitlistJoined',
+          context: { entry, roomCategory, position }
+        });
+      } catch (emailError) {
+        logger.error('Waitlist email error:', emailError);
+      }
+
+      logger.bookingLog('Guest joined waitlist', {
+        entryId: entry._id,
+        email: guestInfo.email,
+        roomCategory: roomCategory.name,
+        checkIn,
+        checkOut,
+        position
+      });
+    }
+
+    res.status(alreadyWaiting ? 200 : 201).json({
+      success: true,
+      message: alreadyWaiting
+        ? 'You are already on the waitlist for these dates'
+        : 'Added to the waitlist. We will email you if a room becomes available.',
+      data: {
+        entryId: entry._id,
+        status: entry.status,
+        position
+      }
+    });
+  } catch (error) {
+    logger.error('Error joining waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while joining waitlist'
+    });
+  }
+});
+
+// @route   GET /api/waitlist/offers/:holdToken
+// @desc    Get a waitlist offer with its price, to book it with the hold token
+// @access  Public (with offer link)
+router.get('/offers/:holdToken', async (req, res) => {
+  try {
+    const entry = await loadOffer(req.params.holdToken);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    if (!isOpenOffer(entry)) {
+      return res.status(410).json({
+        success: false,
+        message: 'This offer has expired or has already been used'
+      });
+    }
+
+    const { numberOfGuests } = entry;
+    const room = await RoomCategory.findRepresentativeRoom(
+      entry.roomCategory._id, numberOfGuests.adults + (numberOfGuests.children || 0)
+    );
+    const quote = room && await pricingService.quoteRoomStay({
+      room,
+      checkIn: entry.checkInDate,
+      checkOut: entry.checkOutDate,
+      numberOfGuests
+    });
+
+    res.json({
+      success: true,
+      data: {
+        guestInfo: entry.guestInfo,
+        roomCategory: {
+          _id: entry.roomCategory._id,
+          name: entry.roomCategory.name,
+          slug: entry.roomCategory.slug
+        },
+        checkInDate: entry.checkInDate,
+        checkOutDate: entry.checkOutDate,
+        numberOfGuests,
+        expiresAt: entry.offer.expiresAt,
+        quote,
+        // Send these to POST /api/bookings to book the held room
+        booking: {
+          roomCategoryId: entry.roomCategory._id,
+          holdToken: entry.offer.holdToken
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching offer'
+    });
+  }
+});
+
+// @route   POST /api/waitlist/offers/:holdToken/decline
+// @desc    Decline a waitlist offer so the room goes to the next guest
+// @access  Public (with offer link)
+router.post('/offers/:holdToken/decline', async (req, res) => {
+  try {
+    const entry = await loadOffer(req.params.holdToken);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    if (!isOpenOffer(entry)) {
+      return res.status(410).json({
+        success: false,
+        message: 'This offer has expired or has already been used'
+      });
+    }
+
+    await waitlistService.decline(entry);
+
+    logger.bookingLog('Waitlist offer declined', {
+      entryId: entry._id,
+      email: entry.guestInfo.email
+    });
+
+    res.json({
+      success: true,
+      message: 'Offer declined'
+    });
+  } catch (error) {
+    logger.error('Error declining waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while declining offer'
+    });
+  }
+});
+
+// @route   DELETE /api/waitlist/:id
+// @desc    Leave the waitlist
+// @access  Public (with the email the guest joined with)
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid waitlist entry ID'),
+  body('email').trim().isEmail().withMessage('Valid email is required').toLowerCase()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await WaitlistEntry.findOne({
+      _id: req.params.id,
+      'guestInfo.email': req.body.email,
+      status: { $in: ['Waiting', 'Offered'] }
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    // Leaving with an open offer passes the room on
+    if (entry.status === 'Offered') {
+      await waitlistService.decline(entry);
+    }
+    entry.status = 'Removed';
+    await entry.save();
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    logger.error('Error leaving waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while leaving waitlist'
+    });
+  }
+});
+
+// @route   GET /api/waitlist/admin/all
+// @desc    Get waitlist entries, oldest first - Admin only
+// @access  Private/Admin
+router.get('/admin/all', adminAuth, [
+  query('status').optional().isIn(['Waiting', 'Offered', 'Booked', 'Declined', 'Expired', 'Removed']),
+  query('roomCategoryId').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, roomCategoryId, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (roomCategoryId) filter.roomCategory = roomCategoryId;
+
+    const [entries, totalCount] = await Promise.all([
+      WaitlistEntry.find(filter)
+        .populate('roomCategory', 'name slug')
+        .populate('booking', 'bookingNumber status')
+        .sort({ createdAt: 1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      WaitlistEntry.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching waitlist'
+    });
+  }
+});
+
+// @route   DELETE /api/waitlist/admin/:id
+// @desc    Remove a waitlist entry - Admin only
+// @access  Private/Admin
+router.delete('/admin/:id', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid waitlist entry ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    // Removing an entry with an open offer passes the room on
+    if (entry.status === 'Offered') {
+      await waitlistService.decline(entry);
+    }
+    entry.status = 'Removed';
+    await entry.save();
+
+    res.json({
+      success: true,
+      message: 'Waitlist entry removed'
+    });
+  } catch (error) {
+    logger.error('Error removing waitlist entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing waitlist entry'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const RoomHold = require('../models/RoomHold');
+const PromoCode = require('../models/PromoCode');
+const LoyaltyService = require('./LoyaltyService');
+const PaymentService = require('./PaymentService');
+const StayTimeService = require('./StayTimeService');
+const WaitlistService = require('./WaitlistService');
+const { sendEmail } = require('../utils/sendEmail');
+const logger = require('../utils/logger');
+
+// Moves bookings between statuses. Which moves are allowed, and the fields each sets,
+// live on the Booking model; this carries out what a move means for the rest of the
+// hotel: the room's status, holds, promo codes, the waitlist and the guest's emails.
+class BookingStatusService {
+  constructor() {
+    this.loyaltyService = new LoyaltyService();
+    this.paymentService = new PaymentService();
+    this.stayTimeService = new StayTimeService();
+    this.waitlistService = new WaitlistService();
+  }
+
+  // Move a booking to a new status, save it and carry out the side effects. Expects
+  // the booking populated with guest and room. Returns { booking, from } or { error }.
+  async transition(booking, status, { reason, at, notify = true } = {}) {
+    const from = booking.status;
+    const error = booking.transitionTo(status, { reason, at });
+    if (error) return { error };
+
+    // Early check-in and late check-out requests lapse with the stay
+    if (['Cancelled', 'No Show'].includes(status)) {
+      Object.keys(StayTimeService.TYPES).forEach(type => {
+        this.stayTimeService.cancel(booking, type, status === 'Cancelled' ? 'Booking cancelled' : 'No show');
+      });
+    }
+
+    await booking.save();
+
+    logger.bookingLog('Booking status changed', {
+      bookingNumber: booking.bookingNumber,
+      from,
+      to: status,
+      reason
+    });
+
+    await this.afterTransition(booking, { notify });
+    return { booking, from };
+  }
+
+  // Cancel a booking at the guest's request: charge the fee its cancellation terms set
+  // now, refund what was paid beyond it and email the guest. Expects the booking
+  // populated with guest, room and room category. Returns { booking, cancellation,
+  // cancellationFee, refundAmount } or { error }.
+  async cancelForGuest(booking, { reason } = {}) {
+    if (!booking.canBeCancelled()) {
+      return { error: 'Booking cannot be cancelled at this time' };
+    }
+
+    // Payments the guest has not completed cannot be made once the booking is cancelled
+    await this.paymentService.cancelOpenPaymentIntents(booking);
+
+    const cancellation = booking.getCancellationQuote();
+    const { cancellationFee } = cancellation;
+    let refundAmount = 0;
+
+    if (cancellation.refundAmount > 0) {
+      try {
+        refundAmount = await this.paymentService.refundBookingPayments(booking, cancellation.refundAmount, {
+          bookingNumber: booking.bookingNumber,
+          reason: reason || 'Guest cancellation'
+        });
+      } catch (stripeError) {
+        logger.error('Stripe refund error:', stripeError);
+        return { error: 'Refund processing failed' };
+      }
+    }
+
+    booking.cancellationFee = cancellationFee;
+    // Everything refunded on the booking, including refunds from earlier changes
+    booking.refundAmount = booking.amountRefunded;
+    await this.transition(booking, 'Cancelled', { reason });
+
+    try {
+      await sendEmail({
+        to: booking.guest.email,
+        subject: 'Booking Cancellation - The Old Vine Hotel',
+        template: 'bookingCancellation',
+        context: {
+          guest: booking.guest,
+          booking,
+          room: booking.room,
+          cancellationFee,
+          refundAmount,
+          cancellationPolicy: cancellation.policy
+        }
+      });
+    } catch (emailError) {
+      logger.error('Cancellation email error:', emailError);
+    }
+
+    logger.bookingLog('Booking cancelled by guest', {
+      bookingNumber: booking.bookingNumber,
+      policy: cancellation.policy.code || cancellation.policy.name,
+      cancellationFee,
+      refundAmount
+    });
+
+    return { booking, cancellation, cancellationFee, refundAmount };
+  }
+
+  // Side effects of the status a booking has just moved to
+  async afterTransition(booking, { notify = true } = {}) {
+    const roomId = booking.room && (booking.room._id || booking.room);
+
+    switch (booking.status) {
+      case 'Confirmed':
+        await this.paymentService.onBookingConfirmed(booking, { notify });
+        break;
+
+      case 'Checked In':
+        if (roomId) {
+          await Room.updateOne({ _id: roomId }, { $set: { status: 'Occupied' } });
+        }
+        break;
+
+      case 'Checked Out':
+        if (roomId) {
+          await Room.updateOne(
+            { _id: roomId },
+            { $set: { status: 'Available', cleaningStatus: 'Dirty', lastCleaning: new Date() } }
+          );
+        }
+
+        // The stay earns its loyalty points once the guest has checked out
+        await this.loyaltyService.earnForStay(booking);
+        break;
+
+      case 'Cancelled':
+      case 'No Show':
+        await RoomHold.release({ booking: booking._id });
+
+        // A cancelled booking gives its promo code redemption back; a no-show used it
+        if (booking.status === 'Cancelled' && booking.promotion && booking.promotion.promoCode) {
+          await PromoCode.release(booking.promotion.promoCode, booking._id);
+        }
+
+        // Likewise the loyalty points redeemed on it
+        if (booking.status === 'Cancelled') {
+          await this.loyaltyService.refundRedemption(booking, 'Booking cancelled');
+        }
+
+        // The rest of the stay can go to the waitlist
+        await this.waitlistService.offerFreedRoom(booking);
+        break;
+
+      default:
+    }
+  }
+}
+
+BookingStatusService.TRANSITIONS = Booking.STATUS_TRANSITIONS;
+
+module.exports = BookingStatusService;
@@ -0,0 +1,311 @@
+const Booking = require('../models/Booking');
+const BookingEvent = require('../models/BookingEvent');
+const Folio = require('../models/Folio');
+const Reservation = require('../models/Reservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const EmailLog = require('../models/EmailLog');
+const ContactMessage = require('../models/ContactMessage');
+const DataRequest = require('../models/DataRequest');
+const GuestMerge = require('../models/GuestMerge');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const PreCheckInService = require('./PreCheckInService');
+const WaitlistService = require('./WaitlistService');
+const logger = require('../utils/logger');
+const { escapeRegExp } = require('../utils/regex');
+
+// Guest credentials, never part of an export
+const SECRET_FIELDS = ['password', 'passwordResetToken', 'passwordResetExpires', 'emailVerificationToken'];
+
+// Guest details removed by an erasure. Stay totals, loyalty standing and the
+// consent history stay, without anything that identifies the guest.
+const ERASED_FIELDS = [
+  ...SECRET_FIELDS,
+  'address', 'dateOfBirth', 'nationality', 'gender',
+  'idType', 'idNumber', 'idExpiryDate', 'idDocument',
+  'preferences', 'specialRequirements', 'emergencyContact',
+  'internalNotes', 'vipNotes', 'blacklistReason', 'blacklistedAt', 'blacklistedBy',
+  'operaGuestId', 'loyaltyProgram.memberId', 'averageRating', 'lastLogin', 'lastActivity'
+];
+
+// Booking fields holding what the guest told the hotel rather than what they bought
+const PERSONAL_BOOKING_FIELDS = ['specialRequests', 'internalNotes', 'preCheckIn'];
+
+// Bookings still to be stayed or settled
+const OPEN_STATUSES = ['Pending', 'Confirmed', 'Checked In'];
+
+// Erased guests keep a unique address the hotel controls and nobody receives mail at
+const ERASED_EMAIL_DOMAIN = 'erased.oldvinehotel.com';
+
+// Data protection requests of guests: a copy of everything held about them, and the
+// erasure of their personal data. Bookings, folios and payments are financial
+// records the hotel has to keep, so an erasure anonymises them rather than deleting.
+class GuestDataService {
+  constructor() {
+    this.preCheckInService = new PreCheckInService();
+    this.waitlistService = new WaitlistService();
+  }
+
+  // Addresses a guest's records may be kept under: their own, and those of the
+  // duplicate profiles merged into theirs
+  async emailsOf(guest) {
+    const merges = await GuestMerge.find({ target: guest._id, sourceEmail: { $exists: true } }).select('sourceEmail');
+    return [...new Set([guest.email, ...merges.map(merge => merge.sourceEmail)])];
+  }
+
+  // Condition matching any of the addresses whatever their case, as records written
+  // before emails were lowercased may keep the case the guest typed
+  matchEmails(emails) {
+    return { $in: emails.map(email => new RegExp(`^${escapeRegExp(email)}$`, 'i')) };
+  }
+
+  // Everything held about a guest, as plain JSON
+  async export(guest) {
+    const emails = this.matchEmails(await this.emailsOf(guest));
+
+    const [bookings, folios, reservations, waitlistEntries, loyaltyTransactions, emailsSent, contactMessages, dataRequests] = await Promise.all([
+      Booking.find({ guest: guest._id })
+        .populate('room', 'name roomNumber')
+        .populate('roomCategory', 'name')
+        .sort({ checkInDate: -1 })
+        .lean(),
+      Folio.find({ guest: guest._id }).sort({ createdAt: -1 }).lean(),
+      Reservation.find({ guest: guest._id }).sort({ createdAt: -1 }).lean(),
+      WaitlistEntry.find({ 'guestInfo.email': emails })
+        .select('-offer.holdToken')
+        .populate('roomCategory', 'name')
+        .sort({ createdAt: -1 })
+        .lean(),
+      LoyaltyTransaction.find({ guest: guest._id }).select('-createdBy').sort({ createdAt: -1 }).lean(),
+      EmailLog.find({ to: emails }).sort({ createdAt: -1 }).lean(),
+      ContactMessage.find({ email: emails }).sort({ createdAt: -1 }).lean(),
+      DataRequest.find({ guest: guest._id }).select('-ipAddress').sort({ createdAt: -1 }).lean()
+    ]);
+
+    const profile = guest.toObject({ virtuals: false });
+    SECRET_FIELDS.forEach(field => delete profile[field]);
+
+    return {
+      exportedAt: new Date(),
+      guest: profile,
+      bookings,
+      folios,
+      reservations,
+      waitlistEntries,
+      loyaltyTransactions,
+      emailsSent,
+      contactMessages,
+      dataRequests
+    };
+  }
+
+  // Number of records of each kind in an export
+  summarize(data) {
+    return Object.keys(data)
+      .filter(key => Array.isArray(data[key]))
+      .reduce((summary, key) => ({ ...summary, [key]: data[key].length }), {});
+  }
+
+  // Export a guest's data and log the request. requestedBy is { type, admin }.
+  async exportFor(guest, { requestedBy, ipAddress }) {
+    const data = await this.export(guest);
+
+    await DataRequest.create({
+      guest: guest._id,
+      type: 'Export',
+      status: 'Completed',
+      requestedBy,
+      ipAddress,
+      handledBy: requestedBy.admin,
+      handledAt: data.exportedAt,
+      summary: this.summarize(data)
+    });
+
+    logger.info('Guest data exported', {
+      guest: guest._id.toString(),
+      requestedBy: requestedBy.type
+    });
+
+    return data;
+  }
+
+  // Reason a guest cannot be erased yet, or null
+  async checkErasure(guest) {
+    if (guest.erasedAt) return 'This guest\'s personal data has already been erased';
+
+    const open = await Booking.countDocuments({ guest: guest._id, status: { $in: OPEN_STATUSES } });
+    if (open) {
+      return `This guest has ${open} booking(s) still to be stayed or checked out. Cancel or check them out first.`;
+    }
+
+    return null;
+  }
+
+  // A guest asking for their data to be erased. Staff carry it out, or refuse it,
+  // from the data requests list. Returns { request } or { error }.
+  async requestErasure(guest, { ipAddress, reason } = {}) {
+    const pending = await DataRequest.findOne({ guest: guest._id, type: 'Erasure', status: 'Pending' });
+    if (pending) return { error: 'An erasure request is already waiting to be handled' };
+
+    const error = await this.checkErasure(guest);
+    if (error) return { error };
+
+    const request = await DataRequest.create({
+      guest: guest._id,
+      type: 'Erasure',
+      requestedBy: { type: 'Guest' },
+      ipAddress,
+      reason
+    });
+
+    logger.securityLog('Guest data erasure requested', { guest: guest._id.toString() });
+
+    return { request };
+  }
+
+  // Erase a guest's personal data and log it, completing the guest's own request if
+  // there is one. Returns { request, summary } or { error }.
+  async erase(guest, { adminId, ipAddress, reason } = {}) {
+    const error = await this.checkErasure(guest);
+    if (error) return { error };
+
+    // Every address the guest's records may be under, read before the merge records
+    // that hold earlier ones are cleared below
+    const emails = this.matchEmails(await this.emailsOf(guest));
+    const erasedEmail = `erased-${guest._id}@${ERASED_EMAIL_DOMAIN}`;
+    const bookingIds = (await Booking.find({ guest: guest._id }).select('_id')).map(booking => booking._id);
+
+    // Bookings, folios and payments stay for the accounts; what the guest told us goes,
+    // including from the bookings' change history
+    await Booking.updateMany(
+      { guest: guest._id },
+      { $unset: { specialRequests: 1, internalNotes: 1, 'preCheckIn.ipAddress': 1 } }
+    );
+    await BookingEvent.updateMany(
+      { booking: { $in: bookingIds } },
+      { $set: { 'changes.$[personal].from': null, 'changes.$[personal].to': null } },
+      { arrayFilters: [{ 'personal.field': { $in: PERSONAL_BOOKING_FIELDS } }] }
+    );
+    await BookingEvent.updateMany(
+      { 'actor.guest': guest._id },
+      { $set: { 'actor.label': 'Erased guest' }, $unset: { 'actor.ipAddress': 1 } }
+    );
+    await Reservation.updateMany({ guest: guest._id }, { $unset: { specialRequests: 1 } });
+
+    // Leaving the waitlist passes any open offer on
+    const waiting = await WaitlistEntry.find({ 'guestInfo.email': emails, status: { $in: ['Waiting', 'Offered'] } });
+    for (const entry of waiting) {
+      if (entry.status === 'Offered') {
+        await this.waitlistService.decline(entry);
+      }
+      entry.status = 'Removed';
+      await entry.save();
+    }
+    const waitlist = await WaitlistEntry.updateMany(
+      { 'guestInfo.email': emails },
+      {
+        $set: { 'guestInfo.firstName': 'Erased', 'guestInfo.lastName': 'Guest', 'guestInfo.email': erasedEmail },
+        $unset: { 'guestInfo.phone': 1, notes: 1 }
+      }
+    );
+
+    const [emailLogs, messages] = await Promise.all([
+      EmailLog.deleteMany({ to: emails }),
+      ContactMessage.deleteMany({ email: emails })
+    ]);
+
+    // Profiles merged into this one were the same person
+    await GuestMerge.updateMany(
+      { target: guest._id },
+      { $unset: { sourceSnapshot: 1, sourceEmail: 1, sourceName: 1 } }
+    );
+
+    const idDocument = guest.idDocument && guest.idDocument.filename;
+
+    guest.updateConsent(
+      { dataConsent: false, marketing: { email: false, sms: false, phone: false } },
+      { source: 'Erasure', changedBy: adminId }
+    );
+    guest.consentHistory.forEach(version => {
+      version.ipAddress = undefined;
+    });
+    ERASED_FIELDS.forEach(path => guest.set(path, undefined));
+    guest.set({
+      firstName: 'Erased',
+      lastName: 'Guest',
+      email: erasedEmail,
+      phone: 'Erased',
+      externalGuestIds: [],
+      isRegistered: false,
+      isActive: false,
+      isVIP: false,
+      isBlacklisted: false,
+      emailVerified: false,
+      phoneVerified: false,
+      erasedAt: new Date()
+    });
+    await guest.save();
+
+    if (idDocument) {
+      this.preCheckInService.removeDocument(idDocument);
+    }
+
+    const summary = {
+      bookingsAnonymised: bookingIds.length,
+      waitlistEntriesAnonymised: waitlist.modifiedCount,
+      emailLogsDeleted: emailLogs.deletedCount,
+      contactMessagesDeleted: messages.deletedCount,
+      idDocumentRemoved: !!idDocument
+    };
+
+    const handled = { status: 'Completed', handledBy: adminId, handledAt: guest.erasedAt, summary };
+    let request = await DataRequest.findOneAndUpdate(
+      { guest: guest._id, type: 'Erasure', status: 'Pending' },
+      { $set: handled },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!request) {
+      request = await DataRequest.create({
+        guest: guest._id,
+        type: 'Erasure',
+        requestedBy: { type: 'Admin', admin: adminId },
+        ipAddress,
+        reason,
+        ...handled
+      });
+    }
+
+    logger.securityLog('Guest personal data erased', {
+      guest: guest._id.toString(),
+      admin: adminId,
+      ...summary
+    });
+
+    return { request, summary };
+  }
+
+  // Turn down a guest's erasure request, e.g. while a dispute over a stay is open
+  async refuse(request, { adminId, reason }) {
+    if (request.status !== 'Pending') {
+      return { error: `This request is already ${request.status.toLowerCase()}` };
+    }
+
+    request.status = 'Refused';
+    request.handledBy = adminId;
+    request.handledAt = new Date();
+    request.refusalReason = reason;
+    await request.save();
+
+    logger.securityLog('Guest data request refused', {
+      request: request._id.toString(),
+      guest: String(request.guest),
+      admin: adminId
+    });
+
+    return { request };
+  }
+}
+
+GuestDataService.OPEN_STATUSES = OPEN_STATUSES;
+GuestDataService.ERASED_EMAIL_DOMAIN = ERASED_EMAIL_DOMAIN;
+
+module.exports = GuestDataService;
@@ -0,0 +1,341 @@
+const Guest = require('../models/Guest');
+const GuestMerge = require('../models/GuestMerge');
+const Booking = require('../models/Booking');
+const BookingEvent = require('../models/BookingEvent');
+const Folio = require('../models/Folio');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Reservation = require('../models/Reservation');
+const DataRequest = require('../models/DataRequest');
+const PromoCode = require('../models/PromoCode');
+const LoyaltyService = require('./LoyaltyService');
+const PreCheckInService = require('./PreCheckInService');
+const { getActor } = require('../utils/auditContext');
+const { roundMoney } = require('../utils/currency');
+const { escapeRegExp } = require('../utils/regex');
+const logger = require('../utils/logger');
+
+const DEFAULT_MIN_SCORE = 40;
+const MAX_CANDIDATES = 200;
+
+// What each matching detail adds to the likelihood that two profiles are one person
+const SCORES = {
+  idNumber: 50,
+  phone: 30,
+  dateOfBirth: 20,
+  name: 30,
+  similarName: 15
+};
+
+// Profile details copied from a merged profile when the kept one has none
+const FILLABLE_FIELDS = [
+  'phone', 'dateOfBirth', 'nationality', 'gender', 'idType', 'idNumber', 'idExpiryDate',
+  'address.street', 'address.city', 'address.state', 'address.country', 'address.zipCode',
+  'emergencyContact.name', 'emergencyContact.relationship', 'emergencyContact.phone', 'emergencyContact.email',
+  'operaGuestId', 'loyaltyProgram.memberId'
+];
+
+const isBlank = value => value == null || (typeof value === 'string' && !value.trim());
+
+class GuestMergeService {
+  constructor() {
+    this.loyaltyService = new LoyaltyService();
+  }
+
+  // Last nine digits of a phone number, so national and international forms match
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-9) : null;
+  }
+
+  normalizeIdNumber(idNumber) {
+    const normalized = String(idNumber || '').replace(/[^0-9a-z]/gi, '').toUpperCase();
+    return normalized || null;
+  }
+
+  // Lower case without accents or surrounding spaces
+  normalizeName(name) {
+    return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+  }
+
+  sameDay(a, b) {
+    return !!(a && b) && new Date(a).toISOString().split('T')[0] === new Date(b).toISOString().split('T')[0];
+  }
+
+  // Score how likely two profiles belong to the same person, from 0 to 100, with the
+  // details that matched
+  score(guest, other) {
+    const reasons = [];
+    let score = 0;
+
+    const idNumber = this.normalizeIdNumber(guest.idNumber);
+    if (idNumber && idNumber === this.normalizeIdNumber(other.idNumber)) {
+      score += SCORES.idNumber;
+      reasons.push('Same ID number');
+    }
+
+    const phone = this.normalizePhone(guest.phone);
+    if (phone && phone === this.normalizePhone(other.phone)) {
+      score += SCORES.phone;
+      reasons.push('Same phone number');
+    }
+
+    if (this.sameDay(guest.dateOfBirth, other.dateOfBirth)) {
+      score += SCORES.dateOfBirth;
+      reasons.push('Same date of birth');
+    }
+
+    const [first, last] = [this.normalizeName(guest.firstName), this.normalizeName(guest.lastName)];
+    const [otherFirst, otherLast] = [this.normalizeName(other.firstName), this.normalizeName(other.lastName)];
+    if (last && last === otherLast) {
+      if (first && first === otherFirst) {
+        score += SCORES.name;
+        reasons.push('Same name');
+      } else if (first && otherFirst && first[0] === otherFirst[0]) {
+        score += SCORES.similarName;
+        reasons.push('Similar name');
+      }
+    }
+
+    return { score: Math.min(score, 100), reasons };
+  }
+
+  // Guest profiles that may be the same person as a guest, most likely first
+  async findCandidates(guest, { minScore = DEFAULT_MIN_SCORE } = {}) {
+    const matches = [];
+
+    if (guest.idNumber) matches.push({ idNumber: guest.idNumber });
+    if (guest.dateOfBirth) matches.push({ dateOfBirth: guest.dateOfBirth });
+    if (guest.lastName) {
+      matches.push({ lastName: new RegExp(`^\\s*${escapeRegExp(guest.lastName.trim())}\\s*$`, 'i') });
+    }
+    const phone = this.normalizePhone(guest.phone);
+    if (phone) {
+      // The same digits at the end of the number, whatever the separators
+      matches.push({ phone: new RegExp(`${phone.split('').join('\\D*')}\\D*$`) });
+    }
+    if (!matches.length) return [];
+
+    const others = await Guest.find({ _id: { $ne: guest._id }, erasedAt: null, $or: matches })
+      .select('firstName lastName email phone dateOfBirth idNumber nationality isRegistered totalStays totalSpent lastStayDate loyaltyProgram createdAt')
+      .limit(MAX_CANDIDATES);
+
+    return others
+      .map(other => ({ guest: other, ...this.score(guest, other) }))
+      .filter(candidate => candidate.score >= minScore)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Likely duplicate pairs across all guests: profiles sharing an ID number, phone
+  // number, surname and date of birth, or full name, scored pair by pair
+  async findDuplicates({ minScore = DEFAULT_MIN_SCORE, limit = 50 } = {}) {
+    const groupBy = async (key, match) => Guest.aggregate([
+      { $match: { isActive: true, ...match } },
+      { $group: { _id: key, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1, $lte: 20 } } },
+      { $limit: 500 }
+    ]);
+
+    const groups = [
+      ...(await groupBy('$idNumber', { idNumber: { $nin: [null, ''] } })),
+      ...(await groupBy('$phone', { phone: { $nin: [null, ''] } })),
+      ...(await groupBy({ lastName: { $toLower: '$lastName' }, dateOfBirth: '$dateOfBirth' }, { dateOfBirth: { $ne: null } })),
+      ...(await groupBy({ lastName: { $toLower: '$lastName' }, firstName: { $toLower: '$firstName' } }, {}))
+    ];
+
+    const ids = [...new Set(groups.flatMap(group => group.ids.map(String)))];
+    const guests = await Guest.find({ _id: { $in: ids } })
+      .select('firstName lastName email phone dateOfBirth idNumber isRegistered totalStays totalSpent createdAt');
+    const byId = new Map(guests.map(guest => [String(guest._id), guest]));
+
+    const pairs = new Map();
+    for (const group of groups) {
+      const members = group.ids.map(id => byId.get(String(id))).filter(Boolean);
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const key = [String(members[i]._id), String(members[j]._id)].sort().join(':');
+          if (pairs.has(key)) continue;
+
+          const { score, reasons } = this.score(members[i], members[j]);
+          if (score >= minScore) pairs.set(key, { guests: [members[i], members[j]], score, reasons });
+        }
+      }
+    }
+
+    return [...pairs.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // Merge a duplicate profile into the one kept: its bookings, folios, reservations,
+  // promo code redemptions, loyalty ledger, data requests and consent history move
+  // over, stay totals and loyalty points are added up and the tier is worked out from
+  // the combined ledger. External ids are combined and missing details filled in. The
+  // duplicate is removed and kept in a GuestMerge record, which also lets its email log
+  // be found under the kept profile. Returns { merge, target } or { error }.
+  async merge(target, source, { adminId, reason } = {}) {
+    if (target._id.equals(source._id)) {
+      return { error: 'A guest cannot be merged into itself' };
+    }
+    if (target.erasedAt || source.erasedAt) {
+      return { error: 'A guest whose personal data has been erased cannot be merged' };
+    }
+    if (source.isRegistered) {
+      return { error: `${source.email} has a guest account. Keep that profile and merge the other one into it.` };
+    }
+
+    const match = this.score(target, source);
+    const merge = await GuestMerge.create({
+      target: target._id,
+      source: source._id,
+      sourceEmail: source.email,
+      sourceName: `${source.firstName} ${source.lastName}`,
+      sourceSnapshot: source.toObject({ depopulate: true, virtuals: false }),
+      score: match.score,
+      matchReasons: match.reasons,
+      reason,
+      staysAdded: source.totalStays || 0,
+      spentAdded: source.totalSpent || 0,
+      mergedBy: adminId
+    });
+
+    // Both ledgers must add up to their balances before they are combined
+    await this.loyaltyService.openLedger(target);
+    await this.loyaltyService.openLedger(source);
+
+    // Bookings move in one update; their change history records the new guest
+    const bookings = await Booking.find({ guest: source._id }).select('bookingNumber');
+    if (bookings.length) {
+      await Booking.updateMany({ guest: source._id }, { $set: { guest: target._id } });
+      await BookingEvent.insertMany(bookings.map(booking => ({
+        booking: booking._id,
+        bookingNumber: booking.bookingNumber,
+        type: 'Updated',
+        changes: [{ field: 'guest', from: source._id, to: target._id }],
+        actor: getActor()
+      })));
+    }
+
+    const [folios, reservations, loyaltyTransactions, dataRequests] = await Promise.all([
+      Folio.updateMany({ guest: source._id }, { $set: { guest: target._id } }),
+      Reservation.updateMany({ guest: source._id }, { $set: { guest: target._id } }),
+      LoyaltyTransaction.updateMany({ guest: source._id }, { $set: { guest: target._id } }),
+      DataRequest.updateMany({ guest: source._id }, { $set: { guest: target._id } }),
+      // Profiles merged into the duplicate earlier now belong to the kept one
+      GuestMerge.updateMany({ target: source._id }, { $set: { target: target._id } }),
+      PromoCode.updateMany(
+        { 'redemptions.guest': source._id },
+        { $set: { 'redemptions.$[redemption].guest': target._id } },
+        { arrayFilters: [{ 'redemption.guest': source._id }] }
+      ),
+      BookingEvent.updateMany({ 'actor.guest': source._id }, { $set: { 'actor.guest': target._id } })
+    ]);
+
+    // Take the duplicate's balance as it stands and add it to the kept one in single
+    // updates, so points earned or redeemed meanwhile on either profile are not lost
+    const taken = await Guest.findOneAndUpdate(
+      { _id: source._id },
+      { $set: { 'loyaltyProgram.points': 0 } }
+    ).select('loyaltyProgram');
+    const loyaltyPoints = (taken && taken.loyaltyProgram.points) || 0;
+    const loyaltyUpdate = { $inc: { 'loyaltyProgram.points': loyaltyPoints } };
+    if (taken && taken.loyaltyProgram.lastActivityDate) {
+      loyaltyUpdate.$max = { 'loyaltyProgram.lastActivityDate': taken.loyaltyProgram.lastActivityDate };
+    }
+    await Guest.updateOne({ _id: target._id }, loyaltyUpdate);
+    merge.loyaltyPointsAdded = loyaltyPoints;
+
+    merge.moved = {
+      bookings: bookings.length,
+      folios: folios.modifiedCount,
+      reservations: reservations.modifiedCount,
+      loyaltyTransactions: loyaltyTransactions.modifiedCount,
+      dataRequests: dataRequests.modifiedCount,
+      consentVersions: (source.consentHistory || []).length
+    };
+    await merge.save();
+
+    this.combineProfiles(target, source, merge);
+    await target.save();
+    await Guest.deleteOne({ _id: source._id });
+
+    await this.loyaltyService.recalculateTier(target);
+    const { loyaltyProgram } = await Guest.findById(target._id).select('loyaltyProgram');
+    ['points', 'tier', 'tierPoints', 'lastActivityDate'].forEach(field => {
+      target.loyaltyProgram[field] = loyaltyProgram[field];
+    });
+
+    // The kept profile's ID scan wins; an unused one from the duplicate is removed
+    if (source.idDocument && source.idDocument.filename &&
+      target.idDocument.filename !== source.idDocument.filename) {
+      new PreCheckInService().removeDocument(source.idDocument.filename);
+    }
+
+    logger.info('Guest profiles merged', {
+      target: target._id.toString(),
+      source: source._id.toString(),
+      sourceEmail: source.email,
+      bookings: bookings.length
+    });
+
+    return { merge, target };
+  }
+
+  // Fold a duplicate's totals, join date, ids, flags, consent history and missing details
+  // into the kept profile. Loyalty points are moved in the database by merge().
+  combineProfiles(target, source, merge) {
+    target.totalStays = (target.totalStays || 0) + (source.totalStays || 0);
+    target.totalSpent = roundMoney((target.totalSpent || 0) + (source.totalSpent || 0));
+    if (source.lastStayDate && (!target.lastStayDate || source.lastStayDate > target.lastStayDate)) {
+      target.lastStayDate = source.lastStayDate;
+    }
+
+    const loyalty = target.loyaltyProgram;
+    const sourceLoyalty = source.loyaltyProgram || {};
+    if (sourceLoyalty.joinDate && sourceLoyalty.joinDate < loyalty.joinDate) loyalty.joinDate = sourceLoyalty.joinDate;
+
+    // The duplicate's consent versions join the history in date order, marked with the
+    // merge; the kept profile's own consent stays current
+    (source.consentHistory || []).forEach(entry => {
+      const version = entry.toObject ? entry.toObject() : { ...entry };
+      delete version._id;
+      target.consentHistory.push({ ...version, mergedFrom: version.mergedFrom || (merge && merge._id) });
+    });
+    target.consentHistory.sort((a, b) => a.createdAt - b.createdAt);
+
+    const externalIds = new Set(target.externalGuestIds.map(entry => `${entry.system}:${entry.id}`));
+    source.externalGuestIds.forEach(entry => {
+      if (!externalIds.has(`${entry.system}:${entry.id}`)) {
+        target.externalGuestIds.push({ system: entry.system, id: entry.id });
+      }
+    });
+
+    FILLABLE_FIELDS.forEach(path => {
+      if (isBlank(target.get(path)) && !isBlank(source.get(path))) target.set(path, source.get(path));
+    });
+    if (!(target.idDocument && target.idDocument.filename) && source.idDocument && source.idDocument.filename) {
+      target.idDocument = source.idDocument.toObject ? source.idDocument.toObject() : source.idDocument;
+    }
+
+    const requirements = target.specialRequirements;
+    const sourceRequirements = source.specialRequirements || {};
+    ['wheelchairAccess', 'hearingImpaired', 'visuallyImpaired'].forEach(need => {
+      if (sourceRequirements.accessibility && sourceRequirements.accessibility[need]) requirements.accessibility[need] = true;
+    });
+    requirements.dietaryRestrictions = [...new Set([...requirements.dietaryRestrictions, ...(sourceRequirements.dietaryRestrictions || [])])];
+    requirements.allergies = [...new Set([...requirements.allergies, ...(sourceRequirements.allergies || [])])];
+
+    if (source.isVIP) target.isVIP = true;
+    if (source.isBlacklisted && !target.isBlacklisted) {
+      target.isBlacklisted = true;
+      target.blacklistReason = source.blacklistReason;
+      target.blacklistedAt = source.blacklistedAt;
+      target.blacklistedBy = source.blacklistedBy;
+    }
+
+    const joinNotes = (a, b) => [a, b].filter(note => !isBlank(note)).join('\n');
+    target.vipNotes = joinNotes(target.vipNotes, source.vipNotes) || undefined;
+    target.internalNotes = joinNotes(target.internalNotes, source.internalNotes) || undefined;
+  }
+}
+
+GuestMergeService.DEFAULT_MIN_SCORE = DEFAULT_MIN_SCORE;
+
+module.exports = GuestMergeService;
@@ -0,0 +1,134 @@
+const Booking = require('../models/Booking');
+const Folio = require('../models/Folio');
+const { roundMoney } = require('../utils/currency');
+const { escapeRegExp } = require('../utils/regex');
+
+// Guest profile fields staff can edit, as paths into the Guest model
+const CONTACT_FIELDS = [
+  'firstName', 'lastName', 'phone', 'dateOfBirth', 'nationality', 'gender',
+  'address.street', 'address.city', 'address.state', 'address.country', 'address.zipCode'
+];
+const PREFERENCE_FIELDS = [
+  'preferences.roomType', 'preferences.bedPreference', 'preferences.smokingPreference',
+  'preferences.floorPreference', 'preferences.viewPreference', 'preferences.language', 'preferences.currency'
+];
+const SPECIAL_REQUIREMENT_FIELDS = [
+  'specialRequirements.accessibility.wheelchairAccess', 'specialRequirements.accessibility.hearingImpaired',
+  'specialRequirements.accessibility.visuallyImpaired', 'specialRequirements.accessibility.other',
+  'specialRequirements.dietaryRestrictions', 'specialRequirements.allergies', 'specialRequirements.medicalConditions'
+];
+const EMERGENCY_CONTACT_FIELDS = [
+  'emergencyContact.name', 'emergencyContact.relationship', 'emergencyContact.phone', 'emergencyContact.email'
+];
+// Service messages a guest can turn on or off. Marketing is a matter of consent and
+// changes through Guest#updateConsent.
+const COMMUNICATION_FIELDS = [
+  'communicationPreferences.email.bookingUpdates', 'communicationPreferences.email.specialOffers',
+  'communicationPreferences.sms.bookingUpdates', 'communicationPreferences.sms.specialOffers',
+  'communicationPreferences.phone.bookingUpdates'
+];
+
+// Fields the guest list returns
+const LIST_FIELDS = 'firstName lastName email phone nationality isVIP isBlacklisted isRegistered loyaltyProgram totalStays totalSpent lastStayDate createdAt';
+
+// Guest fields never shown to staff
+const PRIVATE_FIELDS = '-password -passwordResetToken -passwordResetExpires -emailVerificationToken';
+
+class GuestProfileService {
+  // Filter matching guests by name, email, phone or loyalty member id. Every word of
+  // the search must match one of them, so "john smith" finds John Smith.
+  searchFilter(search) {
+    const words = String(search || '').trim().split(/\s+/).filter(Boolean);
+    if (!words.length) return {};
+
+    return {
+      $and: words.map(word => {
+        const pattern = new RegExp(escapeRegExp(word), 'i');
+        return {
+          $or: [
+            { firstName: pattern },
+            { lastName: pattern },
+            { email: pattern },
+            { phone: pattern },
+            { 'loyaltyProgram.memberId': pattern }
+          ]
+        };
+      })
+    };
+  }
+
+  // Set the fields given in a request body, leaving the ones it leaves out. Returns
+  // the paths changed.
+  applyChanges(guest, changes, paths) {
+    return paths.filter(path => {
+      const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), changes);
+      if (value === undefined) return false;
+
+      guest.set(path, value === '' ? undefined : value);
+      return true;
+    });
+  }
+
+  // What a guest is worth to the hotel, from their bookings and folios: stays and
+  // nights completed, revenue (folio charges of stays, fees kept on cancellations
+  // and no-shows) and the average room rate
+  lifetimeValue(bookings, folios) {
+    const folioOf = new Map(folios.map(folio => [String(folio.booking), folio]));
+    const stays = bookings.filter(booking => ['Checked In', 'Checked Out'].includes(booking.status));
+    const completed = stays.filter(booking => booking.status === 'Checked Out');
+    const now = new Date();
+
+    const stayRevenue = stays.reduce((sum, booking) => {
+      const folio = folioOf.get(String(booking._id));
+      return sum + (folio ? folio.totalCharges : booking.totalAmount);
+    }, 0);
+    const feeRevenue = bookings
+      .filter(booking => ['Cancelled', 'No Show'].includes(booking.status))
+      .reduce((sum, booking) => sum + (booking.cancellationFee || 0), 0);
+
+    const nights = completed.reduce((sum, booking) => sum + (booking.numberOfNights || 0), 0);
+    const roomRevenue = completed.reduce((sum, booking) => sum + (booking.subtotal || 0), 0);
+    const arrivals = stays.map(booking => booking.checkInDate).sort((a, b) => a - b);
+
+    return {
+      totalBookings: bookings.length,
+      completedStays: completed.length,
+      nights,
+      upcoming: bookings.filter(booking => ['Pending', 'Confirmed'].includes(booking.status) && booking.checkOutDate > now).length,
+      cancellations: bookings.filter(booking => booking.status === 'Cancelled').length,
+      noShows: bookings.filter(booking => booking.status === 'No Show').length,
+      totalRevenue: roundMoney(stayRevenue + feeRevenue),
+      roomRevenue: roundMoney(roomRevenue),
+      averageDailyRate: nights ? roundMoney(roomRevenue / nights) : 0,
+      averageStayLength: completed.length ? roundMoney(nights / completed.length) : 0,
+      firstStay: arrivals[0] || null,
+      lastStay: arrivals[arrivals.length - 1] || null
+    };
+  }
+
+  // A guest's bookings, latest first, with what they are worth
+  async stayHistory(guestId) {
+    const bookings = await Booking.find({ guest: guestId })
+      .select('bookingNumber status checkInDate checkOutDate numberOfNights numberOfGuests room roomCategory ratePlanName subtotal totalAmount currency amountPaid balanceDue paymentStatus bookingSource cancellationFee cancellationReason specialRequests actualCheckInTime actualCheckOutTime createdAt')
+      .populate('room', 'name roomNumber')
+      .populate('roomCategory', 'name')
+      .sort({ checkInDate: -1 });
+
+    const folios = await Folio.find({ booking: { $in: bookings.map(booking => booking._id) } });
+
+    return {
+      bookings,
+      lifetimeValue: this.lifetimeValue(bookings, folios)
+    };
+  }
+}
+
+GuestProfileService.CONTACT_FIELDS = CONTACT_FIELDS;
+GuestProfileService.PREFERENCE_FIELDS = PREFERENCE_FIELDS;
+GuestProfileService.SPECIAL_REQUIREMENT_FIELDS = SPECIAL_REQUIREMENT_FIELDS;
+GuestProfileService.EMERGENCY_CONTACT_FIELDS = EMERGENCY_CONTACT_FIELDS;
+GuestProfileService.COMMUNICATION_FIELDS = COMMUNICATION_FIELDS;
+GuestProfileService.LIST_FIELDS = LIST_FIELDS;
+GuestProfileService.PRIVATE_FIELDS = PRIVATE_FIELDS;
+
+module.exports = GuestProfileService;
@@ -0,0 +1,125 @@
+const Booking = require('../models/Booking');
+const { DAY_MS, startOfDay } = require('../utils/dates');
+
+// Guest details the authorities need for every guest, and the extra ones for foreign guests
+const REQUIRED_FIELDS = ['firstName', 'lastName', 'nationality', 'idType', 'idNumber'];
+const FOREIGN_REQUIRED_FIELDS = ['dateOfBirth', 'idExpiryDate'];
+
+const FIELD_LABELS = {
+  firstName: 'First name',
+  lastName: 'Last name',
+  nationality: 'Nationality',
+  idType: 'ID type',
+  idNumber: 'ID number',
+  dateOfBirth: 'Date of birth',
+  idExpiryDate: 'ID expiry date'
+};
+
+class GuestRegistrationService {
+  // Whether a guest's nationality is not one of the hotel's local ones. Guests
+  // without a nationality count as foreign until it is recorded.
+  isForeign(guest, settings) {
+    if (!guest.nationality) return true;
+
+    const local = (settings.guestRegistration.localNationalities || [])
+      .map(nationality => nationality.trim().toLowerCase());
+    return !local.includes(guest.nationality.trim().toLowerCase());
+  }
+
+  // Registration details the guest has not given yet, as field names
+  missingFields(guest, settings) {
+    const required = this.isForeign(guest, settings)
+      ? [...REQUIRED_FIELDS, ...FOREIGN_REQUIRED_FIELDS]
+      : REQUIRED_FIELDS;
+
+    return required.filter(field => !guest[field] || (typeof guest[field] === 'string' && !guest[field].trim()));
+  }
+
+  describeMissing(fields) {
+    return fields.map(field => FIELD_LABELS[field] || field);
+  }
+
+  // The report row for a booking's guest
+  toRow(booking, settings, reportDate) {
+    const guest = booking.guest || {};
+    const missing = this.missingFields(guest, settings);
+
+    return {
+      booking: booking._id,
+      bookingNumber: booking.bookingNumber,
+      roomNumber: booking.room ? booking.room.roomNumber : null,
+      firstName: guest.firstName,
+      lastName: guest.lastName,
+      gender: guest.gender,
+      dateOfBirth: guest.dateOfBirth,
+      nationality: guest.nationality,
+      idType: guest.idType,
+      idNumber: guest.idNumber,
+      idExpiryDate: guest.idExpiryDate,
+      country: guest.address && guest.address.country,
+      phone: guest.phone,
+      adults: booking.numberOfGuests.adults,
+      children: booking.numberOfGuests.children || 0,
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+      actualCheckInTime: booking.actualCheckInTime,
+      arrivedOnDate: booking.checkInDate.getTime() === reportDate.getTime(),
+      foreign: this.isForeign(guest, settings),
+      missing: this.describeMissing(missing)
+    };
+  }
+
+  // Every guest in house on the night starting at a date (checked in, or since
+  // checked out), with the details the authorities need
+  async buildReport(date, settings, { foreignOnly = false } = {}) {
+    const reportDate = startOfDay(date);
+    const bookings = await Booking.find({
+      status: { $in: ['Checked In', 'Checked Out'] },
+      checkInDate: { $lt: new Date(reportDate.getTime() + DAY_MS) },
+      checkOutDate: { $gt: reportDate }
+    })
+      .populate('guest')
+      .populate('room', 'name roomNumber')
+      .sort({ checkInDate: 1 });
+
+    let rows = bookings.map(booking => this.toRow(booking, settings, reportDate));
+    if (foreignOnly) rows = rows.filter(row => row.foreign);
+    rows.sort((a, b) => String(a.roomNumber || '').localeCompare(String(b.roomNumber || ''), undefined, { numeric: true }));
+
+    return {
+      reportDate,
+      foreignOnly,
+      rows,
+      totals: {
+        guests: rows.length,
+        persons: rows.reduce((sum, row) => sum + row.adults + row.children, 0),
+        foreign: rows.filter(row => row.foreign).length,
+        incomplete: rows.filter(row => row.missing.length).length
+      }
+    };
+  }
+
+  // Confirmed arrivals for a date whose registration details are incomplete, so the
+  // desk can complete them before check-in
+  async findIncompleteArrivals(date, settings) {
+    const reportDate = startOfDay(date);
+    const bookings = await Booking.find({
+      status: 'Confirmed',
+      checkInDate: { $gte: reportDate, $lt: new Date(reportDate.getTime() + DAY_MS) }
+    })
+      .populate('guest')
+      .populate('room', 'name roomNumber');
+
+    return bookings
+      .map(booking => ({
+        ...this.toRow(booking, settings, reportDate),
+        preCheckedIn: booking.isPreCheckedIn
+      }))
+      .filter(row => row.missing.length);
+  }
+}
+
+GuestRegistrationService.REQUIRED_FIELDS = REQUIRED_FIELDS;
+GuestRegistrationService.FOREIGN_REQUIRED_FIELDS = FOREIGN_REQUIRED_FIELDS;
+
+module.exports = GuestRegistrationService;
@@ -0,0 +1,290 @@
+const Guest = require('../models/Guest');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const RatePlan = require('../models/RatePlan');
+const SiteSettings = require('../models/SiteSettings');
+const logger = require('../utils/logger');
+const { roundMoney } = require('../utils/currency');
+
+const monthsBefore = (date, months) => {
+  const before = new Date(date);
+  before.setUTCMonth(before.getUTCMonth() - months);
+  return before;
+};
+
+// The loyalty programme. Every change to a guest's points is an entry in the
+// LoyaltyTransaction ledger, and the balance on the guest moves with it. Stays earn
+// points once the guest checks out; tiers follow the qualifying points of the tier
+// period, so they go down as well as up.
+class LoyaltyService {
+  async getSettings() {
+    return (await SiteSettings.getSiteSettings()).loyalty;
+  }
+
+  // Points held from before the ledger become its opening entry, so the ledger adds up
+  // to the balance. They count toward the tier for one tier period.
+  async openLedger(guest) {
+    const points = guest.loyaltyProgram.points || 0;
+    if (!points || await LoyaltyTransaction.exists({ guest: guest._id })) return;
+
+    await LoyaltyTransaction.create({
+      guest: guest._id,
+      type: 'Adjust',
+      points,
+      balanceAfter: points,
+      qualifying: true,
+      reason: 'Opening balance'
+    });
+  }
+
+  // Add an entry to a guest's ledger and move their balance by its points. An entry
+  // that would take the balance below zero is refused. Returns { transaction, balance }
+  // or { error }.
+  async post(guest, { type, points, qualifying = false, booking, reason, createdBy, earnDetails }) {
+    await this.openLedger(guest);
+
+    const update = { $inc: { 'loyaltyProgram.points': points } };
+    if (['Earn', 'Redeem'].includes(type)) {
+      update.$set = { 'loyaltyProgram.lastActivityDate': new Date() };
+    }
+
+    // The balance check and the change are one update, so concurrent redemptions
+    // cannot spend the same points twice
+    const updated = await Guest.findOneAndUpdate(
+      { _id: guest._id, 'loyaltyProgram.points': { $gte: Math.max(0, -points) } },
+      update,
+      { new: true }
+    ).select('loyaltyProgram');
+    if (!updated) {
+      return { error: 'Not enough loyalty points' };
+    }
+
+    const transaction = await LoyaltyTransaction.create({
+      guest: guest._id,
+      type,
+      points,
+      balanceAfter: updated.loyaltyProgram.points,
+      qualifying,
+      booking: booking && booking._id,
+      bookingNumber: booking && booking.bookingNumber,
+      reason,
+      createdBy,
+      earnDetails
+    });
+
+    if (qualifying) {
+      await this.recalculateTier(updated);
+    }
+
+    logger.info('Loyalty points posted', {
+      guest: guest._id.toString(),
+      type,
+      points,
+      balance: updated.loyaltyProgram.points,
+      bookingNumber: booking && booking.bookingNumber
+    });
+
+    return { transaction, balance: updated.loyaltyProgram.points };
+  }
+
+  // Work out a guest's tier from the qualifying points in their ledger over the tier
+  // period, moving them down as well as up. Returns { tier, from, tierPoints }.
+  async recalculateTier(guest, { settings, now = new Date() } = {}) {
+    settings = settings || await this.getSettings();
+    await this.openLedger(guest);
+
+    const [qualified] = await LoyaltyTransaction.aggregate([
+      {
+        $match: {
+          guest: guest._id,
+          qualifying: true,
+          createdAt: { $gte: monthsBefore(now, settings.tierPeriodMonths) }
+        }
+      },
+      { $group: { _id: null, points: { $sum: '$points' } } }
+    ]);
+
+    const tierPoints = Math.max(0, qualified ? qualified.points : 0);
+    const tier = Guest.loyaltyTierFor(tierPoints);
+    const from = guest.loyaltyProgram.tier;
+
+    await Guest.updateOne(
+      { _id: guest._id },
+      { $set: { 'loyaltyProgram.tier': tier, 'loyaltyProgram.tierPoints': tierPoints } }
+    );
+
+    if (tier !== from) {
+      logger.info('Loyalty tier changed', {
+        guest: guest._id.toString(),
+        from,
+        to: tier,
+        tierPoints
+      });
+    }
+
+    return { tier, from, tierPoints };
+  }
+
+  // Points a stay earns: its room revenue after discounts at the earn rate, times the
+  // multipliers of the guest's tier and the booking's rate plan
+  async pointsForStay(booking, guest, settings) {
+    const ratePlan = booking.ratePlan
+      ? await RatePlan.findById(booking.ratePlan._id || booking.ratePlan).select('loyaltyMultiplier')
+      : null;
+    const tier = guest.loyaltyProgram.tier;
+
+    const earnDetails = {
+      amount: roundMoney(Math.max(0, (booking.subtotal || 0) - (booking.discounts || 0))),
+      pointsPerCurrencyUnit: settings.pointsPerCurrencyUnit,
+      tier,
+      tierMultiplier: settings.tierMultipliers[tier] != null ? settings.tierMultipliers[tier] : 1,
+      ratePlanMultiplier: ratePlan && ratePlan.loyaltyMultiplier != null ? ratePlan.loyaltyMultiplier : 1
+    };
+
+    const points = Math.floor(roundMoney(earnDetails.amount * earnDetails.pointsPerCurrencyUnit *
+      earnDetails.tierMultiplier * earnDetails.ratePlanMultiplier));
+
+    return { points, earnDetails };
+  }
+
+  // Credit the points of a stay the guest has checked out of, once. Returns the
+  // points credited, or 0.
+  async earnForStay(booking) {
+    const settings = await this.getSettings();
+    if (!settings.enabled || booking.status !== 'Checked Out') return 0;
+
+    const guest = await Guest.findById(booking.guest._id || booking.guest).select('loyaltyProgram erasedAt');
+    if (!guest || guest.erasedAt) return 0;
+    if (await LoyaltyTransaction.exists({ booking: booking._id, type: 'Earn' })) return 0;
+
+    const { points, earnDetails } = await this.pointsForStay(booking, guest, settings);
+    if (points <= 0) return 0;
+
+    const result = await this.post(guest, {
+      type: 'Earn',
+      points,
+      qualifying: true,
+      booking,
+      earnDetails
+    });
+    if (result.error) return 0;
+
+    booking.loyaltyPointsEarned = points;
+    await booking.save();
+
+    return points;
+  }
+
+  // Discount for redeeming points on a quoted stay, within the programme's limits.
+  // Returns { points, discount } or { error }.
+  async quoteRedemption(guest, points, quote, settings) {
+    settings = settings || await this.getSettings();
+
+    if (!settings.enabled) {
+      return { error: 'Loyalty points cannot be redeemed at the moment' };
+    }
+    if (points < settings.minRedeemPoints) {
+      return { error: `At least ${settings.minRedeemPoints} points must be redeemed` };
+    }
+    if (points > guest.loyaltyProgram.points) {
+      return { error: `Only ${guest.loyaltyProgram.points} points are available` };
+    }
+
+    const discount = roundMoney(points * settings.pointValue);
+    const limit = roundMoney((quote.subtotal - quote.discounts) * settings.maxRedeemPercentage / 100);
+    if (discount > limit) {
+      const allowed = settings.pointValue > 0 ? Math.floor(limit / settings.pointValue) : 0;
+      return {
+        error: `Points can pay for up to ${settings.maxRedeemPercentage}% of the room price, ${allowed} points on this stay`
+      };
+    }
+
+    return { points, discount };
+  }
+
+  // Take the points redeemed on a new booking off the guest's balance
+  async redeem(guest, booking) {
+    return this.post(guest, {
+      type: 'Redeem',
+      points: -booking.loyaltyPointsRedeemed,
+      booking,
+      reason: `Discount of ${booking.loyaltyDiscount} on booking ${booking.bookingNumber}`
+    });
+  }
+
+  // Give back the points redeemed on a booking that did not go ahead, once. Returns
+  // the points given back, or 0.
+  async refundRedemption(booking, reason) {
+    if (!booking.loyaltyPointsRedeemed) return 0;
+
+    const [redeemed, refunded] = await Promise.all([
+      LoyaltyTransaction.exists({ booking: booking._id, type: 'Redeem' }),
+      LoyaltyTransaction.exists({ booking: booking._id, type: 'Refund' })
+    ]);
+    if (!redeemed || refunded) return 0;
+
+    const guest = await Guest.findById(booking.guest._id || booking.guest).select('loyaltyProgram');
+    if (!guest) return 0;
+
+    const result = await this.post(guest, {
+      type: 'Refund',
+      points: booking.loyaltyPointsRedeemed,
+      booking,
+      reason
+    });
+
+    return result.error ? 0 : booking.loyaltyPointsRedeemed;
+  }
+
+  // A manual correction by staff. Qualifying adjustments count toward the tier.
+  async adjust(guest, { points, reason, qualifying = false, adminId }) {
+    return this.post(guest, {
+      type: 'Adjust',
+      points,
+      qualifying,
+      reason,
+      createdBy: adminId
+    });
+  }
+
+  // Expire the balances of guests who have neither earned nor redeemed points for
+  // expireAfterMonths. Returns the number of balances expired.
+  async expireInactive(now = new Date()) {
+    const settings = await this.getSettings();
+    if (!settings.enabled || !settings.expireAfterMonths) return 0;
+
+    const guests = await Guest.find({
+      'loyaltyProgram.points': { $gt: 0 },
+      'loyaltyProgram.lastActivityDate': { $lt: monthsBefore(now, settings.expireAfterMonths) }
+    }).select('loyaltyProgram');
+
+    let expired = 0;
+    for (const guest of guests) {
+      const result = await this.post(guest, {
+        type: 'Expire',
+        points: -guest.loyaltyProgram.points,
+        reason: `No points earned or redeemed for ${settings.expireAfterMonths} months`
+      });
+      if (!result.error) expired += 1;
+    }
+
+    return expired;
+  }
+
+  // Recalculate the tiers above the first, which drop as qualifying points age out
+  // of the tier period. Returns the number of guests whose tier changed.
+  async recalculateTiers(now = new Date()) {
+    const settings = await this.getSettings();
+    const guests = await Guest.find({ 'loyaltyProgram.tier': { $ne: Guest.loyaltyTierFor(0) } })
+      .select('loyaltyProgram');
+
+    let changed = 0;
+    for (const guest of guests) {
+      const { tier, from } = await this.recalculateTier(guest, { settings, now });
+      if (tier !== from) changed += 1;
+    }
+
+    return changed;
+  }
+}
+
+module.exports = LoyaltyService;
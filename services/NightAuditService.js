@@ -0,0 +1,257 @@
+const NightAudit = require('../models/NightAudit');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const Folio = require('../models/Folio');
+const SiteSettings = require('../models/SiteSettings');
+const PaymentService = require('./PaymentService');
+const BookingStatusService = require('./BookingStatusService');
+const logger = require('../utils/logger');
+const { roundMoney } = require('../utils/currency');
+const { DAY_MS, startOfDay, dateKey } = require('../utils/dates');
+
+class NightAuditService {
+  constructor() {
+    this.paymentService = new PaymentService();
+    this.bookingStatusService = new BookingStatusService();
+  }
+
+  // Minutes after midnight of an HH:mm time
+  minutesOf(time = '03:00') {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  // When the audit closing a business date is due: the configured time the next day
+  dueAt(businessDate, runAt) {
+    return new Date(businessDate.getTime() + DAY_MS + this.minutesOf(runAt) * 60 * 1000);
+  }
+
+  // The business date the hotel is trading on. Until the first audit it is the day
+  // whose audit time has not passed yet.
+  async getBusinessDate(settings) {
+    settings = settings || await SiteSettings.getSiteSettings();
+
+    if (!settings.nightAudit.businessDate) {
+      const offset = this.minutesOf(settings.nightAudit.runAt) * 60 * 1000;
+      settings.nightAudit.businessDate = startOfDay(Date.now() - offset);
+      await settings.save();
+    }
+
+    return settings.nightAudit.businessDate;
+  }
+
+  // Run every audit that is due, oldest business date first, catching up on days
+  // missed while the server was down
+  async runDueAudits({ maxDays = 7 } = {}) {
+    const settings = await SiteSettings.getSiteSettings();
+    if (!settings.nightAudit.enabled) return [];
+
+    const audits = [];
+    for (let day = 0; day < maxDays; day += 1) {
+      const businessDate = await this.getBusinessDate(settings);
+      if (Date.now() < this.dueAt(businessDate, settings.nightAudit.runAt)) break;
+
+      const audit = await this.run(businessDate, { settings });
+      if (!audit || audit.status !== 'Completed') break;
+      audits.push(audit);
+    }
+
+    return audits;
+  }
+
+  // Close a business date: mark no-shows, post the night's room charges to in-house
+  // stays, store the day's figures and roll the business date forward. Returns null
+  // when another audit of the date is running or done.
+  async run(businessDate, { trigger = 'Scheduled', adminId, settings } = {}) {
+    settings = settings || await SiteSettings.getSiteSettings();
+
+    // A failed audit can be run again; anything it already did is skipped
+    let audit = await NightAudit.findOneAndUpdate(
+      { businessDate, status: 'Failed' },
+      { $set: { status: 'Running', trigger, runBy: adminId, startedAt: new Date(), issues: [] }, $unset: { error: 1 } },
+      { new: true }
+    );
+    if (!audit) {
+      try {
+        audit = await NightAudit.create({ businessDate, trigger, runBy: adminId });
+      } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+      }
+    }
+
+    try {
+      await this.processNoShows(audit, settings);
+      await this.postRoomCharges(audit);
+      await this.summarise(audit);
+
+      audit.status = 'Completed';
+      audit.completedAt = new Date();
+      await audit.save();
+
+      settings.nightAudit.businessDate = new Date(businessDate.getTime() + DAY_MS);
+      await settings.save();
+
+      logger.bookingLog('Night audit completed', {
+        businessDate: dateKey(businessDate),
+        trigger,
+        noShows: audit.summary.noShowCount,
+        inHouse: audit.summary.inHouse,
+        roomRevenue: audit.summary.roomRevenue,
+        issues: audit.issues.length
+      });
+    } catch (error) {
+      logger.error('Night audit failed:', error);
+      audit.status = 'Failed';
+      audit.error = error.message;
+      await audit.save();
+    }
+
+    return audit;
+  }
+
+  // Mark confirmed bookings due on or before the business date as no-shows
+  async processNoShows(audit, settings) {
+    const bookings = await Booking.find({
+      status: 'Confirmed',
+      checkInDate: { $lt: new Date(audit.businessDate.getTime() + DAY_MS) }
+    }).populate(['guest', 'room', 'roomCategory']);
+
+    for (const booking of bookings) {
+      try {
+        audit.noShows.push(await this.markNoShow(booking, { chargeFee: settings.nightAudit.chargeNoShowFee }));
+      } catch (error) {
+        logger.error('Error processing no-show:', error);
+        audit.issues.push({ bookingNumber: booking.bookingNumber, step: 'No show', message: error.message });
+      }
+    }
+  }
+
+  // Mark a booking as a no-show and charge the fee its cancellation terms set for
+  // cancelling at arrival. Payments above the fee are refunded. The fee is billed on
+  // the folio, where any part payments do not cover stays as a receivable (and as the
+  // booking's balance due) for the hotel to collect.
+  async markNoShow(booking, { chargeFee = true } = {}) {
+    const blocked = booking.checkTransition('No Show');
+    if (blocked) throw new Error(blocked);
+
+    const fee = chargeFee ? booking.calculateCancellationFee(booking.checkInDate) : 0;
+    const excess = roundMoney(booking.amountPaid - fee);
+
+    let refunded = 0;
+    if (excess > 0) {
+      refunded = await this.paymentService.refundBookingPayments(booking, excess, {
+        reason: 'No show'
+      });
+    }
+
+    booking.cancellationFee = fee;
+    booking.refundAmount = booking.amountRefunded;
+    await this.bookingStatusService.transition(booking, 'No Show', { reason: 'No show' });
+
+    const folio = await Folio.findOrCreateForBooking(booking);
+    await folio.save();
+
+    logger.bookingLog('Booking marked as no-show', {
+      bookingNumber: booking.bookingNumber,
+      fee,
+      refunded,
+      outstanding: booking.balanceDue
+    });
+
+    return {
+      booking: booking._id,
+      bookingNumber: booking.bookingNumber,
+      guestName: booking.guest ? `${booking.guest.firstName} ${booking.guest.lastName}` : undefined,
+      checkInDate: booking.checkInDate,
+      fee,
+      refunded,
+      outstanding: booking.balanceDue
+    };
+  }
+
+  // Post the business date's room and tax charges to every in-house stay's folio
+  async postRoomCharges(audit) {
+    const endOfDay = new Date(audit.businessDate.getTime() + DAY_MS);
+    const bookings = await Booking.find({
+      status: 'Checked In',
+      checkInDate: { $lt: endOfDay }
+    }).populate(['guest', 'room']);
+
+    let posted = 0;
+    for (const booking of bookings) {
+      try {
+        const folio = await Folio.findOrCreateForBooking(booking);
+        posted += folio.postRoomCharges(booking, endOfDay);
+        await folio.save();
+
+        if (booking.checkOutDate <= audit.businessDate) {
+          audit.issues.push({
+            bookingNumber: booking.bookingNumber,
+            step: 'Departure',
+            message: `Guest was due to check out on ${dateKey(booking.checkOutDate)}`
+          });
+        }
+      } catch (error) {
+        logger.error('Error posting room charges:', error);
+        audit.issues.push({ bookingNumber: booking.bookingNumber, step: 'Room charges', message: error.message });
+      }
+    }
+
+    audit.summary.chargesPosted = posted;
+  }
+
+  // Figures for the business date
+  async summarise(audit) {
+    const day = audit.businessDate;
+    const endOfDay = new Date(day.getTime() + DAY_MS);
+    const nightKey = dateKey(day);
+    const stayed = ['Checked In', 'Checked Out'];
+
+    const [arrivals, departures, inHouse, roomsAvailable, revenue] = await Promise.all([
+      Booking.find({
+        checkInDate: { $gte: day, $lt: endOfDay },
+        status: { $in: ['Confirmed', ...stayed, 'No Show'] }
+      }).select('status'),
+      Booking.find({
+        checkOutDate: { $gte: day, $lt: endOfDay },
+        status: { $in: stayed }
+      }).select('status'),
+      Booking.countDocuments({
+        checkInDate: { $lt: endOfDay },
+        checkOutDate: { $gt: day },
+        status: { $in: stayed }
+      }),
+      Room.countDocuments({ isActive: true, status: { $nin: ['Out of Order', 'Maintenance'] } }),
+      Folio.aggregate([
+        { $unwind: '$entries' },
+        { $match: { 'entries.reference': `night:${nightKey}`, 'entries.type': 'Charge' } },
+        { $group: { _id: '$entries.category', total: { $sum: '$entries.amount' } } }
+      ])
+    ]);
+
+    const revenueFor = category => roundMoney((revenue.find(line => line._id === category) || {}).total || 0);
+    const roomRevenue = revenueFor('Room');
+    const noShowFees = roundMoney(audit.noShows.reduce((sum, noShow) => sum + noShow.fee, 0));
+
+    Object.assign(audit.summary, {
+      arrivals: arrivals.length,
+      checkIns: arrivals.filter(booking => stayed.includes(booking.status)).length,
+      departures: departures.length,
+      checkOuts: departures.filter(booking => booking.status === 'Checked Out').length,
+      inHouse,
+      noShowCount: audit.noShows.length,
+      noShowFees,
+      roomsAvailable,
+      roomsSold: inHouse,
+      occupancyRate: roomsAvailable ? roundMoney(inHouse / roomsAvailable * 100) : 0,
+      roomRevenue,
+      taxRevenue: revenueFor('Tax'),
+      adr: inHouse ? roundMoney(roomRevenue / inHouse) : 0,
+      revpar: roomsAvailable ? roundMoney(roomRevenue / roomsAvailable) : 0
+    });
+  }
+}
+
+
+module.exports = NightAuditService;
@@ -173,7 +173,10 @@ class OperaPMSService {
                 'RoomTypes': {
                   'RoomType': {
                     '@': {
-                      'RoomTypeCode': booking.room.operaRoomId || booking.room.type
+                      // Bookings sold by category have no room until one is assigned
+                      'RoomTypeCode': booking.room
+                        ? booking.room.operaRoomId || booking.room.type
+                        : booking.roomCategory && booking.roomCategory.slug
                     }
                   }
                 },
@@ -0,0 +1,517 @@
+const Stripe = require('stripe');
+const Booking = require('../models/Booking');
+const Reservation = require('../models/Reservation');
+const RoomHold = require('../models/RoomHold');
+const SiteSettings = require('../models/SiteSettings');
+const WaitlistService = require('./WaitlistService');
+const { sendEmail } = require('../utils/sendEmail');
+const logger = require('../utils/logger');
+const { toMinorUnits, fromMinorUnits, roundMoney } = require('../utils/currency');
+
+const waitlistService = new WaitlistService();
+
+class PaymentService {
+  constructor() {
+    const options = {};
+
+    // Allow pointing the client at a local Stripe stand-in (e.g. stripe-mock)
+    if (process.env.STRIPE_API_HOST) {
+      options.host = process.env.STRIPE_API_HOST;
+      options.port = process.env.STRIPE_API_PORT || 12111;
+      options.protocol = process.env.STRIPE_API_PROTOCOL || 'http';
+    }
+
+    this.stripe = Stripe(process.env.STRIPE_SECRET_KEY, options);
+  }
+
+  // Stripe currency code for a booking (bookings store the settings currency when priced)
+  currencyFor(booking) {
+    return (booking.currency || 'USD').toLowerCase();
+  }
+
+  // Convert a decimal amount to Stripe's smallest currency unit
+  toStripeAmount(amount, currency) {
+    return toMinorUnits(amount, currency);
+  }
+
+  // Create (and optionally confirm) a card PaymentIntent
+  async createPaymentIntent({ amount, currency, description, metadata, paymentMethodId, returnUrl }) {
+    const params = {
+      amount: this.toStripeAmount(amount, currency),
+      currency,
+      payment_method_types: ['card'],
+      description,
+      metadata
+    };
+
+    if (paymentMethodId) {
+      params.payment_method = paymentMethodId;
+      params.confirm = true;
+      if (returnUrl) params.return_url = returnUrl;
+    }
+
+    const paymentIntent = await this.stripe.paymentIntents.create(params);
+
+    logger.paymentLog('PaymentIntent created', {
+      bookingNumber: metadata.bookingNumber,
+      reservationNumber: metadata.reservationNumber,
+      paymentIntentId: paymentIntent.id,
+      amount,
+      purpose: metadata.purpose,
+      status: paymentIntent.status
+    });
+
+    return paymentIntent;
+  }
+
+  // Create (and optionally confirm) a PaymentIntent for a booking
+  async createBookingPaymentIntent(booking, { amount, purpose = 'Full', paymentMethodId, returnUrl } = {}) {
+    return this.createPaymentIntent({
+      amount: amount != null ? amount : booking.amountDueNow,
+      currency: this.currencyFor(booking),
+      description: `The Old Vine Hotel booking ${booking.bookingNumber}`,
+      metadata: {
+        bookingId: booking._id.toString(),
+        bookingNumber: booking.bookingNumber,
+        purpose
+      },
+      paymentMethodId,
+      returnUrl
+    });
+  }
+
+  // Create (and optionally confirm) one PaymentIntent covering every line of a reservation
+  async createReservationPaymentIntent(reservation, { amount, purpose = 'Full', paymentMethodId, returnUrl }) {
+    return this.createPaymentIntent({
+      amount,
+      currency: this.currencyFor(reservation),
+      description: `The Old Vine Hotel reservation ${reservation.reservationNumber}`,
+      metadata: {
+        reservationId: reservation._id.toString(),
+        reservationNumber: reservation.reservationNumber,
+        purpose
+      },
+      paymentMethodId,
+      returnUrl
+    });
+  }
+
+  // Create a hosted Stripe Checkout page the guest can use to pay the outstanding balance
+  async createBalancePaymentLink(booking) {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3060';
+    const currency = this.currencyFor(booking);
+    const metadata = {
+      bookingId: booking._id.toString(),
+      bookingNumber: booking.bookingNumber,
+      purpose: 'Balance'
+    };
+
+    const session = await this.stripe.checkout.sessions.create({
+      mode: 'payment',
+      payment_method_types: ['card'],
+      customer_email: booking.guest && booking.guest.email,
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency,
+          unit_amount: this.toStripeAmount(booking.balanceDue, currency),
+          product_data: {
+            name: `Balance for booking ${booking.bookingNumber}`
+          }
+        }
+      }],
+      payment_intent_data: { metadata },
+      metadata,
+      success_url: `${clientUrl}/booking/${booking.bookingNumber}?payment=success`,
+      cancel_url: `${clientUrl}/booking/${booking.bookingNumber}?payment=cancelled`
+    });
+
+    logger.paymentLog('Balance payment link created', {
+      bookingNumber: booking.bookingNumber,
+      sessionId: session.id,
+      amount: booking.balanceDue
+    });
+
+    return session;
+  }
+
+  // Confirm a PaymentIntent after the client completed any required action (3-D Secure)
+  async confirmPaymentIntent(paymentIntentId, { paymentMethodId, returnUrl } = {}) {
+    let paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+
+    if (paymentIntent.status === 'requires_confirmation' || (paymentMethodId && paymentIntent.status === 'requires_payment_method')) {
+      const params = {};
+      if (paymentMethodId) params.payment_method = paymentMethodId;
+      if (returnUrl) params.return_url = returnUrl;
+      paymentIntent = await this.stripe.paymentIntents.confirm(paymentIntentId, params);
+    }
+
+    logger.paymentLog('PaymentIntent confirmed', {
+      paymentIntentId,
+      status: paymentIntent.status
+    });
+
+    return paymentIntent;
+  }
+
+  async retrievePaymentIntent(paymentIntentId) {
+    return this.stripe.paymentIntents.retrieve(paymentIntentId);
+  }
+
+  async refundPaymentIntent(paymentIntentId, amount, metadata = {}, currency = 'usd') {
+    return this.stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount: this.toStripeAmount(amount, currency),
+      metadata
+    });
+  }
+
+  // Refund up to an amount across a booking's card payments (newest first) and
+  // record the refunds straight away. Returns the amount refunded to card.
+  async refundBookingPayments(booking, amount, metadata = {}) {
+    let remaining = roundMoney(amount);
+    let refunded = 0;
+
+    const cardPayments = booking.payments
+      .filter(payment => payment.stripePaymentIntentId && payment.status === 'succeeded')
+      .reverse();
+
+    for (const payment of cardPayments) {
+      if (remaining <= 0) break;
+
+      const refundable = roundMoney(payment.amount - (payment.amountRefunded || 0));
+      const part = Math.min(refundable, remaining);
+      if (part <= 0) continue;
+
+      await this.refundPaymentIntent(payment.stripePaymentIntentId, part, {
+        bookingNumber: booking.bookingNumber,
+        ...metadata
+      }, payment.currency);
+      booking.recordRefund(payment.stripePaymentIntentId, (payment.amountRefunded || 0) + part);
+
+      remaining = roundMoney(remaining - part);
+      refunded = roundMoney(refunded + part);
+    }
+
+    return refunded;
+  }
+
+  // Cancel a booking's PaymentIntents that are still waiting to be paid, so the guest
+  // cannot complete them once the booking is withdrawn. Reservation lines share their
+  // PaymentIntent with the other rooms, so theirs is left open.
+  async cancelOpenPaymentIntents(booking) {
+    if (booking.reservation) return [];
+
+    const open = booking.payments
+      .filter(payment => payment.stripePaymentIntentId && PaymentService.OPEN_STATUSES.includes(payment.status));
+    const canceled = [];
+
+    for (const payment of open) {
+      try {
+        const paymentIntent = await this.stripe.paymentIntents.cancel(payment.stripePaymentIntentId, {
+          cancellation_reason: 'requested_by_customer'
+        });
+        booking.recordPaymentIntent(paymentIntent);
+        canceled.push(paymentIntent.id);
+      } catch (stripeError) {
+        // One paid in the meantime is refunded when its webhook arrives
+        logger.error('Stripe PaymentIntent cancel error:', stripeError);
+      }
+    }
+
+    return canceled;
+  }
+
+  // Refund a payment that completed after its booking was cancelled, keeping back any
+  // cancellation fee the booking still owes. Returns the amount refunded.
+  async refundCancelledPayment(booking, paymentIntentId) {
+    const payment = booking.payments.find(p => p.stripePaymentIntentId === paymentIntentId);
+    const amount = roundMoney(Math.min(
+      payment.amount - (payment.amountRefunded || 0),
+      booking.amountPaid - (booking.cancellationFee || 0)
+    ));
+    if (amount <= 0) return 0;
+
+    await this.refundPaymentIntent(paymentIntentId, amount, {
+      bookingNumber: booking.bookingNumber,
+      reason: 'Paid after the booking was cancelled'
+    }, payment.currency);
+    booking.recordRefund(paymentIntentId, (payment.amountRefunded || 0) + amount);
+    await booking.save();
+
+    logger.paymentLog('Payment on cancelled booking refunded', {
+      bookingNumber: booking.bookingNumber,
+      paymentIntentId,
+      amount
+    });
+
+    return amount;
+  }
+
+  // Verify a webhook payload against STRIPE_WEBHOOK_SECRET and return the event
+  constructWebhookEvent(rawBody, signature) {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+      throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+    }
+
+    return this.stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  }
+
+  // Find the booking a PaymentIntent was created for
+  async findBookingByPaymentIntent(paymentIntentId, metadata = {}) {
+    let booking = await Booking.findOne({ 'payments.stripePaymentIntentId': paymentIntentId })
+      .populate(['guest', 'room', 'roomCategory']);
+
+    if (!booking && metadata.bookingNumber) {
+      booking = await Booking.findOne({ bookingNumber: metadata.bookingNumber })
+        .populate(['guest', 'room', 'roomCategory']);
+    }
+
+    return booking;
+  }
+
+  // Reconcile booking state from a verified Stripe webhook event
+  async handleWebhookEvent(event) {
+    const object = event.data.object;
+
+    logger.paymentLog('Stripe webhook received', {
+      eventId: event.id,
+      type: event.type
+    });
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+      case 'payment_intent.payment_failed': {
+        if (object.metadata && object.metadata.reservationNumber) {
+          const reservation = await Reservation.findOne({ reservationNumber: object.metadata.reservationNumber });
+          if (!reservation) break;
+
+          const lines = await Booking.find({ reservation: reservation._id }).populate(['guest', 'room']);
+          await this.syncReservationPayment(reservation, lines, object);
+          return { handled: true, reservationNumber: reservation.reservationNumber };
+        }
+
+        const booking = await this.findBookingByPaymentIntent(object.id, object.metadata);
+        if (!booking) break;
+
+        await this.syncBookingPayment(booking, object);
+        return { handled: true, bookingNumber: booking.bookingNumber };
+      }
+
+      case 'charge.refunded': {
+        const totalRefunded = fromMinorUnits(object.amount_refunded, object.currency);
+        const lines = await Booking.find({ 'payments.stripePaymentIntentId': object.payment_intent });
+
+        // A reservation payment is shared by several bookings
+        if (lines.length > 1) {
+          await this.reconcileSharedRefund(lines, object.payment_intent, totalRefunded);
+          return { handled: true, bookingNumbers: lines.map(line => line.bookingNumber) };
+        }
+
+        const booking = await this.findBookingByPaymentIntent(object.payment_intent, object.metadata);
+        if (!booking) break;
+
+        booking.recordRefund(object.payment_intent, totalRefunded);
+        await booking.save();
+        return { handled: true, bookingNumber: booking.bookingNumber };
+      }
+
+      case 'charge.dispute.created': {
+        const paymentIntentId = object.payment_intent
+          || (await this.stripe.charges.retrieve(object.charge)).payment_intent;
+        const booking = await this.findBookingByPaymentIntent(paymentIntentId, object.metadata);
+        if (!booking) break;
+
+        booking.recordDispute(paymentIntentId, object);
+        await booking.save();
+
+        // Flag the other lines of a reservation paid by the same intent
+        const otherLines = await Booking.find({
+          _id: { $ne: booking._id },
+          'payments.stripePaymentIntentId': paymentIntentId
+        });
+        for (const line of otherLines) {
+          line.recordDispute(paymentIntentId, object);
+          await line.save();
+        }
+
+        logger.securityLog('Payment dispute opened', {
+          bookingNumber: booking.bookingNumber,
+          disputeId: object.id,
+          reason: object.reason,
+          amount: fromMinorUnits(object.amount, object.currency)
+        });
+        return { handled: true, bookingNumber: booking.bookingNumber };
+      }
+
+      default:
+        return { handled: false };
+    }
+
+    logger.paymentLog('Stripe webhook did not match a booking', {
+      eventId: event.id,
+      type: event.type
+    });
+    return { handled: false };
+  }
+
+  // Record a reservation PaymentIntent on its lines, splitting the amount in proportion
+  // to what each line owed, and confirm the lines once paid. Expects the lines to be
+  // populated with guest and room.
+  async syncReservationPayment(reservation, lines, paymentIntent) {
+    const hasPayment = line => line.payments.some(p => p.stripePaymentIntentId === paymentIntent.id);
+    const alreadyRecorded = lines
+      .filter(hasPayment)
+      .reduce((sum, line) => sum + line.payments.find(p => p.stripePaymentIntentId === paymentIntent.id).amount, 0);
+
+    const unrecorded = lines.filter(line => line.status !== 'Cancelled' && !hasPayment(line));
+    const shares = Reservation.allocate(
+      fromMinorUnits(paymentIntent.amount, paymentIntent.currency) - alreadyRecorded,
+      unrecorded.map(line => line.amountDueNow)
+    );
+    const shareOf = new Map(unrecorded.map((line, index) => [line, shares[index]]));
+
+    const confirmed = [];
+    for (const line of lines) {
+      const share = shareOf.get(line);
+      if (!hasPayment(line) && !(share > 0)) continue;
+
+      line.recordPaymentIntent(paymentIntent, share);
+      if (paymentIntent.status === 'succeeded' && line.status === 'Pending' && !line.transitionTo('Confirmed')) {
+        confirmed.push(line);
+      }
+      await line.save();
+
+      if (paymentIntent.status === 'succeeded' && line.status === 'Cancelled') {
+        await this.refundCancelledPayment(line, paymentIntent.id);
+      }
+    }
+
+    reservation.stripePaymentIntentId = paymentIntent.id;
+    reservation.updateTotals(lines);
+    await reservation.save();
+
+    for (const line of confirmed) {
+      await this.onBookingConfirmed(line, { notify: false });
+    }
+    if (confirmed.length) {
+      await this.onReservationConfirmed(reservation, lines);
+    }
+
+    return reservation;
+  }
+
+  // Spread a refund made outside the app (e.g. from the Stripe dashboard) on a shared
+  // PaymentIntent across the bookings it paid for
+  async reconcileSharedRefund(lines, paymentIntentId, totalRefunded) {
+    const paymentOf = line => line.payments.find(p => p.stripePaymentIntentId === paymentIntentId);
+    const recorded = lines.reduce((sum, line) => sum + (paymentOf(line).amountRefunded || 0), 0);
+    const excess = roundMoney(totalRefunded - recorded);
+    if (excess <= 0) return;
+
+    const shares = Reservation.allocate(excess, lines.map(line => {
+      const payment = paymentOf(line);
+      return payment.amount - (payment.amountRefunded || 0);
+    }));
+
+    for (const [index, line] of lines.entries()) {
+      if (shares[index] <= 0) continue;
+      line.recordRefund(paymentIntentId, (paymentOf(line).amountRefunded || 0) + shares[index]);
+      await line.save();
+    }
+
+    const reservationId = lines[0].reservation;
+    const reservation = reservationId && await Reservation.findById(reservationId);
+    if (reservation) {
+      reservation.updateTotals(await Booking.find({ reservation: reservation._id }));
+      await reservation.save();
+    }
+  }
+
+  // Record a PaymentIntent on the booking and confirm the booking once it is paid.
+  // Expects the booking to be populated with guest, room and room category.
+  async syncBookingPayment(booking, paymentIntent) {
+    booking.recordPaymentIntent(paymentIntent);
+
+    // A booking cancelled while the payment was processing stays cancelled
+    const justConfirmed = paymentIntent.status === 'succeeded' && booking.status === 'Pending' &&
+      !booking.transitionTo('Confirmed');
+
+    await booking.save();
+
+    if (justConfirmed) {
+      await this.onBookingConfirmed(booking);
+    }
+    if (paymentIntent.status === 'succeeded' && booking.status === 'Cancelled') {
+      await this.refundCancelledPayment(booking, paymentIntent.id);
+    }
+
+    return booking;
+  }
+
+  // Side effects of a booking becoming confirmed, through payment or by staff accepting
+  // a booking request. Reservation lines skip the booking email; the reservation
+  // sends one for all of them.
+  async onBookingConfirmed(booking, { notify = true } = {}) {
+    const guest = booking.guest;
+
+    // The confirmed booking now blocks the room itself
+    await RoomHold.release({ booking: booking._id });
+    await waitlistService.markBooked(booking);
+
+    if (guest && typeof guest.updateStayStats === 'function') {
+      await guest.updateStayStats(booking.totalAmount);
+    }
+
+    if (notify && !booking.emailConfirmationSent && guest && guest.email) {
+      try {
+        await sendEmail({
+          to: guest.email,
+          subject: 'Booking Confirmation - The Old Vine Hotel',
+          template: 'bookingConfirmation',
+          context: {
+            guest,
+            booking,
+            room: booking.room,
+            businessHours: (await SiteSettings.getSiteSettings()).hotel.businessHours
+          }
+        });
+
+        booking.emailConfirmationSent = true;
+        await booking.save();
+      } catch (emailError) {
+        logger.error('Email sending error:', emailError);
+      }
+    }
+  }
+
+  // Send the single confirmation email covering every line of a reservation
+  async onReservationConfirmed(reservation, lines) {
+    const guest = lines[0] && lines[0].guest;
+    if (reservation.emailConfirmationSent || !guest || !guest.email) return;
+
+    try {
+      await sendEmail({
+        to: guest.email,
+        subject: 'Reservation Confirmation - The Old Vine Hotel',
+        template: 'reservationConfirmation',
+        context: {
+          guest,
+          reservation,
+          lines: lines.filter(line => line.status !== 'Cancelled')
+        }
+      });
+
+      reservation.emailConfirmationSent = true;
+      await reservation.save();
+      await Booking.updateMany({ reservation: reservation._id }, { emailConfirmationSent: true });
+    } catch (emailError) {
+      logger.error('Email sending error:', emailError);
+    }
+  }
+}
+
+// PaymentIntent statuses Stripe can still cancel
+PaymentService.OPEN_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'requires_capture'];
+
+module.exports = PaymentService;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { DAY_MS } = require('../utils/dates');
+
+// ID documents are kept out of the statically served uploads and only streamed to admins
+const DOCUMENTS_DIR = path.join(__dirname, '../private/id-documents');
+
+class PreCheckInService {
+  // When online check-in opens for a booking
+  opensAt(booking, settings) {
+    return new Date(booking.checkInDate.getTime() - settings.booking.preCheckIn.opensDaysBefore * DAY_MS);
+  }
+
+  // Why the booking cannot be checked in online now, or null when it can
+  checkOpen(booking, settings, now = new Date()) {
+    if (!settings.booking.preCheckIn.enabled) {
+      return 'Online check-in is not available';
+    }
+    if (booking.status !== 'Confirmed') {
+      return 'Only confirmed bookings can be checked in online';
+    }
+    if (booking.checkOutDate <= now) {
+      return 'This stay has ended';
+    }
+    if (now < this.opensAt(booking, settings)) {
+      return `Online check-in opens ${settings.booking.preCheckIn.opensDaysBefore} days before arrival`;
+    }
+    return null;
+  }
+
+  // The terms the guest accepts: the booking's cancellation terms and the house rules
+  policiesFor(booking, settings) {
+    return [
+      ...booking.describeCancellationPolicy(),
+      ...(settings.booking.preCheckIn.houseRules || [])
+    ];
+  }
+
+  // ID details on file, with the number masked for display to the guest
+  describeIdentity(guest) {
+    const number = guest.idNumber || '';
+    return {
+      idType: guest.idType,
+      idNumber: number ? `${'*'.repeat(Math.max(number.length - 4, 0))}${number.slice(-4)}` : undefined,
+      idExpiryDate: guest.idExpiryDate,
+      nationality: guest.nationality,
+      dateOfBirth: guest.dateOfBirth,
+      address: guest.address,
+      hasIdDocument: !!(guest.idDocument && guest.idDocument.filename)
+    };
+  }
+
+  documentPath(filename) {
+    return path.join(DOCUMENTS_DIR, path.basename(filename));
+  }
+
+  // Remove a stored ID document, e.g. one replaced by a new upload
+  removeDocument(filename) {
+    if (!filename) return;
+    fs.unlink(this.documentPath(filename), error => {
+      if (error && error.code !== 'ENOENT') {
+        logger.error('Error removing ID document:', error);
+      }
+    });
+  }
+}
+
+PreCheckInService.DOCUMENTS_DIR = DOCUMENTS_DIR;
+
+module.exports = PreCheckInService;
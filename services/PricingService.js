@@ -0,0 +1,413 @@
+const SiteSettings = require('../models/SiteSettings');
+const RatePlan = require('../models/RatePlan');
+const PromoCode = require('../models/PromoCode');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { addDays, dateKey } = require('../utils/dates');
+
+class PricingService {
+  // Read currency, tax and rounding configuration from the site settings
+  async getConfig() {
+    const settings = await SiteSettings.getSiteSettings();
+    const booking = settings.booking;
+
+    let taxLines = (booking.taxLines || []).filter(line => line.isActive !== false);
+
+    // Fall back to the single flat tax rate when no tax lines are configured
+    if (!taxLines.length && booking.taxRate > 0) {
+      taxLines = [{
+        code: 'TAX',
+        name: 'Tax',
+        type: 'Percentage',
+        rate: booking.taxRate,
+        inclusive: false,
+        compound: false
+      }];
+    }
+
+    return {
+      currency: (booking.currency || 'USD').toUpperCase(),
+      currencySymbol: booking.currencySymbol || '$',
+      rounding: {
+        decimals: booking.rounding && booking.rounding.decimals != null ? booking.rounding.decimals : 2,
+        mode: (booking.rounding && booking.rounding.mode) || 'nearest'
+      },
+      depositRequired: booking.depositRequired,
+      depositPercentage: booking.depositPercentage,
+      taxLines,
+      addOns: (booking.addOns || []).filter(addOn => addOn.isActive !== false)
+    };
+  }
+
+  // Round an amount according to the configured rounding rule
+  round(value, rounding = { decimals: 2, mode: 'nearest' }) {
+    const factor = Math.pow(10, rounding.decimals);
+    const scaled = value * factor;
+
+    // The small tolerance absorbs floating point noise (e.g. 1.1 * 100 = 110.00000000000001)
+    switch (rounding.mode) {
+      case 'up':
+        return Math.ceil(scaled - 1e-9) / factor;
+      case 'down':
+        return Math.floor(scaled + 1e-9) / factor;
+      default:
+        return Math.round(scaled + 1e-9 * Math.sign(scaled)) / factor;
+    }
+  }
+
+  // Calculate each tax line for a stay. Inclusive lines are extracted from the
+  // room price; exclusive lines are added on top of it.
+  calculateTaxLines({ base, numberOfNights, numberOfGuests, taxLines, rounding }) {
+    const adults = Number(numberOfGuests.adults) || 1;
+    const children = Number(numberOfGuests.children) || 0;
+    let exclusiveSoFar = 0;
+
+    return taxLines.map(line => {
+      const persons = adults + (line.appliesToChildren ? children : 0);
+      let amount;
+
+      switch (line.type) {
+        case 'PerPersonPerNight':
+          amount = line.rate * persons * numberOfNights;
+          break;
+        case 'PerNight':
+          amount = line.rate * numberOfNights;
+          break;
+        case 'PerStay':
+          amount = line.rate;
+          break;
+        default: {
+          const taxableBase = line.compound ? base + exclusiveSoFar : base;
+          amount = line.inclusive
+            ? taxableBase - taxableBase / (1 + line.rate / 100)
+            : taxableBase * (line.rate / 100);
+        }
+      }
+
+      amount = this.round(amount, rounding);
+      if (!line.inclusive) exclusiveSoFar += amount;
+
+      return {
+        code: line.code,
+        name: line.name,
+        type: line.type,
+        rate: line.rate,
+        inclusive: !!line.inclusive,
+        amount
+      };
+    });
+  }
+
+  // Price a stay from its nightly rates. Discounts, and then loyalty points redeemed,
+  // reduce the taxable room revenue; fees and add-ons (priced tax inclusive) are
+  // added after tax.
+  async quoteStay({ nightlyRates, numberOfGuests, discounts = 0, loyaltyDiscount = 0, fees = 0, addOns = [], config }) {
+    config = config || await this.getConfig();
+    const { rounding } = config;
+
+    const numberOfNights = nightlyRates.length;
+    const subtotal = this.round(nightlyRates.reduce((sum, night) => sum + night.rate, 0), rounding);
+    const promoAmount = this.round(Math.min(discounts, subtotal), rounding);
+    const discountAmount = this.round(Math.min(discounts + loyaltyDiscount, subtotal), rounding);
+    const taxableBase = subtotal - discountAmount;
+
+    const taxLines = this.calculateTaxLines({
+      base: taxableBase,
+      numberOfNights,
+      numberOfGuests,
+      taxLines: config.taxLines,
+      rounding
+    });
+
+    const taxes = this.round(taxLines
+      .filter(line => !line.inclusive)
+      .reduce((sum, line) => sum + line.amount, 0), rounding);
+    const includedTaxes = this.round(taxLines
+      .filter(line => line.inclusive)
+      .reduce((sum, line) => sum + line.amount, 0), rounding);
+    const feeAmount = this.round(fees, rounding);
+    const addOnsTotal = this.round(addOns.reduce((sum, addOn) => sum + addOn.totalPrice, 0), rounding);
+
+    return {
+      currency: config.currency,
+      currencySymbol: config.currencySymbol,
+      numberOfNights,
+      nightlyRates,
+      roomRate: numberOfNights ? this.round(subtotal / numberOfNights, rounding) : 0,
+      subtotal,
+      discounts: discountAmount,
+      loyaltyDiscount: this.round(discountAmount - promoAmount, rounding),
+      fees: feeAmount,
+      taxes,
+      includedTaxes,
+      taxLines,
+      addOns,
+      addOnsTotal,
+      totalAmount: this.round(taxableBase + taxes + feeAmount + addOnsTotal, rounding)
+    };
+  }
+
+  // Price a stay on a room night by night, on a rate plan or at the room's own
+  // prices, less any promo code discount and loyalty points redeemed, with the
+  // cancellation terms it is sold under
+  async quoteRoomStay({ room, checkIn, checkOut, numberOfGuests, ratePlan, promoCode, loyaltyDiscount, addOns, config }) {
+    const nightlyRates = ratePlan
+      ? ratePlan.getNightlyRates(room, checkIn, checkOut)
+      : room.getNightlyRates(checkIn, checkOut);
+    const discounts = promoCode
+      ? promoCode.calculateDiscount(nightlyRates.reduce((sum, night) => sum + night.rate, 0))
+      : 0;
+
+    const quote = await this.quoteStay({ nightlyRates, numberOfGuests, discounts, loyaltyDiscount, addOns, config });
+    quote.cancellationPolicy = await this.cancellationTermsFor(ratePlan, checkIn);
+
+    return quote;
+  }
+
+  // Cancellation terms for a stay: the rate plan's policy for the arrival date,
+  // else the default policy. Returns a booking snapshot, or null for the standard terms.
+  async cancellationTermsFor(ratePlan, checkIn) {
+    const policyId = ratePlan && ratePlan.cancellationPolicyFor(checkIn);
+    let policy = policyId ? await CancellationPolicy.findById(policyId._id || policyId) : null;
+
+    if (!policy) {
+      policy = await CancellationPolicy.findOne({ isDefault: true, isActive: true });
+    }
+
+    return policy ? policy.toSnapshot() : null;
+  }
+
+  // Price add-ons chosen from the catalogue in settings, e.g. [{ code: 'BREAKFAST', quantity: 2 }].
+  // Returns { addOns } (booking add-on lines) or { error }.
+  priceAddOns(selection = [], { numberOfNights, numberOfGuests, config }) {
+    const persons = Number(numberOfGuests.adults) + Number(numberOfGuests.children || 0);
+    const addOns = [];
+
+    for (const { code, quantity = 1 } of selection) {
+      const item = config.addOns.find(addOn => addOn.code === String(code).toUpperCase());
+      if (!item) {
+        return { error: `Unknown add-on: ${code}` };
+      }
+
+      const units = {
+        PerStay: 1,
+        PerNight: numberOfNights,
+        PerPerson: persons,
+        PerPersonPerNight: persons * numberOfNights
+      }[item.pricing] || 1;
+      const unitPrice = this.round(item.price * units, config.rounding);
+
+      addOns.push({
+        service: item.code,
+        description: item.name,
+        quantity: Number(quantity),
+        unitPrice,
+        totalPrice: this.round(unitPrice * quantity, config.rounding)
+      });
+    }
+
+    return { addOns };
+  }
+
+  // Re-price an existing booking for changed dates, room, occupancy or add-ons on
+  // the rate plan and promo code it was sold with. Returns { quote, ratePlan } or { error }.
+  async repriceBooking(booking, { room, checkIn, checkOut, numberOfGuests, addOns, config }) {
+    let ratePlan = null;
+    if (booking.ratePlan) {
+      ratePlan = await RatePlan.findById(booking.ratePlan._id || booking.ratePlan);
+      if (ratePlan && !ratePlan.appliesToRoom(room)) {
+        return { error: `The ${ratePlan.name} rate is not sold on this room` };
+      }
+      const restrictions = ratePlan ? ratePlan.checkStay(checkIn, checkOut) : [];
+      if (restrictions.length) {
+        return { error: restrictions.join('; '), restrictions };
+      }
+    }
+
+    // The code was redeemed when booking, so only its discount is recalculated
+    const promoCode = booking.promotion && booking.promotion.promoCode
+      ? await PromoCode.findById(booking.promotion.promoCode)
+      : null;
+
+    const quote = await this.quoteRoomStay({
+      room,
+      checkIn,
+      checkOut,
+      numberOfGuests,
+      ratePlan,
+      promoCode,
+      loyaltyDiscount: booking.loyaltyDiscount,
+      addOns: addOns || booking.addOns,
+      config
+    });
+
+    return { quote, ratePlan };
+  }
+
+  // Re-price the rest of a stay that has started: nights before `from` keep the rates
+  // they were sold at, later nights are priced on `room` up to `checkOut` on the booked
+  // rate plan (when it is sold on the room) or the room's own prices. Returns { quote }.
+  async repriceRemainingStay(booking, { room, from, checkOut, config }) {
+    const booked = new Map((booking.nightlyRates || [])
+      .map(night => [dateKey(night.date), night.rate]));
+
+    const nightlyRates = [];
+    for (let night = new Date(booking.checkInDate); night < from && night < checkOut; night = addDays(night, 1)) {
+      const key = dateKey(night);
+      nightlyRates.push({ date: night, rate: booked.has(key) ? booked.get(key) : booking.roomRate });
+    }
+
+    if (from < checkOut) {
+      const ratePlan = booking.ratePlan
+        ? await RatePlan.findById(booking.ratePlan._id || booking.ratePlan)
+        : null;
+      nightlyRates.push(...(ratePlan && ratePlan.appliesToRoom(room)
+        ? ratePlan.getNightlyRates(room, from, checkOut)
+        : room.getNightlyRates(from, checkOut)));
+    }
+
+    const promoCode = booking.promotion && booking.promotion.promoCode
+      ? await PromoCode.findById(booking.promotion.promoCode)
+      : null;
+    const discounts = promoCode
+      ? promoCode.calculateDiscount(nightlyRates.reduce((sum, night) => sum + night.rate, 0))
+      : 0;
+
+    const quote = await this.quoteStay({
+      nightlyRates,
+      numberOfGuests: booking.numberOfGuests,
+      discounts,
+      loyaltyDiscount: booking.loyaltyDiscount,
+      addOns: booking.addOns,
+      config
+    });
+
+    return { quote };
+  }
+
+  // Apply a new quote to an existing booking, keeping the cancellation terms and
+  // deposit rule it was booked under, and bring its payment totals up to date. Fees
+  // already on the booking (such as a change fee) are not part of the stay's price,
+  // so they stay on it in place of the quote's.
+  applyQuote(booking, quote, config) {
+    const { cancellationPolicy, promotion, ...fields } = this.toBookingFields(quote);
+    fields.fees = booking.fees || 0;
+    fields.totalAmount = this.round(quote.totalAmount - quote.fees + fields.fees, config.rounding);
+
+    Object.assign(booking, fields);
+    if (booking.promotion && booking.promotion.code) {
+      booking.promotion.discount = this.round(quote.discounts - quote.loyaltyDiscount, config.rounding);
+    }
+    if (booking.paymentMode === 'Deposit') {
+      booking.depositAmount = this.round(quote.totalAmount * config.depositPercentage / 100, config.rounding);
+    }
+
+    booking.updatePaymentTotals();
+  }
+
+  // Quote every active rate plan sold on a room, flagging those the stay's restrictions rule out
+  async quoteRatePlans({ room, checkIn, checkOut, numberOfGuests, config }) {
+    config = config || await this.getConfig();
+    const ratePlans = await RatePlan.findForRoom(room);
+
+    return Promise.all(ratePlans.map(async ratePlan => {
+      const restrictions = ratePlan.checkStay(checkIn, checkOut);
+      const quote = await this.quoteRoomStay({ room, checkIn, checkOut, numberOfGuests, ratePlan, config });
+
+      return {
+        ratePlan: {
+          id: ratePlan._id,
+          code: ratePlan.code,
+          name: ratePlan.name,
+          description: ratePlan.description,
+          inclusions: ratePlan.inclusions
+        },
+        bookable: restrictions.length === 0,
+        restrictions,
+        quote
+      };
+    }));
+  }
+
+  // Load a rate plan requested for a stay. Returns { ratePlan } or { error }.
+  async resolveRatePlan(ratePlanId, room, checkIn, checkOut) {
+    const ratePlan = await RatePlan.findById(ratePlanId);
+
+    if (!ratePlan || !ratePlan.isActive || !ratePlan.appliesToRoom(room)) {
+      return { error: 'Rate plan is not available for this room' };
+    }
+
+    const restrictions = ratePlan.checkStay(checkIn, checkOut);
+    if (restrictions.length) {
+      return { error: restrictions.join('; '), restrictions };
+    }
+
+    return { ratePlan };
+  }
+
+  // Load a promo code entered for a stay. Returns { promoCode } or { error }.
+  async resolvePromoCode(code, { room, checkIn, checkOut, guestId }) {
+    const promoCode = await PromoCode.findByCode(code);
+    if (!promoCode) {
+      return { error: 'Invalid promo code' };
+    }
+
+    const violations = promoCode.checkEligibility({ room, checkIn, checkOut });
+    if (!promoCode.canBeUsedBy(guestId)) {
+      violations.push('You have already used this promo code');
+    }
+    if (violations.length) {
+      return { error: violations.join('; '), violations };
+    }
+
+    return { promoCode };
+  }
+
+  // Deposit to charge for a quote, or null when the full amount is due
+  depositFor(quote, config) {
+    if (!config.depositRequired) return null;
+    return this.round(quote.totalAmount * config.depositPercentage / 100, config.rounding);
+  }
+
+  // Booking fields populated from a quote (and the rate plan and promo code it was priced with)
+  toBookingFields(quote, ratePlan, promoCode) {
+    const fields = {
+      roomRate: quote.roomRate,
+      numberOfNights: quote.numberOfNights,
+      subtotal: quote.subtotal,
+      taxes: quote.taxes,
+      fees: quote.fees,
+      discounts: quote.discounts,
+      loyaltyDiscount: quote.loyaltyDiscount,
+      totalAmount: quote.totalAmount,
+      currency: quote.currency,
+      currencySymbol: quote.currencySymbol,
+      taxBreakdown: quote.taxLines,
+      nightlyRates: quote.nightlyRates,
+      addOns: quote.addOns
+    };
+
+    if (quote.cancellationPolicy) {
+      fields.cancellationPolicy = quote.cancellationPolicy;
+    }
+
+    if (ratePlan) {
+      Object.assign(fields, {
+        ratePlan: ratePlan._id,
+        ratePlanCode: ratePlan.code,
+        ratePlanName: ratePlan.name
+      });
+    }
+
+    if (promoCode) {
+      fields.promotion = {
+        promoCode: promoCode._id,
+        code: promoCode.code,
+        discount: this.round(quote.discounts - quote.loyaltyDiscount)
+      };
+    }
+
+    return fields;
+  }
+}
+
+module.exports = PricingService;
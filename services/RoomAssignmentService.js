@@ -0,0 +1,101 @@
+const Room = require('../models/Room');
+
+class RoomAssignmentService {
+  // Score how well a room suits a guest's preferences. Returns the score and the
+  // preferences it meets, for the front desk to see why a room was suggested.
+  scoreRoom(room, preferences = {}, floorRange = { min: room.floor, max: room.floor }) {
+    let score = 0;
+    const matches = [];
+
+    if (preferences.viewPreference && preferences.viewPreference !== 'No preference' &&
+      room.view === preferences.viewPreference) {
+      score += 3;
+      matches.push(`${room.view} view`);
+    }
+
+    if (preferences.bedPreference && room.bedType === preferences.bedPreference) {
+      score += 2;
+      matches.push(`${room.bedType} bed`);
+    }
+
+    // Floors are compared within the rooms on offer: the lowest is 0, the highest 1
+    if (['Low', 'High'].includes(preferences.floorPreference) && floorRange.max > floorRange.min) {
+      const height = (room.floor - floorRange.min) / (floorRange.max - floorRange.min);
+      const fit = preferences.floorPreference === 'High' ? height : 1 - height;
+      score += 2 * fit;
+      if (fit >= 0.5) matches.push(`${preferences.floorPreference.toLowerCase()} floor`);
+    }
+
+    if (preferences.smokingPreference === 'Smoking' && room.smokingAllowed) {
+      score += 1;
+      matches.push('smoking room');
+    } else if (preferences.smokingPreference !== 'Smoking' && room.smokingAllowed) {
+      score -= 2;
+    }
+
+    if (preferences.roomType && room.type === preferences.roomType) {
+      score += 1;
+      matches.push(room.type);
+    }
+
+    // Ready rooms first, so an arriving guest is not kept waiting
+    if (['Clean', 'Inspected'].includes(room.cleaningStatus)) {
+      score += 1;
+    }
+
+    return { score: Math.round(score * 100) / 100, matches };
+  }
+
+  // Rooms a booking can be moved into, best match for the guest first
+  async findRoomOptions(booking, guest = booking.guest) {
+    const categoryId = booking.roomCategory
+      ? booking.roomCategory._id || booking.roomCategory
+      : booking.room && booking.room.category;
+    if (!categoryId) return [];
+
+    const guests = booking.numberOfGuests.adults + (booking.numberOfGuests.children || 0);
+    const candidates = await Room.find({
+      category: categoryId,
+      isActive: true,
+      maxOccupancy: { $gte: guests }
+    });
+
+    const free = [];
+    for (const room of candidates) {
+      if (await room.isFree(booking.checkInDate, booking.checkOutDate, booking._id)) {
+        free.push(room);
+      }
+    }
+
+    const floors = free.map(room => room.floor);
+    const floorRange = { min: Math.min(...floors), max: Math.max(...floors) };
+    const preferences = (guest && guest.preferences) || {};
+
+    return free
+      .map(room => ({ room, ...this.scoreRoom(room, preferences, floorRange) }))
+      .sort((a, b) => b.score - a.score || a.room.roomNumber.localeCompare(b.room.roomNumber, undefined, { numeric: true }));
+  }
+
+  // Put a booking in a room (the caller saves the booking)
+  assignRoom(booking, room, { method = 'Front Desk', adminId } = {}) {
+    booking.room = room;
+    booking.roomCategory = room.category || booking.roomCategory;
+    booking.roomAssignment = {
+      method,
+      assignedBy: adminId,
+      assignedAt: new Date()
+    };
+    return booking;
+  }
+
+  // Assign the best free room for the guest. Returns the room, or null when none is free.
+  async autoAssign(booking, { adminId } = {}) {
+    const [best] = await this.findRoomOptions(booking);
+    if (!best) return null;
+
+    this.assignRoom(booking, best.room, { method: 'Auto', adminId });
+    return best.room;
+  }
+}
+
+module.exports = RoomAssignmentService;
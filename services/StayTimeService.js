@@ -0,0 +1,254 @@
+const Booking = require('../models/Booking');
+const RoomCategory = require('../models/RoomCategory');
+const RoomHold = require('../models/RoomHold');
+const { roundMoney } = require('../utils/currency');
+const { DAY_MS } = require('../utils/dates');
+
+// Early check-in and late check-out: the booking field each request is kept in and
+// the folio reference its fee is posted under
+const STAY_TIME_TYPES = {
+  earlyCheckIn: { label: 'Early check-in', field: 'earlyCheckInRequest', reference: 'early-checkin' },
+  lateCheckOut: { label: 'Late check-out', field: 'lateCheckOutRequest', reference: 'late-checkout' }
+};
+
+class StayTimeService {
+  // Minutes after midnight of an HH:mm time
+  minutesOf(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  // HH:mm time of a number of minutes after midnight
+  timeOf(minutes) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  // The hotel's standard check-in and check-out times
+  standardTimes(settings) {
+    const { businessHours = {} } = settings.hotel;
+    return {
+      checkIn: businessHours.checkIn || '14:00',
+      checkOut: businessHours.checkOut || '11:00'
+    };
+  }
+
+  // Hours a time is before check-in (early check-in) or after check-out (late check-out)
+  hoursFor(type, time, settings) {
+    const standard = this.standardTimes(settings);
+    const difference = type === 'earlyCheckIn'
+      ? this.minutesOf(standard.checkIn) - this.minutesOf(time)
+      : this.minutesOf(time) - this.minutesOf(standard.checkOut);
+    return difference / 60;
+  }
+
+  // Bands of a request type, shortest first
+  bandsFor(type, settings) {
+    return [...settings.booking[type].bands].sort((a, b) => a.hours - b.hours);
+  }
+
+  // Room rate of the night next to the request: the first night for early check-in,
+  // the last one for late check-out
+  nightRate(booking, type) {
+    const nights = booking.nightlyRates || [];
+    const night = type === 'earlyCheckIn' ? nights[0] : nights[nights.length - 1];
+    return night ? night.rate : booking.roomRate;
+  }
+
+  feeFor(band, booking, type) {
+    return roundMoney(band.feeType === 'NightPercentage'
+      ? this.nightRate(booking, type) * band.fee / 100
+      : band.fee);
+  }
+
+  // Price a requested time on the first band covering it. Returns { time, hours, fee } or { error }.
+  quote(booking, type, time, settings) {
+    const { label } = STAY_TIME_TYPES[type];
+    if (!settings.booking[type] || !settings.booking[type].enabled) {
+      return { error: `${label} is not offered` };
+    }
+
+    const standard = this.standardTimes(settings);
+    const hours = this.hoursFor(type, time, settings);
+    if (hours <= 0) {
+      return {
+        error: type === 'earlyCheckIn'
+          ? `${time} is not before the check-in time of ${standard.checkIn}`
+          : `${time} is not after the check-out time of ${standard.checkOut}`
+      };
+    }
+
+    const bands = this.bandsFor(type, settings);
+    const band = bands.find(entry => entry.hours >= hours);
+    if (!band) {
+      return {
+        error: bands.length
+          ? `${label} is available up to ${bands[bands.length - 1].hours} hours ${type === 'earlyCheckIn' ? 'before check-in' : 'after check-out'}`
+          : `${label} is not offered`
+      };
+    }
+
+    return { time, hours: roundMoney(hours), fee: this.feeFor(band, booking, type) };
+  }
+
+  // The times a guest can pick, one per band (the earliest arrival or latest departure
+  // it covers), priced for the booking
+  listOptions(booking, type, settings) {
+    if (!settings.booking[type] || !settings.booking[type].enabled) return [];
+
+    const standard = this.standardTimes(settings);
+    return this.bandsFor(type, settings)
+      .map(band => {
+        const minutes = type === 'earlyCheckIn'
+          ? this.minutesOf(standard.checkIn) - band.hours * 60
+          : this.minutesOf(standard.checkOut) + band.hours * 60;
+        if (minutes < 0 || minutes >= 24 * 60) return null;
+
+        return { time: this.timeOf(minutes), hours: band.hours, fee: this.feeFor(band, booking, type) };
+      })
+      .filter(Boolean);
+  }
+
+  // Whether the room can be ready for the guest at an early arrival, or stay theirs
+  // until a late departure: nobody else has it the night before (or after), or the
+  // guest leaving (or arriving) that day leaves housekeeping its turnover time
+  async isRoomReady(booking, type, time, settings) {
+    const early = type === 'earlyCheckIn';
+    const day = early ? booking.checkInDate : booking.checkOutDate;
+    const nightStart = early ? new Date(day.getTime() - DAY_MS) : day;
+    const nightEnd = new Date(nightStart.getTime() + DAY_MS);
+    const turnover = settings.booking.turnoverMinutes || 0;
+    const requested = this.minutesOf(time);
+    const standard = this.standardTimes(settings);
+
+    // The other guest's departure (early check-in) or arrival (late check-out) time
+    const clears = otherTime => early
+      ? requested >= this.minutesOf(otherTime) + turnover
+      : requested + turnover <= this.minutesOf(otherTime);
+    const standardOther = early ? standard.checkOut : standard.checkIn;
+
+    // Without a room yet, any room of the category left empty that night will do
+    if (!booking.room) {
+      const categoryId = booking.roomCategory && (booking.roomCategory._id || booking.roomCategory);
+      if (!categoryId) return false;
+
+      const { available } = await RoomCategory.getAvailability(categoryId, nightStart, nightEnd);
+      return available > 0 || clears(standardOther);
+    }
+
+    const roomId = booking.room._id || booking.room;
+    const [others, held] = await Promise.all([
+      Booking.find({
+        room: roomId,
+        _id: { $ne: booking._id },
+        status: { $in: ['Confirmed', 'Checked In'] },
+        checkInDate: { $lt: nightEnd },
+        checkOutDate: { $gt: nightStart }
+      }),
+      RoomHold.isHeld(roomId, nightStart, nightEnd, { bookingId: booking._id })
+    ]);
+
+    if (held && !clears(standardOther)) return false;
+
+    return others.every(other => {
+      const times = other.getStayTimes(settings.hotel.businessHours);
+      return early
+        ? other.checkOutDate.getTime() === day.getTime() && clears(times.checkOut)
+        : other.checkInDate.getTime() === day.getTime() && clears(times.checkIn);
+    });
+  }
+
+  // Request an early check-in or late check-out for the booking's arrival or departure
+  // day, replacing any earlier request not yet charged. Returns { request } or { error }.
+  async request(booking, type, time, settings) {
+    const { label, field } = STAY_TIME_TYPES[type];
+    const current = booking[field];
+
+    if (current && current.feePosted) {
+      return { error: `${label} has already been charged` };
+    }
+
+    const quote = this.quote(booking, type, time, settings);
+    if (quote.error) return quote;
+
+    if (!(await this.isRoomReady(booking, type, time, settings))) {
+      return { error: `The room cannot be ready for a ${label.toLowerCase()} at ${time}` };
+    }
+
+    booking[field] = {
+      time,
+      hours: quote.hours,
+      fee: quote.fee,
+      status: 'Requested',
+      requestedAt: new Date()
+    };
+    booking[type] = false;
+
+    return { request: booking[field] };
+  }
+
+  // Approve or decline a pending request. An approval checks again that the room can
+  // be turned around in time. Returns { request } or { error }.
+  async decide(booking, type, { status, adminId, note }, settings) {
+    const { label, field } = STAY_TIME_TYPES[type];
+    const request = booking[field];
+
+    if (!request || request.status !== 'Requested') {
+      return { error: `No pending ${label.toLowerCase()} request` };
+    }
+
+    if (status === 'Approved' && !(await this.isRoomReady(booking, type, request.time, settings))) {
+      return { error: `The room can no longer be ready for a ${label.toLowerCase()} at ${request.time}` };
+    }
+
+    Object.assign(request, {
+      status,
+      decidedAt: new Date(),
+      decidedBy: adminId,
+      note
+    });
+    booking[type] = status === 'Approved';
+
+    return { request };
+  }
+
+  // Withdraw a request that has not been charged, e.g. when the stay's dates change.
+  // Returns whether there was one to withdraw.
+  cancel(booking, type, note) {
+    const request = booking[STAY_TIME_TYPES[type].field];
+    if (!request || !['Requested', 'Approved'].includes(request.status) || request.feePosted) {
+      return false;
+    }
+
+    request.status = 'Cancelled';
+    request.note = note;
+    booking[type] = false;
+    return true;
+  }
+
+  // Charge an approved request's fee to the folio, once
+  postFee(booking, type, folio) {
+    const { label, field, reference } = STAY_TIME_TYPES[type];
+    const request = booking[field];
+    if (!request || request.status !== 'Approved' || request.feePosted) return false;
+
+    // A checkout refused for an outstanding balance may have posted it already
+    const posted = folio.entries.some(entry => entry.reference === reference);
+    if (request.fee > 0 && !posted) {
+      folio.post({
+        type: 'Charge',
+        category: 'Fee',
+        description: `${label} (${request.time})`,
+        unitPrice: request.fee,
+        amount: request.fee,
+        reference
+      });
+    }
+    request.feePosted = true;
+    return true;
+  }
+}
+
+StayTimeService.TYPES = STAY_TIME_TYPES;
+
+module.exports = StayTimeService;
@@ -0,0 +1,164 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const RoomCategory = require('../models/RoomCategory');
+const RoomHold = require('../models/RoomHold');
+const Room = require('../models/Room');
+const SiteSettings = require('../models/SiteSettings');
+const { sendEmail } = require('../utils/sendEmail');
+const logger = require('../utils/logger');
+
+const DEFAULT_OFFER_HOURS = 12;
+
+class WaitlistService {
+  // Link the guest follows to take up an offer
+  offerUrl(holdToken) {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3060';
+    return `${clientUrl}/waitlist/offer/${holdToken}`;
+  }
+
+  // Offer the rooms a cancelled booking gave back to the guests waiting for them.
+  // Offers are best effort: errors are logged and never fail the cancellation.
+  async offerFreedRoom(booking) {
+    try {
+      let roomCategoryId = booking.roomCategory && (booking.roomCategory._id || booking.roomCategory);
+      if (!roomCategoryId && booking.room) {
+        const room = booking.room.category ? booking.room : await Room.findById(booking.room);
+        roomCategoryId = room && room.category;
+      }
+      if (!roomCategoryId) return [];
+
+      return await this.offerAvailability(roomCategoryId, booking.checkInDate, booking.checkOutDate, { triggeredBy: booking._id });
+    } catch (error) {
+      logger.error('Error offering freed room to waitlist:', error);
+      return [];
+    }
+  }
+
+  // Go through the entries waiting for a category over some of the nights between two
+  // dates, oldest first, and hold a room for each one whose whole stay can now be sold
+  async offerAvailability(roomCategoryId, checkIn, checkOut, { triggeredBy } = {}) {
+    const entries = await WaitlistEntry.findWaiting(roomCategoryId, checkIn, checkOut)
+      .populate('roomCategory');
+    if (!entries.length) return [];
+
+    const settings = await SiteSettings.getSiteSettings();
+    const hours = settings.booking.waitlistOfferHours || DEFAULT_OFFER_HOURS;
+    const offered = [];
+
+    for (const entry of entries) {
+      const guests = entry.numberOfGuests.adults + (entry.numberOfGuests.children || 0);
+      if (!(await RoomCategory.findRepresentativeRoom(roomCategoryId, guests))) continue;
+
+      const { available } = await RoomCategory.getAvailability(roomCategoryId, entry.checkInDate, entry.checkOutDate);
+      if (available < 1) continue;
+
+      const capacity = (await RoomCategory.getAvailability(roomCategoryId, entry.checkInDate, entry.checkOutDate, { includeHolds: false })).available;
+      const hold = await RoomHold.place({
+        roomCategory: roomCategoryId,
+        capacity,
+        checkIn: entry.checkInDate,
+        checkOut: entry.checkOutDate,
+        minutes: hours * 60,
+        guestEmail: entry.guestInfo.email
+      });
+      if (!hold) continue;
+
+      // Another process may have offered this entry in the meantime
+      const claimed = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'Waiting' },
+        {
+          $set: {
+            status: 'Offered',
+            offer: {
+              hold: hold._id,
+              holdToken: hold.holdToken,
+              sentAt: new Date(),
+              expiresAt: hold.expiresAt,
+              triggeredBy
+            }
+          }
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        await RoomHold.release({ _id: hold._id });
+        continue;
+      }
+
+      try {
+        await sendEmail({
+          to: entry.guestInfo.email,
+          subject: 'A Room Is Available - The Old Vine Hotel',
+          template: 'waitlistOffer',
+          context: {
+            entry: claimed,
+            roomCategory: entry.roomCategory,
+            offerUrl: this.offerUrl(hold.holdToken),
+            expiresAt: hold.expiresAt
+          }
+        });
+      } catch (emailError) {
+        logger.error('Waitlist offer email error:', emailError);
+      }
+
+      logger.bookingLog('Waitlist offer sent', {
+        entryId: entry._id,
+        email: entry.guestInfo.email,
+        roomCategory: entry.roomCategory.name,
+        checkIn: entry.checkInDate,
+        checkOut: entry.checkOutDate,
+        expiresAt: hold.expiresAt
+      });
+      offered.push(claimed);
+    }
+
+    return offered;
+  }
+
+  // End an offer the guest turned down and pass the room on
+  async decline(entry) {
+    entry.status = 'Declined';
+    await entry.save();
+    await RoomHold.release({ _id: entry.offer.hold._id || entry.offer.hold });
+
+    return this.offerAvailability(entry.roomCategory._id || entry.roomCategory, entry.checkInDate, entry.checkOutDate, {
+      triggeredBy: entry.offer.triggeredBy
+    });
+  }
+
+  // Expire offers nobody took up and pass their rooms on. An offer whose guest is
+  // paying for the room keeps it while the checkout hold lasts.
+  async expireOffers() {
+    const now = new Date();
+    const entries = await WaitlistEntry.find({ status: 'Offered', 'offer.expiresAt': { $lte: now } })
+      .populate('offer.hold');
+
+    let expired = 0;
+    for (const entry of entries) {
+      const hold = entry.offer.hold;
+      if (hold && hold.status === 'Converted' && hold.expiresAt > now) continue;
+
+      entry.status = 'Expired';
+      await entry.save();
+      if (hold) await RoomHold.release({ _id: hold._id });
+      expired += 1;
+
+      await this.offerAvailability(entry.roomCategory, entry.checkInDate, entry.checkOutDate, {
+        triggeredBy: entry.offer.triggeredBy
+      });
+    }
+
+    return expired;
+  }
+
+  // Close the entry whose offer a confirmed booking was made from
+  async markBooked(booking) {
+    return WaitlistEntry.updateMany(
+      { booking: booking._id, status: 'Offered' },
+      { $set: { status: 'Booked' } }
+    );
+  }
+}
+
+WaitlistService.DEFAULT_OFFER_HOURS = DEFAULT_OFFER_HOURS;
+
+module.exports = WaitlistService;
@@ -0,0 +1,505 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Stripe = require('stripe');
+const StripeMock = require('./stripeMock');
+
+jest.mock('../utils/sendEmail', () => ({ sendEmail: jest.fn().mockResolvedValue({}) }));
+
+const { sendEmail } = require('../utils/sendEmail');
+const Booking = require('../models/Booking');
+const Guest = require('../models/Guest');
+const Reservation = require('../models/Reservation');
+const RoomHold = require('../models/RoomHold');
+const SiteSettings = require('../models/SiteSettings');
+const WaitlistEntry = require('../models/WaitlistEntry');
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_stripe_mock';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_stripe_mock';
+process.env.JWT_SECRET = 'test-secret';
+
+const stripe = new StripeMock();
+let app;
+let booking;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const makeBooking = (fields = {}) => {
+  const guest = new Guest({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', phone: '+441234567890' });
+  const created = new Booking({
+    bookingNumber: 'OVH2026123456',
+    confirmationCode: 'CONF1234',
+    checkInDate: new Date(Date.now() + 30 * DAY),
+    checkOutDate: new Date(Date.now() + 32 * DAY),
+    numberOfGuests: { adults: 2, children: 0 },
+    numberOfNights: 2,
+    roomRate: 100,
+    subtotal: 200,
+    taxes: 20,
+    totalAmount: 220,
+    currency: 'USD',
+    paymentMode: 'Full',
+    status: 'Pending',
+    ...fields
+  });
+  created.guest = guest;
+  created.updatePaymentTotals();
+  return created;
+};
+
+// Booking.findOne(...).populate(...) resolves to the booking under test when the
+// filter matches it, by booking number or by one of its PaymentIntents
+const matchesBooking = filter => !!booking && (
+  filter['payments.stripePaymentIntentId']
+    ? booking.payments.some(payment => payment.stripePaymentIntentId === filter['payments.stripePaymentIntentId'])
+    : filter.bookingNumber === booking.bookingNumber &&
+      (!filter.confirmationCode || filter.confirmationCode === booking.confirmationCode)
+);
+
+const findsBooking = () => jest.spyOn(Booking, 'findOne').mockImplementation(filter => ({
+  populate: jest.fn().mockResolvedValue(matchesBooking(filter) ? booking : null)
+}));
+
+const adminToken = () => jwt.sign(
+  { id: '64b000000000000000000001', email: 'desk@oldvine.test', isAdmin: true, role: 'admin' },
+  process.env.JWT_SECRET
+);
+
+const createIntent = body => request(app)
+  .post('/api/payments/intent')
+  .send({ bookingNumber: booking.bookingNumber, confirmationCode: booking.confirmationCode, ...body });
+
+const confirmIntent = body => request(app)
+  .post('/api/payments/confirm')
+  .send({ bookingNumber: booking.bookingNumber, confirmationCode: booking.confirmationCode, ...body });
+
+beforeAll(async () => {
+  await stripe.start();
+
+  app = express();
+  app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+  app.use(express.json());
+  app.use('/api/payments', require('../routes/payments'));
+});
+
+afterAll(async () => {
+  await stripe.stop();
+});
+
+beforeEach(() => {
+  stripe.reset();
+  booking = makeBooking();
+
+  findsBooking();
+  jest.spyOn(Booking.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(Guest.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(RoomHold, 'release').mockResolvedValue({});
+  jest.spyOn(WaitlistEntry, 'updateMany').mockResolvedValue({});
+  jest.spyOn(SiteSettings, 'getSiteSettings').mockResolvedValue({ hotel: { businessHours: {} } });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendEmail.mockClear();
+});
+
+describe('POST /api/payments/intent', () => {
+  it('creates a PaymentIntent for the amount due and records it on the booking', async () => {
+    const res = await createIntent();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.paymentIntent).toMatchObject({
+      status: 'requires_payment_method',
+      amount: 220,
+      currency: 'usd',
+      requiresAction: false
+    });
+
+    const paymentIntent = stripe.paymentIntents.get(res.body.data.paymentIntent.id);
+    expect(paymentIntent.amount).toBe(22000);
+    expect(paymentIntent.metadata).toMatchObject({ bookingNumber: 'OVH2026123456', purpose: 'Full' });
+
+    expect(booking.payments).toHaveLength(1);
+    expect(booking.payments[0]).toMatchObject({
+      stripePaymentIntentId: paymentIntent.id,
+      purpose: 'Full',
+      amount: 220,
+      status: 'requires_payment_method'
+    });
+    expect(booking.status).toBe('Pending');
+    expect(booking.amountPaid).toBe(0);
+  });
+
+  it('confirms a booking paid with a card that needs no authentication', async () => {
+    const res = await createIntent({ paymentMethodId: 'pm_card_visa' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Payment intent created');
+    expect(res.body.data).toMatchObject({ bookingStatus: 'Confirmed', paymentStatus: 'Paid' });
+
+    expect(booking.payments[0].status).toBe('succeeded');
+    expect(booking.amountPaid).toBe(220);
+    expect(booking.balanceDue).toBe(0);
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ template: 'bookingConfirmation' }));
+  });
+
+  it('returns the 3-D Secure next action and leaves the booking pending', async () => {
+    const res = await createIntent({ paymentMethodId: 'pm_card_threeDSecure2Required' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Additional authentication required');
+    expect(res.body.data.paymentIntent).toMatchObject({
+      status: 'requires_action',
+      requiresAction: true,
+      next_action: { type: 'use_stripe_sdk' }
+    });
+    expect(res.body.data.paymentIntent.client_secret).toBeTruthy();
+
+    expect(booking.status).toBe('Pending');
+    expect(booking.payments[0].status).toBe('requires_action');
+    expect(booking.amountPaid).toBe(0);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('reports a declined card without recording a payment', async () => {
+    const res = await createIntent({ paymentMethodId: 'pm_card_chargeDeclined' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, message: 'Payment processing failed' });
+    expect(booking.payments).toHaveLength(0);
+    expect(booking.status).toBe('Pending');
+  });
+
+  it('refuses a booking that is already paid', async () => {
+    await createIntent({ paymentMethodId: 'pm_card_visa' });
+    const res = await createIntent({ paymentMethodId: 'pm_card_visa' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Booking is already fully paid');
+  });
+
+  it('records the deposit and the balance as separate charges', async () => {
+    booking = makeBooking({ paymentMode: 'Deposit', depositAmount: 66 });
+
+    const deposit = await createIntent({ paymentMethodId: 'pm_card_visa' });
+    expect(deposit.status).toBe(201);
+    expect(deposit.body.data).toMatchObject({ bookingStatus: 'Confirmed', paymentStatus: 'Partially Paid' });
+    expect(booking.balanceDue).toBe(154);
+
+    const balance = await createIntent({ paymentMethodId: 'pm_card_visa', payInFull: true });
+    expect(balance.status).toBe(201);
+    expect(balance.body.data.paymentStatus).toBe('Paid');
+
+    expect(booking.payments.map(payment => ({
+      purpose: payment.purpose,
+      amount: payment.amount,
+      status: payment.status
+    }))).toEqual([
+      { purpose: 'Deposit', amount: 66, status: 'succeeded' },
+      { purpose: 'Balance', amount: 154, status: 'succeeded' }
+    ]);
+    expect([...stripe.paymentIntents.values()].map(paymentIntent => paymentIntent.amount)).toEqual([6600, 15400]);
+    expect(booking.amountPaid).toBe(220);
+    expect(booking.balanceDue).toBe(0);
+  });
+
+  it('validates the request', async () => {
+    const res = await request(app).post('/api/payments/intent').send({ bookingNumber: 'OVH2026123456' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation errors');
+  });
+
+  it('does not find a booking with the wrong confirmation code', async () => {
+    const res = await createIntent({ confirmationCode: 'WRONG' });
+
+    expect(res.status).toBe(404);
+    expect(stripe.requests).toHaveLength(0);
+  });
+});
+
+describe('POST /api/payments/confirm', () => {
+  it('completes a payment after 3-D Secure and confirms the booking', async () => {
+    const created = await createIntent({ paymentMethodId: 'pm_card_threeDSecure2Required' });
+    const paymentIntentId = created.body.data.paymentIntent.id;
+    stripe.authenticate(paymentIntentId);
+
+    const res = await confirmIntent({ paymentIntentId });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Payment completed successfully');
+    expect(res.body.data).toMatchObject({ bookingStatus: 'Confirmed', paymentStatus: 'Paid' });
+    expect(res.body.data.paymentIntent.status).toBe('succeeded');
+
+    expect(booking.payments).toHaveLength(1);
+    expect(booking.payments[0]).toMatchObject({ stripePaymentIntentId: paymentIntentId, status: 'succeeded', amount: 220 });
+    expect(booking.amountPaid).toBe(220);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('confirms a PaymentIntent with the payment method the guest entered', async () => {
+    const created = await createIntent();
+    const paymentIntentId = created.body.data.paymentIntent.id;
+
+    const res = await confirmIntent({ paymentIntentId, paymentMethodId: 'pm_card_visa' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.bookingStatus).toBe('Confirmed');
+    expect(booking.payments[0].status).toBe('succeeded');
+  });
+
+  it('leaves a payment still waiting for authentication incomplete', async () => {
+    const created = await createIntent({ paymentMethodId: 'pm_card_threeDSecure2Required' });
+
+    const res = await confirmIntent({ paymentIntentId: created.body.data.paymentIntent.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Payment is not complete yet');
+    expect(res.body.data.bookingStatus).toBe('Pending');
+  });
+
+  it('refuses a PaymentIntent that belongs to another booking', async () => {
+    const res = await confirmIntent({ paymentIntentId: 'pi_not_this_booking' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Payment not found for this booking');
+  });
+});
+
+describe('POST /api/payments/webhook', () => {
+  // Stripe signs each payload with the endpoint's secret
+  const sendEvent = (type, object, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+    const payload = JSON.stringify({ id: `evt_${stripe.nextId('test')}`, object: 'event', type, data: { object } });
+
+    return request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', Stripe.webhooks.generateTestHeaderString({ payload, secret }))
+      .send(payload);
+  };
+
+  const chargeOf = paymentIntent => ({
+    id: paymentIntent.latest_charge,
+    object: 'charge',
+    payment_intent: paymentIntent.id,
+    amount: paymentIntent.amount_received,
+    amount_refunded: paymentIntent.amount_refunded,
+    currency: paymentIntent.currency,
+    metadata: {}
+  });
+
+  // A PaymentIntent the guest's browser completes without going through the API
+  const payInBrowser = async paymentMethod => {
+    const created = await createIntent();
+    const paymentIntent = stripe.paymentIntents.get(created.body.data.paymentIntent.id);
+    stripe.confirm(paymentIntent, { payment_method: paymentMethod });
+    return paymentIntent;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Booking, 'find').mockResolvedValue([]);
+  });
+
+  it('rejects a payload not signed with the webhook secret', async () => {
+    const paymentIntent = await payInBrowser('pm_card_visa');
+
+    const res = await sendEvent('payment_intent.succeeded', paymentIntent, 'whsec_someone_else');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Webhook signature verification failed');
+    expect(booking.status).toBe('Pending');
+    expect(booking.payments[0].status).toBe('requires_payment_method');
+  });
+
+  it('confirms the booking when its payment succeeds', async () => {
+    const paymentIntent = await payInBrowser('pm_card_visa');
+
+    const res = await sendEvent('payment_intent.succeeded', paymentIntent);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, handled: true, bookingNumber: 'OVH2026123456' });
+    expect(booking.status).toBe('Confirmed');
+    expect(booking.payments[0]).toMatchObject({ stripePaymentIntentId: paymentIntent.id, status: 'succeeded' });
+    expect(booking.paymentStatus).toBe('Paid');
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ template: 'bookingConfirmation' }));
+  });
+
+  it('records a failed payment and leaves the booking pending', async () => {
+    const paymentIntent = await payInBrowser('pm_card_chargeDeclined');
+
+    const res = await sendEvent('payment_intent.payment_failed', paymentIntent);
+
+    expect(res.status).toBe(200);
+    expect(booking.status).toBe('Pending');
+    expect(booking.payments[0]).toMatchObject({
+      status: 'requires_payment_method',
+      failureMessage: 'Your card was declined.'
+    });
+    expect(booking.paymentStatus).toBe('Failed');
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('splits a dashboard refund of a reservation payment across its rooms', async () => {
+    const reservation = { _id: new mongoose.Types.ObjectId(), updateTotals: jest.fn(), save: jest.fn() };
+    const lines = [
+      makeBooking({ bookingNumber: 'OVH2026000001', reservation: reservation._id, status: 'Confirmed' }),
+      makeBooking({ bookingNumber: 'OVH2026000002', reservation: reservation._id, status: 'Confirmed', totalAmount: 110 })
+    ];
+    const { payload: paymentIntent } = stripe.createPaymentIntent({
+      amount: '33000',
+      currency: 'usd',
+      payment_method: 'pm_card_visa',
+      confirm: 'true',
+      metadata: { reservationNumber: 'RES2026000001' }
+    });
+    lines[0].recordPaymentIntent(paymentIntent, 220);
+    lines[1].recordPaymentIntent(paymentIntent, 110);
+    stripe.refund(paymentIntent, { amount: '9900' });
+    Booking.find.mockResolvedValue(lines);
+    jest.spyOn(Reservation, 'findById').mockResolvedValue(reservation);
+
+    const res = await sendEvent('charge.refunded', chargeOf(paymentIntent));
+
+    expect(res.status).toBe(200);
+    expect(res.body.bookingNumbers).toEqual(['OVH2026000001', 'OVH2026000002']);
+    expect(lines.map(line => line.payments[0].amountRefunded)).toEqual([66, 33]);
+    expect(lines.map(line => line.amountPaid)).toEqual([154, 77]);
+    expect(reservation.updateTotals).toHaveBeenCalledWith(lines);
+    expect(reservation.save).toHaveBeenCalled();
+  });
+
+  it('flags the payment when the guest disputes the charge', async () => {
+    const paymentIntent = await payInBrowser('pm_card_visa');
+    await sendEvent('payment_intent.succeeded', paymentIntent);
+
+    const res = await sendEvent('charge.dispute.created', {
+      id: 'dp_test_fraudulent',
+      object: 'dispute',
+      charge: paymentIntent.latest_charge,
+      payment_intent: paymentIntent.id,
+      amount: 22000,
+      currency: 'usd',
+      reason: 'fraudulent',
+      status: 'needs_response',
+      created: Math.floor(Date.now() / 1000)
+    });
+
+    expect(res.status).toBe(200);
+    expect(booking.paymentStatus).toBe('Disputed');
+    expect(booking.payments[0].dispute).toMatchObject({
+      stripeDisputeId: 'dp_test_fraudulent',
+      amount: 220,
+      reason: 'fraudulent',
+      status: 'needs_response'
+    });
+  });
+
+  it('acknowledges events it does not act on', async () => {
+    const res = await sendEvent('customer.created', { id: 'cus_test', object: 'customer' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, handled: false });
+  });
+});
+
+describe('GET /api/payments/booking/:bookingNumber', () => {
+  it('requires an admin', async () => {
+    const res = await request(app).get(`/api/payments/booking/${booking.bookingNumber}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('lists the payments recorded on the booking with its totals', async () => {
+    booking = makeBooking({ paymentMode: 'Deposit', depositAmount: 66 });
+    await createIntent({ paymentMethodId: 'pm_card_visa' });
+
+    const res = await request(app)
+      .get(`/api/payments/booking/${booking.bookingNumber}`)
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      bookingNumber: 'OVH2026123456',
+      status: 'Confirmed',
+      paymentStatus: 'Partially Paid',
+      totalAmount: 220,
+      amountCaptured: 66,
+      amountRefunded: 0,
+      amountPaid: 66,
+      balanceDue: 154
+    });
+    expect(res.body.data.payments).toHaveLength(1);
+    expect(res.body.data.payments[0]).toMatchObject({ purpose: 'Deposit', amount: 66, status: 'succeeded' });
+  });
+
+  it('returns 404 for an unknown booking', async () => {
+    const res = await request(app)
+      .get('/api/payments/booking/OVH0000000000')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PaymentService.refundBookingPayments', () => {
+  it('refunds the newest charges first and records each refund on the booking', async () => {
+    const PaymentService = require('../services/PaymentService');
+    booking = makeBooking({ paymentMode: 'Deposit', depositAmount: 66 });
+    await createIntent({ paymentMethodId: 'pm_card_visa' });
+    await createIntent({ paymentMethodId: 'pm_card_visa', payInFull: true });
+    const [deposit, balance] = booking.payments.map(payment => payment.stripePaymentIntentId);
+
+    const refunded = await new PaymentService().refundBookingPayments(booking, 180, { reason: 'Test' });
+
+    expect(refunded).toBe(180);
+    expect(stripe.refunds.map(refund => [refund.payment_intent, refund.amount])).toEqual([
+      [balance, 15400],
+      [deposit, 2600]
+    ]);
+    expect(booking.payments.map(payment => payment.amountRefunded)).toEqual([26, 154]);
+    expect(booking.amountPaid).toBe(40);
+  });
+});
+
+describe('withdrawing a pending booking', () => {
+  const withdraw = () => {
+    const BookingStatusService = require('../services/BookingStatusService');
+    return new BookingStatusService().cancelForGuest(booking, { reason: 'Plans changed' });
+  };
+
+  it('cancels the PaymentIntent the guest has not completed', async () => {
+    const created = await createIntent({ paymentMethodId: 'pm_card_threeDSecure2Required' });
+    const paymentIntentId = created.body.data.paymentIntent.id;
+
+    const result = await withdraw();
+
+    expect(result.error).toBeUndefined();
+    expect(booking.status).toBe('Cancelled');
+    expect(stripe.paymentIntents.get(paymentIntentId)).toMatchObject({
+      status: 'canceled',
+      cancellation_reason: 'requested_by_customer'
+    });
+    expect(booking.payments[0].status).toBe('canceled');
+    expect(stripe.refunds).toHaveLength(0);
+  });
+
+  it('refunds a payment that completes after the booking was withdrawn', async () => {
+    const created = await createIntent({ paymentMethodId: 'pm_card_threeDSecure2Required' });
+    const paymentIntentId = created.body.data.paymentIntent.id;
+    jest.spyOn(require('../services/PaymentService').prototype, 'cancelOpenPaymentIntents').mockResolvedValue([]);
+    await withdraw();
+
+    // The guest finishes 3-D Secure in a tab left open
+    stripe.authenticate(paymentIntentId);
+    const res = await confirmIntent({ paymentIntentId });
+
+    expect(res.status).toBe(200);
+    expect(stripe.refunds.map(refund => [refund.payment_intent, refund.amount])).toEqual([[paymentIntentId, 22000]]);
+    expect(booking.status).toBe('Cancelled');
+    expect(booking.payments[0]).toMatchObject({ status: 'succeeded', amountRefunded: 220 });
+    expect(booking.amountPaid).toBe(0);
+    expect(booking.refundAmount).toBe(220);
+    expect(booking.paymentStatus).toBe('Refunded');
+  });
+});
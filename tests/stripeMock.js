@@ -0,0 +1,223 @@
+const http = require('http');
+
+// A local stand-in for the Stripe API in the manner of stripe-mock, serving the
+// PaymentIntent, cancel and refund calls PaymentService makes. Unlike stripe-mock it
+// keeps the objects it creates, and confirms them the way Stripe's test payment
+// methods do: pm_card_threeDSecure2Required needs 3-D Secure, pm_card_chargeDeclined
+// is declined and any other payment method succeeds.
+class StripeMock {
+  constructor() {
+    this.paymentIntents = new Map();
+    this.authenticated = new Set();
+    this.refunds = [];
+    this.requests = [];
+    this.sequence = 0;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // Start on a free port and point PaymentService at it
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+
+    process.env.STRIPE_API_HOST = '127.0.0.1';
+    process.env.STRIPE_API_PORT = String(this.server.address().port);
+    process.env.STRIPE_API_PROTOCOL = 'http';
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  reset() {
+    this.paymentIntents.clear();
+    this.authenticated.clear();
+    this.refunds = [];
+    this.requests = [];
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}_${String(this.sequence).padStart(14, '0')}`;
+  }
+
+  // What the guest's browser does after 3-D Secure succeeds
+  authenticate(paymentIntentId) {
+    const paymentIntent = this.paymentIntents.get(paymentIntentId);
+    this.authenticated.add(paymentIntentId);
+    paymentIntent.status = 'requires_confirmation';
+    paymentIntent.next_action = null;
+    return paymentIntent;
+  }
+
+  // Decode Stripe's form encoding, including one level of nesting (metadata[key])
+  // and arrays (payment_method_types[0])
+  parse(body) {
+    const params = {};
+
+    new URLSearchParams(body).forEach((value, key) => {
+      const nested = key.match(/^(\w+)\[(\w*)\]$/);
+      if (!nested) {
+        params[key] = value;
+        return;
+      }
+
+      const [, name, field] = nested;
+      if (/^\d*$/.test(field)) {
+        params[name] = [...(params[name] || []), value];
+      } else {
+        params[name] = { ...params[name], [field]: value };
+      }
+    });
+
+    return params;
+  }
+
+  handle(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = this.parse(body);
+      this.requests.push({ method: req.method, path: req.url, params });
+
+      const { status, payload } = this.route(req.method, req.url.split('?')[0], params);
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Request-Id': this.nextId('req') });
+      res.end(JSON.stringify(payload));
+    });
+  }
+
+  route(method, path, params) {
+    let match;
+
+    if (method === 'POST' && path === '/v1/payment_intents') {
+      return this.createPaymentIntent(params);
+    }
+    if ((match = path.match(/^\/v1\/payment_intents\/(\w+)$/)) && method === 'GET') {
+      return this.withPaymentIntent(match[1], paymentIntent => ({ status: 200, payload: paymentIntent }));
+    }
+    if ((match = path.match(/^\/v1\/payment_intents\/(\w+)\/confirm$/)) && method === 'POST') {
+      return this.withPaymentIntent(match[1], paymentIntent => this.confirm(paymentIntent, params));
+    }
+    if ((match = path.match(/^\/v1\/payment_intents\/(\w+)\/cancel$/)) && method === 'POST') {
+      return this.withPaymentIntent(match[1], paymentIntent => this.cancel(paymentIntent, params));
+    }
+    if (method === 'POST' && path === '/v1/refunds') {
+      return this.withPaymentIntent(params.payment_intent, paymentIntent => this.refund(paymentIntent, params));
+    }
+
+    return this.error(404, 'invalid_request_error', `Unrecognized request URL (${method}: ${path})`);
+  }
+
+  error(status, type, message, extra = {}) {
+    return { status, payload: { error: { type, message, ...extra } } };
+  }
+
+  withPaymentIntent(id, fn) {
+    const paymentIntent = this.paymentIntents.get(id);
+    if (!paymentIntent) {
+      return this.error(404, 'invalid_request_error', `No such payment_intent: '${id}'`, { code: 'resource_missing' });
+    }
+    return fn(paymentIntent);
+  }
+
+  createPaymentIntent(params) {
+    if (!params.amount || !params.currency) {
+      return this.error(400, 'invalid_request_error', 'Missing required param: amount or currency.');
+    }
+
+    const id = this.nextId('pi');
+    const paymentIntent = {
+      id,
+      object: 'payment_intent',
+      amount: Number(params.amount),
+      amount_received: 0,
+      currency: params.currency,
+      description: params.description || null,
+      metadata: params.metadata || {},
+      payment_method: params.payment_method || null,
+      payment_method_types: params.payment_method_types || ['card'],
+      client_secret: `${id}_secret_test`,
+      status: params.payment_method ? 'requires_confirmation' : 'requires_payment_method',
+      next_action: null,
+      last_payment_error: null,
+      latest_charge: null,
+      amount_refunded: 0,
+      created: Math.floor(Date.now() / 1000)
+    };
+    this.paymentIntents.set(id, paymentIntent);
+
+    if (params.confirm === 'true') {
+      return this.confirm(paymentIntent, params);
+    }
+    return { status: 200, payload: paymentIntent };
+  }
+
+  confirm(paymentIntent, params) {
+    if (params.payment_method) paymentIntent.payment_method = params.payment_method;
+
+    if (!paymentIntent.payment_method) {
+      return this.error(400, 'invalid_request_error', 'You cannot confirm this PaymentIntent because it\'s missing a payment method.');
+    }
+
+    // 3-D Secure is asked for until the guest has authenticated
+    if (paymentIntent.payment_method === 'pm_card_threeDSecure2Required' && !this.authenticated.has(paymentIntent.id)) {
+      paymentIntent.status = 'requires_action';
+      paymentIntent.next_action = {
+        type: 'use_stripe_sdk',
+        use_stripe_sdk: { type: 'three_d_secure_redirect' }
+      };
+      return { status: 200, payload: paymentIntent };
+    }
+
+    if (paymentIntent.payment_method === 'pm_card_chargeDeclined') {
+      paymentIntent.status = 'requires_payment_method';
+      paymentIntent.last_payment_error = { code: 'card_declined', message: 'Your card was declined.' };
+      return this.error(402, 'card_error', 'Your card was declined.', {
+        code: 'card_declined',
+        payment_intent: paymentIntent
+      });
+    }
+
+    paymentIntent.status = 'succeeded';
+    paymentIntent.amount_received = paymentIntent.amount;
+    paymentIntent.latest_charge = this.nextId('ch');
+    paymentIntent.next_action = null;
+    return { status: 200, payload: paymentIntent };
+  }
+
+  cancel(paymentIntent, params) {
+    if (['succeeded', 'canceled', 'processing'].includes(paymentIntent.status)) {
+      return this.error(400, 'invalid_request_error',
+        `You cannot cancel this PaymentIntent because it has a status of ${paymentIntent.status}.`,
+        { code: 'payment_intent_unexpected_state' });
+    }
+
+    paymentIntent.status = 'canceled';
+    paymentIntent.cancellation_reason = params.cancellation_reason || null;
+    paymentIntent.next_action = null;
+    return { status: 200, payload: paymentIntent };
+  }
+
+  refund(paymentIntent, params) {
+    const amount = params.amount ? Number(params.amount) : paymentIntent.amount_received - paymentIntent.amount_refunded;
+    if (paymentIntent.status !== 'succeeded' || amount > paymentIntent.amount_received - paymentIntent.amount_refunded) {
+      return this.error(400, 'invalid_request_error', `Refund amount (${amount}) is greater than unrefunded amount on charge`);
+    }
+
+    paymentIntent.amount_refunded += amount;
+    const refund = {
+      id: this.nextId('re'),
+      object: 'refund',
+      amount,
+      currency: paymentIntent.currency,
+      payment_intent: paymentIntent.id,
+      charge: paymentIntent.latest_charge,
+      metadata: params.metadata || {},
+      status: 'succeeded'
+    };
+    this.refunds.push(refund);
+
+    return { status: 200, payload: refund };
+  }
+}
+
+module.exports = StripeMock;
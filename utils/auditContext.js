@@ -0,0 +1,20 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Who is acting in the current request or job, so changes can be attributed to them
+const storage = new AsyncLocalStorage();
+
+// Run a function, and everything it goes on to do, as an actor:
+// { type: 'Admin' | 'Guest' | 'Channel' | 'System', admin, guest, label, ipAddress }
+const runAs = (actor, fn) => storage.run(actor, fn);
+
+// The current actor. Work started outside any request or job is the system's.
+const getActor = () => storage.getStore() || { type: 'System', label: 'System' };
+
+// Middleware running the rest of the request as the actor built from it
+const actAs = (buildActor) => (req, res, next) => runAs(buildActor(req), next);
+
+module.exports = {
+  runAs,
+  getActor,
+  actAs
+};
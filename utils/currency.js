@@ -0,0 +1,31 @@
+// Currencies Stripe charges in whole units (no minor unit)
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+
+const minorUnitFactor = (currency = 'USD') =>
+  (ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? 1 : 100);
+
+// Convert a decimal amount to the currency's smallest unit (e.g. dollars to cents)
+const toMinorUnits = (amount, currency) => Math.round(amount * minorUnitFactor(currency));
+
+// Convert an amount in the currency's smallest unit back to a decimal amount
+const fromMinorUnits = (amount, currency) => amount / minorUnitFactor(currency);
+
+// Round a decimal amount to cents
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+// Format an amount for display, e.g. formatMoney(-12.5, '$') => '-$12.50'
+const formatMoney = (amount, symbol = '$', decimals = 2) => {
+  const sign = amount < 0 ? '-' : '';
+  return `${sign}${symbol}${Math.abs(amount || 0).toFixed(decimals)}`;
+};
+
+module.exports = {
+  ZERO_DECIMAL_CURRENCIES,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+  formatMoney
+};
@@ -0,0 +1,21 @@
+// Booking dates are stored as midnight UTC, so days are counted and keyed in UTC
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight (UTC, like booking dates) of the day a date falls on
+const startOfDay = (date = Date.now()) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+// The same moment a number of days later (or earlier, when negative)
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+// The UTC day a date falls on, as YYYY-MM-DD
+const dateKey = date => new Date(date).toISOString().split('T')[0];
+
+module.exports = {
+  DAY_MS,
+  startOfDay,
+  addDays,
+  dateKey
+};
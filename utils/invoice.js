@@ -0,0 +1,186 @@
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('./currency');
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const formatAddress = (address = {}) => {
+  if (address.formatted) return address.formatted;
+  return [address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Amount shown on the invoice line: charges positive, payments and credits negative
+const lineAmount = (entry) => (entry.type === 'Payment' ? -entry.amount : entry.amount);
+
+// Build the data shared by both invoice formats
+const buildInvoice = ({ folio, booking, hotel, currencySymbol }) => ({
+  number: folio.folioNumber.replace(/^F-/, 'INV-'),
+  issuedAt: folio.settledAt || new Date(),
+  status: folio.status,
+  hotel: {
+    name: hotel.name,
+    address: formatAddress(hotel.address),
+    phone: hotel.phone,
+    email: hotel.email,
+    website: hotel.website
+  },
+  guest: booking.guest,
+  booking,
+  lines: folio.getStatement(),
+  totals: {
+    charges: folio.totalCharges,
+    payments: folio.totalPayments,
+    balance: folio.balance
+  },
+  currencySymbol: currencySymbol || '$'
+});
+
+// Generate a printable HTML invoice for a folio
+const generateInvoiceHTML = (context) => {
+  const invoice = buildInvoice(context);
+  const { hotel, guest, booking, totals, currencySymbol } = invoice;
+
+  const rows = invoice.lines.map(line => `
+            <tr>
+                <td>${formatDate(line.serviceDate)}</td>
+                <td>${line.description}</td>
+                <td>${line.type}</td>
+                <td class="amount">${formatMoney(lineAmount(line), currencySymbol)}</td>
+                <td class="amount">${formatMoney(line.runningBalance, currencySymbol)}</td>
+            </tr>`).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>Invoice ${invoice.number}</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.5; color: #333; margin: 40px; }
+            .header { display: flex; justify-content: space-between; border-bottom: 2px solid #8B4513; padding-bottom: 15px; }
+            .header h1 { color: #8B4513; margin: 0; }
+            .details { display: flex; justify-content: space-between; margin: 25px 0; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+            th { background: #f4f4f4; }
+            .amount { text-align: right; }
+            .totals { margin-top: 20px; width: 300px; margin-left: auto; }
+            .totals td { border: none; }
+            .balance { font-weight: bold; font-size: 1.1em; }
+            @media print { body { margin: 0; } }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <div>
+                <h1>${hotel.name}</h1>
+                <p>${hotel.address || ''}<br>
+                ${hotel.phone || ''}${hotel.email ? ` &middot; ${hotel.email}` : ''}</p>
+            </div>
+            <div class="amount">
+                <h2>Invoice</h2>
+                <p><strong>${invoice.number}</strong><br>
+                Issued: ${formatDate(invoice.issuedAt)}<br>
+                Status: ${invoice.status}</p>
+            </div>
+        </div>
+
+        <div class="details">
+            <div>
+                <strong>Guest</strong><br>
+                ${guest.firstName} ${guest.lastName}<br>
+                ${guest.email || ''}
+            </div>
+            <div class="amount">
+                <strong>Booking ${booking.bookingNumber}</strong><br>
+                Arrival: ${formatDate(booking.checkInDate)}<br>
+                Departure: ${formatDate(booking.checkOutDate)}<br>
+                ${booking.room && booking.room.roomNumber ? `Room: ${booking.room.roomNumber}` : ''}
+            </div>
+        </div>
+
+        <table>
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Description</th>
+                    <th>Type</th>
+                    <th class="amount">Amount</th>
+                    <th class="amount">Balance</th>
+                </tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+
+        <table class="totals">
+            <tr><td>Total charges</td><td class="amount">${formatMoney(totals.charges, currencySymbol)}</td></tr>
+            <tr><td>Total paid</td><td class="amount">${formatMoney(totals.payments, currencySymbol)}</td></tr>
+            <tr class="balance"><td>Balance due</td><td class="amount">${formatMoney(totals.balance, currencySymbol)}</td></tr>
+        </table>
+
+        <p>Thank you for staying at ${hotel.name}.</p>
+    </body>
+    </html>
+  `;
+};
+
+// Generate a PDF invoice for a folio, returned as a readable stream
+const generateInvoicePDF = (context) => {
+  const invoice = buildInvoice(context);
+  const { hotel, guest, booking, totals, currencySymbol } = invoice;
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  doc.fontSize(20).fillColor('#8B4513').text(hotel.name);
+  doc.fontSize(9).fillColor('#333333');
+  if (hotel.address) doc.text(hotel.address);
+  doc.text([hotel.phone, hotel.email].filter(Boolean).join(' | '));
+
+  doc.moveDown();
+  doc.fontSize(14).text(`Invoice ${invoice.number}`);
+  doc.fontSize(9)
+    .text(`Issued: ${formatDate(invoice.issuedAt)}    Status: ${invoice.status}`)
+    .text(`Guest: ${guest.firstName} ${guest.lastName}${guest.email ? ` <${guest.email}>` : ''}`)
+    .text(`Booking: ${booking.bookingNumber}    ${formatDate(booking.checkInDate)} - ${formatDate(booking.checkOutDate)}`);
+
+  doc.moveDown();
+  const columns = { date: 50, description: 120, type: 330, amount: 400, balance: 480 };
+  const writeRow = (values, y) => {
+    doc.text(values.date, columns.date, y, { width: 65 });
+    doc.text(values.description, columns.description, y, { width: 200 });
+    doc.text(values.type, columns.type, y, { width: 65 });
+    doc.text(values.amount, columns.amount, y, { width: 70, align: 'right' });
+    doc.text(values.balance, columns.balance, y, { width: 65, align: 'right' });
+  };
+
+  writeRow({ date: 'Date', description: 'Description', type: 'Type', amount: 'Amount', balance: 'Balance' }, doc.y);
+  doc.moveDown(0.5);
+
+  invoice.lines.forEach(line => {
+    if (doc.y > 760) doc.addPage();
+    const y = doc.y;
+    writeRow({
+      date: formatDate(line.serviceDate),
+      description: line.description,
+      type: line.type,
+      amount: formatMoney(lineAmount(line), currencySymbol),
+      balance: formatMoney(line.runningBalance, currencySymbol)
+    }, y);
+    doc.moveDown(0.3);
+  });
+
+  doc.moveDown();
+  doc.fontSize(10)
+    .text(`Total charges: ${formatMoney(totals.charges, currencySymbol)}`, columns.amount - 100, doc.y, { width: 215, align: 'right' })
+    .text(`Total paid: ${formatMoney(totals.payments, currencySymbol)}`, { width: 215, align: 'right' })
+    .text(`Balance due: ${formatMoney(totals.balance, currencySymbol)}`, { width: 215, align: 'right' });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  generateInvoiceHTML,
+  generateInvoicePDF
+};
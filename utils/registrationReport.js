@@ -0,0 +1,103 @@
+const formatDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const escapeHTML = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Quote a CSV cell when it holds a separator, quote or line break. Cells starting
+// with a formula character are prefixed so spreadsheets do not evaluate them.
+const escapeCSV = (value) => {
+  let text = String(value == null ? '' : value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const COLUMNS = [
+  ['Room', row => row.roomNumber],
+  ['Booking', row => row.bookingNumber],
+  ['Last name', row => row.lastName],
+  ['First name', row => row.firstName],
+  ['Gender', row => row.gender],
+  ['Date of birth', row => formatDate(row.dateOfBirth)],
+  ['Nationality', row => row.nationality],
+  ['ID type', row => row.idType],
+  ['ID number', row => row.idNumber],
+  ['ID expiry', row => formatDate(row.idExpiryDate)],
+  ['Country of residence', row => row.country],
+  ['Adults', row => row.adults],
+  ['Children', row => row.children],
+  ['Arrival', row => formatDate(row.checkInDate)],
+  ['Departure', row => formatDate(row.checkOutDate)],
+  ['Foreign', row => (row.foreign ? 'Yes' : 'No')],
+  ['Missing details', row => row.missing.join('; ')]
+];
+
+// Generate the guest registration report as CSV
+const generateRegistrationCSV = (report) => [
+  COLUMNS.map(([label]) => escapeCSV(label)).join(','),
+  ...report.rows.map(row => COLUMNS.map(([, value]) => escapeCSV(value(row))).join(','))
+].join('\r\n');
+
+// Generate a printable HTML guest registration report
+const generateRegistrationHTML = ({ report, hotel, generatedBy, generatedAt = new Date() }) => {
+  const rows = report.rows.map(row => `
+            <tr${row.missing.length ? ' class="incomplete"' : ''}>${COLUMNS.map(([, value]) => `
+                <td>${escapeHTML(value(row))}</td>`).join('')}
+            </tr>`).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>Guest Registration ${formatDate(report.reportDate)}</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.4; color: #333; margin: 30px; font-size: 12px; }
+            .header { display: flex; justify-content: space-between; border-bottom: 2px solid #8B4513; padding-bottom: 10px; }
+            .header h1 { color: #8B4513; margin: 0; }
+            table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+            th, td { padding: 5px; border: 1px solid #ccc; text-align: left; }
+            th { background: #f4f4f4; }
+            tr.incomplete td { background: #fdecea; }
+            .signature { margin-top: 40px; }
+            @media print { body { margin: 0; } }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <div>
+                <h1>${escapeHTML(hotel.name)}</h1>
+                <p>${escapeHTML(hotel.phone || '')}${hotel.email ? ` &middot; ${escapeHTML(hotel.email)}` : ''}</p>
+            </div>
+            <div>
+                <h2>Guest Registration${report.foreignOnly ? ' - Foreign Guests' : ''}</h2>
+                <p>Night of ${formatDate(report.reportDate)}<br>
+                Generated ${escapeHTML(generatedAt.toISOString().replace('T', ' ').slice(0, 16))} UTC${generatedBy ? ` by ${escapeHTML(generatedBy)}` : ''}</p>
+            </div>
+        </div>
+
+        <p>Guests: ${report.totals.guests} &middot; Persons: ${report.totals.persons} &middot;
+        Foreign: ${report.totals.foreign} &middot; Incomplete: ${report.totals.incomplete}</p>
+
+        <table>
+            <thead>
+                <tr>${COLUMNS.map(([label]) => `
+                    <th>${label}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+
+        <p class="signature">Signature and stamp: ______________________________</p>
+    </body>
+    </html>
+  `;
+};
+
+module.exports = {
+  generateRegistrationCSV,
+  generateRegistrationHTML
+};
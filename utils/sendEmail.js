@@ -1,9 +1,54 @@
 const nodemailer = require('nodemailer');
 const logger = require('./logger');
+const EmailLog = require('../models/EmailLog');
+const { formatMoney } = require('./currency');
+
+// Format an amount in the booking's currency
+const money = (booking, amount) => formatMoney(amount, booking.currencySymbol);
+
+// Subtotal, tax lines and total exactly as the booking was priced
+const generatePriceBreakdownHTML = (booking) => {
+  const taxLines = (booking.taxBreakdown || []).map(line => `
+                <p><strong>${line.name}${line.inclusive ? ' (included)' : ''}:</strong> ${money(booking, line.amount)}</p>`).join('');
+
+  return `
+                <p><strong>Subtotal:</strong> ${money(booking, booking.subtotal)}</p>${booking.discounts > 0 ? `
+                <p><strong>Discounts:</strong> -${money(booking, booking.discounts)}</p>` : ''}${taxLines}${booking.fees > 0 ? `
+                <p><strong>Fees:</strong> ${money(booking, booking.fees)}</p>` : ''}${(booking.addOns || []).map(addOn => `
+                <p><strong>${addOn.description || addOn.service} x${addOn.quantity || 1}:</strong> ${money(booking, addOn.totalPrice)}</p>`).join('')}
+                <p><strong>Total Amount:</strong> ${money(booking, booking.totalAmount)}</p>`;
+};
+
+// The booked room, or its category while no room is assigned yet
+const roomLabel = (booking, room, withType = false) => {
+  if (room) return withType ? `${room.name} (${room.type})` : room.name;
+  const category = booking.roomCategory && booking.roomCategory.name;
+  return category ? `${category} (room assigned on arrival)` : 'To be assigned';
+};
+
+// 12-hour clock time of an HH:mm time, e.g. 14:00 -> 2:00 PM
+const formatTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+// Cancellation terms the booking was sold with
+const generateCancellationPolicyHTML = (booking) => {
+  const terms = booking.describeCancellationPolicy();
+  const { name } = booking.getCancellationTerms();
+
+  return `
+            <div class="booking-details">
+                <h3>Cancellation Policy${name ? ` - ${name}` : ''}</h3>
+                <ul>${terms.map(term => `
+                    <li>${term}</li>`).join('')}
+                </ul>
+            </div>`;
+};
 
 // Create transporter
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
     secure: false, // true for 465, false for other ports
@@ -19,7 +64,8 @@ const createTransporter = () => {
 
 // Email templates
 const generateBookingConfirmationHTML = (context) => {
-  const { guest, booking, room } = context;
+  const { guest, booking, room, businessHours } = context;
+  const times = booking.getStayTimes(businessHours);
   
   return `
     <!DOCTYPE html>
@@ -50,12 +96,11 @@ const generateBookingConfirmationHTML = (context) => {
                 <h3>Booking Details</h3>
                 <p><strong>Booking Number:</strong> ${booking.bookingNumber}</p>
                 <p><strong>Confirmation Code:</strong> ${booking.confirmationCode}</p>
-                <p><strong>Room:</strong> ${room.name} (${room.type})</p>
-                <p><strong>Check-in:</strong> ${booking.checkInDate.toLocaleDateString()} (3:00 PM)</p>
-                <p><strong>Check-out:</strong> ${booking.checkOutDate.toLocaleDateString()} (11:00 AM)</p>
+                <p><strong>Room:</strong> ${roomLabel(booking, room, true)}</p>
+                <p><strong>Check-in:</strong> ${booking.checkInDate.toLocaleDateString()} (${formatTime(times.checkIn)})</p>
+                <p><strong>Check-out:</strong> ${booking.checkOutDate.toLocaleDateString()} (${formatTime(times.checkOut)})</p>
                 <p><strong>Guests:</strong> ${booking.numberOfGuests.adults} Adult(s)${booking.numberOfGuests.children ? `, ${booking.numberOfGuests.children} Child(ren)` : ''}</p>
-                <p><strong>Nights:</strong> ${booking.numberOfNights}</p>
-                <p><strong>Total Amount:</strong> $${booking.totalAmount.toFixed(2)}</p>
+                <p><strong>Nights:</strong> ${booking.numberOfNights}</p>${generatePriceBreakdownHTML(booking)}
             </div>
             
             ${booking.specialRequests ? `
@@ -81,7 +126,11 @@ const generateBookingConfirmationHTML = (context) => {
                 <strong>Email:</strong> info@oldvinehotel.com
             </p>
             
-            <p>If you need to modify or cancel your reservation, please contact us at least 24 hours in advance.</p>
+            ${generateCancellationPolicyHTML(booking)}
+            
+            <p>You can modify or cancel your booking online with your booking number and confirmation code.</p>
+            
+            <p>Save time on arrival: in the days before your stay you can <a href="${process.env.CLIENT_URL}/pre-checkin?booking=${booking.bookingNumber}">check in online</a> with your ID details and expected arrival time.</p>
             
             <p>We look forward to welcoming you to The Old Vine Hotel!</p>
             
@@ -99,7 +148,7 @@ const generateBookingConfirmationHTML = (context) => {
 };
 
 const generateBookingCancellationHTML = (context) => {
-  const { guest, booking, room, cancellationFee, refundAmount } = context;
+  const { guest, booking, room, cancellationFee, refundAmount, cancellationPolicy } = context;
   
   return `
     <!DOCTYPE html>
@@ -128,16 +177,25 @@ const generateBookingCancellationHTML = (context) => {
             <div class="booking-details">
                 <h3>Cancelled Booking Details</h3>
                 <p><strong>Booking Number:</strong> ${booking.bookingNumber}</p>
-                <p><strong>Room:</strong> ${room.name}</p>
+                <p><strong>Room:</strong> ${roomLabel(booking, room)}</p>
                 <p><strong>Check-in Date:</strong> ${booking.checkInDate.toLocaleDateString()}</p>
                 <p><strong>Check-out Date:</strong> ${booking.checkOutDate.toLocaleDateString()}</p>
-                <p><strong>Original Amount:</strong> $${booking.totalAmount.toFixed(2)}</p>
-                ${cancellationFee > 0 ? `<p><strong>Cancellation Fee:</strong> $${cancellationFee.toFixed(2)}</p>` : ''}
-                <p><strong>Refund Amount:</strong> $${refundAmount.toFixed(2)}</p>
+                <p><strong>Original Amount:</strong> ${money(booking, booking.totalAmount)}</p>
+                ${cancellationFee > 0 ? `<p><strong>Cancellation Fee:</strong> ${money(booking, cancellationFee)}</p>` : ''}
+                <p><strong>Refund Amount:</strong> ${money(booking, refundAmount)}</p>
             </div>
             
+            ${cancellationPolicy ? `
+            <div class="booking-details">
+                <h3>Cancellation Policy Applied${cancellationPolicy.name ? ` - ${cancellationPolicy.name}` : ''}</h3>
+                <ul>${cancellationPolicy.terms.map(term => `
+                    <li>${term}</li>`).join('')}
+                </ul>
+            </div>
+            ` : ''}
+            
             ${refundAmount > 0 ? `
-            <p>Your refund of $${refundAmount.toFixed(2)} will be processed within 5-7 business days and will appear on your original payment method.</p>
+            <p>Your refund of ${money(booking, refundAmount)} will be processed within 5-7 business days and will appear on your original payment method.</p>
             ` : ''}
             
             <p>We're sorry to see you cancel your stay with us. We hope to welcome you to The Old Vine Hotel in the future.</p>
@@ -156,6 +214,402 @@ const generateBookingCancellationHTML = (context) => {
   `;
 };
 
+const generateBookingModificationHTML = (context) => {
+  const { guest, booking, room, changes, previousTotal, amountCharged, amountRefunded, changeFee } = context;
+
+  const labels = {
+    checkInDate: 'Check-in Date',
+    checkOutDate: 'Check-out Date',
+    numberOfGuests: 'Guests',
+    roomCategory: 'Room Type',
+    addOns: 'Add-ons'
+  };
+  const display = value => {
+    if (value instanceof Date) return value.toLocaleDateString();
+    if (Array.isArray(value)) return value.length ? value.join(', ') : 'None';
+    return value;
+  };
+  const changeRows = Object.keys(changes).map(field => `
+                <p><strong>${labels[field] || field}:</strong> ${display(changes[field].from)} &rarr; ${display(changes[field].to)}</p>`).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .header { background: #8B4513; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; }
+            .booking-details { background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>The Old Vine Hotel</h1>
+            <h2>Booking Modification</h2>
+        </div>
+
+        <div class="content">
+            <p>Dear ${guest.firstName} ${guest.lastName},</p>
+
+            <p>Your booking <strong>${booking.bookingNumber}</strong> has been updated.</p>
+
+            <div class="booking-details">
+                <h3>What Changed</h3>${changeRows}
+            </div>
+
+            <div class="booking-details">
+                <h3>Updated Booking</h3>
+                <p><strong>Room:</strong> ${roomLabel(booking, room)}</p>
+                <p><strong>Check-in:</strong> ${booking.checkInDate.toLocaleDateString()}</p>
+                <p><strong>Check-out:</strong> ${booking.checkOutDate.toLocaleDateString()}</p>
+                <p><strong>Nights:</strong> ${booking.numberOfNights}</p>${generatePriceBreakdownHTML(booking)}
+                <p><strong>Previous Total:</strong> ${money(booking, previousTotal)}</p>
+                ${changeFee > 0 ? `<p><strong>Change Fee:</strong> ${money(booking, changeFee)} (under your cancellation policy)</p>` : ''}
+                ${amountCharged > 0 ? `<p><strong>Charged Now:</strong> ${money(booking, amountCharged)}</p>` : ''}
+                ${amountRefunded > 0 ? `<p><strong>Refunded:</strong> ${money(booking, amountRefunded)}</p>` : ''}
+                ${booking.balanceDue > 0 ? `<p><strong>Balance Due:</strong> ${money(booking, booking.balanceDue)}</p>` : ''}
+            </div>
+
+            ${amountRefunded > 0 ? `
+            <p>Your refund of ${money(booking, amountRefunded)} will be processed within 5-7 business days and will appear on your original payment method.</p>
+            ` : ''}
+
+            <p>If you did not request this change, please contact us straight away.</p>
+
+            <p>Best regards,<br>
+            The Old Vine Hotel Team</p>
+        </div>
+
+        <div class="footer">
+            <p>&copy; 2025 The Old Vine Hotel. All rights reserved.</p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+const generateBalancePaymentLinkHTML = (context) => {
+  const { guest, booking, paymentUrl } = context;
+  
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .header { background: #8B4513; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; }
+            .booking-details { background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; }
+            .btn { background: #D4AF37; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>The Old Vine Hotel</h1>
+            <h2>Balance Payment</h2>
+        </div>
+        
+        <div class="content">
+            <p>Dear ${guest.firstName} ${guest.lastName},</p>
+            
+            <p>The remaining balance for your stay can now be paid online.</p>
+            
+            <div class="booking-details">
+                <p><strong>Booking Number:</strong> ${booking.bookingNumber}</p>
+                <p><strong>Check-in:</strong> ${booking.checkInDate.toLocaleDateString()}</p>
+                <p><strong>Total Amount:</strong> ${money(booking, booking.totalAmount)}</p>
+                <p><strong>Paid So Far:</strong> ${money(booking, booking.amountPaid)}</p>
+                <p><strong>Balance Due:</strong> ${money(booking, booking.balanceDue)}</p>
+            </div>
+            
+            <p style="text-align: center; margin: 30px 0;">
+                <a class="btn" href="${paymentUrl}">Pay Balance</a>
+            </p>
+            
+            <p>You can also settle the balance at reception when you check in.</p>
+            
+            <p>Warm regards,<br>
+            The Old Vine Hotel Team</p>
+        </div>
+        
+        <div class="footer">
+            <p>&copy; 2025 The Old Vine Hotel. All rights reserved.</p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+const generateWaitlistJoinedHTML = (context) => {
+  const { entry, roomCategory, position } = context;
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .header { background: #8B4513; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; }
+            .booking-details { background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>The Old Vine Hotel</h1>
+            <h2>You're on the Waitlist</h2>
+        </div>
+        
+        <div class="content">
+            <p>Dear ${entry.guestInfo.firstName} ${entry.guestInfo.lastName},</p>
+            
+            <p>We're fully booked for your dates, but you're now on our waitlist. If a room becomes available we'll email you straight away with a link to book it.</p>
+            
+            <div class="booking-details">
+                <p><strong>Room Type:</strong> ${roomCategory.name}</p>
+                <p><strong>Check-in:</strong> ${entry.checkInDate.toLocaleDateString()}</p>
+                <p><strong>Check-out:</strong> ${entry.checkOutDate.toLocaleDateString()}</p>
+                <p><strong>Guests:</strong> ${entry.numberOfGuests.adults} Adult(s)${entry.numberOfGuests.children ? `, ${entry.numberOfGuests.children} Child(ren)` : ''}</p>
+                <p><strong>Position:</strong> ${position}</p>
+            </div>
+            
+            <p>Warm regards,<br>
+            The Old Vine Hotel Team</p>
+        </div>
+        
+        <div class="footer">
+            <p>&copy; 2025 The Old Vine Hotel. All rights reserved.</p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+const generateWaitlistOfferHTML = (context) => {
+  const { entry, roomCategory, offerUrl, expiresAt } = context;
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .header { background: #8B4513; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; }
+            .booking-details { background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; }
+            .btn { background: #D4AF37; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>The Old Vine Hotel</h1>
+            <h2>A Room Is Available</h2>
+        </div>
+        
+        <div class="content">
+            <p>Dear ${entry.guestInfo.firstName} ${entry.guestInfo.lastName},</p>
+            
+            <p>Good news: a room has become available for the dates on your waitlist request, and we're holding it for you.</p>
+            
+            <div class="booking-details">
+                <p><strong>Room Type:</strong> ${roomCategory.name}</p>
+                <p><strong>Check-in:</strong> ${entry.checkInDate.toLocaleDateString()}</p>
+                <p><strong>Check-out:</strong> ${entry.checkOutDate.toLocaleDateString()}</p>
+                <p><strong>Guests:</strong> ${entry.numberOfGuests.adults} Adult(s)${entry.numberOfGuests.children ? `, ${entry.numberOfGuests.children} Child(ren)` : ''}</p>
+                <p><strong>Held Until:</strong> ${expiresAt.toLocaleString()}</p>
+            </div>
+            
+            <p style="text-align: center; margin: 30px 0;">
+                <a class="btn" href="${offerUrl}">Book Now</a>
+            </p>
+            
+            <p>If you no longer need the room, you can decline the offer from the same link so it goes to the next guest. Once the hold expires the room is offered to the next guest on the waitlist.</p>
+            
+            <p>Warm regards,<br>
+            The Old Vine Hotel Team</p>
+        </div>
+        
+        <div class="footer">
+            <p>&copy; 2025 The Old Vine Hotel. All rights reserved.</p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+const generateStayTimeDecisionHTML = (context) => {
+  const { guest, booking, room, type, label, request } = context;
+  const approved = request.status === 'Approved';
+  const day = type === 'earlyCheckIn' ? booking.checkInDate : booking.checkOutDate;
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .header { background: #8B4513; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; }
+            .booking-details { background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>The Old Vine Hotel</h1>
+            <h2>${label} ${approved ? 'Confirmed' : 'Request'}</h2>
+        </div>
+        
+        <div class="content">
+            <p>Dear ${guest.firstName} ${guest.lastName},</p>
+            
+            <p>${approved
+              ? `We're happy to confirm your ${label.toLowerCase()} at ${formatTime(request.time)} on ${day.toLocaleDateString()}.`
+              : `Unfortunately we are unable to offer a ${label.toLowerCase()} at ${formatTime(request.time)} on ${day.toLocaleDateString()}.`}</p>
+            
+            <div class="booking-details">
+                <p><strong>Booking Number:</strong> ${booking.bookingNumber}</p>
+                <p><strong>Room:</strong> ${roomLabel(booking, room)}</p>${approved && request.fee > 0 ? `
+                <p><strong>Fee:</strong> ${money(booking, request.fee)} (added to your bill)</p>` : ''}${request.note ? `
+                <p><strong>Note:</strong> ${request.note}</p>` : ''}
+            </div>
+            
+            <p>Warm regards,<br>
+            The Old Vine Hotel Team</p>
+        </div>
+        
+        <div class="footer">
+            <p>&copy; 2025 The Old Vine Hotel. All rights reserved.</p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+const generateBookingRequestDeclinedHTML = (context) => {
+  const { guest, booking, room, reason } = context;
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .header { background: #8B4513; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; }
+            .booking-details { background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>The Old Vine Hotel</h1>
+            <h2>Your Booking Request</h2>
+        </div>
+        
+        <div class="content">
+            <p>Dear ${guest.firstName} ${guest.lastName},</p>
+            
+            <p>Thank you for your booking request. Unfortunately we are unable to accept it.</p>
+            
+            <div class="booking-details">
+                <p><strong>Booking Number:</strong> ${booking.bookingNumber}</p>
+                <p><strong>Room:</strong> ${roomLabel(booking, room)}</p>
+                <p><strong>Check-in:</strong> ${booking.checkInDate.toLocaleDateString()}</p>
+                <p><strong>Check-out:</strong> ${booking.checkOutDate.toLocaleDateString()}</p>${reason ? `
+                <p><strong>Reason:</strong> ${reason}</p>` : ''}
+            </div>
+            
+            <p>We would be glad to welcome you on other dates. Please contact us or make a new request.</p>
+            
+            <p>Warm regards,<br>
+            The Old Vine Hotel Team</p>
+        </div>
+        
+        <div class="footer">
+            <p>&copy; 2025 The Old Vine Hotel. All rights reserved.</p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+const generateReservationConfirmationHTML = (context) => {
+  const { guest, reservation, lines } = context;
+
+  const rooms = lines.map(line => `
+            <div class="booking-details">
+                <h3>${line.room.name} (${line.room.type})</h3>
+                <p><strong>Booking Number:</strong> ${line.bookingNumber}</p>
+                <p><strong>Check-in:</strong> ${line.checkInDate.toLocaleDateString()}</p>
+                <p><strong>Check-out:</strong> ${line.checkOutDate.toLocaleDateString()}</p>
+                <p><strong>Guests:</strong> ${line.numberOfGuests.adults} Adult(s)${line.numberOfGuests.children ? `, ${line.numberOfGuests.children} Child(ren)` : ''}</p>
+                <p><strong>Nights:</strong> ${line.numberOfNights}</p>${line.ratePlanName ? `
+                <p><strong>Rate:</strong> ${line.ratePlanName}</p>` : ''}
+                <p><strong>Room Total:</strong> ${money(line, line.totalAmount)}</p>
+                <p><strong>Cancellation:</strong> ${line.describeCancellationPolicy().join('. ')}</p>
+            </div>`).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .header { background: #8B4513; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; }
+            .booking-details { background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>The Old Vine Hotel</h1>
+            <h2>Reservation Confirmation</h2>
+        </div>
+        
+        <div class="content">
+            <p>Dear ${guest.firstName} ${guest.lastName},</p>
+            
+            <p>Thank you for choosing The Old Vine Hotel! We're delighted to confirm your reservation of ${lines.length} room(s).</p>
+            
+            <p><strong>Reservation Number:</strong> ${reservation.reservationNumber}<br>
+            <strong>Confirmation Code:</strong> ${reservation.confirmationCode}</p>
+            ${rooms}
+            
+            <p><strong>Total Amount:</strong> ${money(reservation, reservation.totalAmount)}<br>
+            <strong>Paid:</strong> ${money(reservation, reservation.amountPaid)}<br>
+            <strong>Balance Due:</strong> ${money(reservation, reservation.balanceDue)}</p>
+            
+            <p>Use your reservation number and confirmation code to change or cancel any of the rooms.</p>
+            
+            <p>We look forward to welcoming you to The Old Vine Hotel!</p>
+            
+            <p>Warm regards,<br>
+            The Old Vine Hotel Team</p>
+        </div>
+        
+        <div class="footer">
+            <p>&copy; 2025 The Old Vine Hotel. All rights reserved.</p>
+            <p>This is an automated message. Please do not reply to this email.</p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
 const generateContactFormHTML = (context) => {
   const { name, email, phone, message } = context;
   
@@ -197,6 +651,12 @@ const generateContactFormHTML = (context) => {
   `;
 };
 
+// Keep a record of every email sent, for the guests' data exports. Failing to record
+// one is logged and does not hold up the email.
+const recordEmail = (entry) => {
+  EmailLog.create(entry).catch(error => logger.error('Error recording email:', error));
+};
+
 // Main send email function
 const sendEmail = async ({ to, subject, template, context, html, text }) => {
   try {
@@ -213,6 +673,27 @@ const sendEmail = async ({ to, subject, template, context, html, text }) => {
         case 'bookingCancellation':
           emailHTML = generateBookingCancellationHTML(context);
           break;
+        case 'bookingModification':
+          emailHTML = generateBookingModificationHTML(context);
+          break;
+        case 'balancePaymentLink':
+          emailHTML = generateBalancePaymentLinkHTML(context);
+          break;
+        case 'waitlistJoined':
+          emailHTML = generateWaitlistJoinedHTML(context);
+          break;
+        case 'waitlistOffer':
+          emailHTML = generateWaitlistOfferHTML(context);
+          break;
+        case 'stayTimeDecision':
+          emailHTML = generateStayTimeDecisionHTML(context);
+          break;
+        case 'bookingRequestDeclined':
+          emailHTML = generateBookingRequestDeclinedHTML(context);
+          break;
+        case 'reservationConfirmation':
+          emailHTML = generateReservationConfirmationHTML(context);
+          break;
         case 'contactForm':
           emailHTML = generateContactFormHTML(context);
           break;
@@ -230,6 +711,7 @@ const sendEmail = async ({ to, subject, template, context, html, text }) => {
     };
     
     const result = await transporter.sendMail(mailOptions);
+    recordEmail({ to, subject, template, status: 'Sent', messageId: result.messageId });
     
     logger.info(`Email sent successfully to ${to}`, {
       messageId: result.messageId,
@@ -238,6 +720,7 @@ const sendEmail = async ({ to, subject, template, context, html, text }) => {
     
     return result;
   } catch (error) {
+    recordEmail({ to, subject, template, status: 'Failed', error: error.message });
     logger.error('Email sending error:', {
       error: error.message,
       to,